@@ -0,0 +1,85 @@
+"use client";
+
+import { useState, useCallback } from "react";
+import { useSession } from "next-auth/react";
+import { ShieldAlert } from "lucide-react";
+import BackButton from "@/components/BackButton";
+import Alert from "@/components/Alert";
+import TaxonomyManager from "@/components/TaxonomyManager";
+import { ROLES, hasRole } from "@/lib/roles";
+import { TAXONOMY_TYPES } from "@/lib/taxonomy";
+
+/**
+ * Admin Categories Page Component
+ * Lets admins manage categories and tags: add categories, rename categories and tags, give
+ * them descriptions and icons, merge tags, and delete either, moving their recipes elsewhere.
+ *
+ * @component
+ * @returns {React.ReactElement} Rendered category and tag management page
+ */
+export default function AdminCategoriesPage() {
+  const { data: session } = useSession();
+
+  // Alert state for user notifications
+  const [alert, setAlert] = useState({
+    isVisible: false,
+    message: "",
+    type: "success",
+  });
+
+  /**
+   * Displays an alert to the user
+   *
+   * @param {string} message - Message to display
+   * @param {string} [type='success'] - Type of alert (success/error)
+   */
+  const showAlert = useCallback((message, type = "success") => {
+    setAlert({ isVisible: true, message, type });
+  }, []);
+
+  // Ensure session exists before rendering the page
+  if (!session) return null;
+
+  return (
+    <div className="container mx-auto px-4 py-8 min-h-screen">
+      {/* Alert component */}
+      <Alert
+        message={alert.message}
+        type={alert.type}
+        isVisible={alert.isVisible}
+        onClose={() => setAlert({ ...alert, isVisible: false })}
+      />
+
+      {/* Fixed position back button */}
+      <div className="absolute top-2 -left-[5rem] z-10">
+        <BackButton className="bg-white/80 backdrop-blur-sm shadow-lg rounded-lg p-2 hover:bg-white transition-colors dark:bg-gray-800 dark:hover:bg-gray-700" />
+      </div>
+
+      <h1 className="text-4xl font-bold mt-6 mb-10 dark:text-white text-center tracking-tight text-gray-700">
+        Categories & Tags
+      </h1>
+
+      {hasRole(session.user.role, ROLES.ADMIN) ? (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 max-w-5xl mx-auto">
+          <TaxonomyManager
+            type={TAXONOMY_TYPES.CATEGORY}
+            title="Categories"
+            onAlert={showAlert}
+          />
+          <TaxonomyManager
+            type={TAXONOMY_TYPES.TAG}
+            title="Tags"
+            onAlert={showAlert}
+          />
+        </div>
+      ) : (
+        <div className="max-w-md mx-auto text-center py-16 bg-white rounded-2xl shadow-sm dark:bg-gray-800">
+          <ShieldAlert className="w-12 h-12 mx-auto mb-4 text-red-500" />
+          <p className="text-gray-600 dark:text-gray-300">
+            Only admins can edit categories and tags.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
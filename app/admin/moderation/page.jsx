@@ -0,0 +1,247 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useSession } from "next-auth/react";
+import { useRouter } from "next/navigation";
+import Image from "next/image";
+import Link from "next/link";
+import { Check, ShieldAlert, X } from "lucide-react";
+import BackButton from "@/components/BackButton";
+import Alert from "@/components/Alert";
+import { MODERATION_STATUS } from "@/lib/userRecipes";
+import LoadingPage from "../../loading";
+
+// Queue tabs, one per moderation status
+const STATUS_TABS = [
+  { value: MODERATION_STATUS.PENDING, label: "Pending" },
+  { value: MODERATION_STATUS.APPROVED, label: "Approved" },
+  { value: MODERATION_STATUS.REJECTED, label: "Rejected" },
+];
+
+/**
+ * Moderation Page Component
+ * Lets moderators review public recipe submissions and approve or reject them. Approved recipes
+ * appear in the catalog; rejected ones stay visible only to their owner, with the moderator's note.
+ *
+ * @component
+ * @returns {React.ReactElement} Rendered moderation queue
+ */
+export default function ModerationPage() {
+  // Authentication and routing hooks
+  const { data: session } = useSession();
+  const router = useRouter();
+
+  const [status, setStatus] = useState(MODERATION_STATUS.PENDING);
+  const [recipes, setRecipes] = useState([]);
+  const [notes, setNotes] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [forbidden, setForbidden] = useState(false);
+
+  // Alert state for user notifications
+  const [alert, setAlert] = useState({
+    isVisible: false,
+    message: "",
+    type: "success",
+  });
+
+  /**
+   * Displays an alert to the user
+   *
+   * @param {string} message - Message to display
+   * @param {string} [type='success'] - Type of alert (success/error)
+   */
+  const showAlert = (message, type = "success") => {
+    setAlert({ isVisible: true, message, type });
+  };
+
+  /**
+   * Fetches the submissions with the selected status
+   *
+   * @async
+   */
+  const fetchQueue = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/admin/recipes?status=${status}`);
+      if (response.status === 403) {
+        setForbidden(true);
+        return;
+      }
+      if (!response.ok) throw new Error("Failed to fetch submissions");
+
+      const data = await response.json();
+      setRecipes(data.recipes);
+    } catch (error) {
+      console.error("Error fetching moderation queue:", error);
+      setAlert({ isVisible: true, message: error.message, type: "error" });
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  // Redirect to sign in when there is no session, otherwise load the queue
+  useEffect(() => {
+    if (!session) {
+      router.push("/auth/signin");
+      return;
+    }
+    fetchQueue();
+  }, [session, router, fetchQueue]);
+
+  /**
+   * Approves or rejects a submission and removes it from the current list
+   *
+   * @async
+   * @param {string} recipeId - The recipe ID
+   * @param {"approve"|"reject"} action - The moderation action
+   */
+  const handleModerate = async (recipeId, action) => {
+    try {
+      const response = await fetch(`/api/admin/recipes/${recipeId}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ action, note: notes[recipeId] || "" }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to moderate recipe");
+
+      setRecipes((prev) => prev.filter((recipe) => recipe._id !== recipeId));
+      showAlert(action === "approve" ? "Recipe approved" : "Recipe rejected");
+    } catch (error) {
+      console.error("Error moderating recipe:", error);
+      showAlert(error.message, "error");
+    }
+  };
+
+  // Ensure session exists before rendering the queue
+  if (!session) return null;
+  if (loading) return <LoadingPage />;
+
+  return (
+    <div className="container mx-auto px-4 py-8 min-h-screen">
+      {/* Alert component */}
+      <Alert
+        message={alert.message}
+        type={alert.type}
+        isVisible={alert.isVisible}
+        onClose={() => setAlert({ ...alert, isVisible: false })}
+      />
+
+      {/* Fixed position back button */}
+      <div className="absolute top-2 -left-[5rem] z-10">
+        <BackButton className="bg-white/80 backdrop-blur-sm shadow-lg rounded-lg p-2 hover:bg-white transition-colors dark:bg-gray-800 dark:hover:bg-gray-700" />
+      </div>
+
+      <h1 className="text-4xl font-bold mt-6 mb-10 dark:text-white text-center tracking-tight text-gray-700">
+        Recipe Moderation
+      </h1>
+
+      {forbidden ? (
+        <div className="max-w-md mx-auto text-center py-16 bg-white rounded-2xl shadow-sm dark:bg-gray-800">
+          <ShieldAlert className="w-12 h-12 mx-auto mb-4 text-red-500" />
+          <p className="text-gray-600 dark:text-gray-300">
+            Only moderators can review recipe submissions.
+          </p>
+        </div>
+      ) : (
+        <div className="max-w-4xl mx-auto">
+          {/* Status tabs */}
+          <div className="flex gap-2 mb-6">
+            {STATUS_TABS.map((tab) => (
+              <button
+                key={tab.value}
+                onClick={() => setStatus(tab.value)}
+                className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                  status === tab.value
+                    ? "bg-teal-600 text-white"
+                    : "bg-white text-gray-700 hover:bg-teal-50 dark:bg-gray-800 dark:text-gray-300 dark:hover:bg-gray-700"
+                }`}
+              >
+                {tab.label}
+              </button>
+            ))}
+          </div>
+
+          {recipes.length === 0 ? (
+            <p className="text-center py-16 text-gray-500 dark:text-gray-400">
+              No {status} submissions.
+            </p>
+          ) : (
+            <ul className="space-y-4">
+              {recipes.map((recipe) => (
+                <li
+                  key={recipe._id}
+                  className="flex flex-col sm:flex-row gap-4 bg-white p-4 rounded-2xl shadow-sm dark:bg-gray-800"
+                >
+                  {recipe.images?.[0] && (
+                    <Image
+                      src={recipe.images[0]}
+                      alt={recipe.title}
+                      width={128}
+                      height={96}
+                      className="w-full sm:w-32 h-24 rounded-lg object-cover flex-shrink-0"
+                    />
+                  )}
+                  <div className="flex-1 min-w-0 space-y-2">
+                    <Link
+                      href={`/recipes/${recipe._id}`}
+                      className="font-semibold text-gray-800 hover:text-teal-600 dark:text-white dark:hover:text-teal-400"
+                    >
+                      {recipe.title}
+                    </Link>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                      By {recipe.ownerName} · {recipe.category} · Submitted{" "}
+                      {new Date(recipe.submittedAt).toLocaleDateString()}
+                    </p>
+                    <p className="text-sm text-gray-700 line-clamp-2 dark:text-gray-300">
+                      {recipe.description}
+                    </p>
+                    {recipe.moderationNote && (
+                      <p className="text-sm italic text-gray-500 dark:text-gray-400">
+                        Note: {recipe.moderationNote}
+                      </p>
+                    )}
+
+                    <div className="flex flex-wrap items-center gap-2 pt-2">
+                      <input
+                        type="text"
+                        value={notes[recipe._id] || ""}
+                        onChange={(e) =>
+                          setNotes((prev) => ({
+                            ...prev,
+                            [recipe._id]: e.target.value,
+                          }))
+                        }
+                        placeholder="Note for the submitter (optional)"
+                        maxLength={500}
+                        className="flex-1 min-w-[12rem] px-3 py-2 text-sm rounded-lg border border-gray-300 focus:outline-none focus:ring-2 focus:ring-teal-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                      />
+                      {status !== MODERATION_STATUS.APPROVED && (
+                        <button
+                          onClick={() => handleModerate(recipe._id, "approve")}
+                          className="flex items-center px-3 py-2 text-sm bg-teal-600 text-white rounded-lg hover:bg-teal-500 transition-colors"
+                        >
+                          <Check className="w-4 h-4 mr-1" />
+                          Approve
+                        </button>
+                      )}
+                      {status !== MODERATION_STATUS.REJECTED && (
+                        <button
+                          onClick={() => handleModerate(recipe._id, "reject")}
+                          className="flex items-center px-3 py-2 text-sm bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors"
+                        >
+                          <X className="w-4 h-4 mr-1" />
+                          Reject
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+"use client";
+
+import Link from "next/link";
+import { useSession } from "next-auth/react";
+import { ClipboardCheck, MessageSquare, Tags, Users } from "lucide-react";
+import BackButton from "@/components/BackButton";
+import { ROLES, hasRole } from "@/lib/roles";
+
+// Admin sections and the role each one needs
+const SECTIONS = [
+  {
+    href: "/admin/moderation",
+    title: "Recipe Moderation",
+    description: "Approve or reject public recipe submissions.",
+    icon: ClipboardCheck,
+    role: ROLES.MODERATOR,
+  },
+  {
+    href: "/admin/reviews",
+    title: "Reviews",
+    description: "Find and delete inappropriate reviews.",
+    icon: MessageSquare,
+    role: ROLES.MODERATOR,
+  },
+  {
+    href: "/admin/users",
+    title: "Users",
+    description: "Search users and change their roles.",
+    icon: Users,
+    role: ROLES.ADMIN,
+  },
+  {
+    href: "/admin/categories",
+    title: "Categories & Tags",
+    description: "Rename, merge, describe and remove categories and tags.",
+    icon: Tags,
+    role: ROLES.ADMIN,
+  },
+];
+
+/**
+ * Admin Page Component
+ * Entry point to the admin area, linking to the sections the signed-in user's role allows.
+ * Access to the area itself is enforced by the middleware and the admin API routes.
+ *
+ * @component
+ * @returns {React.ReactElement} Rendered admin dashboard
+ */
+export default function AdminPage() {
+  const { data: session } = useSession();
+
+  if (!session) return null;
+
+  const sections = SECTIONS.filter((section) =>
+    hasRole(session.user.role, section.role)
+  );
+
+  return (
+    <div className="container mx-auto px-4 py-8 min-h-screen">
+      {/* Fixed position back button */}
+      <div className="absolute top-2 -left-[5rem] z-10">
+        <BackButton className="bg-white/80 backdrop-blur-sm shadow-lg rounded-lg p-2 hover:bg-white transition-colors dark:bg-gray-800 dark:hover:bg-gray-700" />
+      </div>
+
+      <h1 className="text-4xl font-bold mt-6 mb-10 dark:text-white text-center tracking-tight text-gray-700">
+        Admin
+      </h1>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 max-w-3xl mx-auto">
+        {sections.map(({ href, title, description, icon: Icon }) => (
+          <Link
+            key={href}
+            href={href}
+            className="flex items-start gap-4 bg-white p-6 rounded-2xl shadow-sm hover:shadow-md transition-shadow dark:bg-gray-800"
+          >
+            <Icon className="w-8 h-8 flex-shrink-0 text-teal-600 dark:text-teal-400" />
+            <div>
+              <h2 className="font-semibold text-gray-800 dark:text-white">
+                {title}
+              </h2>
+              <p className="text-sm text-gray-600 dark:text-gray-300">
+                {description}
+              </p>
+            </div>
+          </Link>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,247 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useSession } from "next-auth/react";
+import { useRouter } from "next/navigation";
+import Link from "next/link";
+import { Search, ShieldAlert, Star, Trash2 } from "lucide-react";
+import BackButton from "@/components/BackButton";
+import Alert from "@/components/Alert";
+import ConfirmationModal from "@/components/ConfirmationModal";
+import LoadingPage from "../../loading";
+
+/**
+ * Admin Reviews Page Component
+ * Lets moderators browse the latest reviews across all recipes and delete inappropriate ones.
+ *
+ * @component
+ * @returns {React.ReactElement} Rendered review moderation page
+ */
+export default function AdminReviewsPage() {
+  // Authentication and routing hooks
+  const { data: session } = useSession();
+  const router = useRouter();
+
+  const [reviews, setReviews] = useState([]);
+  const [searchInput, setSearchInput] = useState("");
+  const [search, setSearch] = useState("");
+  const [maxRating, setMaxRating] = useState("");
+  const [reviewToDelete, setReviewToDelete] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [forbidden, setForbidden] = useState(false);
+
+  // Alert state for user notifications
+  const [alert, setAlert] = useState({
+    isVisible: false,
+    message: "",
+    type: "success",
+  });
+
+  /**
+   * Displays an alert to the user
+   *
+   * @param {string} message - Message to display
+   * @param {string} [type='success'] - Type of alert (success/error)
+   */
+  const showAlert = (message, type = "success") => {
+    setAlert({ isVisible: true, message, type });
+  };
+
+  /**
+   * Fetches the reviews matching the search and rating filter
+   *
+   * @async
+   */
+  const fetchReviews = useCallback(async () => {
+    try {
+      const params = new URLSearchParams();
+      if (search) params.set("q", search);
+      if (maxRating) params.set("maxRating", maxRating);
+
+      const response = await fetch(`/api/admin/reviews?${params}`);
+      if (response.status === 403) {
+        setForbidden(true);
+        return;
+      }
+      if (!response.ok) throw new Error("Failed to fetch reviews");
+
+      const data = await response.json();
+      setReviews(data.reviews);
+    } catch (error) {
+      console.error("Error fetching reviews:", error);
+      setAlert({ isVisible: true, message: error.message, type: "error" });
+    } finally {
+      setLoading(false);
+    }
+  }, [search, maxRating]);
+
+  // Redirect to sign in when there is no session, otherwise load the reviews
+  useEffect(() => {
+    if (!session) {
+      router.push("/auth/signin");
+      return;
+    }
+    fetchReviews();
+  }, [session, router, fetchReviews]);
+
+  /**
+   * Deletes the review selected for deletion
+   *
+   * @async
+   */
+  const handleDelete = async () => {
+    const review = reviewToDelete;
+    setReviewToDelete(null);
+
+    try {
+      const response = await fetch(
+        `/api/recipes/${review.recipeId}/reviews?reviewId=${review._id}`,
+        { method: "DELETE" }
+      );
+
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to delete review");
+
+      setReviews((prev) => prev.filter((item) => item._id !== review._id));
+      showAlert("Review deleted");
+    } catch (error) {
+      console.error("Error deleting review:", error);
+      showAlert(error.message, "error");
+    }
+  };
+
+  /**
+   * Applies the search input
+   *
+   * @param {React.FormEvent} e - Form submit event
+   */
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setSearch(searchInput.trim());
+  };
+
+  // Ensure session exists before rendering the reviews
+  if (!session) return null;
+  if (loading) return <LoadingPage />;
+
+  return (
+    <div className="container mx-auto px-4 py-8 min-h-screen">
+      {/* Alert component */}
+      <Alert
+        message={alert.message}
+        type={alert.type}
+        isVisible={alert.isVisible}
+        onClose={() => setAlert({ ...alert, isVisible: false })}
+      />
+
+      {/* Fixed position back button */}
+      <div className="absolute top-2 -left-[5rem] z-10">
+        <BackButton className="bg-white/80 backdrop-blur-sm shadow-lg rounded-lg p-2 hover:bg-white transition-colors dark:bg-gray-800 dark:hover:bg-gray-700" />
+      </div>
+
+      <h1 className="text-4xl font-bold mt-6 mb-10 dark:text-white text-center tracking-tight text-gray-700">
+        Reviews
+      </h1>
+
+      {forbidden ? (
+        <div className="max-w-md mx-auto text-center py-16 bg-white rounded-2xl shadow-sm dark:bg-gray-800">
+          <ShieldAlert className="w-12 h-12 mx-auto mb-4 text-red-500" />
+          <p className="text-gray-600 dark:text-gray-300">
+            Only moderators can manage reviews.
+          </p>
+        </div>
+      ) : (
+        <div className="max-w-4xl mx-auto">
+          {/* Search and rating filter */}
+          <form
+            onSubmit={handleSearch}
+            className="flex flex-wrap gap-2 mb-6"
+          >
+            <div className="relative flex-1 min-w-[12rem]">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+              <input
+                type="search"
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
+                placeholder="Search comments or reviewers"
+                className="w-full pl-9 pr-3 py-2 text-sm rounded-lg border border-gray-300 focus:outline-none focus:ring-2 focus:ring-teal-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+              />
+            </div>
+            <select
+              value={maxRating}
+              onChange={(e) => setMaxRating(e.target.value)}
+              className="px-3 py-2 text-sm rounded-lg border border-gray-300 focus:outline-none focus:ring-2 focus:ring-teal-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+            >
+              <option value="">All ratings</option>
+              <option value="1">1 star</option>
+              <option value="2">2 stars or less</option>
+              <option value="3">3 stars or less</option>
+            </select>
+            <button
+              type="submit"
+              className="px-4 py-2 text-sm bg-teal-600 text-white rounded-lg hover:bg-teal-500 transition-colors"
+            >
+              Search
+            </button>
+          </form>
+
+          {reviews.length === 0 ? (
+            <p className="text-center py-16 text-gray-500 dark:text-gray-400">
+              No reviews found.
+            </p>
+          ) : (
+            <ul className="space-y-4">
+              {reviews.map((review) => (
+                <li
+                  key={review._id}
+                  className="bg-white p-4 rounded-2xl shadow-sm dark:bg-gray-800"
+                >
+                  <div className="flex items-start justify-between gap-4">
+                    <div className="min-w-0 space-y-1">
+                      <Link
+                        href={`/recipes/${review.recipeId}`}
+                        className="font-semibold text-gray-800 hover:text-teal-600 dark:text-white dark:hover:text-teal-400"
+                      >
+                        {review.recipeTitle}
+                      </Link>
+                      <p className="flex items-center gap-2 text-sm text-gray-500 dark:text-gray-400">
+                        <span className="flex items-center">
+                          <Star className="w-4 h-4 mr-1 fill-yellow-400 text-yellow-400" />
+                          {review.rating}
+                        </span>
+                        {review.username} ·{" "}
+                        {new Date(review.createdAt).toLocaleDateString()}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => setReviewToDelete(review)}
+                      className="flex items-center text-sm text-red-600 hover:text-red-700 dark:text-red-400 dark:hover:text-red-300"
+                    >
+                      <Trash2 className="w-4 h-4 mr-1" />
+                      Delete
+                    </button>
+                  </div>
+                  {review.comment && (
+                    <p className="mt-2 text-gray-700 dark:text-gray-300">
+                      {review.comment}
+                    </p>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <ConfirmationModal
+        isOpen={reviewToDelete !== null}
+        onClose={() => setReviewToDelete(null)}
+        onConfirm={handleDelete}
+        title="Delete this review?"
+        message={`The review by ${reviewToDelete?.username} will be permanently deleted.`}
+        confirmText="Delete"
+        confirmClassName="bg-red-500 hover:bg-red-600 text-white"
+      />
+    </div>
+  );
+}
@@ -0,0 +1,245 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useSession } from "next-auth/react";
+import { useRouter } from "next/navigation";
+import { Search, ShieldAlert } from "lucide-react";
+import BackButton from "@/components/BackButton";
+import Alert from "@/components/Alert";
+import { ROLES } from "@/lib/roles";
+import LoadingPage from "../../loading";
+
+// Role options, in the order shown
+const ROLE_OPTIONS = [
+  { value: ROLES.USER, label: "User" },
+  { value: ROLES.MODERATOR, label: "Moderator" },
+  { value: ROLES.ADMIN, label: "Admin" },
+];
+
+/**
+ * Admin Users Page Component
+ * Lets admins search users and change their role.
+ *
+ * @component
+ * @returns {React.ReactElement} Rendered user management page
+ */
+export default function AdminUsersPage() {
+  // Authentication and routing hooks
+  const { data: session } = useSession();
+  const router = useRouter();
+
+  const [users, setUsers] = useState([]);
+  const [searchInput, setSearchInput] = useState("");
+  const [search, setSearch] = useState("");
+  const [roleFilter, setRoleFilter] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [forbidden, setForbidden] = useState(false);
+
+  // Alert state for user notifications
+  const [alert, setAlert] = useState({
+    isVisible: false,
+    message: "",
+    type: "success",
+  });
+
+  /**
+   * Displays an alert to the user
+   *
+   * @param {string} message - Message to display
+   * @param {string} [type='success'] - Type of alert (success/error)
+   */
+  const showAlert = (message, type = "success") => {
+    setAlert({ isVisible: true, message, type });
+  };
+
+  /**
+   * Fetches the users matching the search and role filter
+   *
+   * @async
+   */
+  const fetchUsers = useCallback(async () => {
+    try {
+      const params = new URLSearchParams();
+      if (search) params.set("q", search);
+      if (roleFilter) params.set("role", roleFilter);
+
+      const response = await fetch(`/api/admin/users?${params}`);
+      if (response.status === 403) {
+        setForbidden(true);
+        return;
+      }
+      if (!response.ok) throw new Error("Failed to fetch users");
+
+      const data = await response.json();
+      setUsers(data.users);
+    } catch (error) {
+      console.error("Error fetching users:", error);
+      setAlert({ isVisible: true, message: error.message, type: "error" });
+    } finally {
+      setLoading(false);
+    }
+  }, [search, roleFilter]);
+
+  // Redirect to sign in when there is no session, otherwise load the users
+  useEffect(() => {
+    if (!session) {
+      router.push("/auth/signin");
+      return;
+    }
+    fetchUsers();
+  }, [session, router, fetchUsers]);
+
+  /**
+   * Changes a user's role
+   *
+   * @async
+   * @param {string} userId - The user ID
+   * @param {string} role - The new role
+   */
+  const handleRoleChange = async (userId, role) => {
+    try {
+      const response = await fetch(`/api/admin/users/${userId}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ role }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to update role");
+
+      setUsers((prev) =>
+        prev.map((user) =>
+          user._id === userId ? { ...user, role: data.user.role } : user
+        )
+      );
+      showAlert(`${data.user.name || data.user.email} is now a ${role}`);
+    } catch (error) {
+      console.error("Error updating role:", error);
+      showAlert(error.message, "error");
+    }
+  };
+
+  /**
+   * Applies the search input
+   *
+   * @param {React.FormEvent} e - Form submit event
+   */
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setSearch(searchInput.trim());
+  };
+
+  // Ensure session exists before rendering the users
+  if (!session) return null;
+  if (loading) return <LoadingPage />;
+
+  return (
+    <div className="container mx-auto px-4 py-8 min-h-screen">
+      {/* Alert component */}
+      <Alert
+        message={alert.message}
+        type={alert.type}
+        isVisible={alert.isVisible}
+        onClose={() => setAlert({ ...alert, isVisible: false })}
+      />
+
+      {/* Fixed position back button */}
+      <div className="absolute top-2 -left-[5rem] z-10">
+        <BackButton className="bg-white/80 backdrop-blur-sm shadow-lg rounded-lg p-2 hover:bg-white transition-colors dark:bg-gray-800 dark:hover:bg-gray-700" />
+      </div>
+
+      <h1 className="text-4xl font-bold mt-6 mb-10 dark:text-white text-center tracking-tight text-gray-700">
+        Users
+      </h1>
+
+      {forbidden ? (
+        <div className="max-w-md mx-auto text-center py-16 bg-white rounded-2xl shadow-sm dark:bg-gray-800">
+          <ShieldAlert className="w-12 h-12 mx-auto mb-4 text-red-500" />
+          <p className="text-gray-600 dark:text-gray-300">
+            Only admins can manage users.
+          </p>
+        </div>
+      ) : (
+        <div className="max-w-4xl mx-auto">
+          {/* Search and role filter */}
+          <form
+            onSubmit={handleSearch}
+            className="flex flex-wrap gap-2 mb-6"
+          >
+            <div className="relative flex-1 min-w-[12rem]">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+              <input
+                type="search"
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
+                placeholder="Search by name or email"
+                className="w-full pl-9 pr-3 py-2 text-sm rounded-lg border border-gray-300 focus:outline-none focus:ring-2 focus:ring-teal-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+              />
+            </div>
+            <select
+              value={roleFilter}
+              onChange={(e) => setRoleFilter(e.target.value)}
+              className="px-3 py-2 text-sm rounded-lg border border-gray-300 focus:outline-none focus:ring-2 focus:ring-teal-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+            >
+              <option value="">All roles</option>
+              {ROLE_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              className="px-4 py-2 text-sm bg-teal-600 text-white rounded-lg hover:bg-teal-500 transition-colors"
+            >
+              Search
+            </button>
+          </form>
+
+          {users.length === 0 ? (
+            <p className="text-center py-16 text-gray-500 dark:text-gray-400">
+              No users found.
+            </p>
+          ) : (
+            <ul className="divide-y divide-gray-100 bg-white rounded-2xl shadow-sm dark:bg-gray-800 dark:divide-gray-700">
+              {users.map((user) => (
+                <li
+                  key={user._id}
+                  className="flex flex-wrap items-center justify-between gap-3 p-4"
+                >
+                  <div className="min-w-0">
+                    <p className="font-medium text-gray-800 truncate dark:text-white">
+                      {user.name || "Unnamed user"}
+                    </p>
+                    <p className="text-sm text-gray-500 truncate dark:text-gray-400">
+                      {user.email}
+                      {user.createdAt &&
+                        ` · Joined ${new Date(user.createdAt).toLocaleDateString()}`}
+                    </p>
+                  </div>
+                  <select
+                    value={user.role}
+                    onChange={(e) => handleRoleChange(user._id, e.target.value)}
+                    disabled={user.email === session.user.email}
+                    title={
+                      user.email === session.user.email
+                        ? "You cannot change your own role"
+                        : "Change role"
+                    }
+                    className="px-3 py-1.5 text-sm rounded-lg border border-gray-300 focus:outline-none focus:ring-2 focus:ring-teal-500 disabled:opacity-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                  >
+                    {ROLE_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+import { NextResponse } from "next/server";
+import { revalidateTag } from "next/cache";
+import { ROLES } from "@/lib/roles";
+import { requireRole } from "@/lib/requireRole";
+import { MODERATION_STATUS, RECIPE_VISIBILITY } from "@/lib/userRecipes";
+
+// Mark route as dynamic since it involves database operations
+export const dynamic = "force-dynamic";
+
+// Moderation actions and the status each one sets
+const ACTION_STATUS = {
+  approve: MODERATION_STATUS.APPROVED,
+  reject: MODERATION_STATUS.REJECTED,
+};
+
+/**
+ * Approve or reject a public recipe submission. Approved recipes appear in the catalog.
+ * Only available to moderators and admins.
+ * @param {Object} request - The HTTP request object containing the `action` ("approve" or
+ * "reject") and an optional `note` for the submitter.
+ * @param {Object} params - The route parameters.
+ * @param {string} params.id - The ID of the recipe.
+ * @returns {Promise<NextResponse>} A response containing the new moderation status, or an
+ * error if the recipe is not a public submission.
+ *
+ * @example
+ * PATCH /api/admin/recipes/{id}
+ * Body: { action: "reject", note: "Please add ingredient amounts" }
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const { session, db, error } = await requireRole(ROLES.MODERATOR);
+    if (error) return error;
+
+    const { id } = params;
+    const { action, note } = await request.json();
+    const moderationStatus = ACTION_STATUS[action];
+    if (!moderationStatus) {
+      return NextResponse.json(
+        { error: "Invalid action. Must be 'approve' or 'reject'." },
+        { status: 400 }
+      );
+    }
+
+    const result = await db.collection("recipes").updateOne(
+      { _id: id, ownerId: { $exists: true }, visibility: RECIPE_VISIBILITY.PUBLIC },
+      {
+        $set: {
+          moderationStatus,
+          moderationNote: typeof note === "string" ? note.trim().slice(0, 500) : "",
+          moderatedBy: session.user.name || session.user.email,
+          moderatedAt: new Date(),
+        },
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      return NextResponse.json(
+        { error: "Submission not found" },
+        { status: 404 }
+      );
+    }
+    revalidateTag(`recipe-${id}`);
+
+    return NextResponse.json({ moderationStatus });
+  } catch (error) {
+    console.error("Error moderating recipe:", error.message);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,46 @@
+import { NextResponse } from "next/server";
+import { ROLES } from "@/lib/roles";
+import { requireRole } from "@/lib/requireRole";
+import { MODERATION_STATUS, RECIPE_VISIBILITY } from "@/lib/userRecipes";
+
+// Mark route as dynamic since it depends on the user's session
+export const dynamic = "force-dynamic";
+
+/**
+ * Fetch the moderation queue: public recipe submissions with the given status, oldest first.
+ * Only available to moderators and admins.
+ * @param {Request} request - The HTTP request, with an optional `status` parameter
+ * ("pending", "approved" or "rejected"; defaults to "pending").
+ * @returns {Promise<NextResponse>} A response containing the submissions.
+ *
+ * @example
+ * GET /api/admin/recipes?status=pending
+ * Response: { recipes: [{ _id, title, ownerName, submittedAt, ... }] }
+ */
+export async function GET(request) {
+  try {
+    const { db, error } = await requireRole(ROLES.MODERATOR);
+    if (error) return error;
+
+    const { searchParams } = new URL(request.url);
+    const status = searchParams.get("status") || MODERATION_STATUS.PENDING;
+    if (!Object.values(MODERATION_STATUS).includes(status)) {
+      return NextResponse.json({ error: "Invalid status" }, { status: 400 });
+    }
+
+    const recipes = await db
+      .collection("recipes")
+      .find({ visibility: RECIPE_VISIBILITY.PUBLIC, moderationStatus: status })
+      .sort({ submittedAt: 1 })
+      .limit(100)
+      .toArray();
+
+    return NextResponse.json({ recipes });
+  } catch (error) {
+    console.error("Error fetching moderation queue:", error);
+    return NextResponse.json(
+      { error: "Error fetching moderation queue" },
+      { status: 500 }
+    );
+  }
+}
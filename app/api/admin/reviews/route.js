@@ -0,0 +1,75 @@
+import { NextResponse } from "next/server";
+import { ROLES } from "@/lib/roles";
+import { requireRole } from "@/lib/requireRole";
+import { escapeRegExp } from "@/lib/search";
+
+// Mark route as dynamic since it depends on the user's session
+export const dynamic = "force-dynamic";
+
+// Most reviews returned in one response
+const REVIEW_LIMIT = 100;
+
+/**
+ * Fetch the latest reviews across all recipes, newest first, so moderators can remove
+ * inappropriate ones. Reviews are deleted through `DELETE /api/recipes/{id}/reviews`.
+ * Only available to moderators and admins.
+ * @param {Request} request - The HTTP request, with an optional `q` parameter matched against
+ * the review comment and reviewer name, and an optional `maxRating` parameter (1-5).
+ * @returns {Promise<NextResponse>} A response containing the reviews with their recipe.
+ *
+ * @example
+ * GET /api/admin/reviews?q=spam&maxRating=2
+ * Response: { reviews: [{ _id, recipeId, recipeTitle, username, rating, comment, createdAt }] }
+ */
+export async function GET(request) {
+  try {
+    const { db, error } = await requireRole(ROLES.MODERATOR);
+    if (error) return error;
+
+    const { searchParams } = new URL(request.url);
+    const search = searchParams.get("q")?.trim();
+    const maxRating = Number(searchParams.get("maxRating"));
+
+    const reviewMatch = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegExp(search), "i");
+      reviewMatch.$or = [
+        { "reviews.comment": pattern },
+        { "reviews.username": pattern },
+      ];
+    }
+    if (maxRating >= 1 && maxRating <= 5) {
+      reviewMatch["reviews.rating"] = { $lte: maxRating };
+    }
+
+    const reviews = await db
+      .collection("recipes")
+      .aggregate([
+        { $match: { "reviews.0": { $exists: true } } },
+        { $unwind: "$reviews" },
+        { $match: reviewMatch },
+        { $sort: { "reviews.createdAt": -1 } },
+        { $limit: REVIEW_LIMIT },
+        {
+          $project: {
+            _id: "$reviews._id",
+            recipeId: "$_id",
+            recipeTitle: "$title",
+            username: "$reviews.username",
+            rating: "$reviews.rating",
+            comment: "$reviews.comment",
+            createdAt: "$reviews.createdAt",
+          },
+        },
+      ])
+      .toArray();
+
+    return NextResponse.json({ reviews });
+  } catch (error) {
+    console.error("Error fetching reviews:", error);
+    return NextResponse.json(
+      { error: "Error fetching reviews" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,74 @@
+import { NextResponse } from "next/server";
+import { ObjectId } from "mongodb";
+import { ROLES, isValidRole } from "@/lib/roles";
+import { requireRole } from "@/lib/requireRole";
+
+// Mark route as dynamic since it involves database operations
+export const dynamic = "force-dynamic";
+
+/**
+ * Change a user's role. Only available to admins, who cannot change their own role.
+ * The new role takes effect on the user's next request to the API and in their session
+ * within a few minutes.
+ * @param {Object} request - The HTTP request object containing the new `role`
+ * ("user", "moderator" or "admin").
+ * @param {Object} params - The route parameters.
+ * @param {string} params.id - The ID of the user.
+ * @returns {Promise<NextResponse>} A response containing the updated user.
+ *
+ * @example
+ * PATCH /api/admin/users/{id}
+ * Body: { role: "moderator" }
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const { session, db, error } = await requireRole(ROLES.ADMIN);
+    if (error) return error;
+
+    if (!ObjectId.isValid(params.id)) {
+      return NextResponse.json({ error: "User not found" }, { status: 404 });
+    }
+
+    const { role } = await request.json();
+    if (!isValidRole(role)) {
+      return NextResponse.json(
+        { error: "Invalid role. Must be 'user', 'moderator' or 'admin'." },
+        { status: 400 }
+      );
+    }
+
+    const users = db.collection("users");
+    const user = await users.findOne(
+      { _id: new ObjectId(params.id) },
+      { projection: { email: 1 } }
+    );
+    if (!user) {
+      return NextResponse.json({ error: "User not found" }, { status: 404 });
+    }
+
+    // Stop admins from locking themselves out of the admin area
+    if (user.email === session.user.email) {
+      return NextResponse.json(
+        { error: "You cannot change your own role" },
+        { status: 400 }
+      );
+    }
+
+    const updatedUser = await users.findOneAndUpdate(
+      { _id: user._id },
+      { $set: { role, roleUpdatedAt: new Date() } },
+      {
+        returnDocument: "after",
+        projection: { name: 1, email: 1, image: 1, role: 1, createdAt: 1 },
+      }
+    );
+
+    return NextResponse.json({ user: updatedUser });
+  } catch (error) {
+    console.error("Error updating user role:", error);
+    return NextResponse.json(
+      { error: "Error updating user role" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,62 @@
+import { NextResponse } from "next/server";
+import { ROLES } from "@/lib/roles";
+import { requireRole } from "@/lib/requireRole";
+import { escapeRegExp } from "@/lib/search";
+
+// Mark route as dynamic since it depends on the user's session
+export const dynamic = "force-dynamic";
+
+// Most users returned in one response
+const USER_LIMIT = 100;
+
+/**
+ * Fetch users with their roles, newest first. Only available to admins.
+ * @param {Request} request - The HTTP request, with an optional `q` parameter matched against
+ * the user's name and email, and an optional `role` parameter.
+ * @returns {Promise<NextResponse>} A response containing the users, without sensitive fields.
+ *
+ * @example
+ * GET /api/admin/users?q=jane&role=moderator
+ * Response: { users: [{ _id, name, email, role, createdAt }] }
+ */
+export async function GET(request) {
+  try {
+    const { error, db } = await requireRole(ROLES.ADMIN);
+    if (error) return error;
+
+    const { searchParams } = new URL(request.url);
+    const search = searchParams.get("q")?.trim();
+    const role = searchParams.get("role");
+
+    const query = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegExp(search), "i");
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (role === ROLES.USER) {
+      // Users without a stored role are plain users
+      query.role = { $in: [ROLES.USER, null] };
+    } else if (role) {
+      query.role = role;
+    }
+
+    const users = await db
+      .collection("users")
+      .find(query, {
+        projection: { name: 1, email: 1, image: 1, role: 1, createdAt: 1 },
+      })
+      .sort({ createdAt: -1 })
+      .limit(USER_LIMIT)
+      .toArray();
+
+    return NextResponse.json({
+      users: users.map((user) => ({ ...user, role: user.role || ROLES.USER })),
+    });
+  } catch (error) {
+    console.error("Error fetching users:", error);
+    return NextResponse.json(
+      { error: "Error fetching users" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,71 @@
+import { NextResponse } from "next/server";
+import clientPromise from "@/lib/mongodb";
+import { getServerSession } from "next-auth/next";
+import { authOptions } from "@/app/api/auth/[...nextauth]/route";
+import { detectAllergens } from "@/lib/allergens";
+import { canViewRecipe, isPublicRecipe } from "@/lib/userRecipes";
+
+/**
+ * Derives the allergens contained in a recipe from its ingredient names.
+ *
+ * @async
+ * @function GET
+ * @param {Request} request - The incoming HTTP request.
+ * @param {Object} context - The context object containing route parameters.
+ * @param {string} context.params.id - The ID of the recipe.
+ * @returns {Promise<NextResponse>} A JSON response containing the recipe's allergens and the
+ * ingredients each allergen was found in, or an error message.
+ *
+ * @example
+ * // Example of a successful response:
+ * {
+ *   "allergens": ["wheat", "egg"],
+ *   "ingredients": { "wheat": ["all-purpose flour"], "egg": ["eggs"] }
+ * }
+ *
+ * @example
+ * // Example of an error response (404):
+ * {
+ *   "error": "Recipe not found"
+ * }
+ */
+export async function GET(request, { params }) {
+  try {
+    const client = await clientPromise;
+    const db = client.db("devdb");
+
+    const recipe = await db.collection("recipes").findOne(
+      { _id: params.id },
+      {
+        projection: {
+          ingredients: 1,
+          ownerId: 1,
+          visibility: 1,
+          moderationStatus: 1,
+        },
+      }
+    );
+
+    // Hidden recipes are reported as missing to everyone but their owner and moderators
+    const session =
+      recipe && !isPublicRecipe(recipe)
+        ? await getServerSession(authOptions)
+        : null;
+    if (!recipe || !(await canViewRecipe(db, recipe, session))) {
+      return NextResponse.json({ error: "Recipe not found" }, { status: 404 });
+    }
+
+    const ingredients = detectAllergens(recipe.ingredients);
+
+    return NextResponse.json({
+      allergens: Object.keys(ingredients),
+      ingredients,
+    });
+  } catch (error) {
+    console.error("Error fetching recipe allergens:", error.message);
+    return NextResponse.json(
+      { error: "Failed to fetch allergens" },
+      { status: 500 }
+    );
+  }
+}
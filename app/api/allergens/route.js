@@ -1,58 +1,28 @@
 import { NextResponse } from "next/server";
-import clientPromise from "@/lib/mongodb";
+import { ALLERGENS } from "@/lib/allergens";
 
 /**
- * Fetches allergens from the database.
+ * Lists the allergens that can be detected in recipes.
  *
  * @async
  * @function GET
- * @returns {Promise<NextResponse>} A JSON response containing allergens or an error message.
- * @description This endpoint connects to the MongoDB database, retrieves allergen data from the
- * 'allergens' collection, and returns it to the frontend. If no allergens are found, it returns
- * a 404 status with an appropriate error message. In case of an internal server error, a 500
- * status is returned.
- *
- * @throws {Error} If there is an issue connecting to the database or fetching data.
+ * @returns {Promise<NextResponse>} A JSON response containing the allergen names and their labels.
+ * @description Allergens come from the mapping table in `lib/allergens`, which is also used to
+ * derive a recipe's allergens (`/api/allergens/[id]`) and to filter recipes
+ * (`excludeAllergens[]` on `/api/recipes`), so every list of options stays in sync.
  *
  * @example
  * // Example of a successful response:
  * {
- *   "allergens": ["Gluten", "Peanuts", "Dairy"]
- * }
- *
- * @example
- * // Example of an error response (404):
- * {
- *   "error": "Allergen data not found"
- * }
- *
- * @example
- * // Example of an error response (500):
- * {
- *   "error": "Failed to fetch allergens"
+ *   "allergens": ["nut", "wheat", "milk"],
+ *   "labels": { "nut": "Nuts", "wheat": "Wheat / Gluten", "milk": "Milk" }
  * }
  */
 export async function GET() {
-  try {
-    const client = await clientPromise;
-    const db = client.db("devdb");
-
-    // Fetch allergen data from the 'allergens' collection
-    const allergensDocument = await db.collection("allergens").findOne({});
-
-    if (!allergensDocument || !allergensDocument.allergens) {
-      return NextResponse.json(
-        { error: "Allergen data not found" },
-        { status: 404 }
-      );
-    }
-
-    return NextResponse.json({ allergens: allergensDocument.allergens });
-  } catch (error) {
-    console.error("Error fetching allergens:", error.message);
-    return NextResponse.json(
-      { error: "Failed to fetch allergens" },
-      { status: 500 }
-    );
-  }
+  return NextResponse.json({
+    allergens: Object.keys(ALLERGENS),
+    labels: Object.fromEntries(
+      Object.entries(ALLERGENS).map(([name, { label }]) => [name, label])
+    ),
+  });
 }
@@ -17,6 +17,10 @@ import GoogleProvider from "next-auth/providers/google";
 import CredentialsProvider from "next-auth/providers/credentials";
 import clientPromise from "@/lib/mongodb";
 import bcrypt from "bcryptjs";
+import { ROLES, getUserRole } from "@/lib/roles";
+
+// How often the role stored in the token is re-read from the users document, in milliseconds
+const ROLE_REFRESH_INTERVAL = 5 * 60 * 1000;
 
 export const authOptions = {
   providers: [
@@ -123,18 +127,30 @@ export const authOptions = {
       return true;
     },
     /**
-     * Callback function that is called to update the JWT token.
+     * Callback function that is called to update the JWT token. The user's role is read from
+     * the users document on sign-in, when the session is updated, and every few minutes after
+     * that so role changes reach the UI without signing out.
      *
      * @async
      * @param {Object} tokenParams - An object containing the token and user information.
      * @param {Object} tokenParams.token - The JWT token.
      * @param {Object} tokenParams.user - The user object.
+     * @param {string} [tokenParams.trigger] - "update" when the client calls `update()`.
      * @returns {Promise<Object>} - The updated JWT token.
      */
-    async jwt({ token, user }) {
+    async jwt({ token, user, trigger }) {
       if (user) {
         token.id = user.id;
       }
+
+      const roleIsStale =
+        !token.roleCheckedAt ||
+        Date.now() - token.roleCheckedAt > ROLE_REFRESH_INTERVAL;
+      if (user || trigger === "update" || roleIsStale) {
+        const client = await clientPromise;
+        token.role = await getUserRole(client.db("devdb"), token.email);
+        token.roleCheckedAt = Date.now();
+      }
       return token;
     },
     /**
@@ -144,11 +160,12 @@ export const authOptions = {
      * @param {Object} sessionParams - An object containing the session and token information.
      * @param {Object} sessionParams.session - The session object.
      * @param {Object} sessionParams.token - The JWT token.
-     * @returns {Promise<Object>} - The updated session object.
+     * @returns {Promise<Object>} - The updated session object, with the user's id and role.
      */
     async session({ session, token }) {
       if (token) {
         session.user.id = token.id;
+        session.user.role = token.role || ROLES.USER;
       }
       return session;
     },
@@ -9,14 +9,9 @@ import { NextResponse } from "next/server";
 import { getServerSession } from "next-auth/next";
 import clientPromise from "@/lib/mongodb";
 import { authOptions } from "@/app/api/auth/[...nextauth]/route";
-import { v2 as cloudinary } from "cloudinary";
-
-// Configure Cloudinary with environment variables for secure image uploads
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+import { uploadImage } from "@/lib/cloudinary";
+import { UNIT_SYSTEMS } from "@/lib/units";
+import { normalizeAllergens } from "@/lib/allergens";
 
 // Ensure the route is dynamically rendered for real-time data
 export const dynamic = "force-dynamic";
@@ -92,44 +87,60 @@ export async function PUT(request) {
     const formData = await request.formData();
     const name = formData.get("name");
     const imageFile = formData.get("image");
+    const unitSystem = formData.get("unitSystem");
+    const allergiesField = formData.get("allergies");
 
     // Validate that at least one update field is provided
-    if (!name && !imageFile) {
+    if (!name && !imageFile && unitSystem === null && allergiesField === null) {
       return NextResponse.json(
         { error: "No update data provided" },
         { status: 400 }
       );
     }
 
+    // Validate the measurement system preference ("" clears it)
+    if (
+      unitSystem !== null &&
+      unitSystem !== "" &&
+      !Object.values(UNIT_SYSTEMS).includes(unitSystem)
+    ) {
+      return NextResponse.json(
+        { error: "Invalid unit system. Must be 'metric' or 'us'." },
+        { status: 400 }
+      );
+    }
+
+    // Parse the allergies list, sent as a JSON array of allergen names
+    let allergies = null;
+    if (allergiesField !== null) {
+      try {
+        allergies = JSON.parse(allergiesField);
+      } catch {
+        allergies = null;
+      }
+      if (!Array.isArray(allergies)) {
+        return NextResponse.json(
+          { error: "Invalid allergies. Must be a JSON array of allergen names." },
+          { status: 400 }
+        );
+      }
+    }
+
     // Prepare updates object
     const updates = {};
 
     // Handle image upload if an image is provided
     let imageUrl = null;
     if (imageFile && imageFile instanceof File) {
-      // Convert image file to base64 for Cloudinary upload
-      const bytes = await imageFile.arrayBuffer();
-      const buffer = Buffer.from(bytes);
-      const base64Image = buffer.toString("base64");
-
       // Upload image to Cloudinary with specific configurations
-      const uploadResult = await new Promise((resolve, reject) => {
-        cloudinary.uploader.upload(
-          `data:${imageFile.type};base64,${base64Image}`,
-          {
-            folder: "profile_images", // Organize images in a specific folder
-            public_id: `${session.user.email}_profile`, // Unique identifier
-            overwrite: true, // Replace existing image
-            transformation: [
-              { width: 500, height: 500, crop: "fill" }, // Standardize image size
-              { quality: "auto" }, // Optimize image quality
-            ],
-          },
-          (error, result) => {
-            if (error) reject(error);
-            else resolve(result);
-          }
-        );
+      const uploadResult = await uploadImage(imageFile, {
+        folder: "profile_images", // Organize images in a specific folder
+        public_id: `${session.user.email}_profile`, // Unique identifier
+        overwrite: true, // Replace existing image
+        transformation: [
+          { width: 500, height: 500, crop: "fill" }, // Standardize image size
+          { quality: "auto" }, // Optimize image quality
+        ],
       });
 
       // Store Cloudinary image URL
@@ -142,6 +153,16 @@ export async function PUT(request) {
       updates.name = name;
     }
 
+    // Add measurement system preference if provided
+    if (unitSystem !== null) {
+      updates.unitSystem = unitSystem || null;
+    }
+
+    // Add allergies if provided, keeping only known allergens
+    if (allergies !== null) {
+      updates.allergies = normalizeAllergens(allergies);
+    }
+
     // Connect to MongoDB database
     const client = await clientPromise;
     const db = client.db("devdb");
@@ -171,6 +192,8 @@ export async function PUT(request) {
         message: "Profile updated successfully",
         image: imageUrl,
         name: name,
+        unitSystem: updates.unitSystem,
+        allergies: updates.allergies,
       },
       { status: 200 }
     );
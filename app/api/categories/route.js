@@ -1,38 +1,272 @@
 /**
- * This module exports a dynamic route handler function that retrieves the list of categories from a MongoDB database.
+ * Route handlers for recipe categories.
  *
- * The `dynamic` property is set to "force-dynamic" to indicate that this route involves database operations and should be marked as dynamic.
+ * Anyone can list the categories. Admins can add categories, rename them, change their
+ * description and icon, and delete them, moving their recipes to another category.
+ * Renames and reassignments update every affected recipe in one transaction.
  *
- * The `GET` function is the route handler that is executed when a GET request is made to this route. It performs the following steps:
- *
- * 1. Connects to the MongoDB database using the `clientPromise` function.
- * 2. Retrieves the "categories" collection from the "devdb" database.
- * 3. Fetches the first document from the "categories" collection, projecting only the "categories" field.
- * 4. Returns the "categories" array from the fetched document, or an empty array if no document was found.
- *
- * If an error occurs during the database operation, the function returns a JSON response with the error message and a 500 status code.
+ * @module api/categories
  */
 import { NextResponse } from "next/server";
+import { revalidateTag } from "next/cache";
 import clientPromise from "@/lib/mongodb";
+import { ROLES } from "@/lib/roles";
+import { requireRole } from "@/lib/requireRole";
+import {
+  TAXONOMY_TYPES,
+  createCategory,
+  deleteTerm,
+  findTerm,
+  getCategoryNames,
+  getTermsWithDetails,
+  mergeTerms,
+  normalizeTermName,
+  updateTerm,
+  validateTermDetails,
+} from "@/lib/taxonomy";
 
 // Mark route as dynamic since it involves database operations
 export const dynamic = "force-dynamic";
 
-export async function GET() {
+/**
+ * Clears the cached category list, and the cached recipes when they changed.
+ *
+ * @param {boolean} recipesChanged - Whether any recipe was changed.
+ */
+const revalidateCategories = (recipesChanged) => {
+  revalidateTag("categories");
+  if (recipesChanged) revalidateTag("recipes");
+};
+
+/**
+ * Fetch the categories in display order.
+ * @param {Request} request - The HTTP request, with an optional `details=true` parameter to
+ * include each category's description, icon and recipe count.
+ * @returns {Promise<NextResponse>} A response containing the category names, or the
+ * categories with their details.
+ *
+ * @example
+ * GET /api/categories
+ * Response: ["Breakfast", "Dessert"]
+ *
+ * GET /api/categories?details=true
+ * Response: [{ name: "Breakfast", description: "...", icon: "egg", recipeCount: 120 }]
+ */
+export async function GET(request) {
   try {
-    // Connect to the MongoDB database
     const client = await clientPromise;
     const db = client.db("devdb");
 
-    // Fetch the categories from the "categories" collection
-    const categories = await db
-      .collection("categories")
-      .findOne({}, { projection: { categories: 1 } });
+    const { searchParams } = new URL(request.url);
+    if (searchParams.get("details") === "true") {
+      return NextResponse.json(
+        await getTermsWithDetails(db, TAXONOMY_TYPES.CATEGORY)
+      );
+    }
 
-    // Return the categories array, or an empty array if none were found
-    return NextResponse.json(categories?.categories || []);
+    return NextResponse.json(await getCategoryNames(db));
   } catch (error) {
-    // Handle any errors that occur during the database operation
+    console.error("Error fetching categories:", error);
     return NextResponse.json({ error: error.message }, { status: 500 });
   }
 }
+
+/**
+ * Add a category. Only available to admins.
+ * @param {Request} request - The HTTP request containing the category `name` and an
+ * optional `description` and `icon`.
+ * @returns {Promise<NextResponse>} A response containing the new category, or an error if
+ * it already exists.
+ *
+ * @example
+ * POST /api/categories
+ * Body: { name: "Brunch", description: "Late breakfasts", icon: "croissant" }
+ */
+export async function POST(request) {
+  try {
+    const { db, error } = await requireRole(ROLES.ADMIN);
+    if (error) return error;
+
+    const { name, description, icon } = await request.json();
+    const category = normalizeTermName(name);
+    if (!category) {
+      return NextResponse.json(
+        { error: "Category name must be 1-50 characters" },
+        { status: 400 }
+      );
+    }
+
+    const detailsError = validateTermDetails({ description, icon });
+    if (detailsError) {
+      return NextResponse.json({ error: detailsError }, { status: 400 });
+    }
+
+    if (await findTerm(db, TAXONOMY_TYPES.CATEGORY, category)) {
+      return NextResponse.json(
+        { error: "Category already exists" },
+        { status: 409 }
+      );
+    }
+
+    await createCategory(db, category, { description, icon });
+    revalidateCategories(false);
+
+    return NextResponse.json(
+      {
+        category: {
+          name: category,
+          description: description?.trim() || "",
+          icon: icon || null,
+          recipeCount: 0,
+        },
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Error adding category:", error);
+    return NextResponse.json(
+      { error: "Error adding category" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Rename a category and/or change its description and icon. Only available to admins.
+ * @param {Request} request - The HTTP request containing the category `name` and any of
+ * `newName`, `description` and `icon` (null removes the icon).
+ * @returns {Promise<NextResponse>} A response containing the number of recipes changed.
+ *
+ * @example
+ * PATCH /api/categories
+ * Body: { name: "Deserts", newName: "Desserts", icon: "cake" }
+ * Response: { name: "Desserts", modifiedCount: 85 }
+ */
+export async function PATCH(request) {
+  try {
+    const { db, error } = await requireRole(ROLES.ADMIN);
+    if (error) return error;
+
+    const { name, newName, description, icon } = await request.json();
+    const categoryNames = await getCategoryNames(db);
+    if (!categoryNames.includes(name)) {
+      return NextResponse.json(
+        { error: "Category not found" },
+        { status: 404 }
+      );
+    }
+
+    const renamedTo = newName === undefined ? name : normalizeTermName(newName);
+    if (!renamedTo) {
+      return NextResponse.json(
+        { error: "Category name must be 1-50 characters" },
+        { status: 400 }
+      );
+    }
+
+    const detailsError = validateTermDetails({ description, icon });
+    if (detailsError) {
+      return NextResponse.json({ error: detailsError }, { status: 400 });
+    }
+
+    // Only a change of case may reuse an existing name
+    const existing = await findTerm(db, TAXONOMY_TYPES.CATEGORY, renamedTo);
+    if (existing && existing !== name) {
+      return NextResponse.json(
+        {
+          error: `"${existing}" already exists. Delete this category and move its recipes there instead.`,
+        },
+        { status: 409 }
+      );
+    }
+
+    const { modifiedCount } = await updateTerm(
+      db,
+      TAXONOMY_TYPES.CATEGORY,
+      name,
+      { newName: renamedTo, description, icon }
+    );
+    revalidateCategories(modifiedCount > 0);
+
+    return NextResponse.json({ name: renamedTo, modifiedCount });
+  } catch (error) {
+    console.error("Error updating category:", error);
+    return NextResponse.json(
+      { error: "Error updating category" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Delete a category. Only available to admins. A category that recipes still use can only
+ * be deleted by moving those recipes to another category.
+ * @param {Request} request - The HTTP request, with the category `name` and an optional
+ * `reassignTo` category as query parameters.
+ * @returns {Promise<NextResponse>} A response containing the number of recipes moved, or an
+ * error if recipes use the category and no other category was given.
+ *
+ * @example
+ * DELETE /api/categories?name=Brunch&reassignTo=Breakfast
+ * Response: { modifiedCount: 12 }
+ */
+export async function DELETE(request) {
+  try {
+    const { db, error } = await requireRole(ROLES.ADMIN);
+    if (error) return error;
+
+    const { searchParams } = new URL(request.url);
+    const name = searchParams.get("name");
+    const reassignTo = searchParams.get("reassignTo");
+
+    const categoryNames = await getCategoryNames(db);
+    if (!categoryNames.includes(name)) {
+      return NextResponse.json(
+        { error: "Category not found" },
+        { status: 404 }
+      );
+    }
+
+    if (reassignTo) {
+      if (reassignTo === name || !categoryNames.includes(reassignTo)) {
+        return NextResponse.json(
+          { error: "Choose another existing category for its recipes" },
+          { status: 400 }
+        );
+      }
+
+      const result = await mergeTerms(
+        db,
+        TAXONOMY_TYPES.CATEGORY,
+        name,
+        reassignTo
+      );
+      revalidateCategories(result.modifiedCount > 0);
+      return NextResponse.json(result);
+    }
+
+    const { recipeCount, ...result } = await deleteTerm(
+      db,
+      TAXONOMY_TYPES.CATEGORY,
+      name
+    );
+    if (recipeCount > 0) {
+      return NextResponse.json(
+        {
+          error: `${recipeCount} recipe(s) are still in this category. Choose a category to move them to.`,
+          recipeCount,
+        },
+        { status: 409 }
+      );
+    }
+
+    revalidateCategories(false);
+    return NextResponse.json(result);
+  } catch (error) {
+    console.error("Error deleting category:", error);
+    return NextResponse.json(
+      { error: "Error deleting category" },
+      { status: 500 }
+    );
+  }
+}
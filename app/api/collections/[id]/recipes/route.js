@@ -0,0 +1,167 @@
+import { NextResponse } from "next/server";
+import { requireCollectionOwner } from "@/lib/requireCollectionOwner";
+import { canViewRecipe } from "@/lib/userRecipes";
+import {
+  MAX_COLLECTION_RECIPES,
+  normalizeRecipeNote,
+} from "@/lib/collections";
+
+// Mark route as dynamic since it involves database operations
+export const dynamic = "force-dynamic";
+
+/**
+ * Add a recipe to the end of a collection the signed-in user owns.
+ * @param {Object} request - The HTTP request object containing `recipeId` and an optional `note`.
+ * @param {Object} params - The route parameters.
+ * @param {string} params.id - The ID of the collection.
+ * @returns {Promise<NextResponse>} A response containing the new recipe count.
+ *
+ * @example
+ * POST /api/collections/{id}/recipes
+ * Body: { recipeId: "...", note: "Double the garlic" }
+ * Response: { recipeCount: 4 }
+ */
+export async function POST(request, { params }) {
+  try {
+    const { session, db, collection, error } = await requireCollectionOwner(
+      params.id
+    );
+    if (error) return error;
+
+    const { recipeId, note } = await request.json();
+    const cleanNote = normalizeRecipeNote(note);
+    if (cleanNote === null) {
+      return NextResponse.json({ error: "Note is too long" }, { status: 400 });
+    }
+
+    const recipe = await db
+      .collection("recipes")
+      .findOne(
+        { _id: recipeId },
+        { projection: { ownerId: 1, visibility: 1, moderationStatus: 1 } }
+      );
+    if (!recipe || !(await canViewRecipe(db, recipe, session))) {
+      return NextResponse.json({ error: "Recipe not found" }, { status: 404 });
+    }
+
+    if (collection.recipes.length >= MAX_COLLECTION_RECIPES) {
+      return NextResponse.json(
+        {
+          error: `A collection can hold at most ${MAX_COLLECTION_RECIPES} recipes`,
+        },
+        { status: 400 }
+      );
+    }
+
+    // The filter skips recipes that are already in the collection
+    const result = await db.collection("recipe_collections").updateOne(
+      { _id: collection._id, "recipes.recipeId": { $ne: recipeId } },
+      {
+        $push: { recipes: { recipeId, note: cleanNote, addedAt: new Date() } },
+        $set: { updatedAt: new Date() },
+      }
+    );
+    if (result.modifiedCount === 0) {
+      return NextResponse.json(
+        { error: "Recipe is already in this collection" },
+        { status: 409 }
+      );
+    }
+
+    return NextResponse.json(
+      { recipeCount: collection.recipes.length + 1 },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Error adding recipe to collection:", error.message);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Change the note on a recipe in a collection the signed-in user owns.
+ * @param {Object} request - The HTTP request object containing `recipeId` and `note`
+ * (an empty note removes it).
+ * @param {Object} params - The route parameters.
+ * @param {string} params.id - The ID of the collection.
+ * @returns {Promise<NextResponse>} A response containing the saved note.
+ *
+ * @example
+ * PATCH /api/collections/{id}/recipes
+ * Body: { recipeId: "...", note: "Kids' favourite" }
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const { db, collection, error } = await requireCollectionOwner(params.id);
+    if (error) return error;
+
+    const { recipeId, note } = await request.json();
+    const cleanNote = normalizeRecipeNote(note);
+    if (cleanNote === null) {
+      return NextResponse.json({ error: "Note is too long" }, { status: 400 });
+    }
+
+    const result = await db.collection("recipe_collections").updateOne(
+      { _id: collection._id, "recipes.recipeId": recipeId },
+      { $set: { "recipes.$.note": cleanNote, updatedAt: new Date() } }
+    );
+    if (result.matchedCount === 0) {
+      return NextResponse.json(
+        { error: "Recipe is not in this collection" },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ recipeId, note: cleanNote });
+  } catch (error) {
+    console.error("Error updating collection note:", error.message);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Remove a recipe from a collection the signed-in user owns.
+ * @param {Object} request - The HTTP request object, with the `recipeId` to remove.
+ * @param {Object} params - The route parameters.
+ * @param {string} params.id - The ID of the collection.
+ * @returns {Promise<NextResponse>} A response containing the new recipe count.
+ *
+ * @example
+ * DELETE /api/collections/{id}/recipes?recipeId={recipeId}
+ * Response: { recipeCount: 3 }
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { db, collection, error } = await requireCollectionOwner(params.id);
+    if (error) return error;
+
+    const recipeId = new URL(request.url).searchParams.get("recipeId");
+    const result = await db.collection("recipe_collections").updateOne(
+      { _id: collection._id, "recipes.recipeId": recipeId },
+      {
+        $pull: { recipes: { recipeId } },
+        $set: { updatedAt: new Date() },
+      }
+    );
+    if (result.matchedCount === 0) {
+      return NextResponse.json(
+        { error: "Recipe is not in this collection" },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ recipeCount: collection.recipes.length - 1 });
+  } catch (error) {
+    console.error("Error removing recipe from collection:", error.message);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,210 @@
+import { NextResponse } from "next/server";
+import { ObjectId } from "mongodb";
+import { randomUUID } from "crypto";
+import clientPromise from "@/lib/mongodb";
+import { getOptionalSession } from "@/lib/requireRole";
+import { requireCollectionOwner } from "@/lib/requireCollectionOwner";
+import { isRecipeImageUrl } from "@/lib/recipeSchema";
+import { isPublicRecipe, isRecipeOwner } from "@/lib/userRecipes";
+import {
+  canViewCollection,
+  isCollectionOwner,
+  isValidRecipeOrder,
+  normalizeCollectionInput,
+  reorderEntries,
+} from "@/lib/collections";
+
+// Mark route as dynamic since it involves database operations
+export const dynamic = "force-dynamic";
+
+/**
+ * Get a collection with its recipes in order. Owners see every recipe they saved; other
+ * viewers only see recipes that are in the public catalog or that they submitted.
+ * Link-shared collections need the share token from the link.
+ * @param {Object} request - The HTTP request object, with the share `token` for link-shared
+ * collections.
+ * @param {Object} params - The route parameters.
+ * @param {string} params.id - The ID of the collection.
+ * @returns {Promise<NextResponse>} A response containing the collection and its recipes.
+ *
+ * @example
+ * GET /api/collections/{id}?token={shareToken}
+ * Response: { collection: { _id, name, ownerName, isOwner, recipes: [{ note, recipe }] } }
+ */
+export async function GET(request, { params }) {
+  try {
+    const session = await getOptionalSession();
+    const token = new URL(request.url).searchParams.get("token");
+
+    const client = await clientPromise;
+    const db = client.db("devdb");
+
+    let collection = null;
+    if (ObjectId.isValid(params.id)) {
+      collection = await db
+        .collection("recipe_collections")
+        .findOne({ _id: new ObjectId(params.id) });
+    }
+    if (!collection || !canViewCollection(collection, session, token)) {
+      return NextResponse.json(
+        { error: "Collection not found" },
+        { status: 404 }
+      );
+    }
+
+    const isOwner = isCollectionOwner(collection, session);
+    const recipes = await db
+      .collection("recipes")
+      .find({ _id: { $in: collection.recipes.map((entry) => entry.recipeId) } })
+      .toArray();
+    const recipeById = new Map(recipes.map((recipe) => [recipe._id, recipe]));
+
+    const entries = collection.recipes
+      .map((entry) => ({ ...entry, recipe: recipeById.get(entry.recipeId) }))
+      .filter(
+        ({ recipe }) =>
+          recipe &&
+          (isOwner || isPublicRecipe(recipe) || isRecipeOwner(recipe, session))
+      );
+
+    return NextResponse.json({
+      collection: {
+        _id: collection._id,
+        name: collection.name,
+        description: collection.description,
+        visibility: collection.visibility,
+        coverImage:
+          collection.coverImage || entries[0]?.recipe.images?.[0] || null,
+        hasCustomCover: Boolean(collection.coverImage),
+        ownerName: collection.ownerName,
+        isOwner,
+        // Only the owner may hand out the link
+        ...(isOwner && { shareToken: collection.shareToken }),
+        createdAt: collection.createdAt,
+        updatedAt: collection.updatedAt,
+        recipes: entries,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching collection:", error.message);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Update a collection the signed-in user owns. Any of the fields may be given.
+ * @param {Object} request - The HTTP request object containing `name`, `description`,
+ * `visibility`, `coverImage` (an uploaded image URL, or null to use the first recipe's image),
+ * `recipeIds` (every recipe ID in the new order) or `regenerateShareLink` (true to replace
+ * the share token, so old links stop working).
+ * @param {Object} params - The route parameters.
+ * @param {string} params.id - The ID of the collection.
+ * @returns {Promise<NextResponse>} A response containing the updated fields.
+ *
+ * @example
+ * PATCH /api/collections/{id}
+ * Body: { visibility: "link", regenerateShareLink: true }
+ * Response: { visibility: "link", shareToken: "...", updatedAt: "..." }
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const { db, collection, error } = await requireCollectionOwner(params.id);
+    if (error) return error;
+
+    const body = await request.json();
+    const { values, error: inputError } = normalizeCollectionInput({
+      name: body.name,
+      description: body.description,
+      visibility: body.visibility,
+    });
+    if (inputError) {
+      return NextResponse.json({ error: inputError }, { status: 400 });
+    }
+
+    if (body.coverImage !== undefined) {
+      if (body.coverImage !== null && !isRecipeImageUrl(body.coverImage)) {
+        return NextResponse.json(
+          { error: "Cover image must be an uploaded image" },
+          { status: 400 }
+        );
+      }
+      values.coverImage = body.coverImage;
+    }
+
+    if (body.recipeIds !== undefined) {
+      if (!isValidRecipeOrder(collection.recipes, body.recipeIds)) {
+        return NextResponse.json(
+          { error: "Recipe order must list every recipe in the collection" },
+          { status: 400 }
+        );
+      }
+      values.recipes = reorderEntries(collection.recipes, body.recipeIds);
+    }
+
+    if (body.regenerateShareLink) {
+      values.shareToken = randomUUID();
+    }
+
+    if (Object.keys(values).length === 0) {
+      return NextResponse.json({ error: "No changes given" }, { status: 400 });
+    }
+
+    values.updatedAt = new Date();
+    const result = await db.collection("recipe_collections").updateOne(
+      {
+        _id: collection._id,
+        // A new order only applies to the recipes it was made from
+        ...(values.recipes && { recipes: collection.recipes }),
+      },
+      { $set: values }
+    );
+    if (result.matchedCount === 0) {
+      return NextResponse.json(
+        { error: "The collection changed, please reload and try again" },
+        { status: 409 }
+      );
+    }
+
+    // Return the new order as IDs rather than the stored entries
+    const { recipes, ...changes } = values;
+    return NextResponse.json({
+      ...changes,
+      ...(recipes && { recipeIds: body.recipeIds }),
+    });
+  } catch (error) {
+    console.error("Error updating collection:", error.message);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Delete a collection the signed-in user owns. The recipes in it are not affected.
+ * @param {Object} request - The HTTP request object.
+ * @param {Object} params - The route parameters.
+ * @param {string} params.id - The ID of the collection.
+ * @returns {Promise<NextResponse>} A response confirming the deletion.
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { db, collection, error } = await requireCollectionOwner(params.id);
+    if (error) return error;
+
+    await db
+      .collection("recipe_collections")
+      .deleteOne({ _id: collection._id });
+
+    return NextResponse.json({ message: "Collection deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting collection:", error.message);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
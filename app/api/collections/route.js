@@ -0,0 +1,154 @@
+import { NextResponse } from "next/server";
+import { randomUUID } from "crypto";
+import { requireRole } from "@/lib/requireRole";
+import { canViewRecipe } from "@/lib/userRecipes";
+import {
+  COLLECTION_VISIBILITY,
+  normalizeCollectionInput,
+  toCollectionSummary,
+} from "@/lib/collections";
+
+// Mark route as dynamic since it involves database operations
+export const dynamic = "force-dynamic";
+
+/**
+ * Adds the image of each collection's first recipe, used as the cover when none was chosen.
+ * @param {import("mongodb").Db} db - The database.
+ * @param {Array<Object>} collections - The collection documents.
+ * @returns {Promise<Array<Object>>} The collections with `firstImage` set where available.
+ */
+async function addFirstImages(db, collections) {
+  const firstIds = collections
+    .filter((collection) => !collection.coverImage && collection.recipes.length)
+    .map((collection) => collection.recipes[0].recipeId);
+  if (firstIds.length === 0) return collections;
+
+  const recipes = await db
+    .collection("recipes")
+    .find({ _id: { $in: firstIds } }, { projection: { images: 1 } })
+    .toArray();
+  const imageById = new Map(
+    recipes.map((recipe) => [recipe._id, recipe.images?.[0] || null])
+  );
+
+  return collections.map((collection) => ({
+    ...collection,
+    firstImage: imageById.get(collection.recipes[0]?.recipeId) || null,
+  }));
+}
+
+/**
+ * List the signed-in user's collections, most recently changed first.
+ * @param {Object} request - The HTTP request object. Pass `recipeId` to find out which
+ * collections already contain a recipe.
+ * @returns {Promise<NextResponse>} A response containing the collection summaries.
+ *
+ * @example
+ * GET /api/collections?recipeId={id}
+ * Response: { collections: [{ _id, name, visibility, recipeCount, containsRecipe, ... }] }
+ */
+export async function GET(request) {
+  try {
+    const { session, db, error } = await requireRole();
+    if (error) return error;
+
+    const recipeId = new URL(request.url).searchParams.get("recipeId");
+
+    const collections = await db
+      .collection("recipe_collections")
+      .find({ userId: session.user.id })
+      .sort({ updatedAt: -1 })
+      .toArray();
+    const withImages = await addFirstImages(db, collections);
+
+    return NextResponse.json({
+      collections: withImages.map((collection) =>
+        toCollectionSummary(collection, recipeId)
+      ),
+    });
+  } catch (error) {
+    console.error("Error fetching collections:", error.message);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Create a collection, optionally starting it with a recipe. New collections are private
+ * unless another visibility is given.
+ * @param {Object} request - The HTTP request object containing `name` and optional
+ * `description`, `visibility` and `recipeId`.
+ * @returns {Promise<NextResponse>} A response containing the new collection summary.
+ *
+ * @example
+ * POST /api/collections
+ * Body: { name: "Weeknight dinners", recipeId: "..." }
+ */
+export async function POST(request) {
+  try {
+    const { session, db, error } = await requireRole();
+    if (error) return error;
+
+    const body = await request.json();
+    const { values, error: inputError } = normalizeCollectionInput({
+      name: body.name ?? "",
+      description: body.description ?? "",
+      visibility: body.visibility ?? COLLECTION_VISIBILITY.PRIVATE,
+    });
+    if (inputError) {
+      return NextResponse.json({ error: inputError }, { status: 400 });
+    }
+
+    const recipes = [];
+    if (body.recipeId) {
+      const recipe = await db
+        .collection("recipes")
+        .findOne(
+          { _id: body.recipeId },
+          { projection: { ownerId: 1, visibility: 1, moderationStatus: 1 } }
+        );
+      if (!recipe || !(await canViewRecipe(db, recipe, session))) {
+        return NextResponse.json(
+          { error: "Recipe not found" },
+          { status: 404 }
+        );
+      }
+      recipes.push({
+        recipeId: body.recipeId,
+        note: "",
+        addedAt: new Date(),
+      });
+    }
+
+    const now = new Date();
+    const collection = {
+      userId: session.user.id,
+      ownerName: session.user.name || null,
+      ...values,
+      coverImage: null,
+      shareToken: randomUUID(),
+      recipes,
+      createdAt: now,
+      updatedAt: now,
+    };
+    const result = await db
+      .collection("recipe_collections")
+      .insertOne(collection);
+
+    const [withImage] = await addFirstImages(db, [
+      { ...collection, _id: result.insertedId },
+    ]);
+    return NextResponse.json(
+      { collection: toCollectionSummary(withImage, body.recipeId || null) },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Error creating collection:", error.message);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,105 @@
+import { NextResponse } from "next/server";
+import { ObjectId } from "mongodb";
+import { requireRole } from "@/lib/requireRole";
+import { normalizeCookLogInput } from "@/lib/cookLog";
+
+// Mark route as dynamic since it involves database operations
+export const dynamic = "force-dynamic";
+
+/**
+ * Builds the query matching one of the signed-in user's cook log entries.
+ * @param {string} id - The ID of the entry.
+ * @param {Object} session - The NextAuth session.
+ * @returns {Object|null} The query, or null if the ID is not valid.
+ */
+const ownEntryQuery = (id, session) =>
+  ObjectId.isValid(id)
+    ? { _id: new ObjectId(id), userId: session.user.id }
+    : null;
+
+/**
+ * Update one of the signed-in user's cook log entries. Any of the fields may be given.
+ * @param {Object} request - The HTTP request object containing `cookedOn`, `servings`,
+ * `rating` (null to clear) or `photo` (null to clear).
+ * @param {Object} params - The route parameters.
+ * @param {string} params.id - The ID of the entry.
+ * @returns {Promise<NextResponse>} A response containing the updated entry.
+ *
+ * @example
+ * PATCH /api/cook-log/{id}
+ * Body: { rating: 4 }
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const { session, db, error } = await requireRole();
+    if (error) return error;
+
+    const query = ownEntryQuery(params.id, session);
+    if (!query) {
+      return NextResponse.json({ error: "Entry not found" }, { status: 404 });
+    }
+
+    const { cookedOn, servings, rating, photo } = await request.json();
+    const { values, error: inputError } = normalizeCookLogInput({
+      cookedOn,
+      servings,
+      rating,
+      photo,
+    });
+    if (inputError) {
+      return NextResponse.json({ error: inputError }, { status: 400 });
+    }
+    if (Object.keys(values).length === 0) {
+      return NextResponse.json({ error: "No changes given" }, { status: 400 });
+    }
+
+    const entry = await db
+      .collection("cook_log")
+      .findOneAndUpdate(
+        query,
+        { $set: { ...values, updatedAt: new Date() } },
+        { returnDocument: "after" }
+      );
+    if (!entry) {
+      return NextResponse.json({ error: "Entry not found" }, { status: 404 });
+    }
+
+    return NextResponse.json({ entry });
+  } catch (error) {
+    console.error("Error updating cook log entry:", error.message);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Delete one of the signed-in user's cook log entries.
+ * @param {Object} request - The HTTP request object.
+ * @param {Object} params - The route parameters.
+ * @param {string} params.id - The ID of the entry.
+ * @returns {Promise<NextResponse>} A response confirming the deletion.
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { session, db, error } = await requireRole();
+    if (error) return error;
+
+    const query = ownEntryQuery(params.id, session);
+    const result = query
+      ? await db.collection("cook_log").deleteOne(query)
+      : { deletedCount: 0 };
+    if (result.deletedCount === 0) {
+      return NextResponse.json({ error: "Entry not found" }, { status: 404 });
+    }
+
+    return NextResponse.json({ message: "Entry deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting cook log entry:", error.message);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,134 @@
+import { NextResponse } from "next/server";
+import { requireRole } from "@/lib/requireRole";
+import { canViewRecipe } from "@/lib/userRecipes";
+import { normalizeCookLogInput } from "@/lib/cookLog";
+
+// Mark route as dynamic since it involves database operations
+export const dynamic = "force-dynamic";
+
+// Largest page of history returned at once
+const MAX_LIMIT = 50;
+
+/**
+ * Fetch the signed-in user's cooking history, most recent first.
+ * @param {Object} request - The HTTP request object. Supports `page` and `limit`, and
+ * `recipeId` to only list the times one recipe was made.
+ * @returns {Promise<NextResponse>} A response containing the entries and paging details.
+ *
+ * @example
+ * GET /api/cook-log?page=1&limit=10
+ * Response: { entries: [{ _id, recipeId, recipeTitle, cookedOn: "2026-10-18", servings: 4 }], total: 12, page: 1, totalPages: 2 }
+ */
+export async function GET(request) {
+  try {
+    const { session, db, error } = await requireRole();
+    if (error) return error;
+
+    const { searchParams } = new URL(request.url);
+    const page = Math.max(1, parseInt(searchParams.get("page")) || 1);
+    const limit = Math.min(
+      MAX_LIMIT,
+      Math.max(1, parseInt(searchParams.get("limit")) || 20)
+    );
+    const recipeId = searchParams.get("recipeId");
+
+    const query = {
+      userId: session.user.id,
+      ...(recipeId && { recipeId }),
+    };
+    const cookLog = db.collection("cook_log");
+    const [entries, total] = await Promise.all([
+      cookLog
+        .find(query)
+        .sort({ cookedOn: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      cookLog.countDocuments(query),
+    ]);
+
+    return NextResponse.json({
+      entries,
+      total,
+      page,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    console.error("Error fetching cook log:", error.message);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Record that the signed-in user made a recipe.
+ * @param {Object} request - The HTTP request object containing `recipeId`, `cookedOn`
+ * (`YYYY-MM-DD`), `servings` and optional `rating` (1-5) and `photo` (an uploaded image URL).
+ * @returns {Promise<NextResponse>} A response containing the new entry.
+ *
+ * @example
+ * POST /api/cook-log
+ * Body: { recipeId: "...", cookedOn: "2026-10-18", servings: 4, rating: 5 }
+ */
+export async function POST(request) {
+  try {
+    const { session, db, error } = await requireRole();
+    if (error) return error;
+
+    const body = await request.json();
+    const { values, error: inputError } = normalizeCookLogInput({
+      cookedOn: body.cookedOn,
+      servings: body.servings,
+      rating: body.rating ?? null,
+      photo: body.photo ?? null,
+    });
+    if (inputError) {
+      return NextResponse.json({ error: inputError }, { status: 400 });
+    }
+    if (!values.cookedOn || !values.servings) {
+      return NextResponse.json(
+        { error: "Date and servings are required" },
+        { status: 400 }
+      );
+    }
+
+    const recipe = await db.collection("recipes").findOne(
+      { _id: body.recipeId },
+      {
+        projection: {
+          title: 1,
+          category: 1,
+          ownerId: 1,
+          visibility: 1,
+          moderationStatus: 1,
+        },
+      }
+    );
+    if (!recipe || !(await canViewRecipe(db, recipe, session))) {
+      return NextResponse.json({ error: "Recipe not found" }, { status: 404 });
+    }
+
+    const entry = {
+      userId: session.user.id,
+      recipeId: recipe._id,
+      recipeTitle: recipe.title,
+      category: recipe.category || null,
+      ...values,
+      createdAt: new Date(),
+    };
+    const result = await db.collection("cook_log").insertOne(entry);
+
+    return NextResponse.json(
+      { entry: { ...entry, _id: result.insertedId } },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Error saving cook log entry:", error.message);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,57 @@
+import { NextResponse } from "next/server";
+import { requireRole } from "@/lib/requireRole";
+import { computeCookStats, isValidCookDay } from "@/lib/cookLog";
+
+// Mark route as dynamic since it involves database operations
+export const dynamic = "force-dynamic";
+
+// Milliseconds in one day
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Fetch the signed-in user's cooking stats: the most-cooked recipes, the categories cooked in
+ * each of the last few months and their current and longest daily streaks.
+ * @param {Object} request - The HTTP request object, with the user's `today` as `YYYY-MM-DD`
+ * so streaks follow their own calendar. Defaults to the server's date.
+ * @returns {Promise<NextResponse>} A response containing the stats.
+ *
+ * @example
+ * GET /api/cook-log/stats?today=2026-10-19
+ * Response: { totalCooks: 12, distinctRecipes: 7, mostCooked: [...], categoriesByMonth: [...], streaks: { current: 2, longest: 5 } }
+ */
+export async function GET(request) {
+  try {
+    const { session, db, error } = await requireRole();
+    if (error) return error;
+
+    // Trust the user's date only within a day of the server's, covering every time zone
+    const now = Date.now();
+    const requestedDay = new URL(request.url).searchParams.get("today");
+    let today = new Date(now).toISOString().slice(0, 10);
+    if (
+      isValidCookDay(requestedDay) &&
+      requestedDay >= new Date(now - DAY_MS).toISOString().slice(0, 10) &&
+      requestedDay <= new Date(now + DAY_MS).toISOString().slice(0, 10)
+    ) {
+      today = requestedDay;
+    }
+
+    const entries = await db
+      .collection("cook_log")
+      .find(
+        { userId: session.user.id },
+        {
+          projection: { recipeId: 1, recipeTitle: 1, category: 1, cookedOn: 1 },
+        }
+      )
+      .toArray();
+
+    return NextResponse.json(computeCookStats(entries, today));
+  } catch (error) {
+    console.error("Error fetching cook stats:", error.message);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -1,11 +1,12 @@
 import { NextResponse } from "next/server";
 import clientPromise from "@/lib/mongodb";
+import { PUBLIC_RECIPE_FILTER } from "@/lib/userRecipes";
 
 // Mark route as dynamic since it involves database operations
 export const dynamic = "force-dynamic";
 
 /**
- * Fetches a list of distinct ingredients from the "recipes" collection in the database.
+ * Fetches a list of distinct ingredients from the public recipes in the "recipes" collection.
  * @returns {Promise<NextResponse>} - A NextResponse object with the list of ingredients.
  */
 export async function GET() {
@@ -13,10 +14,11 @@ export async function GET() {
     const client = await clientPromise;
     const db = client.db("devdb");
 
-    // Get distinct ingredients from all recipes
+    // Get distinct ingredients from the recipes in the public catalog
     const ingredients = await db
       .collection("recipes")
       .aggregate([
+        { $match: PUBLIC_RECIPE_FILTER },
         // First get all ingredients object keys
         { $project: { ingredients: { $objectToArray: "$ingredients" } } },
         // Unwind the array created by objectToArray
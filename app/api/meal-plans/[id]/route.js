@@ -0,0 +1,125 @@
+/**
+ * API Handlers for Updating and Deleting Weekly Meal Plans
+ *
+ * @description Provides functionality to replace the slots of a meal plan or delete it.
+ * Both operations include session-based authentication and plan ownership verification.
+ */
+import { NextResponse } from "next/server";
+import { requireRole } from "@/lib/requireRole";
+import { ObjectId } from "mongodb";
+import { normalizeSlots } from "@/lib/mealPlan";
+import { canViewRecipes } from "@/lib/userRecipes";
+
+/**
+ * Replace the slots of a meal plan.
+ *
+ * @async
+ * @function PATCH
+ * @param {Request} request - The HTTP request object containing the updated slots.
+ * @param {Object} context - The context object containing route parameters.
+ * @param {string} context.params.id - The ID of the meal plan to update.
+ * @returns {NextResponse} - A JSON response indicating success or an error message.
+ *
+ * @throws {Error} - Returns a 500 error if an unexpected error occurs.
+ *
+ * @example
+ * PATCH /api/meal-plans/{id}
+ * Body: { slots: [{ day: 2, meal: "lunch", recipeId: "abc", servings: 2 }] }
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const { session, db, error } = await requireRole();
+    if (error) return error;
+
+    const { id } = params;
+    if (!ObjectId.isValid(id)) {
+      return NextResponse.json({ error: "Plan not found" }, { status: 404 });
+    }
+
+    const { slots } = await request.json();
+    const result = normalizeSlots(slots);
+    if (result.error) {
+      return NextResponse.json({ error: result.error }, { status: 400 });
+    }
+
+    // Verify plan ownership
+    const plan = await db
+      .collection("meal_plans")
+      .findOne(
+        { _id: new ObjectId(id), userId: session.user.id },
+        { projection: { slots: 1 } }
+      );
+    if (!plan) {
+      return NextResponse.json({ error: "Plan not found" }, { status: 404 });
+    }
+
+    // New slots may only use recipes the user can see; recipes hidden since they were
+    // planned can stay, so the rest of the plan can still be changed
+    const plannedIds = new Set((plan.slots || []).map((slot) => slot.recipeId));
+    const addedIds = result.slots
+      .map((slot) => slot.recipeId)
+      .filter((recipeId) => !plannedIds.has(recipeId));
+    if (!(await canViewRecipes(db, addedIds, session))) {
+      return NextResponse.json({ error: "Recipe not found" }, { status: 404 });
+    }
+
+    const updateResult = await db.collection("meal_plans").updateOne(
+      { _id: plan._id, userId: session.user.id },
+      {
+        $set: {
+          slots: result.slots,
+          updatedAt: new Date(),
+        },
+      }
+    );
+
+    if (updateResult.matchedCount === 0) {
+      return NextResponse.json({ error: "Plan not found" }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error("Error updating meal plan:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
+
+/**
+ * Delete a meal plan.
+ *
+ * @async
+ * @function DELETE
+ * @param {Request} request - The HTTP request object. The body is not used for deletion.
+ * @param {Object} context - The context object containing route parameters.
+ * @param {string} context.params.id - The ID of the meal plan to delete.
+ * @returns {NextResponse} - A JSON response indicating success or an error message.
+ *
+ * @throws {Error} - Returns a 500 error if an unexpected error occurs.
+ *
+ * @example
+ * DELETE /api/meal-plans/{id}
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { session, db, error } = await requireRole();
+    if (error) return error;
+
+    const { id } = params;
+    if (!ObjectId.isValid(id)) {
+      return NextResponse.json({ error: "Plan not found" }, { status: 404 });
+    }
+
+    const result = await db
+      .collection("meal_plans")
+      .deleteOne({ _id: new ObjectId(id), userId: session.user.id });
+
+    if (result.deletedCount === 0) {
+      return NextResponse.json({ error: "Plan not found" }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error("Error deleting meal plan:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
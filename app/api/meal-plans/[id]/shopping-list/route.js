@@ -0,0 +1,107 @@
+/**
+ * API Handler for Generating a Shopping List from a Meal Plan
+ *
+ * @description Scales every planned recipe to the servings of its slot, merges repeated
+ * ingredients and saves the result as a single list in the `shopping_lists` collection.
+ */
+import { NextResponse } from "next/server";
+import { requireRole } from "@/lib/requireRole";
+import { ObjectId } from "mongodb";
+import { randomUUID } from "crypto";
+import { buildMealPlanIngredients } from "@/lib/mealPlan";
+import { getMemberName } from "@/lib/shoppingList";
+import { buildVisibleRecipeFilter } from "@/lib/userRecipes";
+
+/**
+ * Generate a consolidated shopping list for a meal plan.
+ *
+ * @async
+ * @function POST
+ * @param {Request} request - The HTTP request object, optionally containing a list name.
+ * @param {Object} context - The context object containing route parameters.
+ * @param {string} context.params.id - The ID of the meal plan.
+ * @returns {NextResponse} - A JSON response containing the new list's ID and item count, or an error message.
+ *
+ * @throws {Error} - Returns a 500 error if an unexpected error occurs.
+ *
+ * @example
+ * POST /api/meal-plans/{id}/shopping-list
+ * Body: { name: "Groceries for the week" }
+ * Response: { id: "newly_generated_list_id", itemCount: 12 }
+ */
+export async function POST(request, { params }) {
+  try {
+    const { session, db, error } = await requireRole();
+    if (error) return error;
+
+    const { id } = params;
+    if (!ObjectId.isValid(id)) {
+      return NextResponse.json({ error: "Plan not found" }, { status: 404 });
+    }
+
+    const { name } = await request.json().catch(() => ({}));
+
+    // Verify plan ownership
+    const plan = await db.collection("meal_plans").findOne({
+      _id: new ObjectId(id),
+      userId: session.user.id,
+    });
+
+    if (!plan) {
+      return NextResponse.json({ error: "Plan not found" }, { status: 404 });
+    }
+
+    if (!plan.slots?.length) {
+      return NextResponse.json(
+        { error: "Add recipes to the plan before generating a list" },
+        { status: 400 }
+      );
+    }
+
+    const recipes = await db
+      .collection("recipes")
+      .find(
+        {
+          _id: { $in: [...new Set(plan.slots.map((slot) => slot.recipeId))] },
+          ...buildVisibleRecipeFilter(session),
+        },
+        { projection: { ingredients: 1, servings: 1 } }
+      )
+      .toArray();
+
+    const recipesById = Object.fromEntries(
+      recipes.map((recipe) => [recipe._id, recipe])
+    );
+    const ingredients = buildMealPlanIngredients(plan.slots, recipesById);
+
+    const now = new Date();
+    const shoppingList = {
+      userId: session.user.id,
+      name: name?.trim() || `Meal Plan: week of ${plan.weekStart}`,
+      mealPlanId: plan._id,
+      items: Object.entries(ingredients).map(([ingredient, amount]) => ({
+        id: randomUUID(),
+        ingredient,
+        amount,
+        purchased: false,
+        addedBy: getMemberName(session),
+        addedAt: now,
+        updatedAt: now,
+      })),
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    const result = await db
+      .collection("shopping_lists")
+      .insertOne(shoppingList);
+
+    return NextResponse.json({
+      id: result.insertedId,
+      itemCount: shoppingList.items.length,
+    });
+  } catch (error) {
+    console.error("Error generating shopping list from meal plan:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
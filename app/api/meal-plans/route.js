@@ -0,0 +1,162 @@
+/**
+ * API Handlers for Creating and Retrieving Weekly Meal Plans
+ *
+ * @description Provides functionality to create and retrieve meal plans for authenticated users.
+ * Each user has at most one plan per week, identified by the Monday the week starts on.
+ */
+import { NextResponse } from "next/server";
+import { requireRole } from "@/lib/requireRole";
+import { isValidWeekStart, normalizeSlots } from "@/lib/mealPlan";
+import { buildVisibleRecipeFilter, canViewRecipes } from "@/lib/userRecipes";
+
+// Mark route as dynamic since it depends on the user's session
+export const dynamic = "force-dynamic";
+
+/**
+ * Retrieve the authenticated user's meal plans.
+ *
+ * @async
+ * @function GET
+ * @param {Request} request - The HTTP request object. Accepts an optional `weekStart` query parameter.
+ * @returns {NextResponse} - A JSON response containing the plan for the requested week (or null),
+ * or all of the user's plans when no week is given, or an error message.
+ *
+ * @throws {Error} - Returns a 500 error if an unexpected error occurs.
+ *
+ * @example
+ * GET /api/meal-plans?weekStart=2024-12-02
+ * Response: { plan: { _id: "...", weekStart: "2024-12-02", slots: [...], recipes: [...] } }
+ */
+export async function GET(request) {
+  try {
+    const { session, db, error } = await requireRole();
+    if (error) return error;
+
+    const { searchParams } = new URL(request.url);
+    const weekStart = searchParams.get("weekStart");
+
+    if (weekStart && !isValidWeekStart(weekStart)) {
+      return NextResponse.json(
+        { error: "Invalid weekStart. Must be a Monday in YYYY-MM-DD format." },
+        { status: 400 }
+      );
+    }
+
+    const plans = await db
+      .collection("meal_plans")
+      .aggregate([
+        {
+          $match: {
+            userId: session.user.id,
+            ...(weekStart && { weekStart }),
+          },
+        },
+        { $sort: { weekStart: -1 } },
+        {
+          $lookup: {
+            from: "recipes",
+            localField: "slots.recipeId",
+            foreignField: "_id",
+            as: "recipes",
+            pipeline: [
+              // Recipes hidden since they were planned are left out
+              { $match: buildVisibleRecipeFilter(session) },
+              {
+                $project: {
+                  title: 1,
+                  images: { $slice: ["$images", 1] },
+                  servings: 1,
+                  prep: 1,
+                  cook: 1,
+                  category: 1,
+                },
+              },
+            ],
+          },
+        },
+      ])
+      .toArray();
+
+    if (weekStart) {
+      return NextResponse.json({ plan: plans[0] || null });
+    }
+
+    return NextResponse.json({ plans });
+  } catch (error) {
+    console.error("Error fetching meal plans:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
+
+/**
+ * Create a meal plan for a week.
+ *
+ * @async
+ * @function POST
+ * @param {Request} request - The HTTP request object containing the week start and optional slots.
+ * @returns {NextResponse} - A JSON response containing the new plan's ID, or an error message.
+ *
+ * @throws {Error} - Returns a 500 error if an unexpected error occurs.
+ *
+ * @example
+ * POST /api/meal-plans
+ * Body: { weekStart: "2024-12-02", slots: [{ day: 0, meal: "dinner", recipeId: "abc", servings: 4 }] }
+ * Response: { id: "newly_generated_plan_id" }
+ */
+export async function POST(request) {
+  try {
+    const { session, db, error } = await requireRole();
+    if (error) return error;
+
+    const { weekStart, slots = [] } = await request.json();
+
+    if (!isValidWeekStart(weekStart)) {
+      return NextResponse.json(
+        { error: "Invalid weekStart. Must be a Monday in YYYY-MM-DD format." },
+        { status: 400 }
+      );
+    }
+
+    const result = normalizeSlots(slots);
+    if (result.error) {
+      return NextResponse.json({ error: result.error }, { status: 400 });
+    }
+
+    // Slots may only use recipes the user can see
+    if (
+      !(await canViewRecipes(
+        db,
+        result.slots.map((slot) => slot.recipeId),
+        session
+      ))
+    ) {
+      return NextResponse.json({ error: "Recipe not found" }, { status: 404 });
+    }
+
+    const existing = await db.collection("meal_plans").findOne({
+      userId: session.user.id,
+      weekStart,
+    });
+
+    if (existing) {
+      return NextResponse.json(
+        { error: "A meal plan already exists for this week", id: existing._id },
+        { status: 409 }
+      );
+    }
+
+    const now = new Date();
+    const { insertedId } = await db.collection("meal_plans").insertOne({
+      userId: session.user.id,
+      weekStart,
+      slots: result.slots,
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    return NextResponse.json({ id: insertedId }, { status: 201 });
+  } catch (error) {
+    console.error("Error creating meal plan:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
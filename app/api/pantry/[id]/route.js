@@ -0,0 +1,48 @@
+/**
+ * API Handler for Removing a Pantry Item
+ *
+ * @description Deletes a single item from the authenticated user's pantry.
+ */
+import { NextResponse } from "next/server";
+import { requireRole } from "@/lib/requireRole";
+import { ObjectId } from "mongodb";
+
+/**
+ * Remove an item from the pantry.
+ *
+ * @async
+ * @function DELETE
+ * @param {Request} request - The HTTP request object. The body is not used for deletion.
+ * @param {Object} context - The context object containing route parameters.
+ * @param {string} context.params.id - The ID of the pantry item to remove.
+ * @returns {NextResponse} - A JSON response indicating success or an error message.
+ *
+ * @throws {Error} - Returns a 500 error if an unexpected error occurs.
+ *
+ * @example
+ * DELETE /api/pantry/{id}
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { session, db, error } = await requireRole();
+    if (error) return error;
+
+    const { id } = params;
+    if (!ObjectId.isValid(id)) {
+      return NextResponse.json({ error: "Item not found" }, { status: 404 });
+    }
+
+    const result = await db
+      .collection("pantry_items")
+      .deleteOne({ _id: new ObjectId(id), userId: session.user.id });
+
+    if (result.deletedCount === 0) {
+      return NextResponse.json({ error: "Item not found" }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error("Error removing pantry item:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * API Handler for "Cook from Pantry"
+ *
+ * @description Ranks recipes by the fraction of their ingredients already in the user's pantry
+ * and reports which ingredients are missing for each recipe.
+ */
+import { NextResponse } from "next/server";
+import { requireRole } from "@/lib/requireRole";
+import { buildPantryMatchPipeline } from "@/lib/pantry";
+
+// Mark route as dynamic since it depends on the user's session
+export const dynamic = "force-dynamic";
+
+/**
+ * Retrieve recipes ranked by how much of each recipe the user's pantry covers.
+ *
+ * @async
+ * @function GET
+ * @param {Request} request - The HTTP request object. Accepts `page`, `limit` and
+ * `minMatch` (a percentage from 0 to 100) query parameters.
+ * @returns {NextResponse} - A JSON response containing the ranked recipes, each with `pantryMatch`,
+ * `ownedCount`, `ingredientCount` and `missingIngredients`, plus pagination details.
+ *
+ * @throws {Error} - Returns a 500 error if an unexpected error occurs.
+ *
+ * @example
+ * GET /api/pantry/recipes?minMatch=50&page=1&limit=20
+ * Response: { recipes: [{ title: "...", pantryMatch: 0.75, missingIngredients: ["butter"] }], total: 42, totalPages: 3 }
+ */
+export async function GET(request) {
+  try {
+    const { session, db, error } = await requireRole();
+    if (error) return error;
+
+    const { searchParams } = new URL(request.url);
+    const page = parseInt(searchParams.get("page")) || 1;
+    const limit = Math.min(parseInt(searchParams.get("limit")) || 20, 100);
+    const minMatchPercent = parseFloat(searchParams.get("minMatch")) || 0;
+    const minMatch = Math.min(Math.max(minMatchPercent, 0), 100) / 100;
+
+    const pantryItems = await db
+      .collection("pantry_items")
+      .find({ userId: session.user.id }, { projection: { key: 1 } })
+      .toArray();
+
+    if (pantryItems.length === 0) {
+      return NextResponse.json({ recipes: [], total: 0, totalPages: 0 });
+    }
+
+    const [result] = await db
+      .collection("recipes")
+      .aggregate(
+        buildPantryMatchPipeline(
+          pantryItems.map((item) => item.key),
+          { minMatch, skip: (page - 1) * limit, limit }
+        )
+      )
+      .toArray();
+
+    const total = result?.total[0]?.count || 0;
+
+    return NextResponse.json({
+      recipes: result?.recipes || [],
+      total,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    console.error("Error ranking recipes from pantry:", error);
+    return NextResponse.json(
+      { error: "Error fetching recipes" },
+      { status: 500 }
+    );
+  }
+}
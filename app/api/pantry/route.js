@@ -0,0 +1,142 @@
+/**
+ * API Handlers for Managing the User's Pantry
+ *
+ * @description Provides functionality to list, add and clear the ingredients a user has at home.
+ * Items are stored in the `pantry_items` collection, one document per user and ingredient.
+ */
+import { NextResponse } from "next/server";
+import { requireRole } from "@/lib/requireRole";
+import { normalizePantryName } from "@/lib/pantry";
+
+// Mark route as dynamic since it depends on the user's session
+export const dynamic = "force-dynamic";
+
+/**
+ * Retrieve the authenticated user's pantry items.
+ *
+ * @async
+ * @function GET
+ * @returns {NextResponse} - A JSON response containing the pantry items sorted by name, or an error message.
+ *
+ * @throws {Error} - Returns a 500 error if an unexpected error occurs.
+ *
+ * @example
+ * GET /api/pantry
+ * Response: { items: [{ _id: "...", name: "Flour", key: "flour", addedAt: "..." }] }
+ */
+export async function GET() {
+  try {
+    const { session, db, error } = await requireRole();
+    if (error) return error;
+
+    const items = await db
+      .collection("pantry_items")
+      .find({ userId: session.user.id })
+      .sort({ key: 1 })
+      .toArray();
+
+    return NextResponse.json({ items });
+  } catch (error) {
+    console.error("Error fetching pantry:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
+
+/**
+ * Add items to the pantry. Items already in the pantry are left unchanged.
+ *
+ * @async
+ * @function POST
+ * @param {Request} request - The HTTP request object containing the item names to add.
+ * @returns {NextResponse} - A JSON response containing the updated pantry items, or an error message.
+ *
+ * @throws {Error} - Returns a 500 error if an unexpected error occurs.
+ *
+ * @example
+ * POST /api/pantry
+ * Body: { items: ["Flour", "eggs"] }
+ * Response: { items: [...], added: 2 }
+ */
+export async function POST(request) {
+  try {
+    const { session, db, error } = await requireRole();
+    if (error) return error;
+
+    const { items } = await request.json();
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return NextResponse.json(
+        { error: "Invalid items format" },
+        { status: 400 }
+      );
+    }
+
+    const names = items.filter((name) => normalizePantryName(name));
+    if (names.length === 0) {
+      return NextResponse.json(
+        { error: "No valid item names provided" },
+        { status: 400 }
+      );
+    }
+
+    const pantry = db.collection("pantry_items");
+
+    const now = new Date();
+    const result = await pantry.bulkWrite(
+      names.map((name) => ({
+        updateOne: {
+          filter: { userId: session.user.id, key: normalizePantryName(name) },
+          update: {
+            $setOnInsert: {
+              name: name.trim().replace(/\s+/g, " "),
+              addedAt: now,
+            },
+          },
+          upsert: true,
+        },
+      }))
+    );
+
+    const updatedItems = await pantry
+      .find({ userId: session.user.id })
+      .sort({ key: 1 })
+      .toArray();
+
+    return NextResponse.json({
+      items: updatedItems,
+      added: result.upsertedCount,
+    });
+  } catch (error) {
+    console.error("Error adding pantry items:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
+
+/**
+ * Remove every item from the pantry.
+ *
+ * @async
+ * @function DELETE
+ * @returns {NextResponse} - A JSON response with the number of removed items, or an error message.
+ *
+ * @throws {Error} - Returns a 500 error if an unexpected error occurs.
+ *
+ * @example
+ * DELETE /api/pantry
+ * Response: { success: true, deleted: 12 }
+ */
+export async function DELETE() {
+  try {
+    const { session, db, error } = await requireRole();
+    if (error) return error;
+
+    const result = await db
+      .collection("pantry_items")
+      .deleteMany({ userId: session.user.id });
+
+    return NextResponse.json({ success: true, deleted: result.deletedCount });
+  } catch (error) {
+    console.error("Error clearing pantry:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,133 @@
+import { NextResponse } from "next/server";
+import { ROLES } from "@/lib/roles";
+import { requireRole } from "@/lib/requireRole";
+import { canViewRecipe } from "@/lib/userRecipes";
+import {
+  MAX_RECIPE_NOTE_LENGTH,
+  normalizeNoteText,
+  resolveNoteKey,
+  toNoteResponse,
+} from "@/lib/recipeNotes";
+
+// Mark route as dynamic since it involves database operations
+export const dynamic = "force-dynamic";
+
+/**
+ * Fetch the signed-in user's private notes on a recipe.
+ * @param {Object} request - The HTTP request object.
+ * @param {Object} params - The route parameters.
+ * @param {string} params.id - The ID of the recipe.
+ * @returns {Promise<NextResponse>} A response containing the user's notes.
+ *
+ * @example
+ * GET /api/recipes/{id}/notes
+ * Response: { notes: [{ target: "step", key: 2, text: "Used half the sugar", updatedAt: "..." }] }
+ */
+export async function GET(request, { params }) {
+  try {
+    const { session, db, error } = await requireRole(ROLES.USER);
+    if (error) return error;
+
+    const notes = await db
+      .collection("recipe_notes")
+      .find({ userId: session.user.id, recipeId: params.id })
+      .sort({ createdAt: 1 })
+      .toArray();
+
+    return NextResponse.json({ notes: notes.map(toNoteResponse) });
+  } catch (error) {
+    console.error("Error fetching recipe notes:", error.message);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Save the signed-in user's note on a recipe, one of its steps or one of its ingredients.
+ * Saving an empty note removes it.
+ * @param {Object} request - The HTTP request object containing `target` ("recipe", "step" or
+ * "ingredient"), `key` (the step index or ingredient name) and `text`.
+ * @param {Object} params - The route parameters.
+ * @param {string} params.id - The ID of the recipe.
+ * @returns {Promise<NextResponse>} A response containing the saved note, or null if removed.
+ *
+ * @example
+ * PUT /api/recipes/{id}/notes
+ * Body: { target: "ingredient", key: "sugar", text: "Used half" }
+ * Response: { note: { target: "ingredient", key: "sugar", text: "Used half", updatedAt: "..." } }
+ */
+export async function PUT(request, { params }) {
+  try {
+    const { session, db, error } = await requireRole(ROLES.USER);
+    if (error) return error;
+
+    const { target, key, text } = await request.json();
+    const cleanText = normalizeNoteText(text);
+    if (cleanText === null) {
+      return NextResponse.json(
+        {
+          error: `Notes must be at most ${MAX_RECIPE_NOTE_LENGTH} characters`,
+        },
+        { status: 400 }
+      );
+    }
+
+    const recipe = await db.collection("recipes").findOne(
+      { _id: params.id },
+      {
+        projection: {
+          instructions: 1,
+          ingredients: 1,
+          ownerId: 1,
+          visibility: 1,
+          moderationStatus: 1,
+        },
+      }
+    );
+    if (!recipe || !(await canViewRecipe(db, recipe, session))) {
+      return NextResponse.json({ error: "Recipe not found" }, { status: 404 });
+    }
+
+    const { key: noteKey, error: keyError } = resolveNoteKey(
+      recipe,
+      target,
+      key
+    );
+    if (keyError) {
+      return NextResponse.json({ error: keyError }, { status: 400 });
+    }
+
+    const filter = {
+      userId: session.user.id,
+      recipeId: params.id,
+      target,
+      key: noteKey,
+    };
+    const notes = db.collection("recipe_notes");
+
+    if (!cleanText) {
+      await notes.deleteOne(filter);
+      return NextResponse.json({ note: null });
+    }
+
+    const now = new Date();
+    const note = await notes.findOneAndUpdate(
+      filter,
+      {
+        $set: { text: cleanText, updatedAt: now },
+        $setOnInsert: { createdAt: now },
+      },
+      { upsert: true, returnDocument: "after" }
+    );
+
+    return NextResponse.json({ note: toNoteResponse(note) });
+  } catch (error) {
+    console.error("Error saving recipe note:", error.message);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -1,8 +1,9 @@
 import { NextResponse } from "next/server";
 import clientPromise from "@/lib/mongodb";
-import { getServerSession } from "next-auth/next";
-import { authOptions } from "@/app/api/auth/[...nextauth]/route";
 import { ObjectId } from "mongodb";
+import { ROLES, hasRole, sessionHasRole } from "@/lib/roles";
+import { requireRole, getOptionalSession } from "@/lib/requireRole";
+import { canViewRecipe, isPublicRecipe } from "@/lib/userRecipes";
 
 // Mark route as dynamic since it involves database operations
 export const dynamic = "force-dynamic";
@@ -36,6 +37,19 @@ function validateReview(review) {
   return { valid: true };
 }
 
+/**
+ * Find a recipe the user may see. Recipes hidden from the user are treated as missing, so
+ * their reviews can't be read or changed and their IDs are not revealed.
+ * @param {Object} db - The MongoDB database instance.
+ * @param {Object} query - The query matching the recipe.
+ * @param {Object|null} session - The NextAuth session.
+ * @returns {Promise<Object|null>} The recipe, or null if it is missing or hidden.
+ */
+async function findVisibleRecipe(db, query, session) {
+  const recipe = await db.collection("recipes").findOne(query);
+  return recipe && (await canViewRecipe(db, recipe, session)) ? recipe : null;
+}
+
 /**
  * Update the average rating and review count for a recipe.
  * @param {Object} db - The MongoDB database instance.
@@ -68,15 +82,15 @@ async function updateRecipeRating(db, recipeId) {
  * @param {Object} request - The HTTP request object.
  * @param {Object} params - The route parameters.
  * @param {string} params.id - The ID of the recipe.
- * @returns {Promise<NextResponse>} A response containing the reviews, total reviews, average rating, review count, and the current user.
+ * @returns {Promise<NextResponse>} A response containing the reviews, total reviews, average rating, review count, and the current user (including whether they can delete any review).
  */
 export async function GET(request, { params }) {
   try {
-    const session = await getServerSession(authOptions);
+    const session = await getOptionalSession();
     const client = await clientPromise;
     const db = client.db("devdb");
 
-    const recipe = await db.collection("recipes").findOne({ _id: params.id });
+    const recipe = await findVisibleRecipe(db, { _id: params.id }, session);
 
     if (!recipe) {
       return NextResponse.json({ error: "Recipe not found" }, { status: 404 });
@@ -92,17 +106,20 @@ export async function GET(request, { params }) {
         session?.user?.name === review.username,
     }));
 
+    // Moderators can delete any review
+    const canModerate = await sessionHasRole(db, session, ROLES.MODERATOR);
+    const currentUser = session && {
+      id: session.user.id,
+      name: session.user.name,
+      canModerate,
+    };
+
     return NextResponse.json({
       reviews: reviewsWithOwnership,
       totalReviews: reviews.length,
       averageRating: recipe.averageRating || 0,
       reviewCount: recipe.reviewCount || 0,
-      currentUser: session
-        ? {
-            id: session.user.id,
-            name: session.user.name,
-          }
-        : null,
+      currentUser,
     });
   } catch (error) {
     console.error("Error fetching reviews:", error);
@@ -123,11 +140,8 @@ export async function GET(request, { params }) {
  */
 export async function POST(request, { params }) {
   try {
-    const session = await getServerSession(authOptions);
-
-    if (!session) {
-      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
-    }
+    const { session, db, error } = await requireRole();
+    if (error) return error;
 
     const body = await request.json();
     const validation = validateReview(body);
@@ -136,9 +150,6 @@ export async function POST(request, { params }) {
       return NextResponse.json({ error: validation.error }, { status: 400 });
     }
 
-    const client = await clientPromise;
-    const db = client.db("devdb");
-
     // Ensure userId is properly set
     const review = {
       _id: generateId(),
@@ -150,13 +161,22 @@ export async function POST(request, { params }) {
       updatedAt: new Date().toISOString(),
     };
 
-    // Check if user already has a review
-    const existingReview = await db.collection("recipes").findOne({
-      _id: params.id,
-      "reviews.userId": review.userId,
-    });
+    const recipe = await findVisibleRecipe(db, { _id: params.id }, session);
 
-    if (existingReview) {
+    if (!recipe) {
+      return NextResponse.json({ error: "Recipe not found" }, { status: 404 });
+    }
+
+    // Private recipes and submissions awaiting moderation can't be reviewed
+    if (!isPublicRecipe(recipe)) {
+      return NextResponse.json(
+        { error: "Only recipes in the public catalog can be reviewed" },
+        { status: 400 }
+      );
+    }
+
+    // Check if user already has a review
+    if (recipe.reviews?.some((existing) => existing.userId === review.userId)) {
       return NextResponse.json(
         { error: "You have already reviewed this recipe" },
         { status: 400 }
@@ -195,11 +215,8 @@ export async function POST(request, { params }) {
  */
 export async function PUT(request, { params }) {
   try {
-    const session = await getServerSession(authOptions);
-
-    if (!session) {
-      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
-    }
+    const { session, db, error } = await requireRole();
+    if (error) return error;
 
     const body = await request.json();
     const validation = validateReview(body);
@@ -208,14 +225,12 @@ export async function PUT(request, { params }) {
       return NextResponse.json({ error: validation.error }, { status: 400 });
     }
 
-    const client = await clientPromise;
-    const db = client.db("devdb");
-
     // First find the review to verify ownership
-    const recipe = await db.collection("recipes").findOne({
-      _id: params.id,
-      "reviews._id": body.reviewId,
-    });
+    const recipe = await findVisibleRecipe(
+      db,
+      { _id: params.id, "reviews._id": body.reviewId },
+      session
+    );
 
     const review = recipe?.reviews?.find((r) => r._id === body.reviewId);
 
@@ -263,7 +278,8 @@ export async function PUT(request, { params }) {
 
 // DELETE a review
 /**
- * Delete an existing review for a recipe.
+ * Delete an existing review for a recipe. Reviewers can delete their own reviews and
+ * moderators can delete any review.
  * @param {Object} request - The HTTP request object.
  * @param {Object} params - The route parameters.
  * @param {string} params.id - The ID of the recipe.
@@ -271,11 +287,8 @@ export async function PUT(request, { params }) {
  */
 export async function DELETE(request, { params }) {
   try {
-    const session = await getServerSession(authOptions);
-
-    if (!session) {
-      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
-    }
+    const { session, db, role, error } = await requireRole();
+    if (error) return error;
 
     const { searchParams } = new URL(request.url);
     const reviewId = searchParams.get("reviewId");
@@ -287,14 +300,12 @@ export async function DELETE(request, { params }) {
       );
     }
 
-    const client = await clientPromise;
-    const db = client.db("devdb");
-
     // First find the review to verify ownership
-    const recipe = await db.collection("recipes").findOne({
-      _id: params.id,
-      "reviews._id": reviewId,
-    });
+    const recipe = await findVisibleRecipe(
+      db,
+      { _id: params.id, "reviews._id": reviewId },
+      session
+    );
 
     const review = recipe?.reviews?.find((r) => r._id === reviewId);
 
@@ -302,10 +313,11 @@ export async function DELETE(request, { params }) {
       return NextResponse.json({ error: "Review not found" }, { status: 404 });
     }
 
-    // Check ownership by userId or username
+    // Check ownership by userId or username; moderators can delete any review
     if (
       review.userId !== session.user.id &&
-      review.username !== session.user.name
+      review.username !== session.user.name &&
+      !hasRole(role, ROLES.MODERATOR)
     ) {
       return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
     }
@@ -1,8 +1,23 @@
 import { NextResponse } from "next/server";
 import clientPromise from "@/lib/mongodb";
-import { getServerSession } from "next-auth/next";
-import { authOptions } from "@/app/api/auth/[...nextauth]/route";
+import { requireRole, getOptionalSession } from "@/lib/requireRole";
 import * as webpush from "web-push";
+import { normalizeNutrition } from "@/lib/nutrition";
+import { revalidateTag } from "next/cache";
+import { buildVersionUpdate } from "@/lib/recipeVersions";
+import {
+  normalizeRecipeUpdate,
+  validateRecipeUpdate,
+} from "@/lib/recipeSchema";
+import {
+  canEditRecipe,
+  canViewRecipe,
+  getModerationReset,
+  isPublicRecipe,
+  isRecipeOwner,
+} from "@/lib/userRecipes";
+import { ROLES, hasRole } from "@/lib/roles";
+import { getCategoryNames } from "@/lib/taxonomy";
 
 // Mark route as dynamic since it involves database operations
 export const dynamic = "force-dynamic";
@@ -25,7 +40,8 @@ if (publicVapidKey && privateVapidKey) {
  * @param {Object} request - The HTTP request object.
  * @param {Object} params - The route parameters.
  * @param {string} params.id - The ID of the recipe to fetch.
- * @returns {Promise<NextResponse>} A response containing the recipe data, or an error if the recipe is not found.
+ * @returns {Promise<NextResponse>} A response containing the recipe data with numeric nutrition values
+ * (per serving), or an error if the recipe is not found or hidden from the user.
  */
 export async function GET(request, { params }) {
   try {
@@ -35,11 +51,17 @@ export async function GET(request, { params }) {
 
     const recipe = await db.collection("recipes").findOne({ _id: id });
 
-    if (!recipe) {
+    // Hidden recipes are reported as missing to everyone else
+    const session =
+      recipe && !isPublicRecipe(recipe) ? await getOptionalSession() : null;
+    if (!recipe || !(await canViewRecipe(db, recipe, session))) {
       return NextResponse.json({ error: "Recipe not found" }, { status: 404 });
     }
 
-    return NextResponse.json(recipe);
+    return NextResponse.json({
+      ...recipe,
+      nutrition: normalizeNutrition(recipe.nutrition),
+    });
   } catch (error) {
     console.error("Error fetching recipe:", error.message);
     return NextResponse.json(
@@ -50,58 +72,71 @@ export async function GET(request, { params }) {
 }
 
 /**
- * Update a recipe's description and version history.
- * @param {Object} request - The HTTP request object.
+ * Update a recipe's editable fields and record the change in its version history.
+ * @param {Object} request - The HTTP request object containing any of the editable fields
+ * (title, description, category, prep, cook, servings, ingredients, instructions, tags, images).
  * @param {Object} params - The route parameters.
  * @param {string} params.id - The ID of the recipe to update.
- * @returns {Promise<NextResponse>} A response containing the updated recipe data, or an error if the recipe is not found or the description is invalid.
+ * @returns {Promise<NextResponse>} A response containing the updated recipe data, or an error if the recipe is not found or the changes are invalid.
+ *
+ * @example
+ * PATCH /api/recipes/{id}
+ * Body: { servings: 6, ingredients: { "flour": "3 cups" }, userName: "Jane" }
  */
 export async function PATCH(request, { params }) {
   try {
-    const session = await getServerSession(authOptions);
-    if (!session) {
-      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
-    }
+    const { session, db, role, error } = await requireRole();
+    if (error) return error;
 
     const { id } = params;
-    const { description, userName } = await request.json();
+    const body = await request.json();
+    const userName = body.userName || session.user.name || session.user.email;
 
-    // Validate description
-    if (
-      !description ||
-      typeof description !== "string" ||
-      description.length < 10
-    ) {
+    const recipe = await db.collection("recipes").findOne({ _id: id });
+    if (!recipe || !(await canViewRecipe(db, recipe, session))) {
+      return NextResponse.json({ error: "Recipe not found" }, { status: 404 });
+    }
+    if (!(await canEditRecipe(db, recipe, session))) {
       return NextResponse.json(
-        { error: "Invalid description. Must be at least 10 characters long." },
+        { error: "You can only edit recipes you created" },
+        { status: 403 }
+      );
+    }
+
+    // Only keep fields that actually differ from the stored recipe
+    const changes = Object.fromEntries(
+      Object.entries(normalizeRecipeUpdate(body)).filter(
+        ([field, value]) =>
+          JSON.stringify(value) !== JSON.stringify(recipe[field])
+      )
+    );
+
+    // Validate changes against the recipe schema
+    const { valid, errors } = validateRecipeUpdate(changes);
+    if (!valid) {
+      return NextResponse.json(
+        { error: errors.join("; "), errors },
         { status: 400 }
       );
     }
 
-    const client = await clientPromise;
-    const db = client.db("devdb");
-    const now = new Date();
-
-    // Update recipe with new description and version history
-    const updateResult = await db.collection("recipes").updateOne(
-      { _id: id },
-      {
-        $set: {
-          description: description,
-          lastModified: now,
-          [`userVersions.${now.getTime()}`]: {
-            userName: userName,
-            description: description,
-            lastModified: now,
-          },
-        },
-        $inc: { updateCount: 1 },
+    if (changes.category) {
+      const categories = await getCategoryNames(db);
+      if (!categories.includes(changes.category)) {
+        return NextResponse.json({ error: "Unknown category" }, { status: 400 });
       }
+    }
+
+    // Update recipe and version history; edited public submissions are moderated again
+    const update = buildVersionUpdate(recipe, changes, { userName });
+    Object.assign(
+      update.$set,
+      getModerationReset(recipe, hasRole(role, ROLES.MODERATOR))
     );
+    await db.collection("recipes").updateOne({ _id: id }, update);
+    revalidateTag(`recipe-${id}`);
 
-    if (updateResult.matchedCount === 0) {
-      return NextResponse.json({ error: "Recipe not found" }, { status: 404 });
-    }
+    const recipeTitle = changes.title || recipe.title;
 
     // Find users who have favorited this recipe
     const favoritedUsers = await db
@@ -130,12 +165,9 @@ export async function PATCH(request, { params }) {
                 title: "Recipe Update",
                 type: "recipe-update",
                 recipeId: id,
-                recipeTitle: description.slice(0, 30),
+                recipeTitle,
                 userName: userName,
-                message: `Recipe "${description.slice(
-                  0,
-                  30
-                )}..." has been updated by ${userName}`,
+                message: `Recipe "${recipeTitle}" has been updated by ${userName}`,
                 url: `/recipes/${id}`,
               })
             );
@@ -176,3 +208,68 @@ export async function PATCH(request, { params }) {
     );
   }
 }
+
+/**
+ * Delete a recipe submitted by the signed-in user. Admins can delete any submitted recipe;
+ * seeded recipes cannot be deleted.
+ * @param {Object} request - The HTTP request object.
+ * @param {Object} params - The route parameters.
+ * @param {string} params.id - The ID of the recipe to delete.
+ * @returns {Promise<NextResponse>} A success message, or an error if the recipe is not found or
+ * the user may not delete it.
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { session, db, role, error } = await requireRole();
+    if (error) return error;
+
+    const { id } = params;
+
+    const recipe = await db
+      .collection("recipes")
+      .findOne({ _id: id }, { projection: { ownerId: 1 } });
+    if (!recipe) {
+      return NextResponse.json({ error: "Recipe not found" }, { status: 404 });
+    }
+
+    if (
+      !recipe.ownerId ||
+      !(isRecipeOwner(recipe, session) || hasRole(role, ROLES.ADMIN))
+    ) {
+      return NextResponse.json(
+        { error: "You can only delete recipes you created" },
+        { status: 403 }
+      );
+    }
+
+    await db.collection("recipes").deleteOne({ _id: id });
+
+    // Remove favorites and private notes pointing at the deleted recipe
+    await db.collection("favorites").deleteMany({ recipeId: id });
+    await db.collection("recipe_notes").deleteMany({ recipeId: id });
+    // Take it out of any collections it was saved to
+    await db
+      .collection("recipe_collections")
+      .updateMany(
+        { "recipes.recipeId": id },
+        { $pull: { recipes: { recipeId: id } } }
+      );
+    // Empty its meal plan slots. Shopping lists made from a plan copied the ingredients, and
+    // the cooking history keeps the copied title on purpose (see lib/cookLog.js)
+    await db
+      .collection("meal_plans")
+      .updateMany(
+        { "slots.recipeId": id },
+        { $pull: { slots: { recipeId: id } }, $set: { updatedAt: new Date() } }
+      );
+    revalidateTag(`recipe-${id}`);
+
+    return NextResponse.json({ message: "Recipe deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting recipe:", error.message);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,108 @@
+import { NextResponse } from "next/server";
+import clientPromise from "@/lib/mongodb";
+import { getOptionalSession } from "@/lib/requireRole";
+import { similarityScore } from "@/lib/recommendations";
+import {
+  PUBLIC_RECIPE_FILTER,
+  canViewRecipe,
+  isPublicRecipe,
+} from "@/lib/userRecipes";
+
+// Mark route as dynamic since it involves database operations
+export const dynamic = "force-dynamic";
+
+// Largest number of similar recipes returned
+const MAX_LIMIT = 20;
+
+// Most recipes compared against the viewed one, picked by shared category or tags
+const CANDIDATE_LIMIT = 300;
+
+// Fields needed to compare two recipes
+const FEATURE_PROJECTION = { category: 1, tags: 1, ingredients: 1 };
+
+/**
+ * Fetch public recipes similar to a recipe, ranked by shared ingredients, tags and category.
+ * @param {Object} request - The HTTP request object. Supports `limit` (default 10, max 20).
+ * @param {Object} params - The route parameters.
+ * @param {string} params.id - The ID of the recipe.
+ * @returns {Promise<NextResponse>} A response containing the similar recipes, most similar
+ * first, or an error if the recipe is not found.
+ *
+ * @example
+ * GET /api/recipes/{id}/similar?limit=8
+ * Response: { recipes: [{ _id, title, images, ... }] }
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id } = params;
+    const client = await clientPromise;
+    const db = client.db("devdb");
+
+    const limit = Math.min(
+      MAX_LIMIT,
+      Math.max(
+        1,
+        parseInt(new URL(request.url).searchParams.get("limit")) || 10
+      )
+    );
+
+    const recipe = await db.collection("recipes").findOne(
+      { _id: id },
+      {
+        projection: {
+          ...FEATURE_PROJECTION,
+          ownerId: 1,
+          visibility: 1,
+          moderationStatus: 1,
+        },
+      }
+    );
+
+    // Hidden recipes are reported as missing to everyone but their owner and moderators
+    const session =
+      recipe && !isPublicRecipe(recipe) ? await getOptionalSession() : null;
+    if (!recipe || !(await canViewRecipe(db, recipe, session))) {
+      return NextResponse.json({ error: "Recipe not found" }, { status: 404 });
+    }
+
+    const sharedFeatures = [{ tags: { $in: recipe.tags || [] } }];
+    if (recipe.category) sharedFeatures.push({ category: recipe.category });
+
+    const candidates = await db
+      .collection("recipes")
+      .find(
+        { ...PUBLIC_RECIPE_FILTER, _id: { $ne: id }, $or: sharedFeatures },
+        { projection: FEATURE_PROJECTION }
+      )
+      .sort({ averageRating: -1 })
+      .limit(CANDIDATE_LIMIT)
+      .toArray();
+
+    const rankedIds = candidates
+      .map((other) => ({
+        id: other._id,
+        score: similarityScore(recipe, other),
+      }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map((ranked) => ranked.id);
+
+    // Load the full recipes so cards can show, favorite and download them
+    const recipes = await db
+      .collection("recipes")
+      .find({ _id: { $in: rankedIds } })
+      .toArray();
+    const recipesById = new Map(recipes.map((item) => [item._id, item]));
+
+    return NextResponse.json({
+      recipes: rankedIds.map((rankedId) => recipesById.get(rankedId)),
+    });
+  } catch (error) {
+    console.error("Error fetching similar recipes:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch similar recipes" },
+      { status: 500 }
+    );
+  }
+}
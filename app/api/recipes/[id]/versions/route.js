@@ -0,0 +1,177 @@
+import { NextResponse } from "next/server";
+import clientPromise from "@/lib/mongodb";
+import { requireRole, getOptionalSession } from "@/lib/requireRole";
+import { revalidateTag } from "next/cache";
+import {
+  buildVersionUpdate,
+  listVersions,
+  pickVersionedFields,
+} from "@/lib/recipeVersions";
+import {
+  canEditRecipe,
+  canViewRecipe,
+  getModerationReset,
+  isPublicRecipe,
+} from "@/lib/userRecipes";
+import { ROLES, hasRole } from "@/lib/roles";
+import {
+  normalizeRecipeUpdate,
+  validateRecipeUpdate,
+} from "@/lib/recipeSchema";
+import { getCategoryNames } from "@/lib/taxonomy";
+
+// Mark route as dynamic since it involves database operations
+export const dynamic = "force-dynamic";
+
+/**
+ * Fetch the version history of a recipe.
+ * @param {Object} request - The HTTP request object.
+ * @param {Object} params - The route parameters.
+ * @param {string} params.id - The ID of the recipe.
+ * @returns {Promise<NextResponse>} A response containing the versions (newest first) and the
+ * recipe's update count, or an error if the recipe is not found.
+ *
+ * @example
+ * GET /api/recipes/{id}/versions
+ * Response: { versions: [{ id: "1733140800000", userName: "Jane", description: "...", current: true }], updateCount: 3 }
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id } = params;
+    const client = await clientPromise;
+    const db = client.db("devdb");
+
+    const recipe = await db.collection("recipes").findOne(
+      { _id: id },
+      {
+        projection: {
+          userVersions: 1,
+          updateCount: 1,
+          ownerId: 1,
+          visibility: 1,
+          moderationStatus: 1,
+        },
+      }
+    );
+
+    // Hidden recipes are reported as missing to everyone but their owner and moderators
+    const session =
+      recipe && !isPublicRecipe(recipe) ? await getOptionalSession() : null;
+    if (!recipe || !(await canViewRecipe(db, recipe, session))) {
+      return NextResponse.json({ error: "Recipe not found" }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      versions: listVersions(recipe),
+      updateCount: recipe.updateCount || 0,
+    });
+  } catch (error) {
+    console.error("Error fetching recipe versions:", error.message);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Restore a previous version of a recipe. The restore is recorded as a new version.
+ * @param {Object} request - The HTTP request object containing the `versionId` to restore.
+ * @param {Object} params - The route parameters.
+ * @param {string} params.id - The ID of the recipe.
+ * @returns {Promise<NextResponse>} A response containing the updated recipe, or an error if the
+ * recipe or version is not found or the version is no longer a valid recipe.
+ *
+ * @example
+ * POST /api/recipes/{id}/versions
+ * Body: { versionId: "1733140800000" }
+ */
+export async function POST(request, { params }) {
+  try {
+    const { session, db, role, error } = await requireRole();
+    if (error) return error;
+
+    const { id } = params;
+    const { versionId } = await request.json();
+
+    const recipe = await db.collection("recipes").findOne({ _id: id });
+    if (!recipe || !(await canViewRecipe(db, recipe, session))) {
+      return NextResponse.json({ error: "Recipe not found" }, { status: 404 });
+    }
+    if (!(await canEditRecipe(db, recipe, session))) {
+      return NextResponse.json(
+        { error: "You can only edit recipes you created" },
+        { status: 403 }
+      );
+    }
+
+    const version = listVersions(recipe).find(
+      (entry) => entry.id === String(versionId)
+    );
+    if (!version) {
+      return NextResponse.json({ error: "Version not found" }, { status: 404 });
+    }
+    if (version.current) {
+      return NextResponse.json(
+        { error: "This version is already the current one" },
+        { status: 400 }
+      );
+    }
+
+    // Versions saved before snapshots were kept only record the author and time
+    const fields = normalizeRecipeUpdate(pickVersionedFields(version));
+    if (Object.keys(fields).length === 0) {
+      return NextResponse.json(
+        { error: "This version has no saved content to restore" },
+        { status: 400 }
+      );
+    }
+
+    // Old versions are checked like an edit, as the rules may have changed since
+    const { valid, errors } = validateRecipeUpdate(fields);
+    if (!valid) {
+      return NextResponse.json(
+        {
+          error: `This version cannot be restored: ${errors.join("; ")}`,
+          errors,
+        },
+        { status: 400 }
+      );
+    }
+
+    if (fields.category) {
+      const categories = await getCategoryNames(db);
+      if (!categories.includes(fields.category)) {
+        return NextResponse.json(
+          { error: "This version's category no longer exists" },
+          { status: 400 }
+        );
+      }
+    }
+
+    // Restoring counts as an edit, so public submissions are moderated again
+    const update = buildVersionUpdate(recipe, fields, {
+      userName: session.user.name || session.user.email,
+      restoredFrom: version.id,
+    });
+    Object.assign(
+      update.$set,
+      getModerationReset(recipe, hasRole(role, ROLES.MODERATOR))
+    );
+    await db.collection("recipes").updateOne({ _id: id }, update);
+    revalidateTag(`recipe-${id}`);
+
+    const updatedRecipe = await db.collection("recipes").findOne({ _id: id });
+
+    return NextResponse.json({
+      message: "Version restored successfully",
+      recipe: updatedRecipe,
+    });
+  } catch (error) {
+    console.error("Error restoring recipe version:", error.message);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
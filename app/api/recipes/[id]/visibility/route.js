@@ -0,0 +1,78 @@
+import { NextResponse } from "next/server";
+import { requireRole } from "@/lib/requireRole";
+import { revalidateTag } from "next/cache";
+import {
+  MODERATION_STATUS,
+  RECIPE_VISIBILITY,
+  getModerationStatus,
+  isRecipeOwner,
+} from "@/lib/userRecipes";
+
+// Mark route as dynamic since it involves database operations
+export const dynamic = "force-dynamic";
+
+/**
+ * Make a recipe the signed-in user created public or private. Making a recipe public sends it
+ * to the moderation queue unless it was already approved.
+ * @param {Object} request - The HTTP request object containing the new `visibility`.
+ * @param {Object} params - The route parameters.
+ * @param {string} params.id - The ID of the recipe.
+ * @returns {Promise<NextResponse>} A response containing the new visibility and moderation
+ * status, or an error if the recipe is not found or not owned by the user.
+ *
+ * @example
+ * PUT /api/recipes/{id}/visibility
+ * Body: { visibility: "public" }
+ * Response: { visibility: "public", moderationStatus: "pending" }
+ */
+export async function PUT(request, { params }) {
+  try {
+    const { session, db, error } = await requireRole();
+    if (error) return error;
+
+    const { id } = params;
+    const { visibility } = await request.json();
+    if (!Object.values(RECIPE_VISIBILITY).includes(visibility)) {
+      return NextResponse.json(
+        { error: "Invalid visibility. Must be 'public' or 'private'." },
+        { status: 400 }
+      );
+    }
+
+    const recipe = await db.collection("recipes").findOne(
+      { _id: id },
+      { projection: { ownerId: 1, moderationStatus: 1 } }
+    );
+    if (!recipe || !isRecipeOwner(recipe, session)) {
+      return NextResponse.json({ error: "Recipe not found" }, { status: 404 });
+    }
+
+    const moderationStatus = getModerationStatus(
+      visibility,
+      recipe.moderationStatus
+    );
+    // Newly queued recipes are reviewed in submission order
+    const isNewlyQueued =
+      moderationStatus === MODERATION_STATUS.PENDING &&
+      recipe.moderationStatus !== MODERATION_STATUS.PENDING;
+    await db.collection("recipes").updateOne(
+      { _id: id },
+      {
+        $set: {
+          visibility,
+          moderationStatus,
+          ...(isNewlyQueued && { submittedAt: new Date() }),
+        },
+      }
+    );
+    revalidateTag(`recipe-${id}`);
+
+    return NextResponse.json({ visibility, moderationStatus });
+  } catch (error) {
+    console.error("Error updating recipe visibility:", error.message);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,59 @@
+import { NextResponse } from "next/server";
+import { requireRole } from "@/lib/requireRole";
+import { uploadImage } from "@/lib/cloudinary";
+
+// Mark route as dynamic since it depends on the user's session
+export const dynamic = "force-dynamic";
+
+// Largest recipe image accepted, in bytes
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Upload a recipe image to Cloudinary, for use when creating or editing a recipe.
+ * @param {Request} request - The HTTP request containing the `image` file as form data.
+ * @returns {Promise<NextResponse>} A response containing the uploaded image URL, or an error if
+ * the file is missing, not an image or too large.
+ *
+ * @example
+ * POST /api/recipes/images
+ * Body (FormData): image=<file>
+ * Response: { url: "https://res.cloudinary.com/..." }
+ */
+export async function POST(request) {
+  try {
+    const { error } = await requireRole();
+    if (error) return error;
+
+    const formData = await request.formData();
+    const imageFile = formData.get("image");
+
+    if (!(imageFile instanceof File) || !imageFile.type.startsWith("image/")) {
+      return NextResponse.json(
+        { error: "An image file is required" },
+        { status: 400 }
+      );
+    }
+    if (imageFile.size > MAX_IMAGE_SIZE) {
+      return NextResponse.json(
+        { error: "Images must be 5 MB or smaller" },
+        { status: 400 }
+      );
+    }
+
+    const uploadResult = await uploadImage(imageFile, {
+      folder: "recipe_images",
+      transformation: [
+        { width: 1200, height: 1200, crop: "limit" }, // Cap the stored image size
+        { quality: "auto" },
+      ],
+    });
+
+    return NextResponse.json({ url: uploadResult.secure_url }, { status: 201 });
+  } catch (error) {
+    console.error("Error uploading recipe image:", error);
+    return NextResponse.json(
+      { error: "Failed to upload image" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,35 @@
+import { NextResponse } from "next/server";
+import { requireRole } from "@/lib/requireRole";
+
+// Mark route as dynamic since it depends on the user's session
+export const dynamic = "force-dynamic";
+
+/**
+ * Fetch the recipes created by the signed-in user, newest first, including private recipes
+ * and submissions awaiting moderation.
+ * @returns {Promise<NextResponse>} A response containing the user's recipes.
+ *
+ * @example
+ * GET /api/recipes/mine
+ * Response: { recipes: [{ _id, title, visibility: "public", moderationStatus: "pending", ... }] }
+ */
+export async function GET() {
+  try {
+    const { session, db, error } = await requireRole();
+    if (error) return error;
+
+    const recipes = await db
+      .collection("recipes")
+      .find({ ownerId: session.user.id })
+      .sort({ published: -1 })
+      .toArray();
+
+    return NextResponse.json({ recipes });
+  } catch (error) {
+    console.error("Error fetching user recipes:", error);
+    return NextResponse.json(
+      { error: "Error fetching your recipes" },
+      { status: 500 }
+    );
+  }
+}
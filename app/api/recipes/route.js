@@ -1,11 +1,74 @@
 import { NextResponse } from "next/server";
+import { randomUUID } from "crypto";
 import clientPromise from "@/lib/mongodb";
+import { requireRole } from "@/lib/requireRole";
+import {
+  parseSearchQuery,
+  buildTextSearch,
+  buildExclusions,
+} from "@/lib/search";
+import { buildAllergenExclusions } from "@/lib/allergens";
+import {
+  normalizeNutrition,
+  parseNutritionRanges,
+  buildNutritionFilters,
+} from "@/lib/nutrition";
+import {
+  normalizeRecipeUpdate,
+  validateNewRecipe,
+} from "@/lib/recipeSchema";
+import {
+  PUBLIC_RECIPE_FILTER,
+  RECIPE_VISIBILITY,
+  buildSubmittedRecipe,
+} from "@/lib/userRecipes";
+import { getCategoryNames } from "@/lib/taxonomy";
 
 // Mark route as dynamic since it depends on request parameters
 export const dynamic = "force-dynamic";
 
+/**
+ * Returns a copy of a recipe with its nutrition values converted to numbers.
+ * @param {Object} recipe - The recipe document
+ * @returns {Object} The recipe with numeric nutrition values
+ */
+const withNumericNutrition = (recipe) => ({
+  ...recipe,
+  nutrition: normalizeNutrition(recipe.nutrition),
+});
+
+// Total preparation and cooking time in minutes, treating missing times as zero
+const TOTAL_TIME = {
+  $add: [{ $ifNull: ["$prep", 0] }, { $ifNull: ["$cook", 0] }],
+};
+
+// Sort keys computed from other fields, which are sorted in an aggregation pipeline
+const COMPUTED_SORT_FIELDS = {
+  instructionCount: { $size: "$instructions" },
+  totalTime: TOTAL_TIME,
+};
+
+/**
+ * Reads a positive number of minutes from the search parameters.
+ * @param {URLSearchParams} searchParams - The request search parameters
+ * @param {string} name - The parameter name
+ * @returns {number|null} The number of minutes, or null if missing or invalid
+ */
+const getMinutesParam = (searchParams, name) => {
+  const minutes = parseFloat(searchParams.get(name));
+  return Number.isFinite(minutes) && minutes >= 0 ? minutes : null;
+};
+
 /**
  * Handles GET requests for recipes with pagination, filtering, sorting, and category/tag/ingredient filtering.
+ * Recipes containing any allergen listed in `excludeAllergens[]` are left out, and nutrition ranges
+ * such as `maxCalories`, `minProtein` or `maxSodium` (per serving) narrow the results further.
+ * `maxPrep`, `maxCook` and `maxTotalTime` limit the time in minutes, and `sortBy=totalTime` sorts
+ * by prep plus cook time.
+ * Nutrition values are returned as numbers. Private recipes and submissions awaiting moderation
+ * are never listed.
+ * Searches use the weighted full-text index, support "quoted phrases" and -negated terms, and
+ * include each recipe's text `score`; pass `sortBy=relevance` to rank results by that score.
  * @param {Request} request - The incoming HTTP request
  * @returns {Promise<NextResponse>} JSON response with recipes data, total count, pagination details, and categories.
  */
@@ -25,18 +88,31 @@ export async function GET(request) {
     const ingredientMatchType =
       searchParams.get("ingredientMatchType") || "all";
     const numberOfSteps = searchParams.get("numberOfSteps");
+    const excludeAllergens = searchParams.getAll("excludeAllergens[]");
+    const maxPrep = getMinutesParam(searchParams, "maxPrep");
+    const maxCook = getMinutesParam(searchParams, "maxCook");
+    const maxTotalTime = getMinutesParam(searchParams, "maxTotalTime");
 
     // Connect to MongoDB
     const client = await clientPromise;
     const db = client.db("devdb");
 
-    // Build the query object
-    const query = {};
+    // Build the query object, limited to recipes in the public catalog
+    const query = { ...PUBLIC_RECIPE_FILTER };
 
-    if (search) {
-      query.$or = [{ title: { $regex: search, $options: "i" } }];
+    // Full-text search across title, description, ingredients, tags and instructions
+    const parsedSearch = parseSearchQuery(search);
+    const textSearch = buildTextSearch(parsedSearch);
+    if (textSearch) {
+      query.$text = { $search: textSearch };
+    }
+    if (parsedSearch.excluded.length > 0) {
+      query.$nor = buildExclusions(parsedSearch.excluded);
     }
 
+    // Include the text score on each recipe whenever a text search is active
+    const projection = textSearch ? { score: { $meta: "textScore" } } : {};
+
     if (category) {
       query.category = category;
     }
@@ -63,6 +139,34 @@ export async function GET(request) {
       }
     }
 
+    // Exclude recipes containing any of the given allergens
+    const allergenExclusions = buildAllergenExclusions(excludeAllergens);
+    if (allergenExclusions.length > 0) {
+      query.$nor = [...(query.$nor || []), ...allergenExclusions];
+    }
+
+    // Nutrition range filters (per serving)
+    const nutritionFilters = buildNutritionFilters(
+      parseNutritionRanges(searchParams)
+    );
+    if (nutritionFilters.length > 0) {
+      query.$and = [...(query.$and || []), ...nutritionFilters];
+    }
+
+    // Time filters (in minutes)
+    if (maxPrep !== null) {
+      query.prep = { $lte: maxPrep };
+    }
+    if (maxCook !== null) {
+      query.cook = { $lte: maxCook };
+    }
+    if (maxTotalTime !== null) {
+      query.$and = [
+        ...(query.$and || []),
+        { $expr: { $lte: [TOTAL_TIME, maxTotalTime] } },
+      ];
+    }
+
     // Add number of steps filter
     if (numberOfSteps) {
       const stepsCount = parseInt(numberOfSteps, 10);
@@ -76,17 +180,23 @@ export async function GET(request) {
 
     // Handle sorting
     let sortObject = { $natural: 1 };
-    if (sortBy !== "$natural") {
-      if (sortBy === "instructionCount") {
-        // Add a pipeline stage to count instructions
+    if (sortBy === "relevance") {
+      // Relevance only applies to text searches; otherwise keep the natural order
+      if (textSearch) {
+        sortObject = { score: { $meta: "textScore" } };
+      }
+    } else if (sortBy !== "$natural") {
+      if (COMPUTED_SORT_FIELDS[sortBy]) {
+        // Add a pipeline stage to compute the sort key (e.g. instruction count or total time)
         const pipeline = [
           { $match: query },
           {
             $addFields: {
-              instructionCount: { $size: "$instructions" },
+              [sortBy]: COMPUTED_SORT_FIELDS[sortBy],
+              ...projection,
             },
           },
-          { $sort: { instructionCount: order === "asc" ? 1 : -1 } },
+          { $sort: { [sortBy]: order === "asc" ? 1 : -1 } },
           { $skip: skip },
           { $limit: limit },
         ];
@@ -99,7 +209,7 @@ export async function GET(request) {
         const categories = await db.collection("categories").find({}).toArray();
 
         return NextResponse.json({
-          recipes,
+          recipes: recipes.map(withNumericNutrition),
           total,
           totalPages: Math.ceil(total / limit),
           categories,
@@ -109,11 +219,11 @@ export async function GET(request) {
       }
     }
 
-    // Fetch recipes, total count, and categories concurrently (for non-instruction count sorts)
+    // Fetch recipes, total count, and categories concurrently (for non-computed sorts)
     const [recipes, total, categories] = await Promise.all([
       db
         .collection("recipes")
-        .find(query)
+        .find(query, { projection })
         .sort(sortObject)
         .skip(skip)
         .limit(limit)
@@ -123,7 +233,7 @@ export async function GET(request) {
     ]);
 
     return NextResponse.json({
-      recipes,
+      recipes: recipes.map(withNumericNutrition),
       total,
       totalPages: Math.ceil(total / limit),
       categories,
@@ -136,3 +246,72 @@ export async function GET(request) {
     );
   }
 }
+
+/**
+ * Create a recipe submitted by the signed-in user. Images are uploaded first through
+ * `POST /api/recipes/images`. Public recipes are added to the moderation queue and only appear
+ * in the catalog once a moderator approves them; private recipes are only visible to their owner.
+ * @param {Request} request - The HTTP request containing the recipe fields and `visibility`.
+ * @returns {Promise<NextResponse>} A response containing the created recipe, or an error if
+ * the recipe is invalid.
+ *
+ * @example
+ * POST /api/recipes
+ * Body: { title: "Lemon Bars", description: "...", category: "Dessert", prep: 20, cook: 30,
+ *   servings: 12, ingredients: { "flour": "2 cups" }, instructions: ["..."], tags: ["Easy"],
+ *   images: ["https://res.cloudinary.com/..."], visibility: "public" }
+ */
+export async function POST(request) {
+  try {
+    const { session, db, error } = await requireRole();
+    if (error) return error;
+
+    const body = await request.json();
+    const visibility = body.visibility || RECIPE_VISIBILITY.PUBLIC;
+    if (!Object.values(RECIPE_VISIBILITY).includes(visibility)) {
+      return NextResponse.json(
+        { error: "Invalid visibility. Must be 'public' or 'private'." },
+        { status: 400 }
+      );
+    }
+
+    // Validate the recipe against the recipe schema
+    const values = normalizeRecipeUpdate(body);
+    const { valid, errors } = validateNewRecipe(values);
+    if (!valid) {
+      return NextResponse.json(
+        { error: errors.join("; "), errors },
+        { status: 400 }
+      );
+    }
+
+    const categories = await getCategoryNames(db);
+    if (!categories.includes(values.category)) {
+      return NextResponse.json({ error: "Unknown category" }, { status: 400 });
+    }
+
+    const recipe = buildSubmittedRecipe(values, {
+      id: randomUUID(),
+      user: session.user,
+      visibility,
+    });
+    await db.collection("recipes").insertOne(recipe);
+
+    return NextResponse.json(
+      {
+        message:
+          visibility === RECIPE_VISIBILITY.PUBLIC
+            ? "Recipe submitted for review"
+            : "Recipe created",
+        recipe,
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Error creating recipe:", error);
+    return NextResponse.json(
+      { error: "Error creating recipe" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,123 @@
+import { NextResponse } from "next/server";
+import clientPromise from "@/lib/mongodb";
+import { getOptionalSession } from "@/lib/requireRole";
+import { canViewRecipe, isPublicRecipe } from "@/lib/userRecipes";
+import {
+  getVersionStamp,
+  isOutdatedCopy,
+  listVersions,
+} from "@/lib/recipeVersions";
+
+// Mark route as dynamic since it involves database operations
+export const dynamic = "force-dynamic";
+
+// Most downloaded recipes checked in one request
+const MAX_RECIPES = 200;
+
+// Fields needed to compare versions and check who may see each recipe
+const SYNC_PROJECTION = {
+  title: 1,
+  lastModified: 1,
+  updateCount: 1,
+  userVersions: 1,
+  ownerId: 1,
+  visibility: 1,
+  moderationStatus: 1,
+};
+
+/**
+ * Check which downloaded recipes have been edited since they were downloaded.
+ * @param {Object} request - The HTTP request object. The body lists the downloaded copies, each
+ * with the recipe `id` and the `lastModified` and `updateCount` it was downloaded with.
+ * @returns {Promise<NextResponse>} A response listing the out-of-date recipes, with their current
+ * version and who edited them since, and the IDs of recipes that no longer exist or can no
+ * longer be seen, or an error if the body is invalid.
+ *
+ * @example
+ * POST /api/recipes/sync
+ * Body: { recipes: [{ id: "abc", lastModified: "2024-12-02T12:00:00.000Z", updateCount: 2 }] }
+ * Response: {
+ *   stale: [{ id: "abc", title: "Pancakes", lastModified: "2024-12-05T09:30:00.000Z",
+ *             updateCount: 3, updatedBy: ["Jane"] }],
+ *   missing: []
+ * }
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json().catch(() => ({}));
+    const copies = Array.isArray(body.recipes) ? body.recipes : null;
+
+    if (!copies || copies.some((copy) => typeof copy?.id !== "string")) {
+      return NextResponse.json(
+        {
+          error: "recipes must be a list of { id, lastModified, updateCount }",
+        },
+        { status: 400 }
+      );
+    }
+    if (copies.length > MAX_RECIPES) {
+      return NextResponse.json(
+        { error: `At most ${MAX_RECIPES} recipes can be checked at once` },
+        { status: 400 }
+      );
+    }
+    if (copies.length === 0) {
+      return NextResponse.json({ stale: [], missing: [] });
+    }
+
+    const client = await clientPromise;
+    const db = client.db("devdb");
+
+    const recipes = await db
+      .collection("recipes")
+      .find(
+        { _id: { $in: copies.map((copy) => copy.id) } },
+        { projection: SYNC_PROJECTION }
+      )
+      .toArray();
+    const recipesById = new Map(recipes.map((recipe) => [recipe._id, recipe]));
+
+    // Hidden recipes are reported as missing to everyone else
+    const session = recipes.every(isPublicRecipe)
+      ? null
+      : await getOptionalSession();
+
+    const stale = [];
+    const missing = [];
+
+    for (const copy of copies) {
+      const recipe = recipesById.get(copy.id);
+      if (!recipe || !(await canViewRecipe(db, recipe, session))) {
+        missing.push(copy.id);
+        continue;
+      }
+      if (!isOutdatedCopy(copy, recipe)) continue;
+
+      // Editors of the versions saved after the copy was taken
+      const { lastModified: copiedAt } = getVersionStamp(copy);
+      const updatedBy = listVersions(recipe)
+        .filter(
+          (version) =>
+            version.userName &&
+            (!copiedAt ||
+              new Date(version.lastModified).toISOString() > copiedAt)
+        )
+        .map((version) => version.userName);
+
+      stale.push({
+        id: recipe._id,
+        title: recipe.title,
+        ...getVersionStamp(recipe),
+        updatedBy: [...new Set(updatedBy)],
+      });
+    }
+
+    return NextResponse.json({ stale, missing });
+  } catch (error) {
+    console.error("Error checking downloaded recipes:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
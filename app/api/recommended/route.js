@@ -1,75 +1,199 @@
 import { NextResponse } from "next/server";
+import { getServerSession } from "next-auth/next";
 import clientPromise from "@/lib/mongodb";
+import { authOptions } from "@/app/api/auth/[...nextauth]/route";
+import { PUBLIC_RECIPE_FILTER } from "@/lib/userRecipes";
+import {
+  buildAffinityProfile,
+  scoreRecipe,
+  topFeatures,
+} from "@/lib/recommendations";
 
 // Mark route as dynamic since it involves database operations
 export const dynamic = "force-dynamic";
 
+// Number of recipes recommended
+const RECOMMENDATION_COUNT = 10;
+
+// Most recipes scored for one user, picked by the categories and tags they like best
+const CANDIDATE_LIMIT = 500;
+
+// Fields needed to score a recipe
+const FEATURE_PROJECTION = { category: 1, tags: 1, ingredients: 1 };
+
+// Fields returned for each recommended recipe
+const CARD_PROJECTION = { title: 1, images: 1, averageRating: 1 };
+
 /**
- * A simple store to track unique recipes based on their IDs.
- * Ensures that duplicate recipes are not included in the response.
+ * Fetches the best rated public recipes.
+ * @param {Object} db - The database.
+ * @param {string[]} [excludedIds=[]] - Recipe IDs to leave out.
+ * @param {number} [limit=RECOMMENDATION_COUNT] - The number of recipes.
+ * @returns {Promise<Array<Object>>} The recipes, best rated first.
  */
-class RecipeStore {
-  constructor() {
-    this.seen = new Set();
-  }
+const getTopRated = (db, excludedIds = [], limit = RECOMMENDATION_COUNT) =>
+  db
+    .collection("recipes")
+    .find(
+      {
+        ...PUBLIC_RECIPE_FILTER,
+        _id: { $nin: excludedIds },
+        averageRating: { $exists: true, $gt: 0 },
+      },
+      { projection: CARD_PROJECTION }
+    )
+    .sort({ averageRating: -1 })
+    .limit(limit)
+    .toArray();
 
-  /**
-   * Adds a recipe to the store if it's unique.
-   * @param {Object} recipe - The recipe object.
-   * @returns {boolean} - True if the recipe was added, false if it was a duplicate.
-   */
-  add(recipe) {
-    if (this.seen.has(recipe._id)) {
-      return false; // Duplicate recipe
-    }
-    this.seen.add(recipe._id);
-    return true; // Unique recipe
-  }
+/**
+ * Builds the signed-in user's taste profile from their favorites, reviews and cooking history.
+ * @param {Object} db - The database.
+ * @param {Object} session - The NextAuth session.
+ * @returns {Promise<Object>} The profile from buildAffinityProfile.
+ */
+const getUserProfile = async (db, session) => {
+  const userId = session.user.id;
+  const [favorites, reviewed, cooks] = await Promise.all([
+    db
+      .collection("favorites")
+      .find({ userEmail: session.user.email }, { projection: { recipeId: 1 } })
+      .toArray(),
+    db
+      .collection("recipes")
+      .find(
+        { "reviews.userId": userId },
+        {
+          projection: {
+            ...FEATURE_PROJECTION,
+            reviews: { $elemMatch: { userId } },
+          },
+        }
+      )
+      .toArray(),
+    db
+      .collection("cook_log")
+      .aggregate([
+        { $match: { userId } },
+        {
+          $group: {
+            _id: "$recipeId",
+            count: { $sum: 1 },
+            lowestRating: { $min: "$rating" },
+          },
+        },
+      ])
+      .toArray(),
+  ]);
 
-  /**
-   * Resets the store, clearing all tracked recipe IDs.
-   */
-  clear() {
-    this.seen.clear();
-  }
-}
+  const recipeIds = [
+    ...new Set([
+      ...favorites.map((favorite) => favorite.recipeId),
+      ...cooks.map((cook) => cook._id),
+    ]),
+  ];
+  const recipes = await db
+    .collection("recipes")
+    .find({ _id: { $in: recipeIds } }, { projection: FEATURE_PROJECTION })
+    .toArray();
+  const recipesById = new Map(recipes.map((recipe) => [recipe._id, recipe]));
 
-const recipeStore = new RecipeStore();
+  return buildAffinityProfile({
+    favorites: favorites
+      .map((favorite) => recipesById.get(favorite.recipeId))
+      .filter(Boolean),
+    reviews: reviewed.map((recipe) => ({
+      recipe,
+      rating: recipe.reviews[0].rating,
+    })),
+    cooks: cooks
+      .filter((cook) => recipesById.has(cook._id))
+      .map((cook) => ({
+        recipe: recipesById.get(cook._id),
+        count: cook.count,
+        lowestRating: cook.lowestRating ?? null,
+      })),
+  });
+};
 
 /**
- * Fetch the top 10 unique rated recipes.
- * Filters duplicate recipes before returning the response.
+ * Fetch recommended recipes. Signed-in users get recipes matching the categories, tags and
+ * ingredients of what they favorited, rated highly and cooked, leaving out recipes they
+ * already favorited or disliked and topped up from the best rated recipes. Everyone else, and
+ * users with no activity yet, gets the best rated recipes.
+ *
+ * @returns {Promise<NextResponse>} A response containing the recipes and whether they were
+ * personalized.
  *
- * @returns {Promise<NextResponse>} A response containing the top 10 unique rated recipes.
+ * @example
+ * GET /api/recommended
+ * Response: { recipes: [{ _id, title, images, averageRating }], personalized: true }
  */
 export async function GET() {
   try {
     const client = await clientPromise;
     const db = client.db("devdb");
+    const session = await getServerSession(authOptions);
 
-    // Get recipes sorted by averageRating in descending order
-    const rawRecipes = await db
-      .collection("recipes")
-      .find({ averageRating: { $exists: true, $gt: 0 } })
-      .sort({ averageRating: -1 })
-      .limit(20) // Fetch more to account for potential duplicates
-      .toArray();
-
-    // Filter out duplicates using the store
-    const uniqueRecipes = rawRecipes.filter((recipe) =>
-      recipeStore.add(recipe)
-    );
+    const profile = session?.user?.id
+      ? await getUserProfile(db, session)
+      : null;
+    if (!profile?.hasSignals) {
+      return NextResponse.json({
+        recipes: await getTopRated(db),
+        personalized: false,
+      });
+    }
+
+    const excludedIds = [...profile.excludedIds];
+    const categories = topFeatures(profile.categories, 5);
+    const tags = topFeatures(profile.tags, 10);
+
+    let recommended = [];
+    if (categories.length > 0 || tags.length > 0) {
+      const candidates = await db
+        .collection("recipes")
+        .find(
+          {
+            ...PUBLIC_RECIPE_FILTER,
+            _id: { $nin: excludedIds },
+            $or: [{ category: { $in: categories } }, { tags: { $in: tags } }],
+          },
+          { projection: { ...CARD_PROJECTION, ...FEATURE_PROJECTION } }
+        )
+        .sort({ averageRating: -1 })
+        .limit(CANDIDATE_LIMIT)
+        .toArray();
+
+      recommended = candidates
+        .map((recipe) => ({ recipe, score: scoreRecipe(recipe, profile) }))
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, RECOMMENDATION_COUNT)
+        .map(({ recipe: { _id, title, images, averageRating } }) => ({
+          _id,
+          title,
+          images,
+          averageRating,
+        }));
+    }
+
+    // Top up with the best rated recipes the user has not seen in the list
+    if (recommended.length < RECOMMENDATION_COUNT) {
+      const topRated = await getTopRated(
+        db,
+        [...excludedIds, ...recommended.map((recipe) => recipe._id)],
+        RECOMMENDATION_COUNT - recommended.length
+      );
+      recommended = [...recommended, ...topRated];
+    }
 
-    // Return only the top 10 unique recipes
-    return NextResponse.json({ recipes: uniqueRecipes.slice(0, 10) });
+    return NextResponse.json({ recipes: recommended, personalized: true });
   } catch (error) {
     console.error("Error fetching recommended recipes:", error);
     return NextResponse.json(
       { error: "Failed to fetch recipes" },
       { status: 500 }
     );
-  } finally {
-    // Clear the store for future requests
-    recipeStore.clear();
   }
 }
@@ -1,17 +1,81 @@
 /**
  * API Handlers for Shopping List Management
  *
- * @description Provides functionality to add and remove items from a user's shopping list.
- * Includes session-based authentication and list ownership verification.
+ * @description Provides functionality to add, change and remove items in a shopping list.
+ * Only the list's owner and the editors it is shared with can change it.
  */
 import { NextResponse } from "next/server";
-import clientPromise from "@/lib/mongodb";
-import { ObjectId } from "mongodb";
-import { getServerSession } from "next-auth/next";
-import { authOptions } from "@/lib/auth";
+import { randomUUID } from "crypto";
+import { requireShoppingList } from "@/lib/requireShoppingList";
+import {
+  ITEM_CHANGE,
+  LIST_ROLES,
+  applyItemChanges,
+  attributeItemChange,
+  getMemberName,
+  normalizeItemChange,
+} from "@/lib/shoppingList";
+import { addAmounts } from "@/lib/units";
+
+// Most item changes accepted in one request
+const MAX_CHANGES = 100;
+
+// Times a change is retried when the list was saved by someone else meanwhile
+const MAX_SAVE_ATTEMPTS = 3;
 
 /**
- * Add items to a shopping list.
+ * Saves items worked out from the list's current items. The list is only saved over the
+ * version the change was applied to; if another member saved it meanwhile, the list is read
+ * again and the change applied to the new items, so no member's change is lost.
+ *
+ * @async
+ * @param {import("mongodb").Db} db - The database.
+ * @param {Object} list - The list as loaded by requireShoppingList.
+ * @param {Function} change - Called with the list's current items. Returns `{ items }` to
+ * save, or `{ response }` to stop without saving.
+ * @returns {Promise<{items: Array<Object>}|{response: NextResponse}>} The saved items, or the
+ * response to return.
+ */
+const saveItems = async (db, list, change) => {
+  let current = list;
+  for (let attempt = 0; attempt < MAX_SAVE_ATTEMPTS; attempt++) {
+    if (attempt > 0) {
+      current = await db
+        .collection("shopping_lists")
+        .findOne({ _id: list._id });
+      if (!current) {
+        return {
+          response: NextResponse.json(
+            { error: "List not found" },
+            { status: 404 }
+          ),
+        };
+      }
+    }
+
+    const result = change(current.items || []);
+    if (result.response) return result;
+
+    const { matchedCount } = await db
+      .collection("shopping_lists")
+      .updateOne(
+        { _id: current._id, updatedAt: current.updatedAt },
+        { $set: { items: result.items, updatedAt: new Date() } }
+      );
+    if (matchedCount > 0) return result;
+  }
+
+  return {
+    response: NextResponse.json(
+      { error: "The list is being changed elsewhere, try again" },
+      { status: 409 }
+    ),
+  };
+};
+
+/**
+ * Add items to a shopping list, adding amounts to items already on it. Only the fields an
+ * item change may set are stored.
  *
  * @async
  * @function POST
@@ -23,109 +87,179 @@ import { authOptions } from "@/lib/auth";
  * @throws {Error} - Returns a 500 error if an unexpected error occurs.
  *
  * @example
- * POST /api/shopping_lists/{id}
- * Body: { items: [{ name: "Milk", quantity: 1 }] }
+ * POST /api/shopping-list/{id}/items
+ * Body: { items: [{ ingredient: "Milk", amount: "1" }] }
  */
 export async function POST(request, { params }) {
   try {
-    const session = await getServerSession(authOptions);
-    if (!session) {
-      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
-    }
+    const { session, db, list, error } = await requireShoppingList(
+      params.id,
+      LIST_ROLES.EDITOR
+    );
+    if (error) return error;
 
-    const { id } = params;
     const { items } = await request.json();
 
-    if (!Array.isArray(items) || items.length === 0) {
+    // Only known item fields are stored, as for additions sent through PATCH
+    const now = new Date();
+    const toAddition = (item) =>
+      normalizeItemChange({ type: ITEM_CHANGE.ADD, item, updatedAt: now }, now);
+    const additions = Array.isArray(items) ? items.map(toAddition) : [];
+
+    if (additions.length === 0 || additions.includes(null)) {
       return NextResponse.json(
         { error: "Invalid items format" },
         { status: 400 }
       );
     }
 
-    const client = await clientPromise;
-    const db = client.db("devdb");
-
-    // Verify list ownership
-    const list = await db.collection("shopping_lists").findOne({
-      _id: new ObjectId(id),
-      userId: session.user.id,
-    });
-
-    if (!list) {
-      return NextResponse.json({ error: "List not found" }, { status: 404 });
-    }
+    const name = getMemberName(session);
+    const { response } = await saveItems(db, list, (currentItems) => {
+      const updatedItems = [...currentItems];
 
-    // Merge or add new items
-    const updatedItems = [...(list.items || [])];
+      additions.forEach(({ item: newItem }) => {
+        // Find existing item case-insensitively
+        const existingItemIndex = updatedItems.findIndex(
+          (existingItem) =>
+            existingItem.ingredient.toLowerCase() ===
+            newItem.ingredient.toLowerCase()
+        );
 
-    items.forEach((newItem) => {
-      // Find existing item case-insensitively
-      const existingItemIndex = updatedItems.findIndex(
-        (existingItem) =>
-          existingItem.ingredient.toLowerCase() ===
-          newItem.ingredient.toLowerCase()
-      );
+        if (existingItemIndex !== -1) {
+          const existingItem = updatedItems[existingItemIndex];
 
-      if (existingItemIndex !== -1) {
-        // Carefully parse and add quantities
-        const existingAmount = parseFloat(
-          updatedItems[existingItemIndex].amount
-        );
-        const newAmount = parseFloat(newItem.amount);
+          // Add quantities in the existing item's unit; keep both when they can't be added
+          updatedItems[existingItemIndex] = {
+            ...existingItem,
+            amount:
+              addAmounts(
+                existingItem.amount,
+                newItem.amount,
+                existingItem.ingredient
+              ) || `${existingItem.amount} + ${newItem.amount}`,
+            updatedAt: now,
+          };
+        } else {
+          // Add new item if not existing
+          updatedItems.push({
+            ...newItem,
+            id: newItem.id || randomUUID(),
+            purchased: false,
+            addedBy: name,
+            updatedAt: now,
+          });
+        }
+      });
 
-        // Use toFixed to handle floating point precision
-        const combinedAmount = parseFloat(
-          (existingAmount + newAmount).toFixed(2)
-        );
+      return { items: updatedItems };
+    });
+    if (response) return response;
 
-        updatedItems[existingItemIndex] = {
-          ...updatedItems[existingItemIndex],
-          amount: combinedAmount.toString(),
-          updatedAt: new Date(),
-        };
-      } else {
-        // Add new item if not existing
-        updatedItems.push({
-          ...newItem,
-          purchased: false,
-          addedAt: new Date(),
-        });
-      }
+    // Fetch and return the updated list
+    const updatedList = await db.collection("shopping_lists").findOne({
+      _id: list._id,
     });
 
-    // Update the document with the merged items array
-    const result = await db.collection("shopping_lists").updateOne(
-      { _id: new ObjectId(id) },
-      {
-        $set: {
-          items: updatedItems,
-          updatedAt: new Date(),
-        },
-      }
+    return NextResponse.json(updatedList);
+  } catch (error) {
+    console.error("Error adding items to shopping list:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
+
+/**
+ * Apply item-level changes to a shopping list: check items off, change their amounts, and add
+ * or remove items. A change made before the item's last change is skipped, so changes queued
+ * while offline never overwrite newer edits (see lib/shoppingList.js).
+ *
+ * @async
+ * @function PATCH
+ * @param {Request} request - The HTTP request object containing the changes, oldest first.
+ * @param {Object} context - The context object containing route parameters.
+ * @param {string} context.params.id - The ID of the shopping list to update.
+ * @returns {NextResponse} - A JSON response with the list's items after the changes and the
+ * ingredients whose changes were skipped, or an error message.
+ *
+ * @throws {Error} - Returns a 500 error if an unexpected error occurs.
+ *
+ * @example
+ * PATCH /api/shopping-list/{id}/items
+ * Body: { changes: [{ type: "update", id: "f3a1...", ingredient: "Milk",
+ *                     set: { purchased: true }, updatedAt: "2024-12-02T12:00:00.000Z" }] }
+ * Response: { items: [...], skipped: [] }
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const { session, db, list, error } = await requireShoppingList(
+      params.id,
+      LIST_ROLES.EDITOR
     );
+    if (error) return error;
+
+    const body = await request.json().catch(() => ({}));
+    const now = new Date();
+    const changes = Array.isArray(body.changes)
+      ? body.changes.map((change) => normalizeItemChange(change, now))
+      : [];
 
-    if (result.modifiedCount === 0) {
+    if (changes.length === 0 || changes.includes(null)) {
       return NextResponse.json(
-        { error: "Failed to update items" },
+        { error: "Invalid changes format" },
+        { status: 400 }
+      );
+    }
+    if (changes.length > MAX_CHANGES) {
+      return NextResponse.json(
+        { error: `At most ${MAX_CHANGES} changes can be sent at once` },
         { status: 400 }
       );
     }
 
-    // Fetch and return the updated list
-    const updatedList = await db.collection("shopping_lists").findOne({
-      _id: new ObjectId(id),
+    // New items get an ID if the client did not give one
+    const name = getMemberName(session);
+    const attributedChanges = changes.map((change) => {
+      if (change.item && !change.item.id) change.item.id = randomUUID();
+      return attributeItemChange(change, name);
     });
 
-    return NextResponse.json(updatedList);
+    let skippedIngredients = [];
+    const result = await saveItems(db, list, (currentItems) => {
+      const { items, skipped } = applyItemChanges(
+        currentItems,
+        attributedChanges
+      );
+      skippedIngredients = skipped.map(
+        (change) => change.item?.ingredient ?? change.ingredient
+      );
+
+      // Nothing to save when every change was skipped
+      if (skipped.length === changes.length) {
+        return {
+          response: NextResponse.json({
+            items: currentItems,
+            skipped: skippedIngredients,
+          }),
+        };
+      }
+      return { items };
+    });
+    if (result.response) return result.response;
+
+    return NextResponse.json({
+      items: result.items,
+      skipped: skippedIngredients,
+    });
   } catch (error) {
-    console.error("Error adding items to shopping list:", error);
+    console.error("Error changing shopping list items:", error);
     return NextResponse.json({ error: error.message }, { status: 500 });
   }
 }
 
 /**
- * Remove an item from a shopping list by index.
+ * Remove an item from a shopping list by index. When the item's ingredient is also given, the
+ * item is found by name if it has moved, so a removal queued while offline still removes the
+ * right item; if no item has that name it was already removed and a 404 is returned. A
+ * request naming no item, or an index outside the list, is refused with a 400.
  *
  * @async
  * @function DELETE
@@ -138,54 +272,66 @@ export async function POST(request, { params }) {
  *
  * @example
  * DELETE /api/shopping_lists/{id}
- * Body: { index: 0 }
+ * Body: { index: 0, ingredient: "Milk" }
  */
 export async function DELETE(request, { params }) {
   try {
-    const session = await getServerSession(authOptions);
-    if (!session) {
-      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
-    }
-
-    const { id } = params;
-    const { index } = await request.json(); // Change from itemId to index
-
-    const client = await clientPromise;
-    const db = client.db("devdb");
-
-    // Verify list ownership
-    const list = await db.collection("shopping_lists").findOne({
-      _id: new ObjectId(id),
-      userId: session.user.id,
-    });
-
-    if (!list) {
-      return NextResponse.json({ error: "List not found" }, { status: 404 });
-    }
-
-    // Create a copy of items array and remove the item at the specified index
-    const updatedItems = list.items.filter(
-      (_, itemIndex) => itemIndex !== index
+    const { db, list, error } = await requireShoppingList(
+      params.id,
+      LIST_ROLES.EDITOR
     );
+    if (error) return error;
 
-    // Update the document with the new items array
-    const result = await db.collection("shopping_lists").updateOne(
-      { _id: new ObjectId(id) },
-      {
-        $set: {
-          items: updatedItems,
-          updatedAt: new Date(),
-        },
-      }
-    );
+    const { index, ingredient } = await request.json(); // Change from itemId to index
 
-    if (result.modifiedCount === 0) {
+    if (
+      ingredient === undefined
+        ? !Number.isInteger(index)
+        : typeof ingredient !== "string"
+    ) {
       return NextResponse.json(
-        { error: "Failed to remove item" },
+        { error: "A valid item index or ingredient is required" },
         { status: 400 }
       );
     }
 
+    const { response } = await saveItems(db, list, (items) => {
+      const hasIndex =
+        Number.isInteger(index) && index >= 0 && index < items.length;
+
+      // Prefer the item at the given index, but only if it is still the named one
+      let removeIndex = hasIndex ? index : -1;
+      if (ingredient !== undefined) {
+        const isNamedItem = (item) =>
+          item?.ingredient?.toLowerCase() === ingredient.toLowerCase();
+        removeIndex =
+          hasIndex && isNamedItem(items[index])
+            ? index
+            : items.findIndex(isNamedItem);
+
+        if (removeIndex === -1) {
+          return {
+            response: NextResponse.json(
+              { error: "Item not found" },
+              { status: 404 }
+            ),
+          };
+        }
+      } else if (!hasIndex) {
+        return {
+          response: NextResponse.json(
+            { error: "A valid item index or ingredient is required" },
+            { status: 400 }
+          ),
+        };
+      }
+
+      return {
+        items: items.filter((_, itemIndex) => itemIndex !== removeIndex),
+      };
+    });
+    if (response) return response;
+
     return NextResponse.json({ success: true });
   } catch (error) {
     console.error("Error removing item from shopping list:", error);
@@ -0,0 +1,213 @@
+/**
+ * API Handlers for Sharing Shopping Lists
+ *
+ * @description Provides functionality to invite users to a shopping list by email, change
+ * what they may do with it and remove them again. Only the list's owner can manage members;
+ * members can remove themselves to leave a list. Any email can be invited, so the response
+ * never reveals whether someone has an account; the invite applies once they sign in with it.
+ */
+import { NextResponse } from "next/server";
+import { requireShoppingList } from "@/lib/requireShoppingList";
+import {
+  LIST_ROLES,
+  MAX_LIST_MEMBERS,
+  getMemberName,
+  isMemberRole,
+} from "@/lib/shoppingList";
+
+/**
+ * Trims and lower-cases an email address.
+ *
+ * @param {*} email - The submitted email.
+ * @returns {string} The normalized email, or an empty string if invalid.
+ */
+const normalizeEmail = (email) =>
+  typeof email === "string" ? email.trim().toLowerCase() : "";
+
+/**
+ * Share a shopping list with another user.
+ *
+ * @async
+ * @function POST
+ * @param {Request} request - The HTTP request object containing the user's email and role.
+ * @param {Object} context - The context object containing route parameters.
+ * @param {string} context.params.id - The ID of the shopping list to share.
+ * @returns {NextResponse} - A JSON response with the list's members, or an error message.
+ *
+ * @throws {Error} - Returns a 500 error if an unexpected error occurs.
+ *
+ * @example
+ * POST /api/shopping-list/{id}/members
+ * Body: { email: "jane@example.com", role: "editor" }
+ * Response: { members: [{ email: "jane@example.com", name: "Jane", role: "editor", ... }] }
+ */
+export async function POST(request, { params }) {
+  try {
+    const { session, db, list, error } = await requireShoppingList(
+      params.id,
+      LIST_ROLES.OWNER
+    );
+    if (error) return error;
+
+    const body = await request.json().catch(() => ({}));
+    const email = normalizeEmail(body.email);
+    const role = body.role ?? LIST_ROLES.VIEWER;
+    const members = list.members || [];
+
+    if (!email || !isMemberRole(role)) {
+      return NextResponse.json(
+        { error: "An email and a role of viewer or editor are required" },
+        { status: 400 }
+      );
+    }
+    if (email === session.user.email?.toLowerCase()) {
+      return NextResponse.json(
+        { error: "You already own this list" },
+        { status: 400 }
+      );
+    }
+    if (members.some((member) => member.email === email)) {
+      return NextResponse.json(
+        { error: "The list is already shared with this user" },
+        { status: 409 }
+      );
+    }
+    if (members.length >= MAX_LIST_MEMBERS) {
+      return NextResponse.json(
+        {
+          error: `A list can be shared with at most ${MAX_LIST_MEMBERS} users`,
+        },
+        { status: 400 }
+      );
+    }
+
+    // The member's name is filled in when they first open their lists
+    const member = {
+      email,
+      name: email,
+      role,
+      invitedAt: new Date(),
+    };
+    await db.collection("shopping_lists").updateOne(
+      { _id: list._id },
+      {
+        $push: { members: member },
+        $set: { ownerName: getMemberName(session), updatedAt: new Date() },
+      }
+    );
+
+    return NextResponse.json({ members: [...members, member] });
+  } catch (error) {
+    console.error("Error sharing shopping list:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
+
+/**
+ * Change what a member may do with a shopping list.
+ *
+ * @async
+ * @function PATCH
+ * @param {Request} request - The HTTP request object containing the member's email and new role.
+ * @param {Object} context - The context object containing route parameters.
+ * @param {string} context.params.id - The ID of the shopping list.
+ * @returns {NextResponse} - A JSON response with the list's members, or an error message.
+ *
+ * @throws {Error} - Returns a 500 error if an unexpected error occurs.
+ *
+ * @example
+ * PATCH /api/shopping-list/{id}/members
+ * Body: { email: "jane@example.com", role: "viewer" }
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const { db, list, error } = await requireShoppingList(
+      params.id,
+      LIST_ROLES.OWNER
+    );
+    if (error) return error;
+
+    const body = await request.json().catch(() => ({}));
+    const email = normalizeEmail(body.email);
+
+    if (!isMemberRole(body.role)) {
+      return NextResponse.json(
+        { error: "Role must be viewer or editor" },
+        { status: 400 }
+      );
+    }
+    if (!(list.members || []).some((member) => member.email === email)) {
+      return NextResponse.json({ error: "Member not found" }, { status: 404 });
+    }
+
+    await db
+      .collection("shopping_lists")
+      .updateOne(
+        { _id: list._id, "members.email": email },
+        { $set: { "members.$.role": body.role, updatedAt: new Date() } }
+      );
+
+    return NextResponse.json({
+      members: list.members.map((member) =>
+        member.email === email ? { ...member, role: body.role } : member
+      ),
+    });
+  } catch (error) {
+    console.error("Error changing shopping list member:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
+
+/**
+ * Stop sharing a shopping list with a member. The owner can remove anyone; members can only
+ * remove themselves, which leaves the list.
+ *
+ * @async
+ * @function DELETE
+ * @param {Request} request - The HTTP request object containing the member's email.
+ * @param {Object} context - The context object containing route parameters.
+ * @param {string} context.params.id - The ID of the shopping list.
+ * @returns {NextResponse} - A JSON response with the list's members, or an error message.
+ *
+ * @throws {Error} - Returns a 500 error if an unexpected error occurs.
+ *
+ * @example
+ * DELETE /api/shopping-list/{id}/members
+ * Body: { email: "jane@example.com" }
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { session, db, list, role, error } = await requireShoppingList(
+      params.id
+    );
+    if (error) return error;
+
+    const body = await request.json().catch(() => ({}));
+    const email = normalizeEmail(body.email);
+    const isSelf = email === session.user.email?.toLowerCase();
+
+    if (role !== LIST_ROLES.OWNER && !isSelf) {
+      return NextResponse.json(
+        { error: "Only the list's owner can remove other members" },
+        { status: 403 }
+      );
+    }
+    if (!(list.members || []).some((member) => member.email === email)) {
+      return NextResponse.json({ error: "Member not found" }, { status: 404 });
+    }
+
+    await db
+      .collection("shopping_lists")
+      .updateOne(
+        { _id: list._id },
+        { $pull: { members: { email } }, $set: { updatedAt: new Date() } }
+      );
+
+    return NextResponse.json({
+      members: list.members.filter((member) => member.email !== email),
+    });
+  } catch (error) {
+    console.error("Error removing shopping list member:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -1,81 +1,57 @@
 /**
- * API Handlers for Updating and Deleting Shopping Lists
+ * API Handlers for Reading and Deleting Shopping Lists
  *
- * @description Provides functionality to update items in a shopping list or delete a shopping list.
- * Both operations include session-based authentication and list ownership verification.
+ * @description Provides functionality to read a shopping list or delete it. Lists can be read
+ * by everyone they are shared with and deleted only by their owner. Items are changed one at a
+ * time through ./items/route.js, so edits made by different members are merged.
  */
 import { NextResponse } from "next/server";
-import clientPromise from "@/lib/mongodb";
-import { ObjectId } from "mongodb";
-import { getServerSession } from "next-auth/next";
-import { authOptions } from "@/lib/auth";
+import { requireShoppingList } from "@/lib/requireShoppingList";
+import { LIST_ROLES } from "@/lib/shoppingList";
+
+// Mark route as dynamic since it involves database operations
+export const dynamic = "force-dynamic";
 
 /**
- * Update the items in a shopping list.
+ * Get a shopping list. Pages showing a shared list poll this to see changes made by other
+ * members: when `since` is given and the list has not changed after it, only
+ * `{ changed: false }` is returned.
  *
  * @async
- * @function PATCH
- * @param {Request} request - The HTTP request object containing the updated items.
+ * @function GET
+ * @param {Request} request - The HTTP request object, optionally with a `since` query parameter
+ * holding the `updatedAt` of the copy the client has.
  * @param {Object} context - The context object containing route parameters.
- * @param {string} context.params.id - The ID of the shopping list to update.
- * @returns {NextResponse} - A JSON response indicating success or an error message.
+ * @param {string} context.params.id - The ID of the shopping list.
+ * @returns {NextResponse} - A JSON response with the list and the user's role on it, or an error
+ * message.
  *
  * @throws {Error} - Returns a 500 error if an unexpected error occurs.
  *
  * @example
- * PATCH /api/shopping_lists/{id}
- * Body: { items: [{ name: "Bread", quantity: 2 }] }
+ * GET /api/shopping-list/{id}?since=2024-12-02T12:00:00.000Z
+ * Response: { changed: true, list: { _id: "...", items: [...], role: "editor" } }
  */
-export async function PATCH(request, { params }) {
+export async function GET(request, { params }) {
   try {
-    const session = await getServerSession(authOptions);
-    if (!session) {
-      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
-    }
-
-    const { id } = params;
-    const { items } = await request.json();
-
-    const client = await clientPromise;
-    const db = client.db("devdb");
-
-    // Verify list ownership
-    const list = await db.collection("shopping_lists").findOne({
-      _id: new ObjectId(id),
-      userId: session.user.id,
-    });
-
-    if (!list) {
-      return NextResponse.json({ error: "List not found" }, { status: 404 });
-    }
-
-    // Update the list
-    const result = await db.collection("shopping_lists").updateOne(
-      { _id: new ObjectId(id) },
-      {
-        $set: {
-          items,
-          updatedAt: new Date(),
-        },
-      }
-    );
+    const { list, role, error } = await requireShoppingList(params.id);
+    if (error) return error;
 
-    if (result.modifiedCount === 0) {
-      return NextResponse.json(
-        { error: "Failed to update list" },
-        { status: 400 }
-      );
+    const since = new Date(new URL(request.url).searchParams.get("since") || 0);
+    if (since.getTime() > 0 && new Date(list.updatedAt) <= since) {
+      return NextResponse.json({ changed: false });
     }
 
-    return NextResponse.json({ success: true });
+    return NextResponse.json({ changed: true, list: { ...list, role } });
   } catch (error) {
-    console.error("Error updating shopping list:", error);
+    console.error("Error fetching shopping list:", error);
     return NextResponse.json({ error: error.message }, { status: 500 });
   }
 }
 
 /**
- * Delete a shopping list.
+ * Delete a shopping list. Only its owner can delete it; members can leave it instead (see
+ * ./members/route.js).
  *
  * @async
  * @function DELETE
@@ -91,28 +67,16 @@ export async function PATCH(request, { params }) {
  */
 export async function DELETE(request, { params }) {
   try {
-    const session = await getServerSession(authOptions);
-    if (!session) {
-      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
-    }
-
-    const { id } = params;
-    const client = await clientPromise;
-    const db = client.db("devdb");
-
     // Verify list ownership before deletion
-    const list = await db.collection("shopping_lists").findOne({
-      _id: new ObjectId(id),
-      userId: session.user.id,
-    });
-
-    if (!list) {
-      return NextResponse.json({ error: "List not found" }, { status: 404 });
-    }
+    const { db, list, error } = await requireShoppingList(
+      params.id,
+      LIST_ROLES.OWNER
+    );
+    if (error) return error;
 
     const result = await db
       .collection("shopping_lists")
-      .deleteOne({ _id: new ObjectId(id) });
+      .deleteOne({ _id: list._id });
 
     if (result.deletedCount === 0) {
       return NextResponse.json(
@@ -5,10 +5,10 @@
  * Each operation involves session-based authentication and list ownership verification.
  */
 import { NextResponse } from "next/server";
-import clientPromise from "@/lib/mongodb";
+import { requireRole } from "@/lib/requireRole";
 import { ObjectId } from "mongodb";
-import { getServerSession } from "next-auth/next";
-import { authOptions } from "@/lib/auth";
+import { randomUUID } from "crypto";
+import { getListRole, getMemberName } from "@/lib/shoppingList";
 
 /**
  * Create a new shopping list.
@@ -28,22 +28,21 @@ import { authOptions } from "@/lib/auth";
 
 export async function POST(request) {
   try {
-    const session = await getServerSession(authOptions);
-    if (!session) {
-      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
-    }
+    const { session, db, error } = await requireRole();
+    if (error) return error;
 
     const { items, name } = await request.json();
-    const client = await clientPromise;
-    const db = client.db("devdb");
 
     const shoppingList = {
       userId: session.user.id,
       name: name || `Shopping List ${new Date().toLocaleDateString()}`, // Use provided name or default
       items: items.map((item) => ({
         ...item,
+        id: randomUUID(),
         purchased: false,
+        addedBy: getMemberName(session),
         addedAt: new Date(),
+        updatedAt: new Date(),
       })),
       createdAt: new Date(),
       updatedAt: new Date(),
@@ -59,7 +58,8 @@ export async function POST(request) {
 }
 
 /**
- * Retrieve all shopping lists for the authenticated user.
+ * Retrieve all shopping lists for the authenticated user: their own and those shared with them.
+ * Each list includes the user's `role` on it.
  *
  * @async
  * @function GET
@@ -73,21 +73,42 @@ export async function POST(request) {
  */
 export async function GET() {
   try {
-    const session = await getServerSession(authOptions);
-    if (!session) {
-      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
-    }
+    const { session, db, error } = await requireRole();
+    if (error) return error;
 
-    const client = await clientPromise;
-    const db = client.db("devdb");
+    // Lists shared with the user are found by their email
+    const access = [{ userId: session.user.id }];
+    if (session.user.email) {
+      access.push({ "members.email": session.user.email.toLowerCase() });
+    }
 
     const lists = await db
       .collection("shopping_lists")
-      .find({ userId: session.user.id })
+      .find({ $or: access })
       .sort({ createdAt: -1 })
       .toArray();
 
-    return NextResponse.json(lists);
+    // Members are invited by email; show their name to the others once they sign in
+    const email = session.user.email?.toLowerCase();
+    const unnamedMember = { email, name: email };
+    if (
+      email &&
+      session.user.name &&
+      lists.some((list) =>
+        list.members?.some((m) => m.email === email && m.name === email)
+      )
+    ) {
+      await db
+        .collection("shopping_lists")
+        .updateMany(
+          { members: { $elemMatch: unnamedMember } },
+          { $set: { "members.$.name": session.user.name } }
+        );
+    }
+
+    return NextResponse.json(
+      lists.map((list) => ({ ...list, role: getListRole(list, session) }))
+    );
   } catch (error) {
     return NextResponse.json({ error: error.message }, { status: 500 });
   }
@@ -112,17 +133,12 @@ export async function GET() {
  */
 export async function PATCH(request, { params }) {
   try {
-    const session = await getServerSession(authOptions);
-    if (!session) {
-      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
-    }
+    const { session, db, error } = await requireRole();
+    if (error) return error;
 
     const { id } = params;
     const { items } = await request.json();
 
-    const client = await clientPromise;
-    const db = client.db("devdb");
-
     // Verify list ownership
     const list = await db.collection("shopping_lists").findOne({
       _id: new ObjectId(id),
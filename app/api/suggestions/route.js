@@ -6,6 +6,7 @@
 
 import { NextResponse } from "next/server";
 import clientPromise from "@/lib/mongodb";
+import { PUBLIC_RECIPE_FILTER } from "@/lib/userRecipes";
 
 // Mark route as dynamic since it depends on request parameters
 export const dynamic = "force-dynamic";
@@ -52,6 +53,7 @@ export async function GET(request) {
       .collection("recipes")
       .find(
         {
+          ...PUBLIC_RECIPE_FILTER,
           title: {
             $regex: safeQuery,
             $options: "i",
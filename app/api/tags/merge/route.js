@@ -0,0 +1,58 @@
+import { NextResponse } from "next/server";
+import { revalidateTag } from "next/cache";
+import { ROLES } from "@/lib/roles";
+import { requireRole } from "@/lib/requireRole";
+import { TAXONOMY_TYPES, findTerm, mergeTerms } from "@/lib/taxonomy";
+
+// Mark route as dynamic since it involves database operations
+export const dynamic = "force-dynamic";
+
+/**
+ * Merge one tag into another across all recipes: recipes tagged with the source get the
+ * target tag instead, and the source tag and its description are removed. Only available
+ * to admins.
+ * @param {Request} request - The HTTP request containing the `source` and `target` tags.
+ * @returns {Promise<NextResponse>} A response containing the number of recipes changed.
+ *
+ * @example
+ * POST /api/tags/merge
+ * Body: { source: "veggie", target: "vegetarian" }
+ * Response: { modifiedCount: 31 }
+ */
+export async function POST(request) {
+  try {
+    const { db, error } = await requireRole(ROLES.ADMIN);
+    if (error) return error;
+
+    const { source, target } = await request.json();
+    if (typeof source !== "string" || typeof target !== "string") {
+      return NextResponse.json(
+        { error: "Source and target tags are required" },
+        { status: 400 }
+      );
+    }
+    if (source === target) {
+      return NextResponse.json(
+        { error: "Choose two different tags" },
+        { status: 400 }
+      );
+    }
+
+    const [sourceTag, targetTag] = await Promise.all([
+      findTerm(db, TAXONOMY_TYPES.TAG, source),
+      findTerm(db, TAXONOMY_TYPES.TAG, target),
+    ]);
+    if (sourceTag !== source || targetTag !== target) {
+      return NextResponse.json({ error: "Tag not found" }, { status: 404 });
+    }
+
+    const result = await mergeTerms(db, TAXONOMY_TYPES.TAG, source, target);
+    revalidateTag("tags");
+    revalidateTag("recipes");
+
+    return NextResponse.json(result);
+  } catch (error) {
+    console.error("Error merging tags:", error);
+    return NextResponse.json({ error: "Error merging tags" }, { status: 500 });
+  }
+}
@@ -1,28 +1,176 @@
 /**
- * This file contains a Next.js API route handler function that fetches all unique tags from the "recipes" collection in a MongoDB database.
+ * This file contains the Next.js API route handlers for recipe tags.
+ *
+ * Tags are read from the recipes themselves. Admins can rename a tag, change its description
+ * and icon, and delete it from every recipe or move its recipes to another tag. Renames and
+ * deletions update every affected recipe in one transaction.
  *
  * @module api/tags
  */
 
 import { NextResponse } from "next/server";
+import { revalidateTag } from "next/cache";
 import clientPromise from "@/lib/mongodb";
+import { ROLES } from "@/lib/roles";
+import { requireRole } from "@/lib/requireRole";
+import { PUBLIC_RECIPE_FILTER } from "@/lib/userRecipes";
+import {
+  TAXONOMY_TYPES,
+  deleteTerm,
+  findTerm,
+  getTermsWithDetails,
+  mergeTerms,
+  normalizeTermName,
+  updateTerm,
+  validateTermDetails,
+} from "@/lib/taxonomy";
 
 // Mark route as dynamic since it involves database operations
 export const dynamic = "force-dynamic";
 
+/**
+ * Clears the cached tag list, and the cached recipes when they changed.
+ *
+ * @param {boolean} recipesChanged - Whether any recipe was changed.
+ */
+const revalidateTags = (recipesChanged) => {
+  revalidateTag("tags");
+  if (recipesChanged) revalidateTag("recipes");
+};
+
 /**
  * Next.js API route handler function for handling GET requests to the /api/tags endpoint.
  *
- * @returns {Promise<import("next/server").NextResponse>} The response object with the list of unique tags.
+ * @param {Request} request - The HTTP request, with an optional `details=true` parameter to
+ * include each tag's description, icon and recipe count.
+ * @returns {Promise<import("next/server").NextResponse>} The response object with the list of unique
+ * tags used by public recipes.
  */
-export async function GET() {
+export async function GET(request) {
   try {
     const client = await clientPromise;
     const db = client.db("devdb");
-    const tags = await db.collection("recipes").distinct("tags");
+
+    const { searchParams } = new URL(request.url);
+    if (searchParams.get("details") === "true") {
+      return NextResponse.json(
+        await getTermsWithDetails(db, TAXONOMY_TYPES.TAG)
+      );
+    }
+
+    const tags = await db
+      .collection("recipes")
+      .distinct("tags", PUBLIC_RECIPE_FILTER);
     return NextResponse.json(tags);
   } catch (error) {
     console.error("Error fetching tags:", error);
     return NextResponse.json({ error: "Error fetching tags" }, { status: 500 });
   }
 }
+
+/**
+ * Rename a tag on every recipe and/or change its description and icon. Only available to
+ * admins. Renaming to a tag that already exists is refused; merge the tags instead.
+ *
+ * @param {Request} request - The HTTP request containing the tag `name` and any of `newName`,
+ * `description` and `icon` (null removes the icon).
+ * @returns {Promise<import("next/server").NextResponse>} The response object with the number
+ * of recipes changed.
+ *
+ * @example
+ * PATCH /api/tags
+ * Body: { name: "veggie", newName: "vegetarian", icon: "carrot" }
+ * Response: { name: "vegetarian", modifiedCount: 31 }
+ */
+export async function PATCH(request) {
+  try {
+    const { db, error } = await requireRole(ROLES.ADMIN);
+    if (error) return error;
+
+    const { name, newName, description, icon } = await request.json();
+    if (typeof name !== "string" || !(await findTerm(db, TAXONOMY_TYPES.TAG, name))) {
+      return NextResponse.json({ error: "Tag not found" }, { status: 404 });
+    }
+
+    const renamedTo = newName === undefined ? name : normalizeTermName(newName);
+    if (!renamedTo) {
+      return NextResponse.json(
+        { error: "Tag name must be 1-50 characters" },
+        { status: 400 }
+      );
+    }
+
+    const detailsError = validateTermDetails({ description, icon });
+    if (detailsError) {
+      return NextResponse.json({ error: detailsError }, { status: 400 });
+    }
+
+    // Only a change of case may reuse an existing name
+    const existing = await findTerm(db, TAXONOMY_TYPES.TAG, renamedTo);
+    if (existing && existing !== name) {
+      return NextResponse.json(
+        { error: `"${existing}" already exists. Merge the tags instead.` },
+        { status: 409 }
+      );
+    }
+
+    const { modifiedCount } = await updateTerm(db, TAXONOMY_TYPES.TAG, name, {
+      newName: renamedTo,
+      description,
+      icon,
+    });
+    revalidateTags(modifiedCount > 0);
+
+    return NextResponse.json({ name: renamedTo, modifiedCount });
+  } catch (error) {
+    console.error("Error updating tag:", error);
+    return NextResponse.json({ error: "Error updating tag" }, { status: 500 });
+  }
+}
+
+/**
+ * Delete a tag from every recipe, optionally giving those recipes another tag instead.
+ * Only available to admins.
+ *
+ * @param {Request} request - The HTTP request, with the tag `name` and an optional
+ * `reassignTo` tag as query parameters.
+ * @returns {Promise<import("next/server").NextResponse>} The response object with the number
+ * of recipes changed.
+ *
+ * @example
+ * DELETE /api/tags?name=misc
+ * Response: { modifiedCount: 12 }
+ */
+export async function DELETE(request) {
+  try {
+    const { db, error } = await requireRole(ROLES.ADMIN);
+    if (error) return error;
+
+    const { searchParams } = new URL(request.url);
+    const name = searchParams.get("name");
+    const reassignTo = normalizeTermName(searchParams.get("reassignTo"));
+
+    if (!name) {
+      return NextResponse.json(
+        { error: "Tag name is required" },
+        { status: 400 }
+      );
+    }
+    if (reassignTo === name) {
+      return NextResponse.json(
+        { error: "Choose a different tag for its recipes" },
+        { status: 400 }
+      );
+    }
+
+    const result = reassignTo
+      ? await mergeTerms(db, TAXONOMY_TYPES.TAG, name, reassignTo)
+      : await deleteTerm(db, TAXONOMY_TYPES.TAG, name);
+    revalidateTags(result.modifiedCount > 0);
+
+    return NextResponse.json(result);
+  } catch (error) {
+    console.error("Error deleting tag:", error);
+    return NextResponse.json({ error: "Error deleting tag" }, { status: 500 });
+  }
+}
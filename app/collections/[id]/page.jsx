@@ -0,0 +1,665 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import Image from "next/image";
+import { useRouter } from "next/navigation";
+import {
+  ArrowDown,
+  ArrowUp,
+  BookOpen,
+  Copy,
+  Edit,
+  ImagePlus,
+  RefreshCw,
+  StickyNote,
+  Trash2,
+} from "lucide-react";
+import BackButton from "@/components/BackButton";
+import Alert from "@/components/Alert";
+import ConfirmationModal from "@/components/ConfirmationModal";
+import RecipeCard from "@/components/RecipeCard";
+import CollectionVisibilityBadge, {
+  COLLECTION_VISIBILITY_OPTIONS,
+} from "@/components/CollectionVisibilityBadge";
+import { COLLECTION_VISIBILITY } from "@/lib/collections";
+import LoadingPage from "../../loading";
+
+/**
+ * Collection Page Component
+ * Shows a collection's recipes in order with their notes. The owner can also edit the
+ * collection's details, visibility and cover, reorder recipes, edit notes and remove recipes.
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {Object} props.params - The route parameters, with the collection `id`
+ * @param {Object} props.searchParams - The query parameters, with the share `token` for
+ * link-shared collections
+ * @returns {React.ReactElement} Rendered collection
+ */
+export default function CollectionPage({ params, searchParams }) {
+  const router = useRouter();
+  const token = searchParams?.token;
+
+  const [collection, setCollection] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [notFound, setNotFound] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [form, setForm] = useState({
+    name: "",
+    description: "",
+    visibility: "",
+  });
+  const [editingNoteId, setEditingNoteId] = useState(null);
+  const [noteDraft, setNoteDraft] = useState("");
+  const [isUploading, setIsUploading] = useState(false);
+  const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
+
+  // Alert state for user notifications
+  const [alert, setAlert] = useState({
+    isVisible: false,
+    message: "",
+    type: "success",
+  });
+
+  /**
+   * Displays an alert to the user
+   *
+   * @param {string} message - Message to display
+   * @param {string} [type='success'] - Type of alert (success/error)
+   */
+  const showAlert = (message, type = "success") => {
+    setAlert({ isVisible: true, message, type });
+  };
+
+  /**
+   * Fetches the collection and its recipes
+   *
+   * @async
+   */
+  const fetchCollection = useCallback(async () => {
+    try {
+      const query = token ? `?token=${encodeURIComponent(token)}` : "";
+      const response = await fetch(`/api/collections/${params.id}${query}`);
+      if (response.status === 404) {
+        setNotFound(true);
+        return;
+      }
+      if (!response.ok) throw new Error("Failed to fetch collection");
+
+      const data = await response.json();
+      setCollection(data.collection);
+    } catch (error) {
+      console.error("Error fetching collection:", error);
+      setAlert({ isVisible: true, message: error.message, type: "error" });
+    } finally {
+      setLoading(false);
+    }
+  }, [params.id, token]);
+
+  useEffect(() => {
+    fetchCollection();
+  }, [fetchCollection]);
+
+  /**
+   * Saves changes to the collection and merges the response into the page
+   *
+   * @async
+   * @param {Object} changes - The fields to change
+   * @param {string} successMessage - Message shown when the change is saved
+   * @returns {Promise<boolean>} True if the change was saved
+   */
+  const updateCollection = async (changes, successMessage) => {
+    try {
+      const response = await fetch(`/api/collections/${params.id}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(changes),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+
+      setCollection((prev) => ({ ...prev, ...data }));
+      showAlert(successMessage);
+      return true;
+    } catch (error) {
+      console.error("Error updating collection:", error);
+      showAlert(error.message || "Failed to update collection", "error");
+      return false;
+    }
+  };
+
+  /**
+   * Opens the details form with the current values
+   */
+  const startEditing = () => {
+    setForm({
+      name: collection.name,
+      description: collection.description,
+      visibility: collection.visibility,
+    });
+    setIsEditing(true);
+  };
+
+  /**
+   * Saves the details form
+   *
+   * @async
+   * @param {Event} event - The form submit event
+   */
+  const handleSaveDetails = async (event) => {
+    event.preventDefault();
+    if (await updateCollection(form, "Collection updated")) {
+      setIsEditing(false);
+    }
+  };
+
+  /**
+   * Sets the cover image, or uses the first recipe's image when given null
+   *
+   * @async
+   * @param {string|null} coverImage - The image URL
+   */
+  const handleSetCover = async (coverImage) => {
+    if (await updateCollection({ coverImage }, "Cover updated")) {
+      // A cleared cover falls back to the first recipe's image
+      setCollection((prev) => ({
+        ...prev,
+        coverImage: coverImage || prev.recipes[0]?.recipe.images?.[0] || null,
+        hasCustomCover: Boolean(coverImage),
+      }));
+    }
+  };
+
+  /**
+   * Uploads an image and uses it as the cover
+   *
+   * @async
+   * @param {Event} event - The file input change event
+   */
+  const handleUploadCover = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+
+    setIsUploading(true);
+    try {
+      const formData = new FormData();
+      formData.append("image", file);
+      const response = await fetch("/api/recipes/images", {
+        method: "POST",
+        body: formData,
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+
+      await handleSetCover(data.url);
+    } catch (error) {
+      console.error("Error uploading cover:", error);
+      showAlert(error.message || "Failed to upload image", "error");
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  /**
+   * Moves a recipe one place up or down
+   *
+   * @async
+   * @param {number} index - The recipe's position
+   * @param {number} direction - -1 to move up, 1 to move down
+   */
+  const handleMove = async (index, direction) => {
+    const entries = [...collection.recipes];
+    const [moved] = entries.splice(index, 1);
+    entries.splice(index + direction, 0, moved);
+
+    const previous = collection.recipes;
+    setCollection((prev) => ({ ...prev, recipes: entries }));
+    const saved = await updateCollection(
+      { recipeIds: entries.map((entry) => entry.recipeId) },
+      "Order saved"
+    );
+    if (!saved) setCollection((prev) => ({ ...prev, recipes: previous }));
+  };
+
+  /**
+   * Saves the note being edited
+   *
+   * @async
+   * @param {string} recipeId - The recipe the note belongs to
+   */
+  const handleSaveNote = async (recipeId) => {
+    try {
+      const response = await fetch(`/api/collections/${params.id}/recipes`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ recipeId, note: noteDraft }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+
+      setCollection((prev) => ({
+        ...prev,
+        recipes: prev.recipes.map((entry) =>
+          entry.recipeId === recipeId ? { ...entry, note: data.note } : entry
+        ),
+      }));
+      setEditingNoteId(null);
+      showAlert("Note saved");
+    } catch (error) {
+      console.error("Error saving note:", error);
+      showAlert(error.message || "Failed to save note", "error");
+    }
+  };
+
+  /**
+   * Removes a recipe from the collection
+   *
+   * @async
+   * @param {string} recipeId - The recipe to remove
+   */
+  const handleRemove = async (recipeId) => {
+    try {
+      const response = await fetch(
+        `/api/collections/${params.id}/recipes?recipeId=${recipeId}`,
+        { method: "DELETE" }
+      );
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+
+      setCollection((prev) => ({
+        ...prev,
+        recipes: prev.recipes.filter((entry) => entry.recipeId !== recipeId),
+      }));
+      showAlert("Recipe removed from collection");
+    } catch (error) {
+      console.error("Error removing recipe:", error);
+      showAlert(error.message || "Failed to remove recipe", "error");
+    }
+  };
+
+  /**
+   * Deletes the collection and returns to the list
+   *
+   * @async
+   */
+  const handleDelete = async () => {
+    setIsDeleteModalOpen(false);
+    try {
+      const response = await fetch(`/api/collections/${params.id}`, {
+        method: "DELETE",
+      });
+      if (!response.ok) throw new Error("Failed to delete collection");
+      router.push("/collections");
+    } catch (error) {
+      console.error("Error deleting collection:", error);
+      showAlert(error.message, "error");
+    }
+  };
+
+  /**
+   * Copies the share link to the clipboard
+   *
+   * @async
+   * @param {string} url - The link to copy
+   */
+  const handleCopyLink = async (url) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      showAlert("Link copied");
+    } catch (error) {
+      console.error("Error copying link:", error);
+      showAlert("Failed to copy link", "error");
+    }
+  };
+
+  if (loading) return <LoadingPage />;
+
+  if (notFound || !collection) {
+    return (
+      <div className="container mx-auto px-4 py-16 min-h-screen text-center">
+        <BookOpen className="w-12 h-12 mx-auto mb-4 text-teal-500" />
+        <p className="text-gray-600 dark:text-gray-300">
+          This collection doesn&apos;t exist or isn&apos;t shared with you.
+        </p>
+      </div>
+    );
+  }
+
+  const { isOwner } = collection;
+  let shareUrl = null;
+  if (isOwner && typeof window !== "undefined") {
+    const base = `${window.location.origin}/collections/${collection._id}`;
+    if (collection.visibility === COLLECTION_VISIBILITY.PUBLIC) {
+      shareUrl = base;
+    } else if (collection.visibility === COLLECTION_VISIBILITY.LINK) {
+      shareUrl = `${base}?token=${collection.shareToken}`;
+    }
+  }
+
+  // Images that can be picked as the cover, one per recipe
+  const coverChoices = [
+    ...new Set(
+      collection.recipes
+        .map((entry) => entry.recipe.images?.[0])
+        .filter(Boolean)
+    ),
+  ];
+
+  return (
+    <div className="container mx-auto px-4 py-8 min-h-screen">
+      {/* Alert component */}
+      <Alert
+        message={alert.message}
+        type={alert.type}
+        isVisible={alert.isVisible}
+        onClose={() => setAlert({ ...alert, isVisible: false })}
+      />
+
+      {/* Fixed position back button */}
+      <div className="absolute top-2 -left-[5rem] z-10">
+        <BackButton className="bg-white/80 backdrop-blur-sm shadow-lg rounded-lg p-2 hover:bg-white transition-colors dark:bg-gray-800 dark:hover:bg-gray-700" />
+      </div>
+
+      <div className="max-w-6xl mx-auto space-y-8">
+        {/* Cover and details */}
+        <div className="bg-white rounded-2xl shadow-sm overflow-hidden dark:bg-gray-800">
+          {collection.coverImage && (
+            <div className="relative h-56">
+              <Image
+                src={collection.coverImage}
+                alt={collection.name}
+                fill
+                sizes="100vw"
+                className="object-cover"
+              />
+            </div>
+          )}
+
+          <div className="p-6 space-y-4">
+            {isEditing ? (
+              <form onSubmit={handleSaveDetails} className="space-y-4">
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  maxLength={80}
+                  required
+                  className="w-full px-3 py-2 border rounded-lg dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                />
+                <textarea
+                  value={form.description}
+                  onChange={(e) =>
+                    setForm({ ...form, description: e.target.value })
+                  }
+                  placeholder="Description (optional)"
+                  maxLength={500}
+                  rows={2}
+                  className="w-full px-3 py-2 border rounded-lg dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                />
+                <select
+                  value={form.visibility}
+                  onChange={(e) =>
+                    setForm({ ...form, visibility: e.target.value })
+                  }
+                  className="px-3 py-2 border rounded-lg dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                >
+                  {Object.entries(COLLECTION_VISIBILITY_OPTIONS).map(
+                    ([value, { label }]) => (
+                      <option key={value} value={value}>
+                        {label}
+                      </option>
+                    )
+                  )}
+                </select>
+                <div className="flex justify-end gap-2">
+                  <button
+                    type="button"
+                    onClick={() => setIsEditing(false)}
+                    className="px-4 py-2 rounded-lg bg-gray-100 text-gray-700 hover:bg-gray-200 dark:bg-gray-700 dark:text-gray-200"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    className="px-4 py-2 rounded-lg bg-teal-600 text-white hover:bg-teal-500"
+                  >
+                    Save
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-4">
+                <div className="space-y-2">
+                  <h1 className="text-4xl font-bold dark:text-white tracking-tight text-gray-700">
+                    {collection.name}
+                  </h1>
+                  {collection.description && (
+                    <p className="text-gray-600 dark:text-gray-300">
+                      {collection.description}
+                    </p>
+                  )}
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    <CollectionVisibilityBadge
+                      visibility={collection.visibility}
+                    />
+                    {collection.ownerName && ` · By ${collection.ownerName}`}
+                    {` · ${collection.recipes.length} `}
+                    {collection.recipes.length === 1 ? "recipe" : "recipes"}
+                  </p>
+                </div>
+                {isOwner && (
+                  <div className="flex gap-2">
+                    <button
+                      onClick={startEditing}
+                      className="flex items-center px-3 py-2 rounded-lg bg-teal-50 text-teal-700 hover:bg-teal-100 dark:bg-gray-700 dark:text-teal-300"
+                    >
+                      <Edit className="w-4 h-4 mr-2" />
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => setIsDeleteModalOpen(true)}
+                      className="flex items-center px-3 py-2 rounded-lg bg-red-50 text-red-600 hover:bg-red-100 dark:bg-gray-700 dark:text-red-400"
+                    >
+                      <Trash2 className="w-4 h-4 mr-2" />
+                      Delete
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Share link */}
+            {shareUrl && (
+              <div className="flex flex-col sm:flex-row sm:items-center gap-2 p-3 rounded-lg bg-teal-50 dark:bg-gray-700">
+                <input
+                  type="text"
+                  value={shareUrl}
+                  readOnly
+                  aria-label="Share link"
+                  className="flex-1 min-w-0 px-3 py-2 text-sm border rounded-lg bg-white dark:bg-gray-800 dark:border-gray-600 dark:text-white"
+                />
+                <button
+                  onClick={() => handleCopyLink(shareUrl)}
+                  className="flex items-center justify-center px-3 py-2 rounded-lg bg-teal-600 text-white hover:bg-teal-500"
+                >
+                  <Copy className="w-4 h-4 mr-2" />
+                  Copy
+                </button>
+                {collection.visibility === COLLECTION_VISIBILITY.LINK && (
+                  <button
+                    onClick={() =>
+                      updateCollection(
+                        { regenerateShareLink: true },
+                        "New link created; the old link no longer works"
+                      )
+                    }
+                    className="flex items-center justify-center px-3 py-2 rounded-lg bg-white text-gray-700 hover:bg-gray-100 dark:bg-gray-800 dark:text-gray-200"
+                  >
+                    <RefreshCw className="w-4 h-4 mr-2" />
+                    New link
+                  </button>
+                )}
+              </div>
+            )}
+
+            {/* Cover picker */}
+            {isOwner && (
+              <div className="space-y-2">
+                <p className="text-sm font-medium text-gray-700 dark:text-gray-200">
+                  Cover image
+                </p>
+                <div className="flex flex-wrap items-center gap-2">
+                  {coverChoices.map((image) => (
+                    <button
+                      key={image}
+                      onClick={() => handleSetCover(image)}
+                      className={`relative w-16 h-12 rounded-lg overflow-hidden border-2 ${
+                        collection.hasCustomCover &&
+                        collection.coverImage === image
+                          ? "border-teal-500"
+                          : "border-transparent"
+                      }`}
+                      aria-label="Use as cover"
+                    >
+                      <Image
+                        src={image}
+                        alt=""
+                        fill
+                        sizes="64px"
+                        className="object-cover"
+                      />
+                    </button>
+                  ))}
+                  <label className="flex items-center px-3 py-2 text-sm rounded-lg bg-gray-100 text-gray-700 hover:bg-gray-200 cursor-pointer dark:bg-gray-700 dark:text-gray-200">
+                    <ImagePlus className="w-4 h-4 mr-2" />
+                    {isUploading ? "Uploading..." : "Upload"}
+                    <input
+                      type="file"
+                      accept="image/*"
+                      onChange={handleUploadCover}
+                      disabled={isUploading}
+                      className="hidden"
+                    />
+                  </label>
+                  {collection.hasCustomCover && (
+                    <button
+                      onClick={() => handleSetCover(null)}
+                      className="px-3 py-2 text-sm rounded-lg text-gray-600 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-gray-700"
+                    >
+                      Use first recipe
+                    </button>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Recipes */}
+        {collection.recipes.length === 0 ? (
+          <div className="text-center py-16 bg-white rounded-2xl shadow-sm dark:bg-gray-800">
+            <BookOpen className="w-12 h-12 mx-auto mb-4 text-teal-500" />
+            <p className="text-gray-600 dark:text-gray-300">
+              There are no recipes in this collection yet.
+            </p>
+          </div>
+        ) : (
+          <ol className="grid gap-6 sm:grid-cols-2 lg:grid-cols-3">
+            {collection.recipes.map((entry, index) => (
+              <li key={entry.recipeId} className="flex flex-col gap-2">
+                <RecipeCard recipe={entry.recipe} />
+
+                {editingNoteId === entry.recipeId ? (
+                  <div className="space-y-2">
+                    <textarea
+                      value={noteDraft}
+                      onChange={(e) => setNoteDraft(e.target.value)}
+                      maxLength={1000}
+                      rows={3}
+                      placeholder="Add a note"
+                      className="w-full px-3 py-2 text-sm border rounded-lg dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                    />
+                    <div className="flex justify-end gap-2">
+                      <button
+                        onClick={() => setEditingNoteId(null)}
+                        className="px-3 py-1 text-sm rounded-lg bg-gray-100 text-gray-700 hover:bg-gray-200 dark:bg-gray-700 dark:text-gray-200"
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        onClick={() => handleSaveNote(entry.recipeId)}
+                        className="px-3 py-1 text-sm rounded-lg bg-teal-600 text-white hover:bg-teal-500"
+                      >
+                        Save note
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  entry.note && (
+                    <p className="flex items-start text-sm text-gray-600 dark:text-gray-300 bg-yellow-50 dark:bg-gray-700 rounded-lg p-3 whitespace-pre-line">
+                      <StickyNote className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0 text-yellow-600" />
+                      {entry.note}
+                    </p>
+                  )
+                )}
+
+                {isOwner && editingNoteId !== entry.recipeId && (
+                  <div className="flex justify-between text-gray-500 dark:text-gray-400">
+                    <div className="flex gap-1">
+                      <button
+                        onClick={() => handleMove(index, -1)}
+                        disabled={index === 0}
+                        className="p-2 rounded-lg hover:bg-gray-100 disabled:opacity-30 dark:hover:bg-gray-700"
+                        aria-label="Move up"
+                      >
+                        <ArrowUp className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleMove(index, 1)}
+                        disabled={index === collection.recipes.length - 1}
+                        className="p-2 rounded-lg hover:bg-gray-100 disabled:opacity-30 dark:hover:bg-gray-700"
+                        aria-label="Move down"
+                      >
+                        <ArrowDown className="w-4 h-4" />
+                      </button>
+                    </div>
+                    <div className="flex gap-1">
+                      <button
+                        onClick={() => {
+                          setNoteDraft(entry.note || "");
+                          setEditingNoteId(entry.recipeId);
+                        }}
+                        className="flex items-center px-2 py-1 text-sm rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700"
+                      >
+                        <StickyNote className="w-4 h-4 mr-1" />
+                        {entry.note ? "Edit note" : "Add note"}
+                      </button>
+                      <button
+                        onClick={() => handleRemove(entry.recipeId)}
+                        className="flex items-center px-2 py-1 text-sm rounded-lg text-red-600 hover:bg-red-50 dark:text-red-400 dark:hover:bg-gray-700"
+                      >
+                        <Trash2 className="w-4 h-4 mr-1" />
+                        Remove
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+
+      <ConfirmationModal
+        isOpen={isDeleteModalOpen}
+        onClose={() => setIsDeleteModalOpen(false)}
+        onConfirm={handleDelete}
+        title="Delete Collection"
+        message={`Delete "${collection.name}"? The recipes in it are not affected.`}
+        confirmText="Delete"
+        confirmClassName="bg-red-500 hover:bg-red-600 text-white"
+      />
+    </div>
+  );
+}
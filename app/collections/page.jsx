@@ -0,0 +1,242 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useSession } from "next-auth/react";
+import { useRouter } from "next/navigation";
+import Image from "next/image";
+import Link from "next/link";
+import { BookOpen, Plus } from "lucide-react";
+import BackButton from "@/components/BackButton";
+import Alert from "@/components/Alert";
+import CollectionVisibilityBadge, {
+  COLLECTION_VISIBILITY_OPTIONS,
+} from "@/components/CollectionVisibilityBadge";
+import { COLLECTION_VISIBILITY } from "@/lib/collections";
+import LoadingPage from "../loading";
+
+/**
+ * Collections Page Component
+ * Lists the user's recipe collections and lets the user create new ones.
+ *
+ * @component
+ * @returns {React.ReactElement} Rendered list of the user's collections
+ */
+export default function CollectionsPage() {
+  // Authentication and routing hooks
+  const { data: session } = useSession();
+  const router = useRouter();
+
+  const [collections, setCollections] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState({
+    name: "",
+    description: "",
+    visibility: COLLECTION_VISIBILITY.PRIVATE,
+  });
+  const [isCreating, setIsCreating] = useState(false);
+
+  // Alert state for user notifications
+  const [alert, setAlert] = useState({
+    isVisible: false,
+    message: "",
+    type: "success",
+  });
+
+  /**
+   * Displays an alert to the user
+   *
+   * @param {string} message - Message to display
+   * @param {string} [type='success'] - Type of alert (success/error)
+   */
+  const showAlert = (message, type = "success") => {
+    setAlert({ isVisible: true, message, type });
+  };
+
+  /**
+   * Fetches the user's collections
+   *
+   * @async
+   */
+  const fetchCollections = useCallback(async () => {
+    try {
+      const response = await fetch("/api/collections");
+      if (!response.ok) throw new Error("Failed to fetch your collections");
+
+      const data = await response.json();
+      setCollections(data.collections);
+    } catch (error) {
+      console.error("Error fetching collections:", error);
+      setAlert({ isVisible: true, message: error.message, type: "error" });
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Redirect to sign in when there is no session, otherwise load the collections
+  useEffect(() => {
+    if (!session) {
+      router.push("/auth/signin");
+      return;
+    }
+    fetchCollections();
+  }, [session, router, fetchCollections]);
+
+  /**
+   * Creates a collection from the form
+   *
+   * @async
+   * @param {Event} event - The form submit event
+   */
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    setIsCreating(true);
+    try {
+      const response = await fetch("/api/collections", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(form),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+
+      setCollections((prev) => [data.collection, ...prev]);
+      setForm({
+        name: "",
+        description: "",
+        visibility: COLLECTION_VISIBILITY.PRIVATE,
+      });
+      showAlert("Collection created");
+    } catch (error) {
+      console.error("Error creating collection:", error);
+      showAlert(error.message || "Failed to create collection", "error");
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  // Ensure session exists before rendering the list
+  if (!session) return null;
+  if (loading) return <LoadingPage />;
+
+  return (
+    <div className="container mx-auto px-4 py-8 min-h-screen">
+      {/* Alert component */}
+      <Alert
+        message={alert.message}
+        type={alert.type}
+        isVisible={alert.isVisible}
+        onClose={() => setAlert({ ...alert, isVisible: false })}
+      />
+
+      {/* Fixed position back button */}
+      <div className="absolute top-2 -left-[5rem] z-10">
+        <BackButton className="bg-white/80 backdrop-blur-sm shadow-lg rounded-lg p-2 hover:bg-white transition-colors dark:bg-gray-800 dark:hover:bg-gray-700" />
+      </div>
+
+      <h1 className="text-4xl font-bold mt-6 mb-10 dark:text-white text-center tracking-tight text-gray-700">
+        My Collections
+      </h1>
+
+      <div className="max-w-5xl mx-auto space-y-8">
+        {/* New collection form */}
+        <form
+          onSubmit={handleCreate}
+          className="bg-white p-6 rounded-2xl shadow-sm dark:bg-gray-800 space-y-4"
+        >
+          <h2 className="text-lg font-semibold text-gray-800 dark:text-white">
+            New collection
+          </h2>
+          <div className="grid gap-4 sm:grid-cols-2">
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="Name, e.g. Weeknight dinners"
+              maxLength={80}
+              required
+              className="px-3 py-2 border rounded-lg dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+            />
+            <select
+              value={form.visibility}
+              onChange={(e) => setForm({ ...form, visibility: e.target.value })}
+              className="px-3 py-2 border rounded-lg dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+            >
+              {Object.entries(COLLECTION_VISIBILITY_OPTIONS).map(
+                ([value, { label }]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                )
+              )}
+            </select>
+          </div>
+          <textarea
+            value={form.description}
+            onChange={(e) => setForm({ ...form, description: e.target.value })}
+            placeholder="Description (optional)"
+            maxLength={500}
+            rows={2}
+            className="w-full px-3 py-2 border rounded-lg dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+          />
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={isCreating || !form.name.trim()}
+              className="flex items-center px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-500 transition-colors disabled:opacity-50"
+            >
+              <Plus className="w-4 h-4 mr-2" />
+              Create Collection
+            </button>
+          </div>
+        </form>
+
+        {collections.length === 0 ? (
+          <div className="text-center py-16 bg-white rounded-2xl shadow-sm dark:bg-gray-800">
+            <BookOpen className="w-12 h-12 mx-auto mb-4 text-teal-500" />
+            <p className="text-gray-600 dark:text-gray-300">
+              You haven&apos;t made any collections yet. Save recipes to a
+              collection with the folder button on any recipe card.
+            </p>
+          </div>
+        ) : (
+          <ul className="grid gap-6 sm:grid-cols-2 lg:grid-cols-3">
+            {collections.map((collection) => (
+              <li key={collection._id}>
+                <Link
+                  href={`/collections/${collection._id}`}
+                  className="block bg-white rounded-2xl shadow-sm overflow-hidden hover:shadow-lg transition-shadow dark:bg-gray-800"
+                >
+                  <div className="relative h-40 bg-teal-50 dark:bg-gray-700">
+                    {collection.coverImage ? (
+                      <Image
+                        src={collection.coverImage}
+                        alt={collection.name}
+                        fill
+                        sizes="(max-width: 640px) 100vw, 33vw"
+                        className="object-cover"
+                      />
+                    ) : (
+                      <BookOpen className="absolute inset-0 m-auto w-12 h-12 text-teal-300" />
+                    )}
+                  </div>
+                  <div className="p-4 space-y-1">
+                    <h3 className="font-semibold text-gray-800 dark:text-white truncate">
+                      {collection.name}
+                    </h3>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                      <CollectionVisibilityBadge
+                        visibility={collection.visibility}
+                      />{" "}
+                      · {collection.recipeCount}{" "}
+                      {collection.recipeCount === 1 ? "recipe" : "recipes"}
+                    </p>
+                  </div>
+                </Link>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,6 @@
 /**
  * @file DownloadedRecipesPage Component
- * @description A React component for managing and displaying a list of downloaded recipes with search, pagination, and delete functionality. The component utilizes offline storage to cache recipes and notify users about offline status.
+ * @description A React component for managing and displaying a list of downloaded recipes with search, category filter, sorting, pagination, and delete functionality. Recipes are read from the IndexedDB offline store, so all of this works without a connection, and the storage they use is shown against the browser's quota.
  */
 
 "use client";
@@ -12,6 +12,22 @@ import ConfirmationModal from "@/components/ConfirmationModal";
 import { toast } from "sonner";
 import BackButton from "@/components/BackButton";
 import { useOfflineStorage } from "@/app/hooks/useOfflineStorage";
+import { filterDownloads, DOWNLOAD_SORTS } from "@/lib/offlineStore";
+
+/**
+ * Formats a size in bytes for display.
+ * @param {number} bytes - The size in bytes.
+ * @returns {string} The size, e.g. "3.2 MB".
+ */
+const formatBytes = (bytes) => {
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  const exponent = Math.min(
+    Math.floor(Math.log(Math.max(bytes, 1)) / Math.log(1024)),
+    units.length - 1
+  );
+  const value = bytes / 1024 ** exponent;
+  return `${parseFloat(value.toFixed(1))} ${units[exponent]}`;
+};
 
 /**
  * DownloadedRecipesPage Component
@@ -20,13 +36,16 @@ import { useOfflineStorage } from "@/app/hooks/useOfflineStorage";
 const DownloadedRecipesPage = () => {
   const {
     data: recipes,
-    setData: setRecipes,
-    filterData,
+    isLoading,
     isOffline,
-  } = useOfflineStorage("downloadedRecipes", []);
+    storage,
+    removeRecipe,
+  } = useOfflineStorage();
 
   const [currentPage, setCurrentPage] = useState(1);
   const [searchTerm, setSearchTerm] = useState("");
+  const [category, setCategory] = useState("");
+  const [sort, setSort] = useState("recent");
   const [deleteConfirmation, setDeleteConfirmation] = useState({
     isOpen: false,
     recipeId: null,
@@ -37,15 +56,12 @@ const DownloadedRecipesPage = () => {
    * @returns {Object} Processed recipes and total pages.
    */
   const processedRecipes = useMemo(() => {
-    // Filter recipes based on the search term.
-    const filteredRecipes = filterData(
-      (recipe) =>
-        recipe.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        (Array.isArray(recipe.ingredients) &&
-          recipe.ingredients.some((ing) =>
-            ing.toLowerCase().includes(searchTerm.toLowerCase())
-          ))
-    );
+    // Filter recipes based on the search term and category, then sort them.
+    const filteredRecipes = filterDownloads(recipes, {
+      query: searchTerm,
+      category,
+      sort,
+    });
 
     // Paginate the filtered recipes.
     const recipesPerPage = 6;
@@ -59,17 +75,28 @@ const DownloadedRecipesPage = () => {
       recipes: paginatedRecipes,
       totalPages: Math.ceil(filteredRecipes.length / recipesPerPage),
     };
-  }, [recipes, searchTerm, currentPage]);
+  }, [recipes, searchTerm, category, sort, currentPage]);
+
+  // Categories of the downloaded recipes, for the filter
+  const categories = useMemo(
+    () =>
+      [...new Set(recipes.map((recipe) => recipe.category))]
+        .filter(Boolean)
+        .sort(),
+    [recipes]
+  );
 
   /**
    * Handle the deletion of a recipe.
    * @param {string} recipeId - The ID of the recipe to delete.
    */
-  const handleDelete = (recipeId) => {
-    const updatedRecipes = recipes.filter((recipe) => recipe.id !== recipeId);
-    setRecipes(updatedRecipes);
-    toast.success("Recipe deleted successfully");
+  const handleDelete = async (recipeId) => {
     setDeleteConfirmation({ isOpen: false, recipeId: null });
+    if (await removeRecipe(recipeId)) {
+      toast.success("Recipe deleted successfully");
+    } else {
+      toast.error("Failed to delete recipe");
+    }
   };
 
   return (
@@ -100,21 +127,84 @@ const DownloadedRecipesPage = () => {
         </div>
       )}
 
-      {/* Search Input */}
-      <div className="mb-6">
+      {/* Storage used by downloads */}
+      {storage && storage.quota > 0 && (
+        <div className="mb-6">
+          <div className="flex justify-between text-sm text-gray-600 dark:text-gray-400 mb-1">
+            <span>
+              {recipes.length} {recipes.length === 1 ? "recipe" : "recipes"}{" "}
+              saved for offline use
+            </span>
+            <span>
+              {formatBytes(storage.usage)} of {formatBytes(storage.quota)} used
+            </span>
+          </div>
+          <div className="h-2 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+            <div
+              className="h-full bg-teal-600"
+              style={{
+                width: `${Math.min(100, (storage.usage / storage.quota) * 100)}%`,
+              }}
+            />
+          </div>
+          {!storage.persisted && (
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+              Your browser may clear downloads if it runs low on space.
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Search, Category Filter and Sort */}
+      <div className="mb-6 flex flex-col sm:flex-row gap-3">
         <input
           type="text"
-          placeholder="Search recipes..."
+          placeholder='Search recipes, e.g. chicken -peanut "green curry"'
           value={searchTerm}
           onChange={(e) => {
             setSearchTerm(e.target.value);
             setCurrentPage(1);
           }}
-          className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-600 dark:text-black"
+          className="flex-1 px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-600 dark:text-black"
         />
+        <select
+          value={category}
+          onChange={(e) => {
+            setCategory(e.target.value);
+            setCurrentPage(1);
+          }}
+          aria-label="Filter by category"
+          className="px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-600 dark:text-black"
+        >
+          <option value="">All categories</option>
+          {categories.map((name) => (
+            <option key={name} value={name}>
+              {name}
+            </option>
+          ))}
+        </select>
+        <select
+          value={sort}
+          onChange={(e) => {
+            setSort(e.target.value);
+            setCurrentPage(1);
+          }}
+          aria-label="Sort recipes"
+          className="px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-600 dark:text-black"
+        >
+          {Object.entries(DOWNLOAD_SORTS).map(([value, { label }]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
       </div>
 
-      {processedRecipes.recipes.length === 0 ? (
+      {isLoading ? (
+        <p className="text-center py-12 text-gray-500 dark:text-gray-400">
+          Loading downloaded recipes...
+        </p>
+      ) : processedRecipes.recipes.length === 0 ? (
         <div className="text-center py-12 px-6">
           <svg
             xmlns="http://www.w3.org/2000/svg"
@@ -131,7 +221,7 @@ const DownloadedRecipesPage = () => {
             />
           </svg>
           <p className="text-gray-500 dark:text-gray-400">
-            {searchTerm
+            {searchTerm || category
               ? "No recipes match your search"
               : "You haven't downloaded any recipes yet. Start by downloading one!"}
           </p>
@@ -0,0 +1,107 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useSession } from "next-auth/react";
+import { normalizeAllergens } from "@/lib/allergens";
+
+// localStorage key and window event used to keep every component in sync
+const STORAGE_KEY = "allergies";
+const CHANGE_EVENT = "allergiesChanged";
+
+// Shared profile request so a page full of recipe cards only fetches the profile once
+let profileRequest = null;
+
+/**
+ * Fetches the allergies saved on the signed-in user's profile.
+ *
+ * @returns {Promise<string[]|null>} The saved allergies, or null if unavailable.
+ */
+const fetchSavedAllergies = () => {
+  if (!profileRequest) {
+    profileRequest = fetch("/api/auth/profile")
+      .then((response) => (response.ok ? response.json() : null))
+      .then((profile) =>
+        Array.isArray(profile?.allergies)
+          ? normalizeAllergens(profile.allergies)
+          : null
+      )
+      .catch((error) => {
+        console.error("Error fetching allergies:", error);
+        profileRequest = null;
+        return null;
+      });
+  }
+  return profileRequest;
+};
+
+/**
+ * Custom hook for reading and updating the allergens the user wants to avoid.
+ * The list is cached in localStorage and, for signed-in users, stored on their profile.
+ *
+ * @returns {{allergies: string[], setAllergies: Function}} The user's allergen names
+ * (keys of ALLERGENS) and a setter.
+ */
+export function useAllergies() {
+  const { data: session } = useSession();
+  const [allergies, setAllergiesState] = useState([]);
+
+  useEffect(() => {
+    // Load the cached list first so warnings render without waiting for the API
+    try {
+      setAllergiesState(
+        normalizeAllergens(JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]"))
+      );
+    } catch {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+
+    const handleChange = (event) => setAllergiesState(event.detail);
+    window.addEventListener(CHANGE_EVENT, handleChange);
+
+    return () => window.removeEventListener(CHANGE_EVENT, handleChange);
+  }, []);
+
+  useEffect(() => {
+    if (!session) return;
+
+    // The profile is the source of truth for signed-in users
+    fetchSavedAllergies().then((saved) => {
+      if (saved) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+        setAllergiesState(saved);
+      }
+    });
+  }, [session]);
+
+  /**
+   * Updates the user's allergies locally and on their profile.
+   * @param {string[]} names - The allergen names to avoid.
+   */
+  const setAllergies = useCallback(
+    async (names) => {
+      const normalized = normalizeAllergens(names);
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(normalized));
+      window.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: normalized }));
+
+      if (!session) return;
+
+      try {
+        const formData = new FormData();
+        formData.append("allergies", JSON.stringify(normalized));
+
+        const response = await fetch("/api/auth/profile", {
+          method: "PUT",
+          body: formData,
+        });
+        if (!response.ok) throw new Error("Failed to save allergies");
+
+        profileRequest = Promise.resolve(normalized);
+      } catch (error) {
+        console.error("Error saving allergies:", error);
+      }
+    },
+    [session]
+  );
+
+  return { allergies, setAllergies };
+}
@@ -0,0 +1,15 @@
+"use client";
+
+import { useContext } from "react";
+import { TimerContext } from "@/components/TimerProvider";
+
+/**
+ * Custom hook for the app-wide kitchen timers run by TimerProvider.
+ *
+ * @returns {{timers: Array<Object>, now: number, startTimer: Function, pauseTimer: Function,
+ * resumeTimer: Function, removeTimer: Function}} The timers, the time they were last refreshed
+ * and functions controlling them.
+ */
+export function useCookTimers() {
+  return useContext(TimerContext);
+}
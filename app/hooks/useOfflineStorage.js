@@ -1,15 +1,27 @@
 "use client";
 
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback } from "react";
+import {
+  getAllDownloads,
+  deleteDownload,
+  getStorageEstimate,
+  DOWNLOADS_CHANGED_EVENT,
+} from "@/lib/offlineStore";
 
 /**
- * Custom hook for managing offline-first data storage and retrieval
- * @param storageKey - The key used to store data in localStorage/IndexedDB
- * @param initialValue - Default value if no data is stored
+ * Custom hook for the recipes downloaded for offline use, stored in IndexedDB.
+ * Reloads whenever downloads change on this page and tracks the online/offline status.
+ *
+ * @returns {{data: Array<Object>, isLoading: boolean, isOffline: boolean,
+ * storage: ?{usage: number, quota: number, persisted: boolean}, removeRecipe: Function}}
+ * The downloaded recipes, the loading and network status, how much storage they use and a
+ * function deleting one recipe.
  */
-export function useOfflineStorage(storageKey, initialValue = []) {
-  const [data, setData] = useState(initialValue);
+export function useOfflineStorage() {
+  const [data, setData] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
   const [isOffline, setIsOffline] = useState(false);
+  const [storage, setStorage] = useState(null);
 
   useEffect(() => {
     // Check initial online/offline status
@@ -22,49 +34,61 @@ export function useOfflineStorage(storageKey, initialValue = []) {
     window.addEventListener("online", handleOnline);
     window.addEventListener("offline", handleOffline);
 
-    // Initial data load
-    try {
-      const storedData = localStorage.getItem(storageKey);
-      if (storedData) {
-        setData(JSON.parse(storedData));
+    let cancelled = false;
+
+    /**
+     * Load the downloads and the storage they use
+     */
+    const loadData = async () => {
+      try {
+        const [recipes, estimate] = await Promise.all([
+          getAllDownloads(),
+          getStorageEstimate(),
+        ]);
+        if (cancelled) return;
+        setData(recipes);
+        setStorage(estimate);
+      } catch (error) {
+        console.error("Error loading stored data:", error);
+      } finally {
+        if (!cancelled) setIsLoading(false);
       }
-    } catch (error) {
-      console.error("Error loading stored data:", error);
-    }
+    };
+
+    loadData();
+    window.addEventListener(DOWNLOADS_CHANGED_EVENT, loadData);
 
     // Cleanup event listeners
     return () => {
+      cancelled = true;
       window.removeEventListener("online", handleOnline);
       window.removeEventListener("offline", handleOffline);
+      window.removeEventListener(DOWNLOADS_CHANGED_EVENT, loadData);
     };
-  }, [storageKey]);
+  }, []);
 
   /**
-   * Save data to localStorage
-   * @param newData - Data to be saved
+   * Delete a downloaded recipe and its cached images
+   * @param {string} id - The recipe's ID
+   * @returns {Promise<boolean>} True if the recipe was deleted
    */
-  const saveData = (newData) => {
+  const removeRecipe = useCallback(async (id) => {
     try {
-      localStorage.setItem(storageKey, JSON.stringify(newData));
-      setData(newData);
+      await deleteDownload(id);
+      // Images are removed after the change event, so measure again once they are gone
+      setStorage(await getStorageEstimate());
+      return true;
     } catch (error) {
-      console.error("Error saving data:", error);
+      console.error("Error deleting downloaded recipe:", error);
+      return false;
     }
-  };
-
-  /**
-   * Filter stored data based on a predicate function
-   * @param predicate - Function to filter data
-   * @returns Filtered data
-   */
-  const filterData = (predicate) => {
-    return data.filter(predicate);
-  };
+  }, []);
 
   return {
     data,
-    setData: saveData,
-    filterData,
+    isLoading,
     isOffline,
+    storage,
+    removeRecipe,
   };
 }
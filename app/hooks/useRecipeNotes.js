@@ -0,0 +1,134 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useSession } from "next-auth/react";
+import { getDownload, updateDownload } from "@/lib/offlineStore";
+
+// Window event used to keep every note on the page in sync
+const CHANGE_EVENT = "recipeNotesChanged";
+
+// Shared requests so a recipe page with a note on every step only fetches the notes once
+const notesRequests = new Map();
+
+/**
+ * Gets the notes saved with a downloaded copy of a recipe, for use while offline.
+ *
+ * @param {string} recipeId - The ID of the recipe.
+ * @returns {Promise<Array<Object>>} The downloaded notes, or an empty list.
+ */
+const getDownloadedNotes = async (recipeId) => {
+  try {
+    const recipe = await getDownload(recipeId);
+    return recipe?.personalNotes || [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Fetches the signed-in user's notes on a recipe, falling back to the downloaded copy when
+ * the network is unavailable.
+ *
+ * @param {string} recipeId - The ID of the recipe.
+ * @returns {Promise<Array<Object>>} The notes, or an empty list for signed-out users.
+ */
+export const fetchRecipeNotes = (recipeId) => {
+  if (!notesRequests.has(recipeId)) {
+    const request = fetch(`/api/recipes/${recipeId}/notes`)
+      .then((response) => {
+        if (response.status === 401) return [];
+        if (!response.ok) throw new Error("Failed to fetch notes");
+        return response.json().then((data) => data.notes);
+      })
+      .catch((error) => {
+        console.error("Error fetching recipe notes:", error);
+        notesRequests.delete(recipeId);
+        return getDownloadedNotes(recipeId);
+      });
+    notesRequests.set(recipeId, request);
+  }
+  return notesRequests.get(recipeId);
+};
+
+/**
+ * Custom hook for reading and editing the signed-in user's private notes on a recipe, its
+ * steps and its ingredients.
+ *
+ * @param {string} recipeId - The ID of the recipe.
+ * @returns {{notes: Array<Object>, canEdit: boolean, saveNote: Function}} The user's notes,
+ * whether the user can add notes, and a function saving one note.
+ */
+export function useRecipeNotes(recipeId) {
+  const { data: session } = useSession();
+  const [notes, setNotes] = useState([]);
+
+  useEffect(() => {
+    if (!session) {
+      // Forget notes loaded for a previous user
+      notesRequests.clear();
+      setNotes([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    fetchRecipeNotes(recipeId).then((loaded) => {
+      if (!cancelled) setNotes(loaded);
+    });
+
+    const handleChange = (event) => {
+      if (event.detail.recipeId === recipeId) setNotes(event.detail.notes);
+    };
+    window.addEventListener(CHANGE_EVENT, handleChange);
+
+    return () => {
+      cancelled = true;
+      window.removeEventListener(CHANGE_EVENT, handleChange);
+    };
+  }, [session, recipeId]);
+
+  /**
+   * Saves a note on the recipe, a step or an ingredient. An empty note removes it.
+   *
+   * @param {string} target - One of NOTE_TARGETS.
+   * @param {number|string|null} key - The step index or ingredient name.
+   * @param {string} text - The note text.
+   * @returns {Promise<boolean>} True if the note was saved.
+   */
+  const saveNote = useCallback(
+    async (target, key, text) => {
+      try {
+        const response = await fetch(`/api/recipes/${recipeId}/notes`, {
+          method: "PUT",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ target, key, text }),
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
+
+        const current = await fetchRecipeNotes(recipeId);
+        const others = current.filter(
+          (note) => !(note.target === target && note.key === key)
+        );
+        const updated = data.note ? [...others, data.note] : others;
+
+        notesRequests.set(recipeId, Promise.resolve(updated));
+        // Keep the downloaded copy, if there is one, in step
+        updateDownload(recipeId, { personalNotes: updated }).catch((error) =>
+          console.error("Error updating downloaded notes:", error)
+        );
+        window.dispatchEvent(
+          new CustomEvent(CHANGE_EVENT, {
+            detail: { recipeId, notes: updated },
+          })
+        );
+        return true;
+      } catch (error) {
+        console.error("Error saving recipe note:", error);
+        return false;
+      }
+    },
+    [recipeId]
+  );
+
+  return { notes, canEdit: Boolean(session), saveNote };
+}
@@ -0,0 +1,109 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useSession } from "next-auth/react";
+import { UNIT_SYSTEMS } from "@/lib/units";
+
+// localStorage key and window event used to keep every component in sync
+const STORAGE_KEY = "unitSystem";
+const CHANGE_EVENT = "unitSystemChanged";
+
+// Shared profile request so every component using the hook fetches the profile only once
+let profileRequest = null;
+
+/**
+ * Fetches the measurement system saved on the signed-in user's profile.
+ *
+ * @returns {Promise<string|null>} The saved system, or null if none is saved or it is
+ * unavailable.
+ */
+const fetchSavedUnitSystem = () => {
+  if (!profileRequest) {
+    profileRequest = fetch("/api/auth/profile")
+      .then((response) => (response.ok ? response.json() : null))
+      .then((profile) =>
+        Object.values(UNIT_SYSTEMS).includes(profile?.unitSystem)
+          ? profile.unitSystem
+          : null
+      )
+      .catch((error) => {
+        console.error("Error fetching unit preference:", error);
+        profileRequest = null;
+        return null;
+      });
+  }
+  return profileRequest;
+};
+
+/**
+ * Custom hook for reading and updating the user's preferred measurement system.
+ * The preference is cached in localStorage and, for signed-in users, stored on their profile.
+ *
+ * @returns {{unitSystem: string|null, setUnitSystem: Function}} The current system
+ * (one of UNIT_SYSTEMS, or null to show amounts as written) and a setter.
+ */
+export function useUnitPreference() {
+  const { data: session } = useSession();
+  const [unitSystem, setUnitSystemState] = useState(null);
+
+  useEffect(() => {
+    // Load the cached preference first so amounts render without waiting for the API
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (Object.values(UNIT_SYSTEMS).includes(stored)) {
+      setUnitSystemState(stored);
+    }
+
+    const handleChange = (event) => setUnitSystemState(event.detail);
+    window.addEventListener(CHANGE_EVENT, handleChange);
+
+    return () => window.removeEventListener(CHANGE_EVENT, handleChange);
+  }, []);
+
+  useEffect(() => {
+    if (!session) return;
+
+    // The profile is the source of truth for signed-in users, unless the preference was
+    // changed while it loaded
+    const request = fetchSavedUnitSystem();
+    request.then((saved) => {
+      if (saved && request === profileRequest) {
+        localStorage.setItem(STORAGE_KEY, saved);
+        setUnitSystemState(saved);
+      }
+    });
+  }, [session]);
+
+  /**
+   * Updates the preferred measurement system locally and on the user's profile.
+   * @param {string|null} system - One of UNIT_SYSTEMS, or null to show amounts as written.
+   */
+  const setUnitSystem = useCallback(
+    async (system) => {
+      if (system) {
+        localStorage.setItem(STORAGE_KEY, system);
+      } else {
+        localStorage.removeItem(STORAGE_KEY);
+      }
+      window.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: system }));
+
+      if (!session) return;
+      profileRequest = Promise.resolve(system);
+
+      try {
+        const formData = new FormData();
+        formData.append("unitSystem", system || "");
+
+        const response = await fetch("/api/auth/profile", {
+          method: "PUT",
+          body: formData,
+        });
+        if (!response.ok) throw new Error("Failed to save unit preference");
+      } catch (error) {
+        console.error("Error saving unit preference:", error);
+      }
+    },
+    [session]
+  );
+
+  return { unitSystem, setUnitSystem };
+}
@@ -0,0 +1,53 @@
+"use client";
+
+import { useState, useEffect } from "react";
+
+/**
+ * Custom hook keeping the screen awake while active. The browser releases the lock whenever
+ * the page is hidden, so it is requested again each time the page becomes visible.
+ *
+ * @param {boolean} active - Whether the screen should be kept awake.
+ * @returns {{isSupported: boolean, isLocked: boolean}} Whether the browser can keep the screen
+ * awake and whether it currently is.
+ */
+export function useWakeLock(active) {
+  const [isSupported, setIsSupported] = useState(false);
+  const [isLocked, setIsLocked] = useState(false);
+
+  useEffect(() => {
+    const supported = "wakeLock" in navigator;
+    setIsSupported(supported);
+    if (!active || !supported) return undefined;
+
+    let sentinel = null;
+    let released = false;
+
+    const requestLock = async () => {
+      if (document.visibilityState !== "visible") return;
+      try {
+        sentinel = await navigator.wakeLock.request("screen");
+        if (released) {
+          sentinel.release();
+          return;
+        }
+        setIsLocked(true);
+        sentinel.addEventListener("release", () => setIsLocked(false));
+      } catch (error) {
+        // Refused when the battery is low or the page is not focused
+        console.error("Error keeping the screen awake:", error);
+      }
+    };
+
+    requestLock();
+    document.addEventListener("visibilitychange", requestLock);
+
+    return () => {
+      released = true;
+      document.removeEventListener("visibilitychange", requestLock);
+      sentinel?.release();
+      setIsLocked(false);
+    };
+  }, [active]);
+
+  return { isSupported, isLocked };
+}
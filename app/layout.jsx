@@ -2,11 +2,13 @@ import "./globals.css";
 import Footer from "@/components/Footer";
 import Header from "@/components/Header";
 import OnlineStatus from "@/components/OnlineStatus";
+import OfflineSync from "@/components/OfflineSync";
 import { ThemeProvider } from "@/ThemeContext";
 import SessionProvider from "@/components/SessionProvider";
 import { getServerSession } from "next-auth/next";
 import PushNotificationManager from "@/components/PushNotificationManager";
 import PWAInstallPrompt from "@/components/PWAInstallation";
+import TimerProvider from "@/components/TimerProvider";
 
 /**
  * Metadata for the application, including SEO and social sharing configuration.
@@ -131,12 +133,15 @@ export default async function RootLayout({ children }) {
       <body className="bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100">
         <SessionProvider session={session}>
           <ThemeProvider>
-            <Header />
-            <OnlineStatus />
-            <PushNotificationManager />
-            <main className="pt-16 min-h-screen">{children}</main>
-            <Footer />
-            <PWAInstallPrompt />
+            <TimerProvider>
+              <Header />
+              <OnlineStatus />
+              <OfflineSync />
+              <PushNotificationManager />
+              <main className="pt-16 min-h-screen">{children}</main>
+              <Footer />
+              <PWAInstallPrompt />
+            </TimerProvider>
           </ThemeProvider>
         </SessionProvider>
       </body>
@@ -0,0 +1,585 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useSession } from "next-auth/react";
+import { useRouter } from "next/navigation";
+import Image from "next/image";
+import Link from "next/link";
+import {
+  CalendarDays,
+  ChevronLeft,
+  ChevronRight,
+  ListPlus,
+  Loader2,
+  Plus,
+  Search,
+  X,
+} from "lucide-react";
+import BackButton from "@/components/BackButton";
+import Alert from "@/components/Alert";
+import LoadingPage from "../loading";
+import { parseServings } from "@/lib/quantity";
+import {
+  DAYS,
+  MEAL_TYPES,
+  addWeeks,
+  formatDateKey,
+  getWeekStart,
+} from "@/lib/mealPlan";
+
+/**
+ * Meal Plan Page Component
+ * Lets users drag recipes into breakfast/lunch/dinner slots across a week, set the servings
+ * of each slot and generate one consolidated shopping list for the whole week.
+ *
+ * @component
+ * @returns {React.ReactElement} Rendered meal planner page
+ */
+export default function MealPlanPage() {
+  // Authentication and routing hooks
+  const { data: session } = useSession();
+  const router = useRouter();
+
+  // Plan state for the week being viewed
+  const [weekStart, setWeekStart] = useState(() => getWeekStart());
+  const [plan, setPlan] = useState(null);
+  const [recipeDetails, setRecipeDetails] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [generating, setGenerating] = useState(false);
+
+  // Recipe picker state
+  const [favorites, setFavorites] = useState([]);
+  const [searchTerm, setSearchTerm] = useState("");
+  const [searchResults, setSearchResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [selectedRecipe, setSelectedRecipe] = useState(null);
+
+  // Alert state for user notifications
+  const [alert, setAlert] = useState({
+    isVisible: false,
+    message: "",
+    type: "success",
+  });
+
+  /**
+   * Displays an alert to the user
+   *
+   * @param {string} message - Message to display
+   * @param {string} [type='success'] - Type of alert (success/error)
+   */
+  const showAlert = (message, type = "success") => {
+    setAlert({ isVisible: true, message, type });
+  };
+
+  /**
+   * Remembers recipe details so slots can show titles and images
+   *
+   * @param {Array<Object>} recipes - Recipes to remember
+   */
+  const rememberRecipes = (recipes) => {
+    setRecipeDetails((prev) => ({
+      ...prev,
+      ...Object.fromEntries(recipes.map((recipe) => [recipe._id, recipe])),
+    }));
+  };
+
+  /**
+   * Fetches the plan for the week being viewed
+   *
+   * @async
+   */
+  const fetchPlan = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await fetch(`/api/meal-plans?weekStart=${weekStart}`);
+      if (!response.ok) throw new Error("Failed to fetch meal plan");
+
+      const data = await response.json();
+      setPlan(data.plan);
+      rememberRecipes(data.plan?.recipes || []);
+    } catch (error) {
+      console.error("Error fetching meal plan:", error);
+      showAlert("Failed to load meal plan", "error");
+    } finally {
+      setLoading(false);
+    }
+  }, [weekStart]);
+
+  // Initial data fetch and authentication check
+  useEffect(() => {
+    if (!session) {
+      router.push("/auth/signin");
+      return;
+    }
+    fetchPlan();
+  }, [session, router, fetchPlan]);
+
+  // Load favorites as the default recipes to plan with
+  useEffect(() => {
+    if (!session) return;
+
+    const fetchFavorites = async () => {
+      try {
+        const response = await fetch("/api/favorites");
+        if (!response.ok) throw new Error("Failed to fetch favorites");
+
+        const data = await response.json();
+        setFavorites(data.favorites || []);
+        rememberRecipes(data.favorites || []);
+      } catch (error) {
+        console.error("Error fetching favorites:", error);
+      }
+    };
+
+    fetchFavorites();
+  }, [session]);
+
+  // Search the catalog after the user stops typing
+  useEffect(() => {
+    if (!searchTerm.trim()) {
+      setSearchResults([]);
+      return;
+    }
+
+    const timeout = setTimeout(async () => {
+      try {
+        setSearching(true);
+        const params = new URLSearchParams({
+          search: searchTerm.trim(),
+          sortBy: "relevance",
+          limit: "10",
+        });
+        const response = await fetch(`/api/recipes?${params}`);
+        if (!response.ok) throw new Error("Failed to search recipes");
+
+        const data = await response.json();
+        setSearchResults(data.recipes || []);
+        rememberRecipes(data.recipes || []);
+      } catch (error) {
+        console.error("Error searching recipes:", error);
+      } finally {
+        setSearching(false);
+      }
+    }, 400);
+
+    return () => clearTimeout(timeout);
+  }, [searchTerm]);
+
+  /**
+   * Persists the slots of the current week, creating the plan if needed
+   *
+   * @async
+   * @param {Array<Object>} slots - The updated slots
+   */
+  const saveSlots = async (slots) => {
+    const previousPlan = plan;
+    setPlan((prev) => ({ ...(prev || { weekStart }), slots }));
+
+    try {
+      setSaving(true);
+      let planId = plan?._id;
+
+      if (!planId) {
+        const response = await fetch("/api/meal-plans", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ weekStart, slots }),
+        });
+        const data = await response.json();
+
+        // A plan created from another tab is updated instead
+        if (response.status !== 409 && !response.ok) {
+          throw new Error(data.error || "Failed to save plan");
+        }
+        planId = data.id;
+        setPlan((prev) => ({ ...prev, _id: planId }));
+        if (response.ok) return;
+      }
+
+      const response = await fetch(`/api/meal-plans/${planId}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ slots }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to save plan");
+    } catch (error) {
+      console.error("Error saving meal plan:", error);
+      setPlan(previousPlan);
+      showAlert(error.message, "error");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Places a recipe into a day/meal slot using the recipe's own servings
+   *
+   * @param {Object} recipe - The recipe to place
+   * @param {number} day - Day index (0 = Monday)
+   * @param {string} meal - One of MEAL_TYPES
+   */
+  const addRecipeToSlot = (recipe, day, meal) => {
+    const slots = [
+      ...(plan?.slots || []),
+      {
+        day,
+        meal,
+        recipeId: recipe._id,
+        servings: parseServings(recipe.servings) || 1,
+      },
+    ];
+    saveSlots(slots);
+  };
+
+  /**
+   * Moves an existing slot to another day/meal
+   *
+   * @param {number} index - Index of the slot to move
+   * @param {number} day - Target day index
+   * @param {string} meal - Target meal
+   */
+  const moveSlot = (index, day, meal) => {
+    const slots = plan.slots.map((slot, slotIndex) =>
+      slotIndex === index ? { ...slot, day, meal } : slot
+    );
+    saveSlots(slots);
+  };
+
+  /**
+   * Updates the servings of a slot
+   *
+   * @param {number} index - Index of the slot
+   * @param {number} servings - The new number of servings
+   */
+  const updateSlotServings = (index, servings) => {
+    if (!Number.isFinite(servings) || servings < 1) return;
+    const slots = plan.slots.map((slot, slotIndex) =>
+      slotIndex === index ? { ...slot, servings } : slot
+    );
+    saveSlots(slots);
+  };
+
+  /**
+   * Removes a slot from the plan
+   *
+   * @param {number} index - Index of the slot to remove
+   */
+  const removeSlot = (index) => {
+    saveSlots(plan.slots.filter((_, slotIndex) => slotIndex !== index));
+  };
+
+  /**
+   * Handles a recipe or existing slot being dropped onto a cell
+   *
+   * @param {React.DragEvent} event - The drop event
+   * @param {number} day - Target day index
+   * @param {string} meal - Target meal
+   */
+  const handleDrop = (event, day, meal) => {
+    event.preventDefault();
+    try {
+      const payload = JSON.parse(event.dataTransfer.getData("application/json"));
+      if (payload.slotIndex !== undefined) {
+        moveSlot(payload.slotIndex, day, meal);
+      } else if (payload.recipeId && recipeDetails[payload.recipeId]) {
+        addRecipeToSlot(recipeDetails[payload.recipeId], day, meal);
+      }
+    } catch (error) {
+      console.error("Invalid drop payload:", error);
+    }
+  };
+
+  /**
+   * Generates one shopping list for every recipe planned this week
+   *
+   * @async
+   */
+  const generateShoppingList = async () => {
+    if (!plan?._id || !plan.slots?.length) {
+      showAlert("Add recipes to your plan first", "error");
+      return;
+    }
+
+    try {
+      setGenerating(true);
+      const response = await fetch(`/api/meal-plans/${plan._id}/shopping-list`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({}),
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to generate shopping list");
+      }
+
+      showAlert(`Shopping list created with ${data.itemCount} ingredients`);
+    } catch (error) {
+      console.error("Error generating shopping list:", error);
+      showAlert(error.message, "error");
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  // Ensure session exists before rendering the planner
+  if (!session) return null;
+
+  const pickerRecipes = searchTerm.trim() ? searchResults : favorites;
+  const [year, month, day] = weekStart.split("-").map(Number);
+  const weekDates = DAYS.map((_, index) => new Date(year, month - 1, day + index));
+
+  return (
+    <div className="container mx-auto px-4 py-8 min-h-screen">
+      {/* Alert component */}
+      <Alert
+        message={alert.message}
+        type={alert.type}
+        isVisible={alert.isVisible}
+        onClose={() => setAlert({ ...alert, isVisible: false })}
+      />
+
+      {/* Fixed position back button */}
+      <div className="absolute top-2 -left-[5rem] z-10">
+        <BackButton className="bg-white/80 backdrop-blur-sm shadow-lg rounded-lg p-2 hover:bg-white transition-colors dark:bg-gray-800 dark:hover:bg-gray-700" />
+      </div>
+
+      <h1 className="text-4xl font-bold mt-6 mb-10 dark:text-white text-center tracking-tight text-gray-700">
+        Meal Planner
+      </h1>
+
+      {/* Week Navigation */}
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setWeekStart((prev) => addWeeks(prev, -1))}
+            aria-label="Previous week"
+            className="p-2 rounded-lg bg-white shadow-sm hover:bg-gray-50 dark:bg-gray-800 dark:hover:bg-gray-700"
+          >
+            <ChevronLeft className="w-5 h-5 text-teal-600 dark:text-teal-400" />
+          </button>
+          <div className="flex items-center gap-2 px-4 py-2 rounded-lg bg-white shadow-sm dark:bg-gray-800">
+            <CalendarDays className="w-5 h-5 text-teal-600 dark:text-teal-400" />
+            <span className="font-medium text-gray-800 dark:text-gray-200">
+              {weekDates[0].toLocaleDateString()} –{" "}
+              {weekDates[6].toLocaleDateString()}
+            </span>
+          </div>
+          <button
+            onClick={() => setWeekStart((prev) => addWeeks(prev, 1))}
+            aria-label="Next week"
+            className="p-2 rounded-lg bg-white shadow-sm hover:bg-gray-50 dark:bg-gray-800 dark:hover:bg-gray-700"
+          >
+            <ChevronRight className="w-5 h-5 text-teal-600 dark:text-teal-400" />
+          </button>
+          {weekStart !== getWeekStart() && (
+            <button
+              onClick={() => setWeekStart(getWeekStart())}
+              className="text-sm text-teal-600 hover:text-teal-700 dark:text-teal-400 dark:hover:text-teal-300"
+            >
+              This week
+            </button>
+          )}
+          {saving && (
+            <Loader2 className="w-4 h-4 animate-spin text-teal-600 dark:text-teal-400" />
+          )}
+        </div>
+
+        <div className="flex items-center gap-3">
+          <Link
+            href="/shopping-list"
+            className="text-sm text-teal-600 hover:text-teal-700 dark:text-teal-400 dark:hover:text-teal-300"
+          >
+            View shopping lists
+          </Link>
+          <button
+            onClick={generateShoppingList}
+            disabled={generating || !plan?.slots?.length}
+            className="flex items-center px-4 py-2 bg-teal-500 hover:bg-teal-600 text-white rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors dark:bg-teal-600 dark:hover:bg-teal-700"
+          >
+            {generating ? (
+              <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+            ) : (
+              <ListPlus className="w-4 h-4 mr-2" />
+            )}
+            Generate Shopping List
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+        {/* Recipe Picker */}
+        <aside className="bg-white p-4 rounded-2xl shadow-sm dark:bg-gray-800 lg:sticky lg:top-20 lg:self-start">
+          <div className="relative mb-4">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-teal-500" />
+            <input
+              type="text"
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              placeholder="Search recipes"
+              className="w-full pl-9 pr-3 py-2 rounded-lg border border-teal-100 dark:border-slate-700 bg-white dark:bg-slate-800 text-teal-900 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-teal-500/20 focus:border-teal-500"
+            />
+          </div>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">
+            {searchTerm.trim() ? "Search results" : "Your favorites"} — drag a
+            recipe onto the calendar, or select one and tap a slot.
+          </p>
+          <div className="space-y-2 max-h-[60vh] overflow-y-auto">
+            {searching && (
+              <Loader2 className="mx-auto w-5 h-5 animate-spin text-teal-600" />
+            )}
+            {!searching && pickerRecipes.length === 0 && (
+              <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-4">
+                {searchTerm.trim()
+                  ? "No recipes found"
+                  : "No favorites yet. Search for a recipe to plan."}
+              </p>
+            )}
+            {pickerRecipes.map((recipe) => (
+              <div
+                key={recipe._id}
+                draggable
+                onDragStart={(e) =>
+                  e.dataTransfer.setData(
+                    "application/json",
+                    JSON.stringify({ recipeId: recipe._id })
+                  )
+                }
+                onClick={() =>
+                  setSelectedRecipe((prev) =>
+                    prev?._id === recipe._id ? null : recipe
+                  )
+                }
+                className={`flex items-center gap-3 p-2 rounded-lg cursor-grab transition-colors ${
+                  selectedRecipe?._id === recipe._id
+                    ? "bg-teal-100 dark:bg-teal-900"
+                    : "bg-gray-50 hover:bg-gray-100 dark:bg-gray-700 dark:hover:bg-gray-600"
+                }`}
+              >
+                {recipe.images?.[0] && (
+                  <Image
+                    src={recipe.images[0]}
+                    alt={recipe.title}
+                    width={40}
+                    height={40}
+                    className="w-10 h-10 rounded-md object-cover flex-shrink-0"
+                  />
+                )}
+                <span className="text-sm font-medium text-gray-800 dark:text-gray-200 line-clamp-2">
+                  {recipe.title}
+                </span>
+              </div>
+            ))}
+          </div>
+        </aside>
+
+        {/* Week Calendar */}
+        <section className="lg:col-span-3 overflow-x-auto">
+          {loading ? (
+            <LoadingPage />
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-7 gap-3 min-w-0 md:min-w-[56rem]">
+              {DAYS.map((dayName, dayIndex) => (
+                <div
+                  key={dayName}
+                  className={`rounded-2xl p-2 shadow-sm ${
+                    formatDateKey(weekDates[dayIndex]) ===
+                    formatDateKey(new Date())
+                      ? "bg-teal-50 dark:bg-teal-950"
+                      : "bg-white dark:bg-gray-800"
+                  }`}
+                >
+                  <div className="text-center mb-2">
+                    <div className="font-semibold text-gray-800 dark:text-white">
+                      {dayName.slice(0, 3)}
+                    </div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">
+                      {weekDates[dayIndex].getDate()}
+                    </div>
+                  </div>
+
+                  {MEAL_TYPES.map((meal) => (
+                    <div
+                      key={meal}
+                      onDragOver={(e) => e.preventDefault()}
+                      onDrop={(e) => handleDrop(e, dayIndex, meal)}
+                      className="mb-2 min-h-[5rem] rounded-lg border-2 border-dashed border-gray-200 p-1 dark:border-gray-600"
+                    >
+                      <div className="flex items-center justify-between px-1">
+                        <span className="text-[10px] uppercase tracking-wider text-teal-600 dark:text-teal-400">
+                          {meal}
+                        </span>
+                        {selectedRecipe && (
+                          <button
+                            onClick={() => {
+                              addRecipeToSlot(selectedRecipe, dayIndex, meal);
+                              setSelectedRecipe(null);
+                            }}
+                            aria-label={`Add ${selectedRecipe.title} to ${dayName} ${meal}`}
+                            className="text-teal-600 hover:text-teal-700 dark:text-teal-400"
+                          >
+                            <Plus className="w-4 h-4" />
+                          </button>
+                        )}
+                      </div>
+
+                      {(plan?.slots || []).map((slot, slotIndex) =>
+                        slot.day === dayIndex && slot.meal === meal ? (
+                          <div
+                            key={slotIndex}
+                            draggable
+                            onDragStart={(e) =>
+                              e.dataTransfer.setData(
+                                "application/json",
+                                JSON.stringify({ slotIndex })
+                              )
+                            }
+                            className="mt-1 p-1.5 rounded-md bg-gray-50 text-xs shadow-sm cursor-grab dark:bg-gray-700"
+                          >
+                            <div className="flex items-start justify-between gap-1">
+                              <Link
+                                href={`/recipes/${slot.recipeId}`}
+                                className="font-medium text-gray-800 hover:text-teal-600 dark:text-gray-200 dark:hover:text-teal-400 line-clamp-2"
+                              >
+                                {recipeDetails[slot.recipeId]?.title ||
+                                  "Recipe"}
+                              </Link>
+                              <button
+                                onClick={() => removeSlot(slotIndex)}
+                                aria-label="Remove from plan"
+                                className="text-red-500 hover:text-red-600 dark:text-red-400"
+                              >
+                                <X className="w-3.5 h-3.5" />
+                              </button>
+                            </div>
+                            <label className="flex items-center gap-1 mt-1 text-gray-500 dark:text-gray-400">
+                              Serves
+                              <input
+                                type="number"
+                                min="1"
+                                value={slot.servings}
+                                onChange={(e) =>
+                                  updateSlotServings(
+                                    slotIndex,
+                                    parseInt(e.target.value, 10)
+                                  )
+                                }
+                                className="w-12 px-1 border rounded bg-transparent dark:border-gray-600"
+                              />
+                            </label>
+                          </div>
+                        ) : null
+                      )}
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,169 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useSession } from "next-auth/react";
+import { useRouter } from "next/navigation";
+import Image from "next/image";
+import Link from "next/link";
+import { ChefHat, Plus } from "lucide-react";
+import BackButton from "@/components/BackButton";
+import Alert from "@/components/Alert";
+import RecipeOwnerControls from "@/components/RecipeOwnerControls";
+import LoadingPage from "../loading";
+
+/**
+ * My Recipes Page Component
+ * Lists the recipes the user has submitted with their visibility and moderation status,
+ * and lets the user make them public or private or delete them.
+ *
+ * @component
+ * @returns {React.ReactElement} Rendered list of the user's recipes
+ */
+export default function MyRecipesPage() {
+  // Authentication and routing hooks
+  const { data: session } = useSession();
+  const router = useRouter();
+
+  const [recipes, setRecipes] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // Alert state for user notifications
+  const [alert, setAlert] = useState({
+    isVisible: false,
+    message: "",
+    type: "success",
+  });
+
+  /**
+   * Displays an alert to the user
+   *
+   * @param {string} message - Message to display
+   * @param {string} [type='success'] - Type of alert (success/error)
+   */
+  const showAlert = (message, type = "success") => {
+    setAlert({ isVisible: true, message, type });
+  };
+
+  /**
+   * Fetches the user's recipes
+   *
+   * @async
+   */
+  const fetchRecipes = useCallback(async () => {
+    try {
+      const response = await fetch("/api/recipes/mine");
+      if (!response.ok) throw new Error("Failed to fetch your recipes");
+
+      const data = await response.json();
+      setRecipes(data.recipes);
+    } catch (error) {
+      console.error("Error fetching recipes:", error);
+      setAlert({ isVisible: true, message: error.message, type: "error" });
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Redirect to sign in when there is no session, otherwise load the recipes
+  useEffect(() => {
+    if (!session) {
+      router.push("/auth/signin");
+      return;
+    }
+    fetchRecipes();
+  }, [session, router, fetchRecipes]);
+
+  /**
+   * Removes a deleted recipe from the list
+   *
+   * @param {string} recipeId - The deleted recipe's ID
+   */
+  const handleDeleted = (recipeId) => {
+    setRecipes((prev) => prev.filter((recipe) => recipe._id !== recipeId));
+    showAlert("Recipe deleted");
+  };
+
+  // Ensure session exists before rendering the list
+  if (!session) return null;
+  if (loading) return <LoadingPage />;
+
+  return (
+    <div className="container mx-auto px-4 py-8 min-h-screen">
+      {/* Alert component */}
+      <Alert
+        message={alert.message}
+        type={alert.type}
+        isVisible={alert.isVisible}
+        onClose={() => setAlert({ ...alert, isVisible: false })}
+      />
+
+      {/* Fixed position back button */}
+      <div className="absolute top-2 -left-[5rem] z-10">
+        <BackButton className="bg-white/80 backdrop-blur-sm shadow-lg rounded-lg p-2 hover:bg-white transition-colors dark:bg-gray-800 dark:hover:bg-gray-700" />
+      </div>
+
+      <h1 className="text-4xl font-bold mt-6 mb-10 dark:text-white text-center tracking-tight text-gray-700">
+        My Recipes
+      </h1>
+
+      <div className="max-w-4xl mx-auto">
+        <div className="flex justify-end mb-6">
+          <Link
+            href="/recipes/new"
+            className="flex items-center px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-500 transition-colors"
+          >
+            <Plus className="w-4 h-4 mr-2" />
+            Submit a Recipe
+          </Link>
+        </div>
+
+        {recipes.length === 0 ? (
+          <div className="text-center py-16 bg-white rounded-2xl shadow-sm dark:bg-gray-800">
+            <ChefHat className="w-12 h-12 mx-auto mb-4 text-teal-500" />
+            <p className="text-gray-600 dark:text-gray-300">
+              You haven&apos;t submitted any recipes yet.
+            </p>
+          </div>
+        ) : (
+          <ul className="space-y-4">
+            {recipes.map((recipe) => (
+              <li
+                key={recipe._id}
+                className="flex flex-col sm:flex-row gap-4 bg-white p-4 rounded-2xl shadow-sm dark:bg-gray-800"
+              >
+                {recipe.images?.[0] && (
+                  <Link href={`/recipes/${recipe._id}`} className="flex-shrink-0">
+                    <Image
+                      src={recipe.images[0]}
+                      alt={recipe.title}
+                      width={128}
+                      height={96}
+                      className="w-full sm:w-32 h-24 rounded-lg object-cover"
+                    />
+                  </Link>
+                )}
+                <div className="flex-1 min-w-0 space-y-2">
+                  <Link
+                    href={`/recipes/${recipe._id}`}
+                    className="font-semibold text-gray-800 hover:text-teal-600 dark:text-white dark:hover:text-teal-400"
+                  >
+                    {recipe.title}
+                  </Link>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    {recipe.category} · Submitted{" "}
+                    {new Date(recipe.published).toLocaleDateString()}
+                  </p>
+                  <RecipeOwnerControls
+                    recipe={recipe}
+                    compact
+                    onDeleted={handleDeleted}
+                  />
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
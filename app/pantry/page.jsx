@@ -0,0 +1,440 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useSession } from "next-auth/react";
+import { useRouter } from "next/navigation";
+import Image from "next/image";
+import Link from "next/link";
+import { ChefHat, Loader2, Plus, Refrigerator, Trash2, X } from "lucide-react";
+import BackButton from "@/components/BackButton";
+import Alert from "@/components/Alert";
+import AddRecipeToListButton from "@/components/AddRecipeToListButton";
+import LoadingPage from "../loading";
+
+// Minimum share of ingredients owned, in percent, offered by the match filter
+const MATCH_OPTIONS = [
+  { value: 0, label: "Any match" },
+  { value: 50, label: "At least half" },
+  { value: 75, label: "At least 75%" },
+  { value: 100, label: "Everything in stock" },
+];
+
+// Number of ranked recipes loaded per page
+const PAGE_SIZE = 12;
+
+/**
+ * Pantry Page Component
+ * Manages the ingredients the user has at home and suggests recipes to cook from them,
+ * ranked by the fraction of each recipe's ingredients already owned.
+ *
+ * @component
+ * @returns {React.ReactElement} Rendered pantry page
+ */
+export default function PantryPage() {
+  // Authentication and routing hooks
+  const { data: session } = useSession();
+  const router = useRouter();
+
+  // Pantry state
+  const [items, setItems] = useState([]);
+  const [newItem, setNewItem] = useState("");
+  const [availableIngredients, setAvailableIngredients] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // Cook from pantry state
+  const [recipes, setRecipes] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [minMatch, setMinMatch] = useState(0);
+  const [loadingRecipes, setLoadingRecipes] = useState(false);
+
+  // Alert state for user notifications
+  const [alert, setAlert] = useState({
+    isVisible: false,
+    message: "",
+    type: "success",
+  });
+
+  /**
+   * Displays an alert to the user
+   *
+   * @param {string} message - Message to display
+   * @param {string} [type='success'] - Type of alert (success/error)
+   */
+  const showAlert = useCallback((message, type = "success") => {
+    setAlert({ isVisible: true, message, type });
+  }, []);
+
+  /**
+   * Fetches the user's pantry items
+   *
+   * @async
+   */
+  const fetchPantry = useCallback(async () => {
+    try {
+      const response = await fetch("/api/pantry");
+      if (!response.ok) throw new Error("Failed to fetch pantry");
+
+      const data = await response.json();
+      setItems(data.items);
+    } catch (error) {
+      console.error("Error fetching pantry:", error);
+      showAlert("Failed to load pantry", "error");
+    } finally {
+      setLoading(false);
+    }
+  }, [showAlert]);
+
+  /**
+   * Fetches recipes ranked by pantry coverage
+   *
+   * @async
+   * @param {number} pageToLoad - The page of results to load
+   */
+  const fetchRecipes = useCallback(
+    async (pageToLoad) => {
+      try {
+        setLoadingRecipes(true);
+        const params = new URLSearchParams({
+          page: pageToLoad.toString(),
+          limit: PAGE_SIZE.toString(),
+          minMatch: minMatch.toString(),
+        });
+        const response = await fetch(`/api/pantry/recipes?${params}`);
+        if (!response.ok) throw new Error("Failed to fetch recipes");
+
+        const data = await response.json();
+        setRecipes((prev) =>
+          pageToLoad === 1 ? data.recipes : [...prev, ...data.recipes]
+        );
+        setTotal(data.total);
+        setPage(pageToLoad);
+      } catch (error) {
+        console.error("Error fetching pantry recipes:", error);
+      } finally {
+        setLoadingRecipes(false);
+      }
+    },
+    [minMatch]
+  );
+
+  // Initial data fetch and authentication check
+  useEffect(() => {
+    if (!session) {
+      router.push("/auth/signin");
+      return;
+    }
+    fetchPantry();
+
+    // Suggest ingredient names used by recipes so pantry items match them
+    fetch("/api/ingredients")
+      .then((response) => (response.ok ? response.json() : []))
+      .then(setAvailableIngredients)
+      .catch((error) => console.error("Error fetching ingredients:", error));
+  }, [session, router, fetchPantry]);
+
+  // Re-rank recipes whenever the pantry or match filter changes
+  useEffect(() => {
+    if (session && !loading) {
+      fetchRecipes(1);
+    }
+  }, [session, loading, items, fetchRecipes]);
+
+  /**
+   * Adds the entered ingredient to the pantry
+   *
+   * @async
+   * @param {React.FormEvent} e - Form submit event
+   */
+  const handleAddItem = async (e) => {
+    e.preventDefault();
+    if (!newItem.trim()) return;
+
+    try {
+      const response = await fetch("/api/pantry", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ items: [newItem] }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to add item");
+
+      setItems(data.items);
+      setNewItem("");
+      if (data.added === 0) {
+        showAlert(`${newItem.trim()} is already in your pantry`, "error");
+      }
+    } catch (error) {
+      console.error("Error adding pantry item:", error);
+      showAlert(error.message, "error");
+    }
+  };
+
+  /**
+   * Removes an item from the pantry
+   *
+   * @async
+   * @param {string} itemId - ID of the item to remove
+   */
+  const handleRemoveItem = async (itemId) => {
+    try {
+      const response = await fetch(`/api/pantry/${itemId}`, {
+        method: "DELETE",
+      });
+      if (!response.ok) throw new Error("Failed to remove item");
+
+      setItems((prev) => prev.filter((item) => item._id !== itemId));
+    } catch (error) {
+      console.error("Error removing pantry item:", error);
+      showAlert(error.message, "error");
+    }
+  };
+
+  /**
+   * Removes every item from the pantry after confirmation
+   *
+   * @async
+   */
+  const handleClearPantry = async () => {
+    if (!window.confirm("Remove every item from your pantry?")) return;
+
+    try {
+      const response = await fetch("/api/pantry", { method: "DELETE" });
+      if (!response.ok) throw new Error("Failed to clear pantry");
+
+      setItems([]);
+      showAlert("Pantry cleared");
+    } catch (error) {
+      console.error("Error clearing pantry:", error);
+      showAlert(error.message, "error");
+    }
+  };
+
+  // Ensure session exists before rendering the pantry
+  if (!session) return null;
+  if (loading) return <LoadingPage />;
+
+  return (
+    <div className="container mx-auto px-4 py-8 min-h-screen">
+      {/* Alert component */}
+      <Alert
+        message={alert.message}
+        type={alert.type}
+        isVisible={alert.isVisible}
+        onClose={() => setAlert({ ...alert, isVisible: false })}
+      />
+
+      {/* Fixed position back button */}
+      <div className="absolute top-2 -left-[5rem] z-10">
+        <BackButton className="bg-white/80 backdrop-blur-sm shadow-lg rounded-lg p-2 hover:bg-white transition-colors dark:bg-gray-800 dark:hover:bg-gray-700" />
+      </div>
+
+      <h1 className="text-4xl font-bold mt-6 mb-10 dark:text-white text-center tracking-tight text-gray-700">
+        My Pantry
+      </h1>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Pantry Items */}
+        <section className="bg-white p-6 rounded-2xl shadow-sm dark:bg-gray-800 lg:self-start">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="flex items-center text-xl font-semibold text-gray-800 dark:text-white">
+              <Refrigerator className="w-5 h-5 mr-2 text-teal-600 dark:text-teal-400" />
+              In Stock ({items.length})
+            </h2>
+            {items.length > 0 && (
+              <button
+                onClick={handleClearPantry}
+                className="flex items-center text-sm text-red-500 hover:text-red-600 dark:text-red-400"
+              >
+                <Trash2 className="w-4 h-4 mr-1" />
+                Clear
+              </button>
+            )}
+          </div>
+
+          <form onSubmit={handleAddItem} className="flex gap-2 mb-4">
+            <input
+              type="text"
+              list="pantry-ingredient-suggestions"
+              value={newItem}
+              onChange={(e) => setNewItem(e.target.value)}
+              placeholder="Add an ingredient"
+              className="flex-1 px-3 py-2 rounded-lg border border-teal-100 dark:border-slate-700 bg-white dark:bg-slate-800 text-teal-900 dark:text-slate-200 focus:outline-none focus:ring-2 focus:ring-teal-500/20 focus:border-teal-500"
+            />
+            <datalist id="pantry-ingredient-suggestions">
+              {availableIngredients.map((ingredient) => (
+                <option key={ingredient} value={ingredient} />
+              ))}
+            </datalist>
+            <button
+              type="submit"
+              disabled={!newItem.trim()}
+              aria-label="Add to pantry"
+              className="p-2 bg-teal-500 hover:bg-teal-600 text-white rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors dark:bg-teal-600 dark:hover:bg-teal-700"
+            >
+              <Plus className="w-5 h-5" />
+            </button>
+          </form>
+
+          {items.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-4">
+              Your pantry is empty. Add what you have at home to find recipes
+              you can cook.
+            </p>
+          ) : (
+            <div className="flex flex-wrap gap-2">
+              {items.map((item) => (
+                <span
+                  key={item._id}
+                  className="flex items-center px-3 py-1 rounded-full text-sm bg-teal-50 text-teal-800 dark:bg-teal-900 dark:text-teal-200"
+                >
+                  {item.name}
+                  <button
+                    onClick={() => handleRemoveItem(item._id)}
+                    aria-label={`Remove ${item.name}`}
+                    className="ml-1 hover:text-red-500"
+                  >
+                    <X className="w-3.5 h-3.5" />
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+        </section>
+
+        {/* Cook From Pantry */}
+        <section className="lg:col-span-2">
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+            <h2 className="flex items-center text-xl font-semibold text-gray-800 dark:text-white">
+              <ChefHat className="w-5 h-5 mr-2 text-teal-600 dark:text-teal-400" />
+              Cook from Pantry
+              {total > 0 && (
+                <span className="ml-2 text-sm font-normal text-gray-500 dark:text-gray-400">
+                  {total} recipes
+                </span>
+              )}
+            </h2>
+            <select
+              value={minMatch}
+              onChange={(e) => setMinMatch(Number(e.target.value))}
+              className="px-3 py-2 rounded-lg border border-teal-100 dark:border-slate-700 bg-white dark:bg-slate-800 text-teal-900 dark:text-slate-200 text-sm"
+            >
+              {MATCH_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {!loadingRecipes && recipes.length === 0 && (
+            <p className="text-gray-500 dark:text-gray-400 text-center py-12 bg-white rounded-2xl shadow-sm dark:bg-gray-800">
+              {items.length === 0
+                ? "Add ingredients to your pantry to see what you can cook."
+                : "No recipes match your pantry yet."}
+            </p>
+          )}
+
+          <div className="space-y-4">
+            {recipes.map((recipe) => (
+              <PantryRecipe key={recipe._id} recipe={recipe} />
+            ))}
+          </div>
+
+          {loadingRecipes && (
+            <Loader2 className="mx-auto my-6 w-6 h-6 animate-spin text-teal-600" />
+          )}
+
+          {!loadingRecipes && recipes.length < total && (
+            <div className="text-center mt-6">
+              <button
+                onClick={() => fetchRecipes(page + 1)}
+                className="px-4 py-2 bg-teal-500 hover:bg-teal-600 text-white rounded-lg transition-colors dark:bg-teal-600 dark:hover:bg-teal-700"
+              >
+                Load more
+              </button>
+            </div>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * A ranked recipe showing how much of it the pantry covers and what is missing
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.recipe - Recipe with pantry match details
+ * @returns {React.ReactElement} Rendered recipe row
+ */
+const PantryRecipe = ({ recipe }) => {
+  const percentage = Math.round(recipe.pantryMatch * 100);
+  const missingIngredients = Object.fromEntries(
+    recipe.missingIngredients.map((name) => [name, recipe.ingredients[name]])
+  );
+
+  return (
+    <div className="flex flex-col sm:flex-row gap-4 bg-white p-4 rounded-2xl shadow-sm dark:bg-gray-800">
+      {recipe.images?.[0] && (
+        <Link href={`/recipes/${recipe._id}`} className="flex-shrink-0">
+          <Image
+            src={recipe.images[0]}
+            alt={recipe.title}
+            width={128}
+            height={96}
+            className="w-full sm:w-32 h-24 rounded-lg object-cover"
+          />
+        </Link>
+      )}
+      <div className="flex-1 min-w-0">
+        <Link
+          href={`/recipes/${recipe._id}`}
+          className="font-semibold text-gray-800 hover:text-teal-600 dark:text-white dark:hover:text-teal-400"
+        >
+          {recipe.title}
+        </Link>
+
+        <div className="flex items-center gap-2 mt-2">
+          <div className="flex-1 h-2 rounded-full bg-gray-100 dark:bg-gray-700">
+            <div
+              className="h-2 rounded-full bg-teal-500"
+              style={{ width: `${percentage}%` }}
+            />
+          </div>
+          <span className="text-sm text-gray-600 dark:text-gray-300 whitespace-nowrap">
+            {recipe.ownedCount} of {recipe.ingredientCount} ingredients
+          </span>
+        </div>
+
+        {recipe.missingIngredients.length > 0 ? (
+          <div className="mt-3">
+            <p className="text-sm text-gray-500 dark:text-gray-400 mb-1">
+              Missing:
+            </p>
+            <div className="flex flex-wrap gap-1 mb-3">
+              {recipe.missingIngredients.map((name) => (
+                <span
+                  key={name}
+                  className="px-2 py-0.5 rounded-full text-xs bg-red-50 text-red-700 dark:bg-red-900/40 dark:text-red-300"
+                >
+                  {name}
+                </span>
+              ))}
+            </div>
+            <AddRecipeToListButton
+              ingredients={missingIngredients}
+              recipeName={recipe.title}
+              label="Add Missing to Shopping List"
+            />
+          </div>
+        ) : (
+          <p className="mt-3 text-sm font-medium text-teal-600 dark:text-teal-400">
+            You have everything you need!
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
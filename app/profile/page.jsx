@@ -12,11 +12,20 @@ import {
   Heart,
   ShoppingCart,
   Download,
+  CalendarDays,
+  Refrigerator,
+  ChefHat,
+  Library,
 } from "lucide-react";
 import { motion, AnimatePresence } from "framer-motion";
 import { toast, Toaster } from "sonner";
 import Loader from "@/components/Loader";
 import BackButton from "@/components/BackButton";
+import UnitSystemToggle from "@/components/UnitSystemToggle";
+import AllergenSelector from "@/components/AllergenSelector";
+import CookingHistory from "@/components/CookingHistory";
+import { useAllergies } from "@/app/hooks/useAllergies";
+import { clearOutbox } from "@/lib/outbox";
 
 /**
  * ProfilePage component for user profile management
@@ -27,6 +36,7 @@ import BackButton from "@/components/BackButton";
 export default function ProfilePage() {
   // Retrieve current user session
   const { data: session } = useSession();
+  const { allergies, setAllergies } = useAllergies();
   const router = useRouter();
 
   // State management for page interactions
@@ -178,6 +188,10 @@ export default function ProfilePage() {
    * Handles user logout
    */
   const handleLogout = async () => {
+    // Changes queued offline must not be sent under the next user's session
+    await clearOutbox().catch((error) =>
+      console.error("Error clearing the outbox:", error)
+    );
     await signOut({ callbackUrl: "/" });
   };
 
@@ -345,6 +359,18 @@ export default function ProfilePage() {
                     <p className="text-sm text-slate-700 dark:text-slate-300">
                       <strong>Email:</strong> {userData?.email}
                     </p>
+                    <div className="flex flex-wrap items-center gap-2 text-sm text-slate-700 dark:text-slate-300">
+                      <strong>Measurement Units:</strong>
+                      <UnitSystemToggle />
+                    </div>
+                    <div className="text-sm text-slate-700 dark:text-slate-300">
+                      <strong>Allergies:</strong>
+                      <AllergenSelector
+                        selected={allergies}
+                        onChange={setAllergies}
+                        className="mt-2"
+                      />
+                    </div>
                   </div>
                 </motion.div>
               )}
@@ -361,17 +387,37 @@ export default function ProfilePage() {
             <h3 className="text-lg font-bold text-slate-900 dark:text-slate-100 mb-4">
               My Pages
             </h3>
-            <div className="grid grid-cols-3 gap-2 sm:gap-4">
+            <div className="grid grid-cols-3 sm:grid-cols-7 gap-2 sm:gap-4">
               <NavLink
                 href="/favorites"
                 icon={<Heart className="w-5 h-5 sm:w-6 sm:h-6" />}
                 label="Favourites"
               />
+              <NavLink
+                href="/collections"
+                icon={<Library className="w-5 h-5 sm:w-6 sm:h-6" />}
+                label="Collections"
+              />
               <NavLink
                 href="/shopping-list"
                 icon={<ShoppingCart className="w-5 h-5 sm:w-6 sm:h-6" />}
                 label="Shopping"
               />
+              <NavLink
+                href="/meal-plan"
+                icon={<CalendarDays className="w-5 h-5 sm:w-6 sm:h-6" />}
+                label="Meal Plan"
+              />
+              <NavLink
+                href="/pantry"
+                icon={<Refrigerator className="w-5 h-5 sm:w-6 sm:h-6" />}
+                label="Pantry"
+              />
+              <NavLink
+                href="/my-recipes"
+                icon={<ChefHat className="w-5 h-5 sm:w-6 sm:h-6" />}
+                label="My Recipes"
+              />
               <NavLink
                 href="/downloaded-recipes"
                 icon={<Download className="w-5 h-5 sm:w-6 sm:h-6" />}
@@ -380,6 +426,9 @@ export default function ProfilePage() {
             </div>
           </motion.div>
         </div>
+
+        {/* Cooking History */}
+        <CookingHistory />
       </motion.div>
     </div>
   );
@@ -3,25 +3,53 @@
  *
  * @module RecipeDetail
  */
-import { getRecipeById } from "../../../lib/api";
+import { cookies } from "next/headers";
+import { getRecipeById, getRestrictedRecipeById } from "../../../lib/api";
 import ImageSelector from "../../../components/ImageSelector.jsx";
 import BackButton from "../../../components/BackButton";
 import ReviewSection from "@/components/ReviewSection";
 import RecipeEdit from "@/components/RecipeEdit";
+import VersionHistory from "@/components/VersionHistory";
+import RecipeOwnerControls from "@/components/RecipeOwnerControls";
+import RecipeNote from "@/components/RecipeNote";
+import CookLogButton from "@/components/CookLogButton";
+import SimilarRecipes from "@/components/SimilarRecipes";
 import Link from "next/link";
 import {
   TimeIcon,
   TotalTime,
   ServingsIcon,
   CookIcon,
-  NutritionIcon,
   allergenSVGs,
   Instructions,
 } from "@/components/Svg";
 import TextToSpeech from "@/components/TextToSpeech";
+import CookMode from "@/components/CookMode";
 import ShoppingList from "@/components/ShoppingList";
-import AddRecipeToListButton from "@/components/AddRecipeToListButton";
-import { getIngredientUnit } from "@/components/IngredientUnit";
+import ScaledIngredients from "@/components/ScaledIngredients";
+import NutritionFacts from "@/components/NutritionFacts";
+import AllergenWarning from "@/components/AllergenWarning";
+import { ALLERGENS } from "@/lib/allergens";
+import { NOTE_TARGETS } from "@/lib/recipeNotes";
+import { isPublicRecipe } from "@/lib/userRecipes";
+import { TriangleAlert } from "lucide-react";
+
+/**
+ * Loads a recipe, falling back to the visitor's session for recipes hidden from the public
+ * catalog so owners can see their private recipes and pending submissions.
+ *
+ * @async
+ * @param {string} id - The ID of the recipe.
+ * @returns {Promise<Object|null>} The recipe, or null if it is hidden from the visitor.
+ */
+async function loadRecipe(id) {
+  try {
+    return await getRecipeById(id);
+  } catch (error) {
+    if (error.message !== "Recipe not found") throw error;
+    return getRestrictedRecipeById(id, cookies().toString());
+  }
+}
 
 /**
  * Generates metadata for the recipe detail page, including SEO attributes and OpenGraph tags.
@@ -35,7 +63,7 @@ export async function generateMetadata({ params }) {
   const { id } = params;
 
   try {
-    const recipe = await getRecipeById(id);
+    const recipe = await loadRecipe(id);
 
     if (!recipe) {
       return {
@@ -95,46 +123,6 @@ export async function generateMetadata({ params }) {
   }
 }
 
-/**
- * Formats nutrition data into a structured array.
- *
- * @param {Object|Array} nutrition - The raw nutrition data.
- * @returns {Array|null} A formatted array of nutrition facts, or null if invalid.
- */
-
-const formatNutritionData = (nutrition) => {
-  // If nutrition is already an array, return it
-  if (Array.isArray(nutrition)) {
-    return nutrition;
-  }
-
-  // If nutrition is an object, convert it to array format
-  if (nutrition && typeof nutrition === "object") {
-    return Object.entries(nutrition).map(([label, value]) => {
-      // Handle cases where value might be a string with unit
-      if (typeof value === "string") {
-        const match = value.match(/(\d+(?:\.\d+)?)\s*(\w+)?/);
-        if (match) {
-          return {
-            label,
-            value: match[1],
-            unit: match[2] || "",
-          };
-        }
-      }
-      // Handle cases where value is a number
-      return {
-        label,
-        value: value.toString(),
-        unit: "",
-      };
-    });
-  }
-
-  // If nutrition is not in a valid format, return null
-  return null;
-};
-
 // Define addToShoppingList outside try-catch block
 // const { addToShoppingList } = useShoppingList();
 
@@ -143,21 +131,29 @@ const formatNutritionData = (nutrition) => {
  *
  * @async
  * @param {string} recipeId - The ID of the recipe.
- * @returns {Promise<Array>} A list of allergens or an empty array in case of errors.
+ * @param {string} [cookie] - The visitor's cookies, needed for recipes hidden from the public
+ * catalog.
+ * @returns {Promise<{allergens: string[], ingredients: Object<string, string[]>}>} The detected
+ * allergens and the ingredients containing each, or empty values in case of errors.
  */
 
-async function getAllergensByRecipeId(recipeId) {
+async function getAllergensByRecipeId(recipeId, cookie) {
   const API_BASE_URL =
     process.env.NEXT_PUBLIC_API_BASE_URL || "http://localhost:3000";
-  console.log("API_BASE_URL:", process.env.NEXT_PUBLIC_API_BASE_URL);
 
   try {
-    const response = await fetch(`${API_BASE_URL}/api/allergens/${recipeId}`);
+    const response = await fetch(
+      `${API_BASE_URL}/api/allergens/${recipeId}`,
+      cookie ? { cache: "no-store", headers: { cookie } } : undefined
+    );
     const data = await response.json();
-    return data.allergens || [];
+    return {
+      allergens: data.allergens || [],
+      ingredients: data.ingredients || {},
+    };
   } catch (error) {
     console.error("Error fetching allergens:", error);
-    return [];
+    return { allergens: [], ingredients: {} };
   }
 }
 
@@ -166,11 +162,17 @@ export default async function RecipeDetail({ params }) {
 
   let recipe;
   try {
-    recipe = await getRecipeById(id);
+    recipe = await loadRecipe(id);
+    if (!recipe) throw new Error("Recipe not found");
 
-    const allergens = await getAllergensByRecipeId(id);
+    const { allergens, ingredients: allergenIngredients } =
+      await getAllergensByRecipeId(
+        id,
+        isPublicRecipe(recipe) ? undefined : cookies().toString()
+      );
 
     recipe.allergens = allergens;
+    recipe.allergenIngredients = allergenIngredients;
   } catch (error) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-800">
@@ -208,33 +210,11 @@ export default async function RecipeDetail({ params }) {
     );
   }
 
-  // Fetch allergens data
-  let allergensData;
-  try {
-    const response = await fetch("http://localhost:3000/api/allergens");
-    const data = await response.json();
-    allergensData = data.allergens;
-  } catch (error) {
-    console.error("Error fetching allergens:", error);
-    allergensData = [];
-  }
-
-  // Check for allergens in the recipe ingredients
-  const recipeIngredients = Object.keys(recipe.ingredients);
-  const presentAllergens = allergensData.filter((allergen) =>
-    recipeIngredients.some((ingredient) =>
-      ingredient.toLowerCase().includes(allergen.toLowerCase())
-    )
-  );
-
   // Calculate total time
   const prepTime = parseInt(recipe.prep) || 0;
   const cookTime = parseInt(recipe.cook) || 0;
   const totalTime = prepTime + cookTime;
 
-  // Format nutrition data
-  const nutritionData = formatNutritionData(recipe.nutrition);
-
   return (
     <div className="font-sans pt-16 min-h-screen dark:bg-gray-900">
       {/* Fixed position back button */}
@@ -251,6 +231,9 @@ export default async function RecipeDetail({ params }) {
           </div>
           {/* Recipe Details Section */}
           <div className="space-y-6">
+            {/* Status and actions for the recipe's owner */}
+            <RecipeOwnerControls recipe={recipe} />
+
             {/* Header Section */}
             <div className="bg-white p-6 rounded-2xl shadow-sm dark:bg-gray-700">
               <h1 className="text-4xl font-bold text-gray-900 mb-4 dark:text-white">
@@ -260,6 +243,19 @@ export default async function RecipeDetail({ params }) {
                 {recipe.description}
               </p>
 
+              {/* The signed-in user's private note on the whole recipe */}
+              <RecipeNote
+                recipeId={id}
+                target={NOTE_TARGETS.RECIPE}
+                placeholder="Add a private note about this recipe"
+                className="mt-4"
+              />
+
+              {/* Record a cook in the user's cooking history */}
+              <div className="mt-4">
+                <CookLogButton recipeId={id} servings={recipe.servings} />
+              </div>
+
               {/* Recipe Meta Info */}
               <div className="grid grid-cols-2 sm:grid-cols-2 md:grid-cols-4 lg:grid-cols-4 gap-2 sm:gap-3 md:gap-4 mt-4 sm:mt-6 max-w-3xl mx-auto px-2 sm:px-0">
                 <div className="flex flex-col items-center p-4 bg-gray-50 rounded-xl hover:bg-gray-100 transition-colors dark:bg-gray-700 dark:hover:bg-gray-600">
@@ -290,55 +286,36 @@ export default async function RecipeDetail({ params }) {
             </div>
 
             {/* Nutrition Section */}
-            {nutritionData && nutritionData.length > 0 && (
-              <div className="bg-white p-6 rounded-2xl shadow-sm dark:bg-gray-700">
-                <div className="flex items-center gap-2 mb-4">
-                  <NutritionIcon />
-                  <h2 className="text-2xl font-semibold text-gray-900 dark:text-white">
-                    Nutrition Facts
-                  </h2>
-                </div>
-                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-                  {nutritionData.map((item, index) => (
-                    <div
-                      key={index}
-                      className="bg-gray-50 p-4 rounded-xl hover:bg-gray-100 transition-colors  dark:bg-gray-700 dark:hover:bg-gray-600"
-                    >
-                      <div className="text-lg font-semibold text-teal-700 dark:text-teal-400">
-                        {item.value}
-                        <span className="text-sm ml-1 text-teal-600 dark:text-teal-300">
-                          {item.unit}
-                        </span>
-                      </div>
-                      <div className="text-sm text-gray-600 dark:text-gray-400">
-                        {item.label}
-                      </div>
-                    </div>
-                  ))}
-                </div>
-              </div>
-            )}
+            <NutritionFacts
+              nutrition={recipe.nutrition}
+              servings={recipe.servings}
+            />
 
             {/* Display Allergens Section */}
-            {presentAllergens.length > 0 && (
+            {recipe.allergens.length > 0 && (
               <div className="bg-white p-6 rounded-2xl shadow-sm dark:bg-gray-700">
                 <div className="flex items-center gap-2 mb-4">
                   <h2 className="text-2xl font-semibold text-gray-900 dark:text-white">
                     Allergens
                   </h2>
                 </div>
+                <AllergenWarning
+                  allergens={recipe.allergens}
+                  className="mb-4"
+                />
                 <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-                  {presentAllergens.map((allergen, index) => (
+                  {recipe.allergens.map((allergen) => (
                     <div
-                      key={index}
+                      key={allergen}
+                      title={recipe.allergenIngredients[allergen]?.join(", ")}
                       className="flex flex-col items-center bg-gray-50 p-4 rounded-xl hover:bg-gray-100 transition-colors dark:bg-gray-700 dark:hover:bg-gray-600"
                     >
                       {/* Render the allergen SVG if available */}
-                      {allergenSVGs[allergen.toLowerCase()] || (
-                        <span>No SVG Available</span>
+                      {allergenSVGs[allergen] || (
+                        <TriangleAlert className="w-8 h-8 text-amber-500" />
                       )}
                       <div className="text-sm text-gray-500 font-medium mt-2 dark:text-gray-400">
-                        {allergen}
+                        {ALLERGENS[allergen]?.label || allergen}
                       </div>
                     </div>
                   ))}
@@ -347,38 +324,12 @@ export default async function RecipeDetail({ params }) {
             )}
 
             {/* Ingredients Section */}
-            <div className="bg-white p-6 rounded-2xl shadow-sm dark:bg-gray-700">
-              <div className="flex justify-between items-center mb-6">
-                <h2 className="text-2xl font-semibold text-gray-900 dark:text-white">
-                  Ingredients
-                </h2>
-                <AddRecipeToListButton
-                  ingredients={recipe.ingredients}
-                  shoppingListId="your-shopping-list-id"
-                  recipeName={recipe.title}
-                />
-              </div>
-              <ul className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                {Object.entries(recipe.ingredients).map(
-                  ([ingredient, amount], index) => {
-                    const unit = getIngredientUnit(ingredient);
-                    return (
-                      <li
-                        key={index}
-                        className="flex items-center text-gray-700 bg-gray-50 p-3 rounded-lg hover:bg-gray-100 transition-colors dark:bg-gray-800 dark:hover:bg-gray-700 dark:text-gray-300"
-                      >
-                        <span className="w-2 h-2 bg-teal-500 rounded-full mr-3 dark:bg-teal-400"></span>
-                        <span className="font-medium">
-                          {amount} {unit ? `${unit}` : ""}
-                        </span>
-                        <span className="mx-2">·</span>
-                        <span>{ingredient}</span>
-                      </li>
-                    );
-                  }
-                )}
-              </ul>
-            </div>
+            <ScaledIngredients
+              ingredients={recipe.ingredients}
+              servings={recipe.servings}
+              recipeName={recipe.title}
+              recipeId={id}
+            />
 
             {/* Shopping List Section */}
             <div className="mt-8">
@@ -390,6 +341,11 @@ export default async function RecipeDetail({ params }) {
               <h2 className="text-2xl font-semibold text-gray-900 dark:text-white mb-4">
                 Instructions
               </h2>
+              <CookMode
+                recipeId={id}
+                title={recipe.title}
+                instructions={recipe.instructions}
+              />
               <TextToSpeech instructions={recipe.instructions} />
               <ol className="mt-4 space-y-4">
                 {recipe.instructions.map((step, index) => (
@@ -400,10 +356,15 @@ export default async function RecipeDetail({ params }) {
                     <span className="w-8 h-8 bg-teal-100 text-teal-700 rounded-full flex items-center justify-center font-medium mr-4 flex-shrink-0 dark:bg-teal-700 dark:text-teal-300">
                       {index + 1}
                     </span>
-                    <div className="flex-1">
+                    <div className="flex-1 space-y-2">
                       <span className="text-gray-700 leading-relaxed dark:text-gray-300">
                         {step}
                       </span>
+                      <RecipeNote
+                        recipeId={id}
+                        target={NOTE_TARGETS.STEP}
+                        noteKey={index}
+                      />
                     </div>
                   </li>
                 ))}
@@ -420,6 +381,11 @@ export default async function RecipeDetail({ params }) {
               <RecipeEdit recipe={recipe} />
             </div>
 
+            {/* Version History */}
+            <div className="mt-8">
+              <VersionHistory recipeId={id} />
+            </div>
+
             {/* Recipe Tags */}
             {recipe.tags && recipe.tags.length > 0 && (
               <div className="bg-white p-6 rounded-2xl shadow-sm dark:bg-gray-700">
@@ -440,6 +406,9 @@ export default async function RecipeDetail({ params }) {
             )}
           </div>
         </div>
+
+        {/* Similar recipes */}
+        <SimilarRecipes recipeId={id} />
       </div>
     </div>
   );
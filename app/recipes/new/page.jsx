@@ -0,0 +1,159 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { useSession } from "next-auth/react";
+import { useRouter } from "next/navigation";
+import BackButton from "@/components/BackButton";
+import Alert from "@/components/Alert";
+import RecipeForm from "@/components/RecipeForm";
+import { RECIPE_VISIBILITY } from "@/lib/userRecipes";
+
+// Visibility choices offered when submitting a recipe
+const VISIBILITY_OPTIONS = [
+  {
+    value: RECIPE_VISIBILITY.PUBLIC,
+    label: "Public",
+    description: "Shared with everyone once a moderator approves it.",
+  },
+  {
+    value: RECIPE_VISIBILITY.PRIVATE,
+    label: "Private",
+    description: "Only you can see it.",
+  },
+];
+
+/**
+ * New Recipe Page Component
+ * Lets signed-in users submit their own recipe, either privately or publicly. Public
+ * recipes are reviewed before they appear in the catalog.
+ *
+ * @component
+ * @returns {React.ReactElement} Rendered recipe submission page
+ */
+export default function NewRecipePage() {
+  // Authentication and routing hooks
+  const { data: session } = useSession();
+  const router = useRouter();
+
+  const [visibility, setVisibility] = useState(RECIPE_VISIBILITY.PUBLIC);
+  const [saving, setSaving] = useState(false);
+
+  // Alert state for user notifications
+  const [alert, setAlert] = useState({
+    isVisible: false,
+    message: "",
+    type: "success",
+  });
+
+  /**
+   * Displays an alert to the user
+   *
+   * @param {string} message - Message to display
+   * @param {string} [type='success'] - Type of alert (success/error)
+   */
+  const showAlert = (message, type = "success") => {
+    setAlert({ isVisible: true, message, type });
+  };
+
+  // Redirect to sign in when there is no session
+  useEffect(() => {
+    if (!session) {
+      router.push("/auth/signin");
+    }
+  }, [session, router]);
+
+  /**
+   * Submits the recipe and opens it
+   *
+   * @async
+   * @param {Object} values - The recipe fields from the form
+   */
+  const handleSubmit = async (values) => {
+    try {
+      setSaving(true);
+      const response = await fetch("/api/recipes", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...values, visibility }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to create recipe");
+
+      router.push(`/recipes/${data.recipe._id}`);
+    } catch (error) {
+      console.error("Error creating recipe:", error);
+      showAlert(error.message, "error");
+      setSaving(false);
+    }
+  };
+
+  // Ensure session exists before rendering the form
+  if (!session) return null;
+
+  return (
+    <div className="container mx-auto px-4 py-8 min-h-screen">
+      {/* Alert component */}
+      <Alert
+        message={alert.message}
+        type={alert.type}
+        isVisible={alert.isVisible}
+        onClose={() => setAlert({ ...alert, isVisible: false })}
+      />
+
+      {/* Fixed position back button */}
+      <div className="absolute top-2 -left-[5rem] z-10">
+        <BackButton className="bg-white/80 backdrop-blur-sm shadow-lg rounded-lg p-2 hover:bg-white transition-colors dark:bg-gray-800 dark:hover:bg-gray-700" />
+      </div>
+
+      <h1 className="text-4xl font-bold mt-6 mb-10 dark:text-white text-center tracking-tight text-gray-700">
+        Submit a Recipe
+      </h1>
+
+      <div className="max-w-3xl mx-auto bg-white p-6 rounded-2xl shadow-sm dark:bg-gray-700">
+        <RecipeForm
+          onSubmit={handleSubmit}
+          onError={(message) => showAlert(message, "error")}
+          loading={saving}
+          submitLabel="Submit Recipe"
+        >
+          {/* Visibility */}
+          <fieldset>
+            <legend className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Visibility
+            </legend>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+              {VISIBILITY_OPTIONS.map((option) => (
+                <label
+                  key={option.value}
+                  className={`flex items-start gap-2 p-3 rounded-lg border cursor-pointer ${
+                    visibility === option.value
+                      ? "border-teal-500 bg-teal-50 dark:bg-teal-900/30"
+                      : "border-gray-300 dark:border-gray-600"
+                  }`}
+                >
+                  <input
+                    type="radio"
+                    name="visibility"
+                    value={option.value}
+                    checked={visibility === option.value}
+                    onChange={() => setVisibility(option.value)}
+                    className="mt-1 accent-teal-600"
+                  />
+                  <span>
+                    <span className="block text-sm font-medium text-gray-800 dark:text-white">
+                      {option.label}
+                    </span>
+                    <span className="block text-xs text-gray-500 dark:text-gray-400">
+                      {option.description}
+                    </span>
+                  </span>
+                </label>
+              ))}
+            </div>
+          </fieldset>
+        </RecipeForm>
+      </div>
+    </div>
+  );
+}
@@ -7,6 +7,7 @@ import Loader from "@/components/Loader";
 import ClearFiltersButton from "@/components/ClearFiltersButton";
 import RecipeCarousel from "@/components/RecipeCarousel";
 import { SearchIcon } from "@/components/Svg";
+import { NUTRIENTS, getNutritionParamNames } from "@/lib/nutrition";
 
 export const metadata = {
   title: "Culinary Haven: Online Recipes | SA's leading online recipe app",
@@ -29,7 +30,16 @@ export const metadata = {
  * @returns {JSX.Element} The rendered component.
  */
 function ResultsSummary({ total, filters }) {
-  const { tags, numberOfSteps, ingredients, category, search } = filters;
+  const {
+    tags,
+    numberOfSteps,
+    ingredients,
+    excludeAllergens,
+    nutritionFilterCount,
+    maxTotalTime,
+    category,
+    search,
+  } = filters;
 
   return (
     <div className="flex items-center gap-2 mt-4 text-gray-600 font-medium">
@@ -51,6 +61,21 @@ function ResultsSummary({ total, filters }) {
             {ingredients.length === 1 ? " ingredient" : " ingredients"})
           </span>
         )}
+        {excludeAllergens?.length > 0 && (
+          <span className="ml-2">
+            (without {excludeAllergens.length}
+            {excludeAllergens.length === 1 ? " allergen" : " allergens"})
+          </span>
+        )}
+        {maxTotalTime && (
+          <span className="ml-2">(ready in {maxTotalTime} mins or less)</span>
+        )}
+        {nutritionFilterCount > 0 && (
+          <span className="ml-2">
+            (with {nutritionFilterCount} nutrition
+            {nutritionFilterCount === 1 ? " limit" : " limits"})
+          </span>
+        )}
         {category && <span className="ml-2">(in {category})</span>}
         {search && <span className="ml-2">(matching {search})</span>}
       </span>
@@ -78,6 +103,17 @@ function NoResults({ hasFilters }) {
   );
 }
 
+/**
+ * Reads a list query parameter, which holds a single string when given once.
+ *
+ * @param {string|string[]|undefined} value - The parameter value.
+ * @returns {string[]} The values.
+ */
+const toList = (value) => {
+  if (Array.isArray(value)) return value;
+  return value ? [value] : [];
+};
+
 /**
  * Home component that renders the main recipe search page.
  * This component handles the search functionality, filters, and pagination
@@ -107,22 +143,30 @@ export default async function Home({ searchParams: rawSearchParams }) {
     numberOfSteps: searchParams.numberOfSteps
       ? parseInt(searchParams.numberOfSteps, 10)
       : null,
+    maxPrep: searchParams.maxPrep ? parseInt(searchParams.maxPrep, 10) : null,
+    maxCook: searchParams.maxCook ? parseInt(searchParams.maxCook, 10) : null,
+    maxTotalTime: searchParams.maxTotalTime
+      ? parseInt(searchParams.maxTotalTime, 10)
+      : null,
     tagMatchType: searchParams.tagMatchType || "all",
     ingredientMatchType: searchParams.ingredientMatchType || "all",
   };
 
   // Handle array parameters
-  const tags = Array.isArray(searchParams["tags[]"])
-    ? searchParams["tags[]"]
-    : searchParams["tags[]"]
-    ? [searchParams["tags[]"]]
-    : [];
-
-  const ingredients = Array.isArray(searchParams["ingredients[]"])
-    ? searchParams["ingredients[]"]
-    : searchParams["ingredients[]"]
-    ? [searchParams["ingredients[]"]]
-    : [];
+  const tags = toList(searchParams["tags[]"]);
+  const ingredients = toList(searchParams["ingredients[]"]);
+  const excludeAllergens = toList(searchParams["excludeAllergens[]"]);
+
+  // Collect nutrition ranges such as maxCalories or minProtein
+  const nutrition = {};
+  Object.keys(NUTRIENTS).forEach((nutrient) => {
+    Object.values(getNutritionParamNames(nutrient)).forEach((param) => {
+      if (searchParams[param]) {
+        nutrition[param] = searchParams[param];
+      }
+    });
+  });
+  const nutritionFilterCount = Object.keys(nutrition).length;
 
   // Fetch all data concurrently
   const [recipesData, categories, availableTags, availableIngredients] =
@@ -131,6 +175,8 @@ export default async function Home({ searchParams: rawSearchParams }) {
         ...params,
         tags,
         ingredients,
+        excludeAllergens,
+        nutrition,
       }),
       getCategories(),
       getTags(),
@@ -150,6 +196,9 @@ export default async function Home({ searchParams: rawSearchParams }) {
     tags,
     numberOfSteps: params.numberOfSteps,
     ingredients,
+    excludeAllergens,
+    nutritionFilterCount,
+    maxTotalTime: params.maxTotalTime,
     category: params.category,
     search: params.search,
   };
@@ -158,6 +207,11 @@ export default async function Home({ searchParams: rawSearchParams }) {
     tags.length > 0 ||
     params.numberOfSteps ||
     ingredients.length > 0 ||
+    excludeAllergens.length > 0 ||
+    nutritionFilterCount > 0 ||
+    params.maxPrep ||
+    params.maxCook ||
+    params.maxTotalTime ||
     params.category ||
     params.search;
 
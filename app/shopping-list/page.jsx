@@ -1,6 +1,6 @@
 "use client";
 
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
 import { useSession } from "next-auth/react";
 import { useRouter } from "next/navigation";
 import {
@@ -13,17 +13,79 @@ import {
   PlusCircle,
   NotebookPen,
   Undo2,
+  CloudOff,
+  Users,
+  LogOut,
 } from "lucide-react";
 import BackButton from "@/components/BackButton";
 import LoadingPage from "../loading";
 import { motion, AnimatePresence } from "framer-motion";
-import { getIngredientUnit } from "@/components/IngredientUnit";
 import Alert from "@/components/Alert";
 import ConfirmationModal from "@/components/ConfirmationModal";
+import ShareListModal from "@/components/ShareListModal";
+import UnitSystemToggle from "@/components/UnitSystemToggle";
+import { formatMeasurement } from "@/lib/units";
+import { useUnitPreference } from "@/app/hooks/useUnitPreference";
+import { sendOrQueue, OUTBOX_REPLAYED_EVENT } from "@/lib/outbox";
+import {
+  applyItemChanges,
+  attributeItemChange,
+  getMemberName,
+  hasListRole,
+  ITEM_CHANGE,
+  LIST_ROLES,
+} from "@/lib/shoppingList";
+import {
+  getCachedLists,
+  cacheLists,
+  withPendingChanges,
+} from "@/lib/shoppingListCache";
+
+// Shown when a list change is saved to be sent later
+const QUEUED_MESSAGE =
+  "Saved offline. Changes will sync when you're back online.";
+
+// How often shared lists are checked for changes made by other members, in milliseconds
+const LIVE_UPDATE_INTERVAL_MS = 5000;
+
+/**
+ * Checks whether a list is shared, so it shows who added and bought each item and is kept
+ * up to date with other members' changes
+ *
+ * @param {Object} list - The shopping list
+ * @returns {boolean} True if the list has members
+ */
+const isSharedList = (list) => (list.members?.length ?? 0) > 0;
+
+/**
+ * Gets the user's role on a list. Lists saved on the device before lists could be shared
+ * have no role and are the user's own.
+ *
+ * @param {Object} list - The shopping list
+ * @returns {string} The user's role
+ */
+const getRole = (list) => list.role || LIST_ROLES.OWNER;
+
+/**
+ * Describes who added an item to a shared list and who bought it
+ *
+ * @param {Object} item - The shopping list item
+ * @returns {string} Text such as "Added by Jane · Bought by Sam", or an empty string
+ */
+const describeItemActivity = (item) =>
+  [
+    item.addedBy && `Added by ${item.addedBy}`,
+    item.purchased && item.purchasedBy && `Bought by ${item.purchasedBy}`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
 
 /**
  * Shopping List Page Component
- * Manages user's shopping lists, allowing creation, modification, and interaction
+ * Manages user's shopping lists, allowing creation, modification, and interaction.
+ * Lists are saved on the device and item changes show straight away, so lists can be
+ * checked off with a poor connection or none at all. Lists can be shared with other users,
+ * whose changes appear while the page is open.
  *
  * @component
  * @returns {React.ReactElement} Rendered shopping list page
@@ -32,16 +94,22 @@ export default function ShoppingListPage() {
   // Authentication and routing hooks
   const { data: session } = useSession();
   const router = useRouter();
+  const { unitSystem } = useUnitPreference();
 
   // State management for shopping lists and UI interactions
   const [lists, setLists] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [isShowingSaved, setIsShowingSaved] = useState(false);
+
+  // Latest lists, and counts of item changes per list, read when polling shared lists
+  const listsRef = useRef(lists);
+  listsRef.current = lists;
+  const changeCountsRef = useRef({});
+  const inFlightRef = useRef({});
 
   // State for various UI interactions and actions
   const [deleting, setDeleting] = useState({});
-  const [removingItem, setRemovingItem] = useState({});
-  const [updatingQuantity, setUpdatingQuantity] = useState({});
 
   // New list creation states
   const [newListName, setNewListName] = useState("");
@@ -50,7 +118,6 @@ export default function ShoppingListPage() {
   // New item addition states
   const [newItemAmount, setNewItemAmount] = useState(1);
   const [newItemIngredient, setNewItemIngredient] = useState("");
-  const [addingManualItem, setAddingManualItem] = useState(null);
 
   // UI interaction states
   const [isPanelOpen, setIsPanelOpen] = useState(false);
@@ -61,6 +128,10 @@ export default function ShoppingListPage() {
   const [undoItem, setUndoItem] = useState(null);
   const [undoTimer, setUndoTimer] = useState(null);
 
+  // Sharing states
+  const [sharingListId, setSharingListId] = useState(null);
+  const [listToLeave, setListToLeave] = useState(null);
+
   // Alert state for user notifications
   const [alert, setAlert] = useState({
     isVisible: false,
@@ -83,14 +154,13 @@ export default function ShoppingListPage() {
   };
 
   /**
-   * Fetches user's shopping lists from the server
+   * Fetches user's shopping lists from the server, falling back to the copy saved on this
+   * device when they cannot be fetched
    *
    * @async
-   * @throws {Error} If fetching lists fails
    */
   const fetchLists = async () => {
     try {
-      setLoading(true);
       const response = await fetch("/api/shopping-list", {
         headers: {
           "user-id": session.user.id,
@@ -100,15 +170,126 @@ export default function ShoppingListPage() {
       if (!response.ok) throw new Error("Failed to fetch shopping lists");
 
       const data = await response.json();
-      setLists(data);
+      setLists(await withPendingChanges(data));
+      setIsShowingSaved(false);
     } catch (error) {
-      setError("Error fetching shopping lists: " + error.message);
-      showAlert("Failed to fetch shopping lists", "error");
+      const cached = await getCachedLists(session.user.id).catch(() => null);
+      if (cached) {
+        setLists(cached);
+        setIsShowingSaved(true);
+      } else {
+        setError("Error fetching shopping lists: " + error.message);
+        showAlert("Failed to fetch shopping lists", "error");
+      }
     } finally {
       setLoading(false);
     }
   };
 
+  /**
+   * Shows the lists saved on this device straight away, then fetches the latest ones
+   *
+   * @async
+   */
+  const loadLists = async () => {
+    const cached = await getCachedLists(session.user.id).catch(() => null);
+    if (cached) {
+      setLists(cached);
+      setLoading(false);
+    }
+    await fetchLists();
+  };
+
+  /**
+   * Sends a change to the server, or queues it while offline
+   *
+   * @param {string} url - The API URL
+   * @param {Object} options - The fetch options: method and body
+   * @param {string} label - What the change does, shown if it cannot be saved later
+   * @returns {Promise<{queued: boolean, response: Response|null}>} The server's response, or
+   * `queued` if the change will be sent later
+   */
+  const sendChange = (url, options, label) =>
+    sendOrQueue(
+      url,
+      {
+        ...options,
+        headers: {
+          "Content-Type": "application/json",
+          "user-id": session.user.id,
+        },
+      },
+      label
+    );
+
+  /**
+   * Returns the lists with one list's items replaced
+   *
+   * @param {Array<Object>} currentLists - The shopping lists
+   * @param {string} id - ID of the shopping list to change
+   * @param {Array<Object>} items - The list's new items
+   * @returns {Array<Object>} The updated lists
+   */
+  const withItems = (currentLists, id, items) =>
+    currentLists.map((l) => (l._id === id ? { ...l, items } : l));
+
+  /**
+   * Changes items in a list straight away and sends the changes to the server. If the server
+   * kept newer edits made elsewhere, or refused the changes, the list is reloaded from it.
+   *
+   * @param {string} id - ID of the shopping list
+   * @param {Array<Object>} changes - The item changes (see lib/shoppingList.js)
+   * @param {string} label - What the changes do, shown if they cannot be saved later
+   * @async
+   */
+  const changeItems = async (id, changes, label) => {
+    // Track changes so polling never shows a list from before them
+    const bumpChangeCount = () => {
+      changeCountsRef.current[id] = (changeCountsRef.current[id] || 0) + 1;
+    };
+    bumpChangeCount();
+    inFlightRef.current[id] = (inFlightRef.current[id] || 0) + 1;
+
+    // Show who made the changes straight away; the server records the same
+    const name = getMemberName(session);
+    const attributed = changes.map((change) =>
+      attributeItemChange(change, name)
+    );
+    setLists((prev) =>
+      prev.map((l) =>
+        l._id === id
+          ? { ...l, items: applyItemChanges(l.items, attributed).items }
+          : l
+      )
+    );
+
+    try {
+      const { queued, response } = await sendChange(
+        `/api/shopping-list/${id}/items`,
+        {
+          method: "PATCH",
+          body: JSON.stringify({ changes: attributed }),
+        },
+        label
+      );
+      if (queued) return;
+
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to update list");
+
+      if (data.skipped.length > 0) {
+        setLists((prev) => withItems(prev, id, data.items));
+      }
+    } catch (error) {
+      console.error("Error updating shopping list:", error);
+      showAlert("Failed to save your change", "error");
+      fetchLists();
+    } finally {
+      inFlightRef.current[id] -= 1;
+      bumpChangeCount();
+    }
+  };
+
   /**
    * Initiates the delete list process with confirmation
    *
@@ -128,17 +309,21 @@ export default function ShoppingListPage() {
     try {
       setDeleting((prev) => ({ ...prev, [listToDelete]: true }));
 
-      const response = await fetch(`/api/shopping-list/${listToDelete}`, {
-        method: "DELETE",
-        headers: {
-          "user-id": session.user.id,
-        },
-      });
+      const deletedList = lists.find((l) => l._id === listToDelete);
+      const { queued, response } = await sendChange(
+        `/api/shopping-list/${listToDelete}`,
+        { method: "DELETE" },
+        `Delete "${deletedList?.name || "shopping list"}"`
+      );
 
-      if (!response.ok) throw new Error("Failed to delete shopping list");
+      if (!queued && !response.ok) {
+        throw new Error("Failed to delete shopping list");
+      }
 
-      fetchLists();
-      showAlert("Shopping list deleted successfully!");
+      setLists((prev) => prev.filter((l) => l._id !== listToDelete));
+      showAlert(
+        queued ? QUEUED_MESSAGE : "Shopping list deleted successfully!"
+      );
     } catch (error) {
       setError("Error deleting list: " + error.message);
       showAlert("Failed to delete shopping list", "error");
@@ -150,161 +335,168 @@ export default function ShoppingListPage() {
   };
 
   /**
-   * Removes a specific item from a shopping list with undo functionality
-   *
-   * @param {string} id - ID of the shopping list
-   * @param {number} index - Index of the item to remove
-   * @async
+   * Handles leaving a list shared with the user
    */
-  const removeItem = async (id, index) => {
+  const handleConfirmedLeave = async () => {
+    if (!listToLeave) return;
+
     try {
-      setRemovingItem({ id, index });
+      const response = await fetch(
+        `/api/shopping-list/${listToLeave}/members`,
+        {
+          method: "DELETE",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ email: session.user.email }),
+        }
+      );
+      if (!response.ok) throw new Error("Failed to leave shopping list");
 
-      const list = lists.find((l) => l._id === id);
-      const removedItem = list.items[index];
+      setLists((prev) => prev.filter((l) => l._id !== listToLeave));
+      showAlert("You left the shopping list");
+    } catch (error) {
+      console.error("Error leaving shopping list:", error);
+      showAlert("Failed to leave shopping list", "error");
+    } finally {
+      setListToLeave(null);
+    }
+  };
 
-      const response = await fetch(`/api/shopping-list/${id}/items`, {
-        method: "DELETE",
-        headers: {
-          "Content-Type": "application/json",
-          "user-id": session.user.id,
-        },
-        body: JSON.stringify({ index }),
-      });
+  /**
+   * Updates a list's members after they were changed in the share modal
+   *
+   * @param {string} id - ID of the shopping list
+   * @param {Array<Object>} members - The list's members
+   */
+  const updateMembers = (id, members) => {
+    setLists((prev) => prev.map((l) => (l._id === id ? { ...l, members } : l)));
+  };
 
-      if (!response.ok) throw new Error("Failed to remove item");
+  /**
+   * Removes a specific item from a shopping list with undo functionality
+   *
+   * @param {string} id - ID of the shopping list
+   * @param {Object} item - The item to remove
+   * @param {number} index - Index of the item, where an undo puts it back
+   */
+  const removeItem = (id, item, index) => {
+    const list = lists.find((l) => l._id === id);
+    if (!list) return;
 
-      setUndoItem({ listId: id, item: removedItem, index });
+    changeItems(
+      id,
+      [
+        {
+          type: ITEM_CHANGE.REMOVE,
+          id: item.id,
+          ingredient: item.ingredient,
+          updatedAt: new Date().toISOString(),
+        },
+      ],
+      `Remove ${item.ingredient} from "${list.name}"`
+    );
 
-      if (undoTimer) clearTimeout(undoTimer);
+    setUndoItem({ listId: id, item, index });
 
-      const timer = setTimeout(() => {
-        setUndoItem(null);
-      }, 10000);
+    if (undoTimer) clearTimeout(undoTimer);
 
-      setUndoTimer(timer);
+    const timer = setTimeout(() => {
+      setUndoItem(null);
+    }, 10000);
 
-      fetchLists();
-      showAlert("Item removed. Undo available for 10 seconds.");
-    } catch (error) {
-      setError("Error removing item: " + error.message);
-      showAlert("Failed to remove item", "error");
-    } finally {
-      setRemovingItem({ id: null, index: null });
-    }
+    setUndoTimer(timer);
+    showAlert("Item removed. Undo available for 10 seconds.");
   };
 
   /**
    * Undoes the last item removal
    */
-  const undoItemRemoval = async () => {
+  const undoItemRemoval = () => {
     if (!undoItem) return;
 
-    try {
-      const { listId, item, index } = undoItem;
-      const list = lists.find((l) => l._id === listId);
+    const { listId, item, index } = undoItem;
+    const list = lists.find((l) => l._id === listId);
 
-      if (!list) {
-        throw new Error("List not found");
-      }
+    if (undoTimer) clearTimeout(undoTimer);
+    setUndoTimer(null);
+    setUndoItem(null);
 
-      const updatedItems = [...list.items];
-      updatedItems.splice(index, 0, item);
+    if (!list) return;
 
-      const response = await fetch(
-        `/api/shopping-list/${listId}`, // Fixed: using listId instead of id
+    changeItems(
+      listId,
+      [
         {
-          method: "PATCH",
-          headers: {
-            "Content-Type": "application/json",
-            "user-id": session.user.id,
-          },
-          body: JSON.stringify({ items: updatedItems }),
-        }
-      );
-
-      if (!response.ok) throw new Error("Failed to undo item removal");
-
-      if (undoTimer) clearTimeout(undoTimer);
-      setUndoTimer(null);
-      setUndoItem(null);
-
-      fetchLists();
-      showAlert("Item restored successfully!");
-    } catch (error) {
-      setError("Error restoring item: " + error.message);
-      showAlert("Failed to restore item", "error");
-    }
+          type: ITEM_CHANGE.ADD,
+          item,
+          index,
+          updatedAt: new Date().toISOString(),
+        },
+      ],
+      `Restore ${item.ingredient} to "${list.name}"`
+    );
   };
 
   /**
    * Marks an item as purchased or not purchased
    *
    * @param {string} id - ID of the shopping list
-   * @param {number} itemIndex - Index of the item to mark
+   * @param {Object} item - The item to mark
    */
-  const markAsPurchased = async (id, itemIndex) => {
-    try {
-      const list = lists.find((l) => l._id === id);
-      if (!list) return;
-
-      const updatedItems = [...list.items];
-      updatedItems[itemIndex] = {
-        ...updatedItems[itemIndex],
-        purchased: !updatedItems[itemIndex].purchased,
-      };
-
-      const response = await fetch(`/api/shopping-list/${id}`, {
-        method: "PATCH",
-        headers: {
-          "Content-Type": "application/json",
-          "user-id": session.user.id,
+  const markAsPurchased = (id, item) => {
+    const purchased = !item.purchased;
+    changeItems(
+      id,
+      [
+        {
+          type: ITEM_CHANGE.UPDATE,
+          id: item.id,
+          ingredient: item.ingredient,
+          set: { purchased },
+          updatedAt: new Date().toISOString(),
         },
-        body: JSON.stringify({ items: updatedItems }),
-      });
-
-      if (!response.ok) throw new Error("Failed to update item");
-      fetchLists();
-    } catch (error) {
-      setError("Error updating item: " + error.message);
-    }
+      ],
+      `Mark ${item.ingredient} as ${purchased ? "purchased" : "not purchased"}`
+    );
   };
 
   /**
    * Updates the quantity of an item in a shopping list
    *
    * @param {string} id - ID of the shopping list
-   * @param {number} index - Index of the item to update
+   * @param {Object} item - The item to update
    * @param {number} newQuantity - New quantity for the item
    */
-  const updateQuantity = async (id, index, newQuantity) => {
-    try {
-      setUpdatingQuantity({ id, index });
-      const list = lists.find((l) => l._id === id);
-      if (!list) return;
-
-      const updatedItems = [...list.items];
-      updatedItems[index] = {
-        ...updatedItems[index],
-        amount: newQuantity,
-      };
-
-      const response = await fetch(`/api/shopping-list/${id}`, {
-        method: "PATCH",
-        headers: {
-          "Content-Type": "application/json",
-          "user-id": session.user.id,
+  const updateQuantity = (id, item, newQuantity) => {
+    if (Number.isNaN(newQuantity)) return;
+
+    changeItems(
+      id,
+      [
+        {
+          type: ITEM_CHANGE.UPDATE,
+          id: item.id,
+          ingredient: item.ingredient,
+          set: { amount: newQuantity },
+          updatedAt: new Date().toISOString(),
         },
-        body: JSON.stringify({ items: updatedItems }),
-      });
+      ],
+      `Change ${item.ingredient} to ${newQuantity}`
+    );
+  };
 
-      if (!response.ok) throw new Error("Failed to update quantity");
-      fetchLists();
-    } catch (error) {
-      setError("Error updating quantity: " + error.message);
-    } finally {
-      setUpdatingQuantity({ id: null, index: null });
-    }
+  /**
+   * Formats an item's amount and unit in the preferred measurement system
+   *
+   * @param {Object} item - The shopping list item
+   * @returns {string} Display text such as "2 cup"
+   */
+  const formatItemAmount = (item) => {
+    const { amount, unit } = formatMeasurement(
+      item.amount,
+      item.ingredient,
+      unitSystem
+    );
+    return unit ? `${amount} ${unit}` : amount;
   };
 
   /**
@@ -317,7 +509,7 @@ export default function ShoppingListPage() {
     const listText = list.items
       .map(
         (item) =>
-          `${item.amount} ${item.ingredient}${
+          `${formatItemAmount(item)} ${item.ingredient}${
             item.purchased ? " (Purchased)" : ""
           }`
       )
@@ -342,18 +534,25 @@ export default function ShoppingListPage() {
 
     try {
       setCreatingList(true);
-      const response = await fetch("/api/shopping-list", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "user-id": session.user.id,
+      // A list created offline appears once it has been sent and given an ID
+      const { queued, response } = await sendChange(
+        "/api/shopping-list",
+        {
+          method: "POST",
+          body: JSON.stringify({ name: newListName.trim(), items: [] }),
         },
-        body: JSON.stringify({ name: newListName.trim(), items: [] }),
-      });
+        `Create "${newListName.trim()}"`
+      );
 
-      if (!response.ok) throw new Error("Failed to create shopping list");
+      if (!queued && !response.ok) {
+        throw new Error("Failed to create shopping list");
+      }
 
       setNewListName("");
+      if (queued) {
+        showAlert(QUEUED_MESSAGE);
+        return;
+      }
       fetchLists();
       showAlert("Shopping list created successfully!");
     } catch (error) {
@@ -369,46 +568,36 @@ export default function ShoppingListPage() {
    *
    * @param {string} id - ID of the shopping list
    */
-  const addManualItem = async (id) => {
+  const addManualItem = (id) => {
     if (!newItemIngredient.trim()) {
       alert("Please enter an item name");
       return;
     }
 
-    try {
-      setAddingManualItem(id);
-      const list = lists.find((l) => l._id === id);
-      if (!list) return;
-
-      const newItem = {
-        ingredient: newItemIngredient.trim(),
-        amount: newItemAmount,
-        purchased: false,
-      };
+    const list = lists.find((l) => l._id === id);
+    if (!list) return;
 
-      const updatedItems = [...list.items, newItem];
+    const newItem = {
+      id: crypto.randomUUID(),
+      ingredient: newItemIngredient.trim(),
+      amount: newItemAmount,
+      purchased: false,
+    };
 
-      const response = await fetch(`/api/shopping-list/${id}`, {
-        method: "PATCH",
-        headers: {
-          "Content-Type": "application/json",
-          "user-id": session.user.id,
+    changeItems(
+      id,
+      [
+        {
+          type: ITEM_CHANGE.ADD,
+          item: newItem,
+          updatedAt: new Date().toISOString(),
         },
-        body: JSON.stringify({ items: updatedItems }),
-      });
-
-      if (!response.ok) throw new Error("Failed to add manual item");
-
-      setNewItemIngredient("");
-      setNewItemAmount(1);
+      ],
+      `Add ${newItem.ingredient} to "${list.name}"`
+    );
 
-      fetchLists();
-    } catch (error) {
-      setError("Error adding manual item: " + error.message);
-      showAlert("Failed to add item to shopping list", "error");
-    } finally {
-      setAddingManualItem(null);
-    }
+    setNewItemIngredient("");
+    setNewItemAmount(1);
   };
 
   // Initial data fetch and authentication check
@@ -418,9 +607,73 @@ export default function ShoppingListPage() {
       return;
     }
 
-    fetchLists();
+    loadLists();
+
+    // Reload once back online and once changes made offline have been sent
+    window.addEventListener("online", fetchLists);
+    window.addEventListener(OUTBOX_REPLAYED_EVENT, fetchLists);
+    return () => {
+      window.removeEventListener("online", fetchLists);
+      window.removeEventListener(OUTBOX_REPLAYED_EVENT, fetchLists);
+    };
   }, [session, router]);
 
+  // Keep shared lists up to date with changes made by other members
+  useEffect(() => {
+    if (!session) return;
+
+    const pollSharedLists = async () => {
+      if (!navigator.onLine || document.hidden) return;
+
+      for (const list of listsRef.current.filter(isSharedList)) {
+        const changeCount = changeCountsRef.current[list._id] || 0;
+        try {
+          const response = await fetch(
+            `/api/shopping-list/${list._id}?since=${encodeURIComponent(
+              list.updatedAt
+            )}`
+          );
+
+          // The list was deleted or is no longer shared with this user
+          if (response.status === 404) {
+            setLists((prev) => prev.filter((l) => l._id !== list._id));
+            continue;
+          }
+          if (!response.ok) continue;
+
+          const data = await response.json();
+
+          // Skip copies that may be older than this user's own changes
+          if (
+            !data.changed ||
+            inFlightRef.current[list._id] > 0 ||
+            (changeCountsRef.current[list._id] || 0) !== changeCount
+          ) {
+            continue;
+          }
+
+          const [updated] = await withPendingChanges([data.list]);
+          setLists((prev) =>
+            prev.map((l) => (l._id === list._id ? updated : l))
+          );
+        } catch (error) {
+          console.error("Error checking shared shopping list:", error);
+        }
+      }
+    };
+
+    const interval = setInterval(pollSharedLists, LIVE_UPDATE_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [session]);
+
+  // Save the lists on this device whenever they change
+  useEffect(() => {
+    if (!session || loading) return;
+    cacheLists(session.user.id, lists).catch((error) =>
+      console.error("Error saving shopping lists:", error)
+    );
+  }, [session, loading, lists]);
+
   // Loading state
   if (loading) return <LoadingPage />;
 
@@ -444,6 +697,25 @@ export default function ShoppingListPage() {
         cancelText="Cancel"
       />
 
+      {/* Confirmation Modal for Leaving a Shared List */}
+      <ConfirmationModal
+        isOpen={Boolean(listToLeave)}
+        onClose={() => setListToLeave(null)}
+        onConfirm={handleConfirmedLeave}
+        title="Leave Shopping List"
+        message="You will no longer see this list unless its owner shares it with you again."
+        confirmText="Leave"
+        cancelText="Cancel"
+      />
+
+      {/* Sharing Modal */}
+      <ShareListModal
+        isOpen={Boolean(sharingListId)}
+        onClose={() => setSharingListId(null)}
+        list={lists.find((l) => l._id === sharingListId)}
+        onMembersChange={(members) => updateMembers(sharingListId, members)}
+      />
+
       {/* Undo Item Removal Banner */}
       {undoItem && (
         <motion.div
@@ -481,6 +753,18 @@ export default function ShoppingListPage() {
       <h1 className="text-4xl font-bold mt-6 mb-20 dark:text-white text-center tracking-tight text-gray-700 bg-clip-text text-transparent bg-gradient-to-r from-teal-400 to-teal-500">
         My Shopping Lists
       </h1>
+      <UnitSystemToggle className="justify-center -mt-14 mb-14" />
+
+      {/* Offline Notice */}
+      {isShowingSaved && (
+        <div className="flex items-center justify-center gap-2 -mt-8 mb-8 text-sm text-amber-700 dark:text-amber-400">
+          <CloudOff className="w-4 h-4" />
+          <span>
+            You're offline. Showing the lists saved on this device; your changes
+            will sync when you're back online.
+          </span>
+        </div>
+      )}
       <div className="container mx-auto px-4 pb-8">
         {/* Trigger Button - Fixed on the left side */}
         <motion.button
@@ -574,96 +858,132 @@ export default function ShoppingListPage() {
           </div>
         ) : (
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-            {lists.map((list) => (
-              <div
-                key={list._id}
-                className="bg-white dark:bg-gray-750 rounded-2xl shadow-lg overflow-hidden transition-all duration-300 hover:shadow-xl"
-              >
-                <div className="p-6 bg-gray-50 dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700">
-                  <div className="flex justify-between items-start mb-4">
-                    <div>
-                      <h2 className="text-xl font-semibold text-gray-800 dark:text-white">
-                        {list.name && list.name.length > 52 ? (
-                          <>{list.name.slice(0, 52)}...</>
-                        ) : (
-                          list.name ||
-                          `Shopping List - ${new Date(
-                            list.createdAt
-                          ).toLocaleDateString()}`
+            {lists.map((list) => {
+              const role = getRole(list);
+              const canEdit = hasListRole(role, LIST_ROLES.EDITOR);
+              const isShared = isSharedList(list);
+
+              return (
+                <div
+                  key={list._id}
+                  className="bg-white dark:bg-gray-750 rounded-2xl shadow-lg overflow-hidden transition-all duration-300 hover:shadow-xl"
+                >
+                  <div className="p-6 bg-gray-50 dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700">
+                    <div className="flex justify-between items-start mb-4">
+                      <div>
+                        <h2 className="text-xl font-semibold text-gray-800 dark:text-white">
+                          {list.name && list.name.length > 52 ? (
+                            <>{list.name.slice(0, 52)}...</>
+                          ) : (
+                            list.name ||
+                            `Shopping List - ${new Date(
+                              list.createdAt
+                            ).toLocaleDateString()}`
+                          )}
+                        </h2>
+                        <p className="text-sm text-gray-500 dark:text-gray-400">
+                          Created on{" "}
+                          {new Date(list.createdAt).toLocaleDateString()}
+                        </p>
+                        {role !== LIST_ROLES.OWNER && (
+                          <p className="text-sm text-teal-600 dark:text-teal-400">
+                            Shared by {list.ownerName || "another user"} ·{" "}
+                            {role === LIST_ROLES.EDITOR
+                              ? "Can edit"
+                              : "View only"}
+                          </p>
                         )}
-                      </h2>
-                      <p className="text-sm text-gray-500 dark:text-gray-400">
-                        Created on{" "}
-                        {new Date(list.createdAt).toLocaleDateString()}
-                      </p>
-                    </div>
+                        {role === LIST_ROLES.OWNER && isShared && (
+                          <p className="text-sm text-teal-600 dark:text-teal-400">
+                            Shared with {list.members.length}{" "}
+                            {list.members.length === 1 ? "person" : "people"}
+                          </p>
+                        )}
+                      </div>
 
-                    <div className="flex items-center space-x-3">
-                      <a
-                        href={generateWhatsAppLink(list)}
-                        target="_blank"
-                        rel="noopener noreferrer"
-                        className="text-green-500 hover:text-green-600 dark:text-green-400 dark:hover:text-green-300 transition-colors"
-                      >
-                        <Share2 className="w-5 h-5" />
-                      </a>
-                      <button
-                        onClick={() => confirmDeleteList(list._id)}
-                        disabled={deleting[list._id]}
-                        className="text-red-500 hover:text-red-600 dark:text-red-400 dark:hover:text-red-300 disabled:opacity-50 transition-colors"
-                      >
-                        {deleting[list._id] ? (
-                          <Loader2 className="w-5 h-5 animate-spin" />
+                      <div className="flex items-center space-x-3">
+                        <a
+                          href={generateWhatsAppLink(list)}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="text-green-500 hover:text-green-600 dark:text-green-400 dark:hover:text-green-300 transition-colors"
+                        >
+                          <Share2 className="w-5 h-5" />
+                        </a>
+                        {role === LIST_ROLES.OWNER ? (
+                          <>
+                            <button
+                              onClick={() => setSharingListId(list._id)}
+                              className="text-teal-600 hover:text-teal-700 dark:text-teal-400 dark:hover:text-teal-300 transition-colors"
+                              aria-label="Share with other users"
+                            >
+                              <Users className="w-5 h-5" />
+                            </button>
+                            <button
+                              onClick={() => confirmDeleteList(list._id)}
+                              disabled={deleting[list._id]}
+                              className="text-red-500 hover:text-red-600 dark:text-red-400 dark:hover:text-red-300 disabled:opacity-50 transition-colors"
+                            >
+                              {deleting[list._id] ? (
+                                <Loader2 className="w-5 h-5 animate-spin" />
+                              ) : (
+                                <Trash2 className="w-5 h-5" />
+                              )}
+                            </button>
+                          </>
                         ) : (
-                          <Trash2 className="w-5 h-5" />
+                          <button
+                            onClick={() => setListToLeave(list._id)}
+                            className="text-red-500 hover:text-red-600 dark:text-red-400 dark:hover:text-red-300 transition-colors"
+                            aria-label="Leave list"
+                          >
+                            <LogOut className="w-5 h-5" />
+                          </button>
                         )}
-                      </button>
+                      </div>
                     </div>
-                  </div>
 
-                  {/* Manual Item Addition */}
-                  <div className="flex space-x-2 mb-4">
-                    <input
-                      type="number"
-                      value={newItemAmount}
-                      onChange={(e) =>
-                        setNewItemAmount(parseInt(e.target.value, 10) || 1)
-                      }
-                      min="1"
-                      className="w-20 px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 focus:ring-2 focus:ring-emerald-500"
-                    />
-                    <input
-                      type="text"
-                      value={newItemIngredient}
-                      onChange={(e) => setNewItemIngredient(e.target.value)}
-                      placeholder="Add custom item"
-                      className="flex-grow px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 focus:ring-2 focus:ring-emerald-500"
-                    />
-                    <button
-                      onClick={() => addManualItem(list._id)}
-                      disabled={addingManualItem === list._id}
-                      className="text-emerald-500 hover:text-emerald-600 dark:text-emerald-400 dark:hover:text-emerald-300 disabled:opacity-50 transition-colors"
-                    >
-                      {addingManualItem === list._id ? (
-                        <Loader2 className="w-6 h-6 animate-spin" />
-                      ) : (
-                        <PlusCircle className="w-6 h-6" />
-                      )}
-                    </button>
-                  </div>
+                    {/* Manual Item Addition */}
+                    {canEdit && (
+                      <div className="flex space-x-2 mb-4">
+                        <input
+                          type="number"
+                          value={newItemAmount}
+                          onChange={(e) =>
+                            setNewItemAmount(parseInt(e.target.value, 10) || 1)
+                          }
+                          min="1"
+                          className="w-20 px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 focus:ring-2 focus:ring-emerald-500"
+                        />
+                        <input
+                          type="text"
+                          value={newItemIngredient}
+                          onChange={(e) => setNewItemIngredient(e.target.value)}
+                          placeholder="Add custom item"
+                          className="flex-grow px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 focus:ring-2 focus:ring-emerald-500"
+                        />
+                        <button
+                          onClick={() => addManualItem(list._id)}
+                          className="text-emerald-500 hover:text-emerald-600 dark:text-emerald-400 dark:hover:text-emerald-300 transition-colors"
+                        >
+                          <PlusCircle className="w-6 h-6" />
+                        </button>
+                      </div>
+                    )}
 
-                  {/* Items List */}
-                  <div className="space-y-2 max-h-96 overflow-y-auto">
-                    {list.items.map((item, index) => (
-                      <div
-                        key={index}
-                        className="flex items-center justify-between p-3 bg-gray-100 dark:bg-gray-700 rounded-lg shadow-sm hover:shadow-md transition-all duration-300"
-                      >
-                        <div className="flex items-center space-x-3">
-                          {/* Purchase Button */}
-                          <button
-                            onClick={() => markAsPurchased(list._id, index)}
-                            className={`
+                    {/* Items List */}
+                    <div className="space-y-2 max-h-96 overflow-y-auto">
+                      {list.items.map((item, index) => (
+                        <div
+                          key={item.id || index}
+                          className="flex items-center justify-between p-3 bg-gray-100 dark:bg-gray-700 rounded-lg shadow-sm hover:shadow-md transition-all duration-300"
+                        >
+                          <div className="flex items-center space-x-3">
+                            {/* Purchase Button */}
+                            <button
+                              onClick={() => markAsPurchased(list._id, item)}
+                              disabled={!canEdit}
+                              className={`
                               w-5 h-5 rounded-full border-2 flex items-center justify-center
                               transition-all duration-300
                               ${
@@ -672,15 +992,16 @@ export default function ShoppingListPage() {
                                   : "border-gray-300 dark:border-gray-600 hover:border-emerald-500"
                               }
                             `}
-                          >
-                            {item.purchased && (
-                              <Check className="w-4 h-4 text-white" />
-                            )}
-                          </button>
-
-                          {/* Ingredient Display */}
-                          <span
-                            className={`
+                            >
+                              {item.purchased && (
+                                <Check className="w-4 h-4 text-white" />
+                              )}
+                            </button>
+
+                            {/* Ingredient Display */}
+                            <div>
+                              <span
+                                className={`
                               ${
                                 item.purchased
                                   ? "line-through text-gray-500 dark:text-gray-400"
@@ -688,52 +1009,49 @@ export default function ShoppingListPage() {
                               }
                               transition-colors duration-300
                             `}
-                          >
-                            {item.amount}{" "}
-                            {getIngredientUnit(item.ingredient) || ""}{" "}
-                            {item.ingredient}
-                          </span>
-                        </div>
-
-                        <div className="flex items-center space-x-2">
-                          <input
-                            type="number"
-                            value={item.amount}
-                            onChange={(e) =>
-                              updateQuantity(
-                                list._id,
-                                index,
-                                parseInt(e.target.value, 10)
-                              )
-                            }
-                            disabled={
-                              updatingQuantity.id === list._id &&
-                              updatingQuantity.index === index
-                            }
-                            className="w-20 text-center text-sm bg-transparent border border-gray-300 dark:border-gray-600 rounded-md focus:ring-2 focus:ring-emerald-500 transition-all duration-300"
-                          />
-                          <button
-                            onClick={() => removeItem(list._id, index)}
-                            disabled={
-                              removingItem.id === list._id &&
-                              removingItem.index === index
-                            }
-                            className="text-red-500 hover:text-red-600 dark:text-red-400 dark:hover:text-red-300 disabled:opacity-50 transition-colors"
-                          >
-                            {removingItem.id === list._id &&
-                            removingItem.index === index ? (
-                              <Loader2 className="w-5 h-5 animate-spin" />
-                            ) : (
-                              <X className="w-5 h-5" />
+                              >
+                                {formatItemAmount(item)} {item.ingredient}
+                              </span>
+                              {isShared && describeItemActivity(item) && (
+                                <p className="text-xs text-gray-500 dark:text-gray-400">
+                                  {describeItemActivity(item)}
+                                </p>
+                              )}
+                            </div>
+                          </div>
+
+                          <div className="flex items-center space-x-2">
+                            <input
+                              type="number"
+                              value={item.amount}
+                              onChange={(e) =>
+                                updateQuantity(
+                                  list._id,
+                                  item,
+                                  parseInt(e.target.value, 10)
+                                )
+                              }
+                              disabled={!canEdit}
+                              className="w-20 text-center text-sm bg-transparent border border-gray-300 dark:border-gray-600 rounded-md focus:ring-2 focus:ring-emerald-500 transition-all duration-300"
+                            />
+                            {canEdit && (
+                              <button
+                                onClick={() =>
+                                  removeItem(list._id, item, index)
+                                }
+                                className="text-red-500 hover:text-red-600 dark:text-red-400 dark:hover:text-red-300 transition-colors"
+                              >
+                                <X className="w-5 h-5" />
+                              </button>
                             )}
-                          </button>
+                          </div>
                         </div>
-                      </div>
-                    ))}
+                      ))}
+                    </div>
                   </div>
                 </div>
-              </div>
-            ))}
+              );
+            })}
           </div>
         )}
       </div>
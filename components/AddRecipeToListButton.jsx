@@ -3,6 +3,7 @@
 import React, { useState } from "react";
 import { ListPlus } from "lucide-react";
 import Alert from "./Alert";
+import { sendOrQueue } from "@/lib/outbox";
 
 /**
  * AddRecipeToListButton Component
@@ -13,9 +14,15 @@ import Alert from "./Alert";
  * @param {Object} props - The component props.
  * @param {Object} props.ingredients - The ingredients object where the key is the ingredient name and the value is the amount.
  * @param {string} props.shoppingListId - The ID of the shopping list to which ingredients will be added.
+ * @param {string} [props.label="Add All to Shopping List"] - The button text.
  * @returns {JSX.Element} The rendered button component.
  */
-const AddRecipeToListButton = ({ ingredients, shoppingListId, recipeName }) => {
+const AddRecipeToListButton = ({
+  ingredients,
+  shoppingListId,
+  recipeName,
+  label = "Add All to Shopping List",
+}) => {
   const [isLoading, setIsLoading] = useState(false);
   const [alert, setAlert] = useState({
     isVisible: false,
@@ -34,7 +41,7 @@ const AddRecipeToListButton = ({ ingredients, shoppingListId, recipeName }) => {
   /**
    * Add ingredients to the shopping list
    *
-   * Sends an API request to add the ingredients to the shopping list. Displays success or error messages.
+   * Sends an API request to add the ingredients to the shopping list, or queues it while offline. Displays success or error messages.
    *
    * @async
    * @throws Will throw an error if the API request fails or the server response is invalid.
@@ -49,16 +56,25 @@ const AddRecipeToListButton = ({ ingredients, shoppingListId, recipeName }) => {
         amount: amount.toString(),
       }));
 
-      const response = await fetch("/api/shopping-list", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
+      const name = `Shopping List for ${recipeName}`;
+      const { queued, response } = await sendOrQueue(
+        "/api/shopping-list",
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ items, name }),
         },
-        body: JSON.stringify({
-          items,
-          name: `Shopping List for ${recipeName}`,
-        }),
-      });
+        `Create "${name}"`
+      );
+
+      if (queued) {
+        showAlert(
+          `${items.length} ingredients saved offline. The list will be created when you're back online.`
+        );
+        return;
+      }
 
       try {
         const data = await response.json();
@@ -109,7 +125,7 @@ const AddRecipeToListButton = ({ ingredients, shoppingListId, recipeName }) => {
         className="flex items-center px-3 py-1.5 text-sm sm:px-4 sm:py-2 sm:text-base bg-teal-500 hover:bg-teal-600 text-white rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors dark:bg-teal-600 dark:hover:bg-teal-700"
       >
         <ListPlus className="w-3.5 h-3.5 sm:w-4 sm:h-4 mr-2" />
-        {isLoading ? "Adding..." : "Add All to Shopping List"}
+        {isLoading ? "Adding..." : label}
       </button>
     </div>
   );
@@ -0,0 +1,271 @@
+"use client";
+
+import { useState, useEffect, useRef, useCallback } from "react";
+import { useSession } from "next-auth/react";
+import { useRouter } from "next/navigation";
+import Link from "next/link";
+import { createPortal } from "react-dom";
+import { motion } from "framer-motion";
+import { FolderPlus, Check, Plus, X } from "lucide-react";
+
+/**
+ * AddToCollectionPicker Component
+ * A button that opens a list of the user's collections, where the recipe can be added to or
+ * removed from each one, or saved to a new collection. The list opens in a modal rendered on
+ * the page body, so it is not clipped by the recipe card.
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {string} props.recipeId - The ID of the recipe
+ * @param {Function} [props.onAlert] - Called with `{ message, type }` after each change
+ * @returns {React.ReactElement} Rendered picker
+ */
+export default function AddToCollectionPicker({ recipeId, onAlert }) {
+  const { data: session } = useSession();
+  const router = useRouter();
+  const modalRef = useRef(null);
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [collections, setCollections] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [pendingId, setPendingId] = useState(null);
+  const [newName, setNewName] = useState("");
+  const [loadError, setLoadError] = useState(null);
+
+  /**
+   * Loads the user's collections, marking those that already contain the recipe
+   */
+  const fetchCollections = useCallback(async () => {
+    setIsLoading(true);
+    setLoadError(null);
+    try {
+      const response = await fetch(`/api/collections?recipeId=${recipeId}`);
+      if (!response.ok) throw new Error("Failed to load collections");
+      const data = await response.json();
+      setCollections(data.collections);
+    } catch (error) {
+      console.error("Error fetching collections:", error);
+      setLoadError("Failed to load collections");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [recipeId]);
+
+  useEffect(() => {
+    if (isOpen) fetchCollections();
+  }, [isOpen, fetchCollections]);
+
+  // Close the list when clicking anywhere else
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleClickOutside = (event) => {
+      if (!modalRef.current?.contains(event.target)) setIsOpen(false);
+    };
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => document.removeEventListener("mousedown", handleClickOutside);
+  }, [isOpen]);
+
+  /**
+   * Opens the list, sending signed-out users to sign in
+   */
+  const handleOpen = () => {
+    if (!session) {
+      router.push("/auth/signin");
+      return;
+    }
+    setIsOpen(true);
+  };
+
+  /**
+   * Adds the recipe to a collection, or removes it if it is already there
+   * @param {Object} collection - The collection summary
+   */
+  const toggleCollection = async (collection) => {
+    setPendingId(collection._id);
+    try {
+      const url = `/api/collections/${collection._id}/recipes`;
+      let response;
+      if (collection.containsRecipe) {
+        response = await fetch(`${url}?recipeId=${recipeId}`, {
+          method: "DELETE",
+        });
+      } else {
+        response = await fetch(url, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ recipeId }),
+        });
+      }
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+
+      const updated = {
+        ...collection,
+        containsRecipe: !collection.containsRecipe,
+        recipeCount: data.recipeCount,
+      };
+      setCollections((current) =>
+        current.map((item) => (item._id === collection._id ? updated : item))
+      );
+      onAlert?.({
+        message: collection.containsRecipe
+          ? `Removed from ${collection.name}`
+          : `Added to ${collection.name}`,
+        type: "success",
+      });
+    } catch (error) {
+      console.error("Error updating collection:", error);
+      onAlert?.({
+        message: error.message || "Failed to update collection",
+        type: "error",
+      });
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  /**
+   * Creates a new collection holding the recipe
+   * @param {Event} event - The form submit event
+   */
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    if (!newName.trim()) return;
+
+    setPendingId("new");
+    try {
+      const response = await fetch("/api/collections", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ name: newName, recipeId }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+
+      setCollections((current) => [data.collection, ...current]);
+      setNewName("");
+      onAlert?.({
+        message: `Added to ${data.collection.name}`,
+        type: "success",
+      });
+    } catch (error) {
+      console.error("Error creating collection:", error);
+      onAlert?.({
+        message: error.message || "Failed to create collection",
+        type: "error",
+      });
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  const isSaved = collections.some((collection) => collection.containsRecipe);
+
+  const modal = (
+    <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50 z-50">
+      <motion.div
+        ref={modalRef}
+        initial={{ opacity: 0, scale: 0.9 }}
+        animate={{ opacity: 1, scale: 1 }}
+        transition={{ type: "spring", stiffness: 300, damping: 20 }}
+        className="bg-white dark:bg-slate-800 p-6 rounded-2xl shadow-2xl max-w-sm w-full relative text-left"
+        role="dialog"
+        aria-label="Save to collection"
+      >
+        <button
+          onClick={() => setIsOpen(false)}
+          className="absolute top-4 right-4 text-gray-500 dark:text-gray-200 hover:text-gray-700 transition-colors"
+          aria-label="Close"
+        >
+          <X className="w-5 h-5" />
+        </button>
+
+        <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-100 mb-4">
+          Save to collection
+        </h3>
+
+        {isLoading && (
+          <p className="text-sm text-gray-500 dark:text-gray-400">Loading...</p>
+        )}
+
+        {loadError && (
+          <p className="text-sm text-red-600 dark:text-red-400">{loadError}</p>
+        )}
+
+        {!isLoading && !loadError && collections.length === 0 && (
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            You have no collections yet.
+          </p>
+        )}
+
+        <ul className="max-h-60 overflow-y-auto space-y-1">
+          {collections.map((collection) => (
+            <li key={collection._id}>
+              <button
+                onClick={() => toggleCollection(collection)}
+                disabled={pendingId !== null}
+                className="w-full flex items-center justify-between px-3 py-2 rounded-lg text-sm text-gray-700 dark:text-gray-200 hover:bg-teal-50 dark:hover:bg-gray-700 disabled:opacity-50"
+              >
+                <span className="truncate">
+                  {collection.name}
+                  <span className="ml-2 text-xs text-gray-400">
+                    {collection.recipeCount}
+                  </span>
+                </span>
+                {collection.containsRecipe && (
+                  <Check className="w-4 h-4 text-teal-600 flex-shrink-0" />
+                )}
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        <form
+          onSubmit={handleCreate}
+          className="flex items-center gap-2 mt-4 pt-4 border-t border-gray-100 dark:border-gray-700"
+        >
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="New collection name"
+            maxLength={80}
+            className="flex-1 min-w-0 px-3 py-2 text-sm border rounded-lg dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+          />
+          <button
+            type="submit"
+            disabled={!newName.trim() || pendingId !== null}
+            className="p-2 rounded-lg bg-teal-500 text-white hover:bg-teal-600 disabled:opacity-50"
+            aria-label="Create collection"
+          >
+            <Plus className="w-4 h-4" />
+          </button>
+        </form>
+
+        <Link
+          href="/collections"
+          className="block mt-3 text-sm text-teal-600 dark:text-teal-400 hover:underline"
+        >
+          Manage collections
+        </Link>
+      </motion.div>
+    </div>
+  );
+
+  return (
+    <>
+      <button
+        onClick={handleOpen}
+        className="flex items-center p-2 rounded-full bg-white bg-opacity-75 hover:bg-opacity-100 transition-all duration-300"
+        aria-label="Save to collection"
+        aria-haspopup="dialog"
+      >
+        <FolderPlus
+          className={`w-6 h-6 ${isSaved ? "text-teal-600" : "text-gray-400"}`}
+        />
+      </button>
+      {isOpen && createPortal(modal, document.body)}
+    </>
+  );
+}
@@ -0,0 +1,58 @@
+"use client";
+
+import { ShieldAlert } from "lucide-react";
+import AllergenSelector from "./AllergenSelector";
+import { useAllergies } from "@/app/hooks/useAllergies";
+
+/**
+ * AllergenFilter component for hiding recipes that contain selected allergens
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {URLSearchParams} props.searchParams - Current URL search parameters
+ * @param {function} props.updateUrl - Function to update URL with new parameters
+ *
+ * @returns {React.ReactElement} Rendered allergen exclusion filter
+ */
+const AllergenFilter = ({ searchParams, updateUrl }) => {
+  const { allergies } = useAllergies();
+
+  // Allergens currently excluded, read from the URL
+  const excludedAllergens = searchParams.getAll("excludeAllergens[]");
+
+  /**
+   * Updates the excluded allergens in the URL
+   * @param {string[]} allergens - Allergens to exclude
+   */
+  const handleChange = (allergens) => {
+    updateUrl({ "excludeAllergens[]": allergens });
+  };
+
+  const usingMyAllergies =
+    allergies.length > 0 &&
+    allergies.length === excludedAllergens.length &&
+    allergies.every((allergen) => excludedAllergens.includes(allergen));
+
+  return (
+    <div className="w-full max-w-sm">
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-sm font-medium text-teal-700 dark:text-teal-300">
+          Exclude Allergens
+        </span>
+        {allergies.length > 0 && !usingMyAllergies && (
+          <button
+            type="button"
+            onClick={() => handleChange(allergies)}
+            className="flex items-center text-xs text-amber-600 hover:text-amber-700 dark:text-amber-400 dark:hover:text-amber-300"
+          >
+            <ShieldAlert className="w-3.5 h-3.5 mr-1" />
+            Use my allergies
+          </button>
+        )}
+      </div>
+      <AllergenSelector selected={excludedAllergens} onChange={handleChange} />
+    </div>
+  );
+};
+
+export default AllergenFilter;
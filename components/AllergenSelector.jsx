@@ -0,0 +1,49 @@
+"use client";
+
+import { ALLERGENS, ALLERGEN_NAMES } from "@/lib/allergens";
+
+/**
+ * A set of toggle chips for picking allergens.
+ *
+ * @param {Object} props - Component properties
+ * @param {string[]} props.selected - Currently selected allergen names
+ * @param {function} props.onChange - Called with the new list of selected allergen names
+ * @param {string} [props.className=""] - Additional classes for the wrapper
+ * @returns {JSX.Element} Allergen chips
+ */
+export default function AllergenSelector({ selected, onChange, className = "" }) {
+  /**
+   * Adds or removes an allergen from the selection
+   * @param {string} allergen - The allergen to toggle
+   */
+  const toggleAllergen = (allergen) => {
+    onChange(
+      selected.includes(allergen)
+        ? selected.filter((name) => name !== allergen)
+        : [...selected, allergen]
+    );
+  };
+
+  return (
+    <div className={`flex flex-wrap gap-2 ${className}`}>
+      {ALLERGEN_NAMES.map((allergen) => {
+        const isSelected = selected.includes(allergen);
+        return (
+          <button
+            key={allergen}
+            type="button"
+            onClick={() => toggleAllergen(allergen)}
+            aria-pressed={isSelected}
+            className={`px-3 py-1 rounded-full text-xs font-medium transition-colors ${
+              isSelected
+                ? "bg-amber-500 text-white hover:bg-amber-600"
+                : "bg-slate-100 text-slate-700 hover:bg-slate-200 dark:bg-slate-700 dark:text-slate-200 dark:hover:bg-slate-600"
+            }`}
+          >
+            {ALLERGENS[allergen].label}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
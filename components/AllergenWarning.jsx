@@ -0,0 +1,55 @@
+"use client";
+
+import { TriangleAlert } from "lucide-react";
+import { useAllergies } from "@/app/hooks/useAllergies";
+import { ALLERGENS } from "@/lib/allergens";
+
+/**
+ * Warns the user when a recipe contains allergens they want to avoid.
+ * Renders nothing when none of the recipe's allergens are in the user's list.
+ *
+ * @param {Object} props - Component properties
+ * @param {string[]} props.allergens - Allergen names detected in the recipe
+ * @param {boolean} [props.compact=false] - Render a small badge instead of a banner
+ * @param {string} [props.className=""] - Additional classes for the wrapper
+ * @returns {JSX.Element|null} The warning, or null if there is nothing to warn about
+ */
+export default function AllergenWarning({
+  allergens = [],
+  compact = false,
+  className = "",
+}) {
+  const { allergies } = useAllergies();
+
+  const conflicts = allergens.filter((allergen) => allergies.includes(allergen));
+  if (conflicts.length === 0) return null;
+
+  const labels = conflicts
+    .map((allergen) => ALLERGENS[allergen]?.label || allergen)
+    .join(", ");
+
+  if (compact) {
+    return (
+      <div
+        title={`Contains ${labels}`}
+        className={`flex items-center bg-amber-500 text-white px-2 py-1 rounded-full text-xs ${className}`}
+      >
+        <TriangleAlert className="w-3 h-3 mr-1" />
+        {labels}
+      </div>
+    );
+  }
+
+  return (
+    <div
+      role="alert"
+      className={`flex items-start gap-2 p-3 rounded-xl bg-amber-50 text-amber-800 border border-amber-200 dark:bg-amber-900/30 dark:text-amber-200 dark:border-amber-800 ${className}`}
+    >
+      <TriangleAlert className="w-5 h-5 flex-shrink-0" />
+      <p className="text-sm">
+        This recipe contains <strong>{labels}</strong>, which you&apos;ve
+        marked as an allergy.
+      </p>
+    </div>
+  );
+}
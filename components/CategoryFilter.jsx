@@ -3,6 +3,7 @@
 import { useRouter, useSearchParams } from "next/navigation";
 import React, { useState, useEffect } from "react";
 import { ChevronDown, Check, FolderTree, X } from "lucide-react";
+import TaxonomyIcon from "./TaxonomyIcon";
 
 /**
  * CategoryFilter Component
@@ -12,7 +13,8 @@ import { ChevronDown, Check, FolderTree, X } from "lucide-react";
  *
  * @component
  * @param {Object} props - Component properties
- * @param {string[]} props.categories - Array of available category options
+ * @param {Array<{name: string, description?: string, icon?: string|null}>} props.categories -
+ * Array of available category options, with their optional description and icon
  * @param {string} [props.currentCategory=""] - Currently selected category
  * @returns {React.ReactElement} Rendered category filter dropdown
  */
@@ -36,6 +38,11 @@ export default function CategoryFilter({ categories, currentCategory }) {
     setTempCategory(categoryFromUrl);
   }, [searchParams]);
 
+  // Icon of the applied category, if it has one
+  const selectedIcon = categories?.find(
+    (category) => category.name === selectedCategory
+  )?.icon;
+
   /**
    * Handles category selection in the dropdown
    * @param {string} category - Selected category
@@ -107,7 +114,11 @@ export default function CategoryFilter({ categories, currentCategory }) {
       >
         {/* Category display and icons */}
         <div className="flex items-center gap-2">
-          <FolderTree className="w-4 h-4 text-teal-500 dark:text-teal-400" />
+          <TaxonomyIcon
+            name={selectedIcon}
+            fallback={FolderTree}
+            className="w-4 h-4 text-teal-500 dark:text-teal-400"
+          />
           <span className="font-medium truncate">
             {selectedCategory || "All Categories"}
           </span>
@@ -165,10 +176,11 @@ export default function CategoryFilter({ categories, currentCategory }) {
             {/* Dynamic category options */}
             {categories?.map((category) => (
               <button
-                key={category}
-                onClick={() => handleSelect(category)}
+                key={category.name}
+                onClick={() => handleSelect(category.name)}
+                title={category.description || undefined}
                 className={`w-full flex items-center gap-3 px-3 py-2.5 text-left hover:bg-teal-50 dark:hover:bg-slate-700 transition-colors duration-150 ${
-                  tempCategory === category
+                  tempCategory === category.name
                     ? "bg-teal-50/50 dark:bg-slate-700/50"
                     : ""
                 }`}
@@ -176,17 +188,28 @@ export default function CategoryFilter({ categories, currentCategory }) {
                 {/* Radio button style selector */}
                 <div
                   className={`w-4 h-4 rounded-full border-2 flex items-center justify-center flex-shrink-0 ${
-                    tempCategory === category
+                    tempCategory === category.name
                       ? "border-teal-500 bg-teal-500 dark:border-teal-400 dark:bg-teal-400"
                       : "border-teal-200 dark:border-slate-600"
                   }`}
                 >
-                  {tempCategory === category && (
+                  {tempCategory === category.name && (
                     <Check className="w-3 h-3 text-white" />
                   )}
                 </div>
-                <span className="font-medium text-teal-900 dark:text-slate-200">
-                  {category}
+                <TaxonomyIcon
+                  name={category.icon}
+                  className="w-4 h-4 flex-shrink-0 text-teal-500 dark:text-teal-400"
+                />
+                <span className="min-w-0">
+                  <span className="block font-medium text-teal-900 dark:text-slate-200">
+                    {category.name}
+                  </span>
+                  {category.description && (
+                    <span className="block text-xs text-teal-600/80 truncate dark:text-slate-400">
+                      {category.description}
+                    </span>
+                  )}
                 </span>
               </button>
             ))}
@@ -0,0 +1,35 @@
+import { Globe, Link2, Lock } from "lucide-react";
+import { COLLECTION_VISIBILITY } from "@/lib/collections";
+
+// Label and icon shown for each collection visibility
+export const COLLECTION_VISIBILITY_OPTIONS = {
+  [COLLECTION_VISIBILITY.PRIVATE]: { label: "Private", icon: Lock },
+  [COLLECTION_VISIBILITY.LINK]: { label: "Anyone with the link", icon: Link2 },
+  [COLLECTION_VISIBILITY.PUBLIC]: { label: "Public", icon: Globe },
+};
+
+/**
+ * CollectionVisibilityBadge Component
+ * Shows who can see a collection, with a matching icon.
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {string} props.visibility - The collection visibility
+ * @param {string} [props.className] - Additional classes for the badge
+ * @returns {React.ReactElement} Rendered badge
+ */
+export default function CollectionVisibilityBadge({
+  visibility,
+  className = "",
+}) {
+  const { label, icon: Icon } =
+    COLLECTION_VISIBILITY_OPTIONS[visibility] ||
+    COLLECTION_VISIBILITY_OPTIONS[COLLECTION_VISIBILITY.PRIVATE];
+
+  return (
+    <span className={`inline-flex items-center ${className}`}>
+      <Icon className="w-4 h-4 mr-1" aria-hidden="true" />
+      {label}
+    </span>
+  );
+}
@@ -0,0 +1,308 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useSession } from "next-auth/react";
+import { useRouter } from "next/navigation";
+import Link from "next/link";
+import Image from "next/image";
+import { createPortal } from "react-dom";
+import { motion } from "framer-motion";
+import { ChefHat, Star, ImagePlus, X } from "lucide-react";
+import { formatDateKey } from "@/lib/mealPlan";
+import { parseServings } from "@/lib/quantity";
+
+/**
+ * Formats a `YYYY-MM-DD` day for display in the user's locale.
+ *
+ * @param {string} day - The day.
+ * @returns {string} The formatted day.
+ */
+export const formatCookDay = (day) => {
+  const [year, month, date] = day.split("-").map(Number);
+  return new Date(year, month - 1, date).toLocaleDateString();
+};
+
+/**
+ * CookLogButton Component
+ * An "I made this" button that records a cook of the recipe in the user's cooking history,
+ * with the date, servings and an optional rating and photo. Also shows how often the user has
+ * made the recipe. Signed-out users are sent to sign in.
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {string} props.recipeId - The ID of the recipe
+ * @param {number|string} [props.servings] - The recipe's servings, used as the default
+ * @returns {React.ReactElement} Rendered button and form
+ */
+export default function CookLogButton({ recipeId, servings }) {
+  const { data: session } = useSession();
+  const router = useRouter();
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [history, setHistory] = useState(null);
+  const [form, setForm] = useState(null);
+  const [hover, setHover] = useState(0);
+  const [isUploading, setIsUploading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Loads how many times the user has made the recipe and when they last did
+   */
+  const fetchHistory = useCallback(async () => {
+    try {
+      const response = await fetch(
+        `/api/cook-log?recipeId=${recipeId}&limit=1`
+      );
+      if (!response.ok) throw new Error("Failed to load cooking history");
+      const data = await response.json();
+      setHistory({
+        count: data.total,
+        lastCookedOn: data.entries[0]?.cookedOn || null,
+      });
+    } catch (error) {
+      console.error("Error fetching cooking history:", error);
+    }
+  }, [recipeId]);
+
+  useEffect(() => {
+    if (session) fetchHistory();
+  }, [session, fetchHistory]);
+
+  /**
+   * Opens the form with today's date and the recipe's servings
+   */
+  const handleOpen = () => {
+    if (!session) {
+      router.push("/auth/signin");
+      return;
+    }
+    setForm({
+      cookedOn: formatDateKey(new Date()),
+      servings: Math.round(parseServings(servings)) || 1,
+      rating: null,
+      photo: null,
+    });
+    setError(null);
+    setIsOpen(true);
+  };
+
+  /**
+   * Uploads the picked photo of the finished dish
+   *
+   * @param {React.ChangeEvent<HTMLInputElement>} event - File input change event
+   */
+  const handlePhotoUpload = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+
+    setIsUploading(true);
+    setError(null);
+    try {
+      const formData = new FormData();
+      formData.append("image", file);
+
+      const response = await fetch("/api/recipes/images", {
+        method: "POST",
+        body: formData,
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to upload photo");
+
+      setForm((current) => ({ ...current, photo: data.url }));
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  /**
+   * Saves the cook to the user's history
+   *
+   * @param {Event} event - The form submit event
+   */
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    setError(null);
+    try {
+      const response = await fetch("/api/cook-log", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ recipeId, ...form }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+
+      setIsOpen(false);
+      fetchHistory();
+    } catch (error) {
+      console.error("Error saving cook:", error);
+      setError(error.message || "Failed to save");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-3">
+      <button
+        onClick={handleOpen}
+        className="flex items-center px-4 py-2 text-sm font-medium rounded-lg bg-teal-600 text-white hover:bg-teal-500 transition-colors"
+      >
+        <ChefHat className="w-4 h-4 mr-2" />I made this
+      </button>
+      {history?.count > 0 && (
+        <Link
+          href="/profile"
+          className="text-sm text-gray-500 hover:text-teal-600 dark:text-gray-400 dark:hover:text-teal-400"
+        >
+          Made {history.count} {history.count === 1 ? "time" : "times"}, last on{" "}
+          {formatCookDay(history.lastCookedOn)}
+        </Link>
+      )}
+
+      {isOpen &&
+        createPortal(
+          <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
+            <motion.form
+              initial={{ opacity: 0, scale: 0.95 }}
+              animate={{ opacity: 1, scale: 1 }}
+              onSubmit={handleSubmit}
+              className="w-full max-w-sm space-y-4 rounded-2xl bg-white p-6 shadow-xl dark:bg-gray-800"
+            >
+              <div className="flex items-center justify-between">
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                  I made this
+                </h2>
+                <button
+                  type="button"
+                  onClick={() => setIsOpen(false)}
+                  aria-label="Close"
+                  className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-200"
+                >
+                  <X className="w-5 h-5" />
+                </button>
+              </div>
+
+              <div className="grid grid-cols-2 gap-3">
+                <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300">
+                  Date
+                  <input
+                    type="date"
+                    value={form.cookedOn}
+                    max={formatDateKey(new Date())}
+                    onChange={(e) =>
+                      setForm({ ...form, cookedOn: e.target.value })
+                    }
+                    required
+                    className="mt-1 w-full px-3 py-2 text-sm font-normal border rounded-lg dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                  />
+                </label>
+                <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300">
+                  Servings
+                  <input
+                    type="number"
+                    min="1"
+                    max="100"
+                    value={form.servings}
+                    onChange={(e) =>
+                      setForm({ ...form, servings: e.target.value })
+                    }
+                    required
+                    className="mt-1 w-full px-3 py-2 text-sm font-normal border rounded-lg dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                  />
+                </label>
+              </div>
+
+              <div>
+                <span className="block text-sm font-semibold text-gray-700 mb-1 dark:text-gray-300">
+                  Rating (optional)
+                </span>
+                <div className="flex gap-1">
+                  {[1, 2, 3, 4, 5].map((star) => (
+                    <button
+                      key={star}
+                      type="button"
+                      onClick={() =>
+                        setForm({
+                          ...form,
+                          rating: form.rating === star ? null : star,
+                        })
+                      }
+                      onMouseEnter={() => setHover(star)}
+                      onMouseLeave={() => setHover(0)}
+                      aria-label={`${star} star${star === 1 ? "" : "s"}`}
+                      className="focus:outline-none transition-transform hover:scale-110"
+                    >
+                      <Star
+                        className={`w-6 h-6 ${
+                          star <= (hover || form.rating || 0)
+                            ? "fill-yellow-400 text-yellow-400"
+                            : "text-gray-300 dark:text-slate-600"
+                        }`}
+                      />
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <span className="block text-sm font-semibold text-gray-700 mb-1 dark:text-gray-300">
+                  Photo (optional)
+                </span>
+                {form.photo ? (
+                  <div className="relative w-24 h-24">
+                    <Image
+                      src={form.photo}
+                      alt="Your dish"
+                      width={96}
+                      height={96}
+                      className="w-24 h-24 object-cover rounded-lg"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setForm({ ...form, photo: null })}
+                      aria-label="Remove photo"
+                      className="absolute -top-2 -right-2 rounded-full bg-white p-1 shadow dark:bg-gray-700"
+                    >
+                      <X className="w-3 h-3" />
+                    </button>
+                  </div>
+                ) : (
+                  <label className="inline-flex items-center px-3 py-2 text-sm rounded-lg bg-gray-100 text-gray-700 cursor-pointer hover:bg-gray-200 dark:bg-gray-700 dark:text-gray-200">
+                    <ImagePlus className="w-4 h-4 mr-2" />
+                    {isUploading ? "Uploading..." : "Add a photo"}
+                    <input
+                      type="file"
+                      accept="image/*"
+                      onChange={handlePhotoUpload}
+                      disabled={isUploading}
+                      className="hidden"
+                    />
+                  </label>
+                )}
+              </div>
+
+              {error && (
+                <p className="text-sm text-red-600 dark:text-red-400">
+                  {error}
+                </p>
+              )}
+
+              <button
+                type="submit"
+                disabled={isSaving || isUploading}
+                className="w-full px-4 py-2 text-sm font-medium rounded-lg bg-teal-600 text-white hover:bg-teal-500 disabled:opacity-50"
+              >
+                {isSaving ? "Saving..." : "Save to my history"}
+              </button>
+            </motion.form>
+          </div>,
+          document.body
+        )}
+    </div>
+  );
+}
@@ -0,0 +1,382 @@
+"use client";
+
+import { useState, useEffect, useRef, useCallback } from "react";
+import { createPortal } from "react-dom";
+import {
+  ChefHat,
+  ChevronLeft,
+  ChevronRight,
+  Mic,
+  MicOff,
+  Pause,
+  Play,
+  Sun,
+  Timer,
+  X,
+} from "lucide-react";
+import { useWakeLock } from "@/app/hooks/useWakeLock";
+import { useCookTimers } from "@/app/hooks/useCookTimers";
+import {
+  detectDurations,
+  formatTimer,
+  getRemainingSeconds,
+} from "@/lib/cookTimers";
+import { VOICE_COMMANDS, parseVoiceCommand } from "@/lib/voiceCommands";
+
+/**
+ * Reads a step aloud, interrupting anything already being read.
+ *
+ * @param {string} text - The text to read.
+ */
+const speak = (text) => {
+  if (!("speechSynthesis" in window)) return;
+  window.speechSynthesis.cancel();
+  window.speechSynthesis.speak(new SpeechSynthesisUtterance(text));
+};
+
+/**
+ * CookMode Component
+ * A full-screen, hands-free cooking view showing one instruction at a time in large text.
+ * Keeps the screen awake, offers one-tap timers for durations found in each step (several can
+ * run at once and each beeps and notifies when done, even after leaving the page), and can be
+ * driven by voice with the same "next", "previous", "repeat" and "go to step" commands as the
+ * instruction reader.
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {string} props.recipeId - The ID of the recipe
+ * @param {string} props.title - The recipe's title
+ * @param {string[]} props.instructions - The recipe's steps
+ * @returns {React.ReactElement} Rendered button and cook mode view
+ */
+export default function CookMode({ recipeId, title, instructions }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [step, setStep] = useState(0);
+  const [isVoiceOn, setIsVoiceOn] = useState(false);
+  const [voiceError, setVoiceError] = useState(null);
+  const containerRef = useRef(null);
+
+  const { isSupported: canKeepAwake, isLocked: isAwake } = useWakeLock(isOpen);
+  const { timers, now, startTimer, pauseTimer, resumeTimer, removeTimer } =
+    useCookTimers();
+
+  const lastStep = instructions.length - 1;
+  const durations = detectDurations(instructions[step]);
+
+  /**
+   * Moves to a step, reading it aloud in hands-free mode
+   * @param {number} index - The step index
+   */
+  const goToStep = useCallback(
+    (index) => {
+      const next = Math.min(Math.max(index, 0), lastStep);
+      setStep(next);
+      if (isVoiceOn) speak(instructions[next]);
+    },
+    [instructions, lastStep, isVoiceOn]
+  );
+
+  /**
+   * Opens cook mode full screen from the first step
+   */
+  const open = () => {
+    setStep(0);
+    setIsOpen(true);
+  };
+
+  /**
+   * Leaves cook mode, stopping voice control. Running timers keep going.
+   */
+  const close = useCallback(() => {
+    setIsVoiceOn(false);
+    setIsOpen(false);
+    if (document.fullscreenElement) document.exitFullscreen?.();
+  }, []);
+
+  // Go full screen once the view is shown, where the browser allows it
+  useEffect(() => {
+    if (isOpen) containerRef.current?.requestFullscreen?.().catch(() => {});
+  }, [isOpen]);
+
+  // Arrow keys move between steps and Escape leaves
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleKey = (event) => {
+      if (event.key === "ArrowRight") goToStep(step + 1);
+      if (event.key === "ArrowLeft") goToStep(step - 1);
+      if (event.key === "Escape") close();
+    };
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  }, [isOpen, step, goToStep, close]);
+
+  // Keep a handle on the latest step for the voice handler
+  const stepRef = useRef(step);
+  stepRef.current = step;
+  const goToStepRef = useRef(goToStep);
+  goToStepRef.current = goToStep;
+
+  // Listen for voice commands while hands-free mode is on
+  useEffect(() => {
+    if (!isVoiceOn) return undefined;
+
+    const SpeechRecognition =
+      window.SpeechRecognition || window.webkitSpeechRecognition;
+    if (!SpeechRecognition) {
+      setVoiceError("Voice control is not supported in this browser");
+      setIsVoiceOn(false);
+      return undefined;
+    }
+
+    let stopped = false;
+    const recognition = new SpeechRecognition();
+    recognition.continuous = true;
+    recognition.interimResults = false;
+    recognition.lang = "en-US";
+
+    recognition.onresult = (event) => {
+      const spoken = parseVoiceCommand(
+        event.results[event.results.length - 1][0].transcript
+      );
+      const current = stepRef.current;
+      const actions = {
+        [VOICE_COMMANDS.NEXT]: () => goToStepRef.current(current + 1),
+        [VOICE_COMMANDS.PREVIOUS]: () => goToStepRef.current(current - 1),
+        [VOICE_COMMANDS.REPEAT]: () => goToStepRef.current(current),
+        [VOICE_COMMANDS.GO_TO_STEP]: () => goToStepRef.current(spoken.step),
+        [VOICE_COMMANDS.STOP]: () => setIsVoiceOn(false),
+      };
+      actions[spoken?.command]?.();
+    };
+    recognition.onerror = (event) => {
+      if (event.error === "not-allowed") {
+        setVoiceError("Microphone access was denied");
+        setIsVoiceOn(false);
+      }
+    };
+    // Browsers end recognition after a silence, so keep it going until turned off
+    recognition.onend = () => {
+      if (!stopped) recognition.start();
+    };
+
+    recognition.start();
+    speak(instructions[stepRef.current]);
+
+    return () => {
+      stopped = true;
+      recognition.stop();
+      window.speechSynthesis?.cancel();
+    };
+  }, [isVoiceOn, instructions]);
+
+  if (!instructions?.length) return null;
+
+  return (
+    <>
+      <button
+        onClick={open}
+        className="flex items-center gap-3 px-4 py-2 bg-teal-500 hover:bg-teal-600 text-white rounded-lg transition-colors dark:bg-teal-600 dark:hover:bg-teal-700"
+      >
+        <ChefHat className="w-6 h-6" />
+        <span className="font-medium">Cook Mode</span>
+      </button>
+
+      {isOpen &&
+        createPortal(
+          <div
+            ref={containerRef}
+            className="fixed inset-0 z-[60] flex flex-col bg-white text-gray-900 dark:bg-gray-900 dark:text-white"
+          >
+            {/* Top bar */}
+            <div className="flex items-center justify-between gap-4 px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+              <div className="min-w-0">
+                <p className="truncate text-sm text-gray-500 dark:text-gray-400">
+                  {title}
+                </p>
+                <p className="font-semibold text-teal-600 dark:text-teal-400">
+                  Step {step + 1} of {instructions.length}
+                </p>
+              </div>
+              <div className="flex items-center gap-2">
+                {canKeepAwake && (
+                  <span
+                    title={
+                      isAwake ? "Screen will stay on" : "Screen may turn off"
+                    }
+                    className={isAwake ? "text-amber-500" : "text-gray-400"}
+                  >
+                    <Sun className="w-5 h-5" />
+                  </span>
+                )}
+                <button
+                  onClick={() => {
+                    setVoiceError(null);
+                    setIsVoiceOn(!isVoiceOn);
+                  }}
+                  className={`flex items-center gap-2 px-3 py-2 rounded-lg text-sm transition-colors ${
+                    isVoiceOn
+                      ? "bg-teal-500 text-white"
+                      : "bg-gray-100 text-gray-700 dark:bg-gray-800 dark:text-gray-200"
+                  }`}
+                >
+                  {isVoiceOn ? (
+                    <Mic className="w-5 h-5" />
+                  ) : (
+                    <MicOff className="w-5 h-5" />
+                  )}
+                  <span className="hidden sm:inline">
+                    {isVoiceOn ? "Listening" : "Hands-free"}
+                  </span>
+                </button>
+                <button
+                  onClick={close}
+                  aria-label="Leave cook mode"
+                  className="p-2 rounded-lg bg-gray-100 hover:bg-gray-200 dark:bg-gray-800 dark:hover:bg-gray-700"
+                >
+                  <X className="w-5 h-5" />
+                </button>
+              </div>
+            </div>
+
+            {/* Progress */}
+            <div className="h-1.5 bg-gray-100 dark:bg-gray-800">
+              <div
+                className="h-full bg-gradient-to-r from-teal-400 to-teal-500 transition-all duration-500"
+                style={{
+                  width: `${((step + 1) / instructions.length) * 100}%`,
+                }}
+              />
+            </div>
+
+            {/* Current step */}
+            <div className="flex-1 overflow-y-auto flex flex-col items-center justify-center px-6 py-8">
+              <p className="max-w-4xl text-2xl sm:text-4xl leading-relaxed text-center">
+                {instructions[step]}
+              </p>
+
+              {durations.length > 0 && (
+                <div className="mt-8 flex flex-wrap justify-center gap-3">
+                  {durations.map((duration, index) => (
+                    <button
+                      key={index}
+                      onClick={() =>
+                        startTimer({
+                          label: `Step ${step + 1}: ${duration.label}`,
+                          seconds: duration.seconds,
+                          recipeId,
+                          recipeTitle: title,
+                          stepIndex: step,
+                        })
+                      }
+                      className="flex items-center gap-2 px-5 py-3 text-lg rounded-full bg-amber-100 text-amber-800 hover:bg-amber-200 dark:bg-amber-900 dark:text-amber-100 dark:hover:bg-amber-800"
+                    >
+                      <Timer className="w-5 h-5" />
+                      Start {duration.label} timer
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              {voiceError && (
+                <p className="mt-6 text-sm text-red-600 dark:text-red-400">
+                  {voiceError}
+                </p>
+              )}
+              {isVoiceOn && (
+                <p className="mt-6 text-sm text-gray-500 dark:text-gray-400">
+                  Say &quot;next&quot;, &quot;previous&quot;, &quot;repeat&quot;
+                  or &quot;go to step 3&quot;
+                </p>
+              )}
+            </div>
+
+            {/* Running timers */}
+            {timers.length > 0 && (
+              <div className="flex gap-3 overflow-x-auto px-4 py-3 border-t border-gray-200 dark:border-gray-700">
+                {timers.map((timer) => (
+                  <div
+                    key={timer.id}
+                    className={`flex flex-shrink-0 items-center gap-3 px-4 py-2 rounded-xl ${
+                      timer.done
+                        ? "bg-red-500 text-white animate-pulse"
+                        : "bg-gray-100 dark:bg-gray-800"
+                    }`}
+                  >
+                    <button
+                      onClick={() => {
+                        if (timer.recipeId === recipeId) {
+                          goToStep(timer.stepIndex);
+                        }
+                      }}
+                      className="text-left"
+                    >
+                      <span className="block text-xs opacity-75">
+                        {timer.label}
+                      </span>
+                      <span className="block text-xl font-mono font-semibold">
+                        {timer.done
+                          ? "Done!"
+                          : formatTimer(getRemainingSeconds(timer, now))}
+                      </span>
+                    </button>
+                    {!timer.done && timer.pausedRemaining === null && (
+                      <button
+                        onClick={() => pauseTimer(timer.id)}
+                        aria-label="Pause timer"
+                      >
+                        <Pause className="w-5 h-5" />
+                      </button>
+                    )}
+                    {timer.pausedRemaining !== null && (
+                      <button
+                        onClick={() => resumeTimer(timer.id)}
+                        aria-label="Resume timer"
+                      >
+                        <Play className="w-5 h-5" />
+                      </button>
+                    )}
+                    <button
+                      onClick={() => removeTimer(timer.id)}
+                      aria-label={timer.done ? "Dismiss timer" : "Cancel timer"}
+                    >
+                      <X className="w-5 h-5" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {/* Step navigation */}
+            <div className="grid grid-cols-2 gap-3 p-4 border-t border-gray-200 dark:border-gray-700">
+              <button
+                onClick={() => goToStep(step - 1)}
+                disabled={step === 0}
+                className="flex items-center justify-center gap-2 py-4 text-lg rounded-xl bg-gray-100 hover:bg-gray-200 disabled:opacity-40 dark:bg-gray-800 dark:hover:bg-gray-700"
+              >
+                <ChevronLeft className="w-6 h-6" />
+                Previous
+              </button>
+              {step < lastStep ? (
+                <button
+                  onClick={() => goToStep(step + 1)}
+                  className="flex items-center justify-center gap-2 py-4 text-lg rounded-xl bg-teal-500 text-white hover:bg-teal-600"
+                >
+                  Next
+                  <ChevronRight className="w-6 h-6" />
+                </button>
+              ) : (
+                <button
+                  onClick={close}
+                  className="flex items-center justify-center gap-2 py-4 text-lg rounded-xl bg-teal-500 text-white hover:bg-teal-600"
+                >
+                  Finish
+                </button>
+              )}
+            </div>
+          </div>,
+          document.body
+        )}
+    </>
+  );
+}
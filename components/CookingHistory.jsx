@@ -0,0 +1,305 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import Link from "next/link";
+import Image from "next/image";
+import { motion } from "framer-motion";
+import { toast } from "sonner";
+import { Flame, Trophy, ChefHat, Star, Trash2, Users } from "lucide-react";
+import ConfirmationModal from "@/components/ConfirmationModal";
+import { formatCookDay } from "@/components/CookLogButton";
+import { formatDateKey } from "@/lib/mealPlan";
+
+// Entries loaded per page of the timeline
+const PAGE_SIZE = 10;
+
+/**
+ * Formats a `YYYY-MM` month as a short label, e.g. "Oct".
+ *
+ * @param {string} month - The month.
+ * @returns {string} The label.
+ */
+const formatMonth = (month) => {
+  const [year, index] = month.split("-").map(Number);
+  return new Date(year, index - 1, 1).toLocaleDateString(undefined, {
+    month: "short",
+  });
+};
+
+/**
+ * CookingHistory Component
+ * The signed-in user's cooking history for the profile page: totals and streaks, their
+ * most-cooked recipes, the categories they cooked in recent months and a timeline of every
+ * "I made this" entry, which can be deleted.
+ *
+ * @component
+ * @returns {React.ReactElement} Rendered history
+ */
+export default function CookingHistory() {
+  const [stats, setStats] = useState(null);
+  const [entries, setEntries] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [isLoading, setIsLoading] = useState(true);
+  const [entryToDelete, setEntryToDelete] = useState(null);
+
+  /**
+   * Loads the stats, passing the user's own date so streaks follow their calendar
+   */
+  const fetchStats = useCallback(async () => {
+    try {
+      const today = formatDateKey(new Date());
+      const response = await fetch(`/api/cook-log/stats?today=${today}`);
+      if (!response.ok) throw new Error("Failed to load cooking stats");
+      setStats(await response.json());
+    } catch (error) {
+      console.error("Error fetching cooking stats:", error);
+    }
+  }, []);
+
+  /**
+   * Loads one page of the timeline, appending it to the pages already shown
+   * @param {number} pageToLoad - The page number
+   */
+  const fetchEntries = useCallback(async (pageToLoad) => {
+    setIsLoading(true);
+    try {
+      const response = await fetch(
+        `/api/cook-log?page=${pageToLoad}&limit=${PAGE_SIZE}`
+      );
+      if (!response.ok) throw new Error("Failed to load cooking history");
+      const data = await response.json();
+
+      setEntries((current) =>
+        pageToLoad === 1 ? data.entries : [...current, ...data.entries]
+      );
+      setPage(pageToLoad);
+      setTotalPages(data.totalPages);
+    } catch (error) {
+      toast.error("Failed to load cooking history", {
+        description: error.message,
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStats();
+    fetchEntries(1);
+  }, [fetchStats, fetchEntries]);
+
+  /**
+   * Deletes the entry awaiting confirmation and refreshes the stats
+   */
+  const handleDelete = async () => {
+    const entry = entryToDelete;
+    setEntryToDelete(null);
+    try {
+      const response = await fetch(`/api/cook-log/${entry._id}`, {
+        method: "DELETE",
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+
+      setEntries((current) => current.filter((item) => item._id !== entry._id));
+      fetchStats();
+    } catch (error) {
+      toast.error("Failed to delete entry", { description: error.message });
+    }
+  };
+
+  const busiestMonth = Math.max(
+    1,
+    ...(stats?.categoriesByMonth || []).map((month) => month.total)
+  );
+
+  return (
+    <motion.div
+      initial={{ y: 50, opacity: 0 }}
+      animate={{ y: 0, opacity: 1 }}
+      transition={{ delay: 0.5, duration: 0.5 }}
+      className="col-span-1 md:col-span-3 bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-2xl shadow-2xl p-4 sm:p-6"
+    >
+      <h3 className="text-lg font-bold text-slate-900 dark:text-slate-100 mb-4">
+        Cooking History
+      </h3>
+
+      {stats?.totalCooks === 0 && !isLoading ? (
+        <p className="text-sm text-slate-600 dark:text-slate-400">
+          Nothing logged yet. Press &quot;I made this&quot; on a recipe after
+          cooking it to start your history.
+        </p>
+      ) : (
+        <div className="space-y-6">
+          {/* Totals and streaks */}
+          {stats && (
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 sm:gap-4">
+              <StatCard
+                icon={<ChefHat className="w-5 h-5" />}
+                value={stats.totalCooks}
+                label="Meals cooked"
+              />
+              <StatCard
+                icon={<Users className="w-5 h-5" />}
+                value={stats.distinctRecipes}
+                label="Different recipes"
+              />
+              <StatCard
+                icon={<Flame className="w-5 h-5" />}
+                value={stats.streaks.current}
+                label="Day streak"
+              />
+              <StatCard
+                icon={<Trophy className="w-5 h-5" />}
+                value={stats.streaks.longest}
+                label="Longest streak"
+              />
+            </div>
+          )}
+
+          {stats && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              {/* Most cooked recipes */}
+              <div>
+                <h4 className="text-sm font-semibold text-slate-700 dark:text-slate-300 mb-2">
+                  Most cooked
+                </h4>
+                <ol className="space-y-1">
+                  {stats.mostCooked.map((recipe) => (
+                    <li
+                      key={recipe.recipeId}
+                      className="flex items-center justify-between text-sm text-slate-700 dark:text-slate-300"
+                    >
+                      <Link
+                        href={`/recipes/${recipe.recipeId}`}
+                        className="truncate hover:text-teal-600 dark:hover:text-teal-400"
+                      >
+                        {recipe.title}
+                      </Link>
+                      <span className="ml-2 flex-shrink-0 text-xs text-slate-500 dark:text-slate-400">
+                        {recipe.count}×
+                      </span>
+                    </li>
+                  ))}
+                </ol>
+              </div>
+
+              {/* Categories cooked per month */}
+              <div>
+                <h4 className="text-sm font-semibold text-slate-700 dark:text-slate-300 mb-2">
+                  Categories per month
+                </h4>
+                <div className="flex items-end gap-2 h-32">
+                  {stats.categoriesByMonth.map((month) => (
+                    <div
+                      key={month.month}
+                      className="flex-1 flex flex-col items-center justify-end h-full"
+                      title={Object.entries(month.categories)
+                        .map(([category, count]) => `${category}: ${count}`)
+                        .join("\n")}
+                    >
+                      <div
+                        className="w-full rounded-t bg-teal-500 dark:bg-teal-600"
+                        style={{
+                          height: `${(month.total / busiestMonth) * 100}%`,
+                        }}
+                      />
+                      <span className="mt-1 text-[10px] text-slate-500 dark:text-slate-400">
+                        {formatMonth(month.month)}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Timeline */}
+          <div>
+            <h4 className="text-sm font-semibold text-slate-700 dark:text-slate-300 mb-2">
+              Timeline
+            </h4>
+            <ul className="border-l-2 border-teal-200 dark:border-teal-800 ml-2 space-y-4">
+              {entries.map((entry) => (
+                <li key={entry._id} className="relative pl-4 group">
+                  <span className="absolute -left-[5px] top-2 w-2 h-2 rounded-full bg-teal-500" />
+                  <div className="flex items-start gap-3">
+                    {entry.photo && (
+                      <Image
+                        src={entry.photo}
+                        alt={entry.recipeTitle}
+                        width={64}
+                        height={64}
+                        className="w-16 h-16 object-cover rounded-lg flex-shrink-0"
+                      />
+                    )}
+                    <div className="flex-1 min-w-0">
+                      <p className="text-xs text-slate-500 dark:text-slate-400">
+                        {formatCookDay(entry.cookedOn)}
+                      </p>
+                      <Link
+                        href={`/recipes/${entry.recipeId}`}
+                        className="block truncate text-sm font-medium text-slate-900 hover:text-teal-600 dark:text-slate-100 dark:hover:text-teal-400"
+                      >
+                        {entry.recipeTitle}
+                      </Link>
+                      <div className="flex items-center gap-2 text-xs text-slate-500 dark:text-slate-400">
+                        <span>Serves {entry.servings}</span>
+                        {entry.rating && (
+                          <span className="flex items-center">
+                            <Star className="w-3 h-3 mr-0.5 fill-yellow-400 text-yellow-400" />
+                            {entry.rating}
+                          </span>
+                        )}
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => setEntryToDelete(entry)}
+                      aria-label="Delete entry"
+                      className="opacity-0 group-hover:opacity-100 text-slate-400 hover:text-red-500 transition-opacity"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+            {page < totalPages && (
+              <button
+                onClick={() => fetchEntries(page + 1)}
+                disabled={isLoading}
+                className="mt-4 px-4 py-2 text-sm text-teal-600 dark:text-teal-300 bg-slate-100 dark:bg-slate-700 rounded-lg hover:bg-slate-200 dark:hover:bg-slate-600 disabled:opacity-50"
+              >
+                {isLoading ? "Loading..." : "Load more"}
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      <ConfirmationModal
+        isOpen={Boolean(entryToDelete)}
+        onClose={() => setEntryToDelete(null)}
+        onConfirm={handleDelete}
+        title="Delete entry"
+        message="Remove this cook from your history?"
+        confirmText="Delete"
+        confirmClassName="bg-red-500 hover:bg-red-600 text-white"
+      />
+    </motion.div>
+  );
+}
+
+// Single figure in the stats row
+const StatCard = ({ icon, value, label }) => (
+  <div className="flex flex-col items-center p-3 bg-slate-100 dark:bg-slate-700 rounded-lg text-teal-800 dark:text-teal-500">
+    {icon}
+    <span className="mt-1 text-xl font-bold text-slate-900 dark:text-slate-100">
+      {value}
+    </span>
+    <span className="text-[10px] sm:text-xs text-slate-600 dark:text-slate-300 text-center">
+      {label}
+    </span>
+  </div>
+);
@@ -0,0 +1,76 @@
+"use client";
+
+import { useState, useEffect } from "react";
+
+/**
+ * Time limits offered in the filter panel, keyed by URL parameter
+ */
+const TIME_FILTERS = [
+  { param: "maxTotalTime", label: "Max Total" },
+  { param: "maxPrep", label: "Max Prep" },
+  { param: "maxCook", label: "Max Cook" },
+];
+
+/**
+ * CookingTimeFilter component for limiting recipes by preparation and cooking time
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {URLSearchParams} props.searchParams - Current URL search parameters
+ * @param {function} props.updateUrl - Function to update URL with new parameters
+ *
+ * @returns {React.ReactElement} Rendered time limit inputs
+ */
+const CookingTimeFilter = ({ searchParams, updateUrl }) => {
+  // State to manage the time inputs, keyed by URL parameter
+  const [values, setValues] = useState({});
+
+  // Effect to sync inputs with URL parameters on initial load and parameter changes
+  useEffect(() => {
+    setValues(
+      Object.fromEntries(
+        TIME_FILTERS.map(({ param }) => [param, searchParams.get(param) || ""])
+      )
+    );
+  }, [searchParams]);
+
+  /**
+   * Handles changes to a time input, allowing only whole minutes
+   *
+   * @param {string} param - The URL parameter being edited
+   * @param {string} value - The new input value
+   */
+  const handleChange = (param, value) => {
+    if (!/^\d*$/.test(value)) return;
+
+    setValues((prev) => ({ ...prev, [param]: value }));
+
+    // Pass null if value is empty to remove the parameter
+    updateUrl({ [param]: value || null });
+  };
+
+  return (
+    <div className="w-full max-w-sm">
+      <span className="block mb-2 text-sm font-medium text-teal-700 dark:text-teal-300">
+        Time (minutes)
+      </span>
+      <div className="grid grid-cols-3 gap-2">
+        {TIME_FILTERS.map(({ param, label }) => (
+          <label key={param} className="text-xs text-teal-700 dark:text-teal-300">
+            {label}
+            <input
+              type="text"
+              inputMode="numeric"
+              value={values[param] || ""}
+              onChange={(e) => handleChange(param, e.target.value)}
+              placeholder="Any"
+              className="w-full mt-1 px-3 py-2 rounded-xl border border-teal-300 bg-white dark:bg-slate-800 text-teal-900 dark:border-slate-700 placeholder-teal-500 dark:text-teal-300 focus:outline-none focus:ring-2 focus:ring-teal-500 focus:border-transparent dark:focus:ring-teal-500/40"
+            />
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default CookingTimeFilter;
@@ -2,17 +2,22 @@
 
 import { DownloadIcon, CheckIcon } from "lucide-react";
 import { useState, useEffect } from "react";
+import { fetchRecipeNotes } from "@/app/hooks/useRecipeNotes";
+import { getDownload, getDownloadKey, saveDownload } from "@/lib/offlineStore";
+import { isOutdatedCopy } from "@/lib/recipeVersions";
 
 /**
  * Represents a recipe object with download and version information.
  * @typedef {Object} Recipe
  * @property {string} id - Unique identifier for the recipe
- * @property {string} [version] - Version of the recipe
+ * @property {string} [lastModified] - When the recipe was last edited
+ * @property {number} [updateCount] - How many times the recipe has been edited
  * @property {string} [downloadedAt] - Timestamp of download
+ * @property {Array<Object>} [personalNotes] - The user's private notes, saved for offline use
  */
 
 /**
- * A button component for downloading and saving recipes to local storage
+ * A button component for downloading recipes, and their images, for offline use
  * @component
  * @param {Object} props - Component properties
  * @param {Recipe} props.recipe - The recipe to be downloaded
@@ -37,23 +42,19 @@ export default function DownloadButton({ recipe, onAlert }) {
    */
   useEffect(() => {
     // Check if the recipe is already downloaded when component mounts
-    if (recipe) {
-      const downloadedRecipes = JSON.parse(
-        localStorage.getItem("downloadedRecipes") || "[]"
-      ).map((r) => (typeof r === "string" ? JSON.parse(r) : r));
+    const key = getDownloadKey(recipe);
+    if (!key) return;
 
-      const existingRecipe = downloadedRecipes.find(
-        (savedRecipe) => savedRecipe.id === recipe.id
-      );
-
-      setIsDownloaded(!!existingRecipe);
-    }
+    getDownload(key)
+      .then((existingRecipe) => setIsDownloaded(!!existingRecipe))
+      .catch((error) => console.error("Error reading downloads:", error));
   }, [recipe]);
 
   /**
    * Handles the recipe download process
    * - Validates recipe data
-   * - Manages local storage of downloaded recipes
+   * - Saves the user's private notes with the recipe
+   * - Stores the recipe and its images in the offline store
    * - Provides user feedback via alerts
    * @async
    */
@@ -71,48 +72,54 @@ export default function DownloadButton({ recipe, onAlert }) {
     setIsSyncing(true);
 
     try {
+      // Signed-out users have no notes, so this resolves to an empty list for them
+      const personalNotes = recipe._id
+        ? await fetchRecipeNotes(recipe._id)
+        : [];
+
       // Prepare recipe for saving with additional metadata
       const recipeToSave = {
         ...recipe,
-        id: recipe.id || Date.now().toString(),
+        id: getDownloadKey(recipe) || Date.now().toString(),
         downloadedAt: new Date().toISOString(),
-        version: recipe.version || "1.0",
+        personalNotes,
       };
 
-      // Retrieve existing downloaded recipes
-      const downloadedRecipes = JSON.parse(
-        localStorage.getItem("downloadedRecipes") || "[]"
-      ).map((r) => (typeof r === "string" ? JSON.parse(r) : r));
-
-      // Find existing recipe index
-      const existingRecipeIndex = downloadedRecipes.findIndex(
-        (savedRecipe) => savedRecipe.id === recipeToSave.id
-      );
+      // Find any earlier download of this recipe
+      const existingRecipe = await getDownload(recipeToSave.id);
 
-      if (existingRecipeIndex !== -1) {
-        // Update existing recipe if versions differ
-        if (
-          downloadedRecipes[existingRecipeIndex].version !==
-          recipeToSave.version
-        ) {
-          downloadedRecipes[existingRecipeIndex] = recipeToSave;
+      if (existingRecipe) {
+        // Update existing recipe if it was edited since it was downloaded
+        if (isOutdatedCopy(existingRecipe, recipeToSave)) {
+          await saveDownload(recipeToSave);
           onAlert &&
             onAlert({
               message: "Recipe updated to latest version",
               type: "info",
             });
+        } else if (
+          JSON.stringify(existingRecipe.personalNotes || []) !==
+          JSON.stringify(personalNotes)
+        ) {
+          // Same recipe version, but the user's notes have changed since
+          await saveDownload({ ...existingRecipe, personalNotes });
+          onAlert &&
+            onAlert({
+              message: "Your notes on this recipe were updated",
+              type: "info",
+            });
         } else {
           onAlert &&
             onAlert({
               message: "Recipe already saved!",
               type: "warning",
             });
-          setIsSyncing(false);
+          setIsDownloaded(true);
           return;
         }
       } else {
         // Add new recipe
-        downloadedRecipes.push(recipeToSave);
+        await saveDownload(recipeToSave);
         onAlert &&
           onAlert({
             message: "Recipe saved successfully!",
@@ -120,20 +127,8 @@ export default function DownloadButton({ recipe, onAlert }) {
           });
       }
 
-      // Save updated recipes to local storage
-      localStorage.setItem(
-        "downloadedRecipes",
-        JSON.stringify(downloadedRecipes)
-      );
-
       // Update downloaded state
       setIsDownloaded(true);
-
-      // Simulate sync delay
-      await new Promise((resolve) => setTimeout(resolve, 500));
-
-      // Dispatch event for other components
-      window.dispatchEvent(new Event("recipesDownloaded"));
     } catch (error) {
       console.error("Error saving recipe:", error);
       onAlert &&
@@ -15,7 +15,10 @@ import { Filter, X, RefreshCcw, Sliders, CheckCircle2 } from "lucide-react";
 /** @requires Custom filter components */
 import TagFilter from "@/components/TagFilters";
 import NumberOfStepsFilter from "@/components/NumberOfStepsFilter";
+import CookingTimeFilter from "@/components/CookingTimeFilter";
 import IngredientsFilter from "@/components/IngredientsFilter";
+import AllergenFilter from "@/components/AllergenFilter";
+import NutritionFilter from "@/components/NutritionFilter";
 import CategoryFilter from "@/components/CategoryFilter";
 import SortOrder from "@/components/SortOrder";
 
@@ -235,6 +238,10 @@ export default function FilterSection({
                         searchParams={searchParams}
                         updateUrl={updateUrl}
                       />
+                      <CookingTimeFilter
+                        searchParams={searchParams}
+                        updateUrl={updateUrl}
+                      />
                       <TagFilter
                         availableTags={availableTags}
                         searchParams={searchParams}
@@ -245,6 +252,14 @@ export default function FilterSection({
                         searchParams={searchParams}
                         updateUrl={updateUrl}
                       />
+                      <AllergenFilter
+                        searchParams={searchParams}
+                        updateUrl={updateUrl}
+                      />
+                      <NutritionFilter
+                        searchParams={searchParams}
+                        updateUrl={updateUrl}
+                      />
                       {!isFilterActive && (
                         <div className="text-gray-500 dark:text-slate-400 text-sm italic mt-4">
                           No filter applied
@@ -11,13 +11,21 @@ import {
   ShoppingCart,
   BookOpen,
   Download,
+  CalendarDays,
+  Refrigerator,
+  ChefHat,
+  Shield,
+  Library,
 } from "lucide-react";
 import SearchBar from "./SearchBar";
 import Image from "next/image";
 import ThemeToggle from "./ThemeToggle";
+import TimerBadge from "./TimerBadge";
+import { OUTBOX_REPLAYED_EVENT, clearOutbox } from "@/lib/outbox";
 import { useSession, signOut } from "next-auth/react";
 import { useRouter } from "next/navigation";
 import Alert from "./Alert";
+import { ROLES, hasRole } from "@/lib/roles";
 
 /**
  * Renders the Header component.
@@ -38,6 +46,7 @@ const Header = () => {
   const mobileMenuRef = useRef(null);
   const router = useRouter();
   const { data: session, status } = useSession();
+  const canAccessAdmin = hasRole(session?.user?.role, ROLES.MODERATOR);
   const [favoritesCount, setFavoritesCount] = useState(0);
   const [navAlertConfig, setNavAlertConfig] = useState({
     isVisible: false,
@@ -104,12 +113,15 @@ const Header = () => {
     // Initial fetch of favorites count
     fetchFavoritesCount();
 
-    // Add event listener to refresh favorites count
+    // Add event listeners to refresh favorites count, including after offline changes are sent
     window.addEventListener("favoritesUpdated", fetchFavoritesCount);
+    window.addEventListener(OUTBOX_REPLAYED_EVENT, fetchFavoritesCount);
 
-    // Cleanup function to remove event listener
-    return () =>
+    // Cleanup function to remove event listeners
+    return () => {
       window.removeEventListener("favoritesUpdated", fetchFavoritesCount);
+      window.removeEventListener(OUTBOX_REPLAYED_EVENT, fetchFavoritesCount);
+    };
   }, [session]); // Re-run effect if session changes
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -142,6 +154,10 @@ const Header = () => {
   const handleLogout = async () => {
     try {
       setIsUserMenuOpen(false);
+      // Changes queued offline must not be sent under the next user's session
+      await clearOutbox().catch((error) =>
+        console.error("Error clearing the outbox:", error)
+      );
       const result = await signOut({ redirect: false, callbackUrl: "/" });
       if (result?.url) {
         setNavAlertConfig({
@@ -220,6 +236,36 @@ const Header = () => {
                     <Heart className="mr-2 h-4 w-4" />
                     Saved Recipes
                   </Link>
+                  <Link
+                    href="/collections"
+                    className="flex items-center px-4 py-2 text-sm dark:text-teal-200 dark:hover:bg-teal-700 text-teal-800 hover:bg-teal-50 transition-colors"
+                  >
+                    <Library className="mr-2 h-4 w-4" />
+                    Collections
+                  </Link>
+                  <Link
+                    href="/pantry"
+                    className="flex items-center px-4 py-2 text-sm dark:text-teal-200 dark:hover:bg-teal-700 text-teal-800 hover:bg-teal-50 transition-colors"
+                  >
+                    <Refrigerator className="mr-2 h-4 w-4" />
+                    My Pantry
+                  </Link>
+                  <Link
+                    href="/my-recipes"
+                    className="flex items-center px-4 py-2 text-sm dark:text-teal-200 dark:hover:bg-teal-700 text-teal-800 hover:bg-teal-50 transition-colors"
+                  >
+                    <ChefHat className="mr-2 h-4 w-4" />
+                    My Recipes
+                  </Link>
+                  {canAccessAdmin && (
+                    <Link
+                      href="/admin"
+                      className="flex items-center px-4 py-2 text-sm dark:text-teal-200 dark:hover:bg-teal-700 text-teal-800 hover:bg-teal-50 transition-colors"
+                    >
+                      <Shield className="mr-2 h-4 w-4" />
+                      Admin
+                    </Link>
+                  )}
                   <Link
                     href="/settings"
                     className="flex items-center px-4 py-2 text-sm dark:text-teal-200 dark:hover:bg-teal-700 text-teal-800 hover:bg-teal-50 transition-colors"
@@ -352,6 +398,14 @@ const Header = () => {
                 </Link>
               </div>
 
+              <Link
+                href="/meal-plan"
+                className="text-white relative flex items-center hover:text-teal-200 transition-colors duration-200 text-sm font-medium"
+              >
+                <CalendarDays className="mr-2 h-4 w-4" />
+                Meal Plan
+              </Link>
+
               <Link
                 href="/downloaded-recipes"
                 className="text-white relative flex items-center hover:text-teal-200 transition-colors duration-200 text-sm font-medium"
@@ -360,10 +414,16 @@ const Header = () => {
                 Downloads
               </Link>
 
+              <TimerBadge />
+
               <UserMenu />
             </div>
           </div>
 
+          <div className="md:hidden mr-4">
+            <TimerBadge />
+          </div>
+
           <button
             onClick={toggleMenu}
             aria-label="toggle-mobile-menu"
@@ -422,6 +482,12 @@ const Header = () => {
             >
               Shopping Lists
             </Link>
+            <Link
+              href="/meal-plan"
+              className="block px-3 py-2 text-white hover:bg-teal-600 rounded-lg transition-colors"
+            >
+              Meal Plan
+            </Link>
             {status === "authenticated" ? (
               <>
                 <Link
@@ -436,6 +502,32 @@ const Header = () => {
                 >
                   Downloads
                 </Link>
+                <Link
+                  href="/pantry"
+                  className="block px-3 py-2 text-white hover:bg-teal-600 rounded-lg transition-colors"
+                >
+                  My Pantry
+                </Link>
+                <Link
+                  href="/collections"
+                  className="block px-3 py-2 text-white hover:bg-teal-600 rounded-lg transition-colors"
+                >
+                  Collections
+                </Link>
+                <Link
+                  href="/my-recipes"
+                  className="block px-3 py-2 text-white hover:bg-teal-600 rounded-lg transition-colors"
+                >
+                  My Recipes
+                </Link>
+                {canAccessAdmin && (
+                  <Link
+                    href="/admin"
+                    className="block px-3 py-2 text-white hover:bg-teal-600 rounded-lg transition-colors"
+                  >
+                    Admin
+                  </Link>
+                )}
                 <Link
                   href="/settings"
                   className="block px-3 py-2 text-white hover:bg-teal-600 rounded-lg transition-colors"
@@ -0,0 +1,147 @@
+"use client";
+
+import { useEffect, useMemo, useState } from "react";
+import { NutritionIcon } from "./Svg";
+import { SERVINGS_SCALED_EVENT } from "./ScaledIngredients";
+import { parseServings } from "@/lib/quantity";
+import {
+  DAILY_CALORIE_OPTIONS,
+  DEFAULT_DAILY_CALORIES,
+  getNutritionFacts,
+  normalizeNutrition,
+} from "@/lib/nutrition";
+
+// localStorage key holding the preferred daily-value calorie reference
+const DAILY_CALORIES_KEY = "dailyCalorieReference";
+
+/**
+ * Formats a nutrient amount for display.
+ * @param {number} value - The amount.
+ * @returns {string} The amount with at most one decimal place.
+ */
+const formatAmount = (value) =>
+  value >= 100 ? Math.round(value).toLocaleString() : String(Math.round(value * 10) / 10);
+
+/**
+ * NutritionFacts Component
+ *
+ * Shows a recipe's nutrition per serving with the percentage of the daily value, plus the
+ * totals for the number of servings currently picked in the ingredients section.
+ *
+ * @param {Object} props - The component props.
+ * @param {Object<string, number|string>} props.nutrition - Nutrition values for one serving.
+ * @param {string|number} props.servings - The number of servings the recipe was written for.
+ * @returns {JSX.Element|null} The nutrition facts section, or null if there is no nutrition data.
+ */
+export default function NutritionFacts({ nutrition, servings }) {
+  const [targetServings, setTargetServings] = useState(
+    parseServings(servings) || 1
+  );
+  const [dailyCalories, setDailyCalories] = useState(DEFAULT_DAILY_CALORIES);
+
+  useEffect(() => {
+    // Restore the preferred daily-value reference
+    const stored = parseInt(localStorage.getItem(DAILY_CALORIES_KEY), 10);
+    if (DAILY_CALORIE_OPTIONS.includes(stored)) {
+      setDailyCalories(stored);
+    }
+
+    // Follow the servings picker in the ingredients section
+    const handleServingsScaled = (event) => setTargetServings(event.detail);
+    window.addEventListener(SERVINGS_SCALED_EVENT, handleServingsScaled);
+
+    return () =>
+      window.removeEventListener(SERVINGS_SCALED_EVENT, handleServingsScaled);
+  }, []);
+
+  const facts = useMemo(
+    () =>
+      getNutritionFacts(normalizeNutrition(nutrition), {
+        servings: targetServings,
+        dailyCalories,
+      }),
+    [nutrition, targetServings, dailyCalories]
+  );
+
+  /**
+   * Updates and remembers the daily-value calorie reference.
+   * @param {number} calories - The new reference.
+   */
+  const handleDailyCaloriesChange = (calories) => {
+    setDailyCalories(calories);
+    localStorage.setItem(DAILY_CALORIES_KEY, calories.toString());
+  };
+
+  if (facts.length === 0) return null;
+
+  return (
+    <div className="bg-white p-6 rounded-2xl shadow-sm dark:bg-gray-700">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <div className="flex items-center gap-2">
+          <NutritionIcon />
+          <h2 className="text-2xl font-semibold text-gray-900 dark:text-white">
+            Nutrition Facts
+          </h2>
+        </div>
+        <label className="flex items-center gap-2 text-xs text-gray-500 dark:text-gray-400">
+          % Daily Value based on
+          <select
+            value={dailyCalories}
+            onChange={(e) => handleDailyCaloriesChange(Number(e.target.value))}
+            className="px-2 py-1 rounded-md border border-teal-100 bg-white text-teal-800 dark:border-slate-600 dark:bg-slate-800 dark:text-slate-200"
+          >
+            {DAILY_CALORIE_OPTIONS.map((calories) => (
+              <option key={calories} value={calories}>
+                {calories.toLocaleString()} kcal
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+        Per serving
+        {targetServings !== 1 && ` · totals for ${targetServings} servings`}
+      </p>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        {facts.map((fact) => (
+          <div
+            key={fact.key}
+            className="bg-gray-50 p-4 rounded-xl hover:bg-gray-100 transition-colors  dark:bg-gray-700 dark:hover:bg-gray-600"
+          >
+            <div className="text-lg font-semibold text-teal-700 dark:text-teal-400">
+              {formatAmount(fact.perServing)}
+              <span className="text-sm ml-1 text-teal-600 dark:text-teal-300">
+                {fact.unit}
+              </span>
+            </div>
+            <div className="text-sm text-gray-600 dark:text-gray-400">
+              {fact.label}
+            </div>
+            {fact.dailyValue !== null && (
+              <div className="mt-2 h-1.5 rounded-full bg-gray-200 dark:bg-gray-600">
+                <div
+                  className={`h-1.5 rounded-full ${
+                    fact.dailyValue > 100 ? "bg-amber-500" : "bg-teal-500"
+                  }`}
+                  style={{ width: `${Math.min(fact.dailyValue, 100)}%` }}
+                />
+              </div>
+            )}
+            <div className="mt-1 flex justify-between text-xs text-gray-500 dark:text-gray-400">
+              <span>
+                {fact.dailyValue !== null ? `${fact.dailyValue}% DV` : ""}
+              </span>
+              {targetServings !== 1 && (
+                <span title={`Total for ${targetServings} servings`}>
+                  {formatAmount(fact.total)} {fact.unit}
+                </span>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { NUTRIENTS, getNutritionParamNames } from "@/lib/nutrition";
+
+/**
+ * Nutrition ranges offered in the filter panel
+ */
+const NUTRITION_FILTERS = [
+  { nutrient: "calories", bound: "max", label: "Max Calories" },
+  { nutrient: "protein", bound: "min", label: "Min Protein" },
+  { nutrient: "fat", bound: "max", label: "Max Fat" },
+  { nutrient: "sugar", bound: "max", label: "Max Sugar" },
+  { nutrient: "sodium", bound: "max", label: "Max Sodium" },
+].map((filter) => ({
+  ...filter,
+  param: getNutritionParamNames(filter.nutrient)[filter.bound],
+  unit: NUTRIENTS[filter.nutrient].unit,
+}));
+
+/**
+ * NutritionFilter component for filtering recipes by per-serving nutrition ranges
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {URLSearchParams} props.searchParams - Current URL search parameters
+ * @param {function} props.updateUrl - Function to update URL with new parameters
+ *
+ * @returns {React.ReactElement} Rendered nutrition range inputs
+ */
+const NutritionFilter = ({ searchParams, updateUrl }) => {
+  // State to manage the range inputs, keyed by URL parameter
+  const [values, setValues] = useState({});
+
+  // Effect to sync inputs with URL parameters on initial load and parameter changes
+  useEffect(() => {
+    setValues(
+      Object.fromEntries(
+        NUTRITION_FILTERS.map(({ param }) => [param, searchParams.get(param) || ""])
+      )
+    );
+  }, [searchParams]);
+
+  /**
+   * Handles changes to a range input, allowing only numeric values
+   *
+   * @param {string} param - The URL parameter being edited
+   * @param {string} value - The new input value
+   */
+  const handleChange = (param, value) => {
+    if (!/^\d*\.?\d*$/.test(value)) return;
+
+    setValues((prev) => ({ ...prev, [param]: value }));
+
+    // Pass null if value is empty to remove the parameter
+    updateUrl({ [param]: value || null });
+  };
+
+  return (
+    <div className="w-full max-w-sm">
+      <span className="block mb-2 text-sm font-medium text-teal-700 dark:text-teal-300">
+        Nutrition (per serving)
+      </span>
+      <div className="grid grid-cols-2 gap-2">
+        {NUTRITION_FILTERS.map(({ param, label, unit }) => (
+          <label key={param} className="text-xs text-teal-700 dark:text-teal-300">
+            {label}
+            <div className="relative mt-1">
+              <input
+                type="text"
+                inputMode="decimal"
+                value={values[param] || ""}
+                onChange={(e) => handleChange(param, e.target.value)}
+                placeholder="Any"
+                className="w-full px-3 py-2 pr-10 rounded-xl border border-teal-300 bg-white dark:bg-slate-800 text-teal-900 dark:border-slate-700 placeholder-teal-500 dark:text-teal-300 focus:outline-none focus:ring-2 focus:ring-teal-500 focus:border-transparent dark:focus:ring-teal-500/40"
+              />
+              <span className="absolute right-3 top-1/2 -translate-y-1/2 text-teal-600">
+                {unit}
+              </span>
+            </div>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default NutritionFilter;
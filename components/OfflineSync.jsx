@@ -0,0 +1,124 @@
+"use client";
+
+import { useState, useEffect, useRef, useCallback } from "react";
+import Alert from "./Alert";
+import { syncDownloads, registerPeriodicSync } from "@/lib/offlineSync";
+
+// localStorage key holding when downloads were last checked
+const LAST_SYNC_KEY = "downloadsSyncedAt";
+
+// Page loads within this long of the last check skip it, in milliseconds
+const MIN_SYNC_INTERVAL_MS = 15 * 60 * 1000;
+
+// Names shown for recipe fields that are unclear on their own
+const FIELD_LABELS = {
+  prep: "prep time",
+  cook: "cook time",
+};
+
+/**
+ * Describes refreshed and unavailable recipes for the user.
+ *
+ * @param {{updates: Array<Object>, unavailable: string[]}} result - The outcome, as returned
+ * by syncDownloads.
+ * @returns {string} The message, e.g. "Updated 2 downloaded recipes: Pancakes (servings), ...".
+ */
+const describeSync = ({ updates, unavailable }) => {
+  const parts = [];
+  if (updates.length > 0) parts.push(describeUpdates(updates));
+  if (unavailable.length > 0) {
+    parts.push(`No longer available: ${unavailable.join(", ")}`);
+  }
+  return parts.join(". ");
+};
+
+/**
+ * Describes refreshed recipes for the user.
+ *
+ * @param {Array<Object>} updates - The refreshed recipes, as returned by syncDownloads.
+ * @returns {string} The message, e.g. "Updated 2 downloaded recipes: Pancakes (servings), ...".
+ */
+const describeUpdates = (updates) => {
+  const details = updates.map(({ title, changes, updatedBy }) => {
+    const fields = changes.map((field) => FIELD_LABELS[field] || field);
+    const by = updatedBy.length > 0 ? ` by ${updatedBy.join(", ")}` : "";
+    return fields.length > 0
+      ? `${title} (${fields.join(", ")}${by})`
+      : `${title}${by}`;
+  });
+  const count = `${updates.length} downloaded ${
+    updates.length === 1 ? "recipe" : "recipes"
+  }`;
+  return `Updated ${count}: ${details.join("; ")}`;
+};
+
+/**
+ * OfflineSync Component
+ * Refreshes downloaded recipes that were edited since they were downloaded: when the app
+ * loads, whenever the connection comes back, and when the service worker's periodic sync
+ * asks an open page to. Tells the user which recipes changed and how, and which are no
+ * longer available.
+ *
+ * @component
+ * @returns {React.ReactElement} An alert listing the refreshed recipes, when there are any
+ */
+export default function OfflineSync() {
+  const [alert, setAlert] = useState({ message: "", show: false });
+  const isSyncingRef = useRef(false);
+
+  /**
+   * Checks the downloads against the server, unless offline or already checking
+   */
+  const runSync = useCallback(async () => {
+    if (!navigator.onLine || isSyncingRef.current) return;
+    isSyncingRef.current = true;
+
+    try {
+      const result = await syncDownloads();
+      localStorage.setItem(LAST_SYNC_KEY, Date.now().toString());
+      if (result.updates.length > 0 || result.unavailable.length > 0) {
+        setAlert({ message: describeSync(result), show: true });
+      }
+    } catch (error) {
+      console.error("Error refreshing downloaded recipes:", error);
+    } finally {
+      isSyncingRef.current = false;
+    }
+  }, []);
+
+  useEffect(() => {
+    const lastSync = Number(localStorage.getItem(LAST_SYNC_KEY)) || 0;
+    if (Date.now() - lastSync > MIN_SYNC_INTERVAL_MS) runSync();
+    registerPeriodicSync();
+
+    // Periodic sync hands the work to an open page, which can show the changes
+    const handleMessage = (event) => {
+      if (event.data?.type === "SYNC_DOWNLOADS") runSync();
+    };
+
+    window.addEventListener("online", runSync);
+    navigator.serviceWorker?.addEventListener("message", handleMessage);
+
+    return () => {
+      window.removeEventListener("online", runSync);
+      navigator.serviceWorker?.removeEventListener("message", handleMessage);
+    };
+  }, [runSync]);
+
+  const handleClose = useCallback(
+    () => setAlert((prevAlert) => ({ ...prevAlert, show: false })),
+    []
+  );
+
+  if (!alert.show) return null;
+
+  return (
+    <Alert
+      message={alert.message}
+      type="success"
+      duration={10000}
+      isVisible={alert.show}
+      onClose={handleClose}
+    />
+  );
+}
@@ -1,8 +1,46 @@
 "use client"; // Indicates this is a client-side component for Next.js App Router.
 
-import { useEffect, useState } from "react";
+import { useEffect, useState, useCallback } from "react";
+import { CloudOff, X } from "lucide-react";
+import { useSession } from "next-auth/react";
 import Alert from "./Alert";
+import {
+  getOutboxEntries,
+  replayOutbox,
+  scheduleReplay,
+  dismissConflict,
+  setOutboxUser,
+  OUTBOX_STATUS,
+  OUTBOX_CHANGED_EVENT,
+  OUTBOX_REPLAYED_EVENT,
+} from "@/lib/outbox";
 
+/**
+ * Describes the outcome of sending queued changes.
+ * @param {{sent: number, gone: number, conflicts: number}} summary - The replay summary.
+ * @returns {string} The message, e.g. "Synced 3 offline changes".
+ */
+const describeReplay = ({ sent, gone, conflicts }) => {
+  const synced = sent + gone;
+  const parts = [];
+  if (synced > 0) {
+    parts.push(`Synced ${synced} offline change${synced === 1 ? "" : "s"}`);
+  }
+  if (conflicts > 0) {
+    parts.push(`${conflicts} could not be saved`);
+  }
+  return parts.join("; ");
+};
+
+/**
+ * OnlineStatus Component
+ * Announces when the connection drops or comes back, and shows the changes made offline that
+ * are waiting to be sent. Queued changes are sent when the connection returns, through
+ * Background Sync where available, and any the server refused are listed until dismissed.
+ *
+ * @component
+ * @returns {React.ReactElement} The connection alert, outbox status and conflicts
+ */
 export default function OnlineStatus() {
   // State to track the user's online status (true if online, false if offline).
   const [isOnline, setIsOnline] = useState(navigator.onLine);
@@ -14,6 +52,90 @@ export default function OnlineStatus() {
     show: false, // Visibility of the alert.
   });
 
+  // Changes made offline, waiting to be sent or refused by the server
+  const [outbox, setOutbox] = useState([]);
+
+  const { data: session } = useSession();
+  const userId = session?.user?.id;
+
+  // Record the signed-in user on changes queued from now on
+  useEffect(() => {
+    if (userId) setOutboxUser(userId);
+  }, [userId]);
+
+  /**
+   * Reloads the outbox entries.
+   */
+  const loadOutbox = useCallback(async () => {
+    try {
+      setOutbox(await getOutboxEntries());
+    } catch (error) {
+      console.error("Error reading the outbox:", error);
+    }
+  }, []);
+
+  /**
+   * Sends queued changes, leaving it to Background Sync where the browser supports it.
+   */
+  const sendQueuedChanges = useCallback(async () => {
+    const entries = await getOutboxEntries().catch(() => []);
+    const hasPending = entries.some(
+      (entry) => entry.status === OUTBOX_STATUS.PENDING
+    );
+    if (!navigator.onLine || !hasPending) return;
+
+    if (!(await scheduleReplay())) {
+      await replayOutbox();
+    }
+  }, []);
+
+  useEffect(() => {
+    loadOutbox();
+    sendQueuedChanges();
+
+    // Tell the user how sending went, from this page or the service worker
+    const handleReplayed = (event) => {
+      const message = describeReplay(event.detail);
+      if (!message) return;
+      setAlert({
+        message,
+        type: event.detail.conflicts > 0 ? "error" : "success",
+        show: true,
+      });
+    };
+
+    // The service worker reports changes it sent through Background Sync
+    const handleWorkerMessage = (event) => {
+      if (event.data?.type !== "OUTBOX_REPLAYED") return;
+      loadOutbox();
+      window.dispatchEvent(
+        new CustomEvent(OUTBOX_REPLAYED_EVENT, { detail: event.data.summary })
+      );
+    };
+
+    window.addEventListener("online", sendQueuedChanges);
+    window.addEventListener(OUTBOX_CHANGED_EVENT, loadOutbox);
+    window.addEventListener(OUTBOX_REPLAYED_EVENT, handleReplayed);
+    navigator.serviceWorker?.addEventListener("message", handleWorkerMessage);
+
+    return () => {
+      window.removeEventListener("online", sendQueuedChanges);
+      window.removeEventListener(OUTBOX_CHANGED_EVENT, loadOutbox);
+      window.removeEventListener(OUTBOX_REPLAYED_EVENT, handleReplayed);
+      navigator.serviceWorker?.removeEventListener(
+        "message",
+        handleWorkerMessage
+      );
+    };
+  }, [loadOutbox, sendQueuedChanges]);
+
+  const pendingCount = outbox.filter(
+    (entry) => entry.status === OUTBOX_STATUS.PENDING
+  ).length;
+  const conflicts = outbox.filter(
+    (entry) => entry.status === OUTBOX_STATUS.CONFLICT
+  );
+
   useEffect(() => {
     /**
      * Updates the online status and displays an alert based on the user's connection.
@@ -53,6 +175,47 @@ export default function OnlineStatus() {
 
   return (
     <div>
+      {/* Changes made offline that are waiting to be sent, and any the server refused */}
+      {(pendingCount > 0 || conflicts.length > 0) && (
+        <div className="fixed bottom-4 left-4 z-40 max-w-sm space-y-2">
+          {pendingCount > 0 && (
+            <div className="flex items-center gap-2 rounded-full bg-gray-800 px-4 py-2 text-sm text-white shadow-lg dark:bg-gray-700">
+              <CloudOff className="h-4 w-4" />
+              {pendingCount} {pendingCount === 1 ? "change" : "changes"} waiting
+              to sync
+            </div>
+          )}
+          {conflicts.length > 0 && (
+            <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-800 shadow-lg">
+              <p className="mb-1 font-semibold">
+                Some offline changes could not be saved
+              </p>
+              <ul className="space-y-1">
+                {conflicts.map((entry) => (
+                  <li key={entry.id} className="flex items-start gap-2">
+                    <span className="flex-1">
+                      {entry.label}
+                      {entry.message && (
+                        <span className="block text-xs text-red-600">
+                          {entry.message}
+                        </span>
+                      )}
+                    </span>
+                    <button
+                      onClick={() => dismissConflict(entry.id)}
+                      aria-label="Dismiss"
+                      className="text-red-500 hover:text-red-700"
+                    >
+                      <X className="h-4 w-4" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Conditionally render the Alert component if the alert is visible. */}
       {alert.show && (
         <Alert
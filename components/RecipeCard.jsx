@@ -2,13 +2,23 @@
 
 import Link from "next/link";
 import Gallery from "./Gallery";
-import { useState, useEffect } from "react";
+import { useState, useEffect, useMemo } from "react";
 import DownloadButton from "./DownloadButton";
 import Alert from "./Alert";
 import ConfirmationModal from "./ConfirmationModal";
 import { DownloadIcon } from "lucide-react";
 import { useSession } from "next-auth/react";
 import { useRouter } from "next/navigation";
+import { parseSearchQuery, escapeRegExp } from "@/lib/search";
+import { detectAllergens } from "@/lib/allergens";
+import AllergenWarning from "./AllergenWarning";
+import AddToCollectionPicker from "./AddToCollectionPicker";
+import { sendOrQueue } from "@/lib/outbox";
+import {
+  getDownload,
+  getDownloadKey,
+  DOWNLOADS_CHANGED_EVENT,
+} from "@/lib/offlineStore";
 
 /**
  * Highlights search query text within a given text string
@@ -17,10 +27,14 @@ import { useRouter } from "next/navigation";
  * @returns {Array<string|JSX.Element>} Array of text parts with highlighted matches
  */
 function highlightText(text, query) {
-  if (!query) return text;
-  const regex = new RegExp(`(${query})`, "gi");
+  // Only highlight the terms and phrases being searched for, not exclusions
+  const { terms, phrases } = parseSearchQuery(query);
+  const matches = [...phrases, ...terms].map((term) => term.toLowerCase());
+  if (matches.length === 0) return text;
+
+  const regex = new RegExp(`(${matches.map(escapeRegExp).join("|")})`, "gi");
   return text.split(regex).map((part, index) =>
-    part.toLowerCase() === query.toLowerCase() ? (
+    matches.includes(part.toLowerCase()) ? (
       <span key={index} className="bg-teal-100 text-teal-800 font-semibold">
         {part}
       </span>
@@ -58,26 +72,26 @@ export default function RecipeCard({
   // Ensure images is an array, defaulting to empty array if undefined
   const images = Array.isArray(recipe?.images) ? recipe.images : [];
 
+  // Allergens derived from the ingredient names, used to warn the user
+  const allergens = useMemo(
+    () => Object.keys(detectAllergens(recipe?.ingredients)),
+    [recipe?.ingredients]
+  );
+
   // Check download status on component mount and when recipe changes
   useEffect(() => {
     const checkDownloadStatus = () => {
-      const downloadedRecipes = JSON.parse(
-        localStorage.getItem("downloadedRecipes") || "[]"
-      ).map((r) => (typeof r === "string" ? JSON.parse(r) : r));
-
-      const downloaded = downloadedRecipes.some(
-        (savedRecipe) => savedRecipe.id === recipe._id
-      );
-
-      setIsDownloaded(downloaded);
+      getDownload(getDownloadKey(recipe))
+        .then((downloaded) => setIsDownloaded(Boolean(downloaded)))
+        .catch((error) => console.error("Error reading downloads:", error));
     };
 
     checkDownloadStatus();
 
-    window.addEventListener("recipesDownloaded", checkDownloadStatus);
+    window.addEventListener(DOWNLOADS_CHANGED_EVENT, checkDownloadStatus);
 
     return () => {
-      window.removeEventListener("recipesDownloaded", checkDownloadStatus);
+      window.removeEventListener(DOWNLOADS_CHANGED_EVENT, checkDownloadStatus);
     };
   }, [recipe]);
 
@@ -104,14 +118,22 @@ export default function RecipeCard({
     }
 
     try {
-      const response = await fetch("/api/favorites", {
-        method: forceRemove || isFavorited ? "DELETE" : "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ recipeId: recipe._id }),
-      });
-
-      if (response.ok) {
-        const newFavoritedState = forceRemove ? false : !isFavorited;
+      const removing = forceRemove || isFavorited;
+      // Sent later if offline, so the change shows straight away either way
+      const { queued, response } = await sendOrQueue(
+        "/api/favorites",
+        {
+          method: removing ? "DELETE" : "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ recipeId: recipe._id }),
+        },
+        removing
+          ? `Remove "${recipe.title}" from favorites`
+          : `Add "${recipe.title}" to favorites`
+      );
+
+      if (queued || response.ok) {
+        const newFavoritedState = !removing;
         setIsFavorited(newFavoritedState);
 
         // Dispatch event for global state update
@@ -120,9 +142,11 @@ export default function RecipeCard({
         // Show alert based on action
         handleFavoriteToggle(
           true,
-          newFavoritedState
-            ? "Recipe added to favorites!"
-            : "Recipe removed from favorites!"
+          `${
+            newFavoritedState
+              ? "Recipe added to favorites!"
+              : "Recipe removed from favorites!"
+          }${queued ? " It will sync when you're back online." : ""}`
         );
 
         return true;
@@ -190,7 +214,7 @@ export default function RecipeCard({
         <div className="relative overflow-hidden max-h-56">
           <Gallery images={images} />
 
-          {/* Favorites and Download Buttons */}
+          {/* Download, Collection and Favorites Buttons */}
           <div className="absolute top-2 right-1 left-1 z-10 flex justify-between">
             <DownloadButton
               recipe={recipe}
@@ -200,31 +224,48 @@ export default function RecipeCard({
                 setShowAlert(true);
               }}
             />
-            <button
-              onClick={handleFavoriteClick}
-              className="flex items-center space-x-2 p-2 rounded-full bg-white bg-opacity-75 hover:bg-opacity-100 transition-all duration-300"
-              aria-label={
-                isFavorited ? "Remove from favorites" : "Add to favorites"
-              }
-            >
-              <svg
-                className={`w-6 h-6 ${
-                  isFavorited ? "text-red-500" : "text-gray-400"
-                }`}
-                fill={isFavorited ? "currentColor" : "none"}
-                viewBox="0 0 24 24"
-                stroke="currentColor"
+            <div className="flex items-center space-x-2">
+              <AddToCollectionPicker
+                recipeId={recipe._id}
+                onAlert={(alertInfo) => {
+                  setAlertMessage(alertInfo.message);
+                  setAlertType(alertInfo.type);
+                  setShowAlert(true);
+                }}
+              />
+              <button
+                onClick={handleFavoriteClick}
+                className="flex items-center space-x-2 p-2 rounded-full bg-white bg-opacity-75 hover:bg-opacity-100 transition-all duration-300"
+                aria-label={
+                  isFavorited ? "Remove from favorites" : "Add to favorites"
+                }
               >
-                <path
-                  strokeLinecap="round"
-                  strokeLinejoin="round"
-                  strokeWidth={2}
-                  d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z"
-                />
-              </svg>
-            </button>
+                <svg
+                  className={`w-6 h-6 ${
+                    isFavorited ? "text-red-500" : "text-gray-400"
+                  }`}
+                  fill={isFavorited ? "currentColor" : "none"}
+                  viewBox="0 0 24 24"
+                  stroke="currentColor"
+                >
+                  <path
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    strokeWidth={2}
+                    d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z"
+                  />
+                </svg>
+              </button>
+            </div>
           </div>
 
+          {/* Allergy Warning */}
+          <AllergenWarning
+            allergens={allergens}
+            compact
+            className="absolute top-14 left-2 z-10"
+          />
+
           {/* Hoverable Description Overlay */}
           <div
             className={`absolute bottom-0 left-0 right-0 p-2 bg-gradient-to-t from-black to-black-opacity-75 text-white text-sm transition-all duration-500 transform ${
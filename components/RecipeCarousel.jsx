@@ -3,6 +3,7 @@
 // Importing necessary React hooks, routing, icons, and animation libraries
 import React, { useEffect, useState, useRef } from "react";
 import { useRouter } from "next/navigation";
+import { useSession } from "next-auth/react";
 import { ChevronLeftIcon, ChevronRightIcon, StarIcon } from "lucide-react";
 import Image from "next/image";
 import { motion, AnimatePresence } from "framer-motion";
@@ -11,7 +12,8 @@ import { motion, AnimatePresence } from "framer-motion";
  * Responsive Recipe Carousel Component
  *
  * Displays a dynamic, animated carousel of recommended recipes
- * with responsive design and loading states.
+ * with responsive design and loading states. Signed-in users see
+ * recipes picked from their favorites, reviews and cooking history.
  *
  * @component
  * @returns {React.ReactElement} Rendered recipe carousel
@@ -26,7 +28,9 @@ const ResponsiveRecipeCarousel = () => {
   const [skeletonCount, setSkeletonCount] = useState(5); // Number of skeleton cards to show
   const [scrollProgress, setScrollProgress] = useState(0); // Scroll progress for custom scrollbar
   const scrollbarRef = useRef(null); // Ref for scrollbar container
+  const [personalized, setPersonalized] = useState(false); // Whether recipes match the user's taste
   const router = useRouter(); // Next.js router for navigation
+  const { status } = useSession(); // Refetch once the session is known
 
   /**
    * Fetch recommended recipes from the API
@@ -44,6 +48,8 @@ const ResponsiveRecipeCarousel = () => {
         const data = await response.json();
         // Update recipes state with fetched data
         setRecipes(data.recipes);
+        setPersonalized(Boolean(data.personalized));
+        setCurrentIndex(0);
       } catch (error) {
         // Log any errors during recipe fetching
         console.error("Failed to fetch recipes:", error);
@@ -52,8 +58,9 @@ const ResponsiveRecipeCarousel = () => {
         setLoading(false);
       }
     };
-    fetchRecipes();
-  }, []); // Empty dependency array means this runs once on component mount
+    // Wait for the session so signed-in users get their own recommendations
+    if (status !== "loading") fetchRecipes();
+  }, [status]); // Re-run when the user signs in or out
 
   /**
    * Navigate to specific recipe details page
@@ -269,7 +276,7 @@ const ResponsiveRecipeCarousel = () => {
         transition={{ duration: 0.5 }}
         className="text-4xl font-bold mb-10 dark:text-white text-center tracking-tight text-gray-700 bg-clip-text text-transparent bg-gradient-to-r from-green-400 to-blue-500"
       >
-        Discover Culinary Inspirations
+        {personalized ? "Picked for You" : "Discover Culinary Inspirations"}
       </motion.h2>
 
       <div className="relative">
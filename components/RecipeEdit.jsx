@@ -4,10 +4,17 @@ import React, { useState, useEffect } from "react";
 import { useSession, signIn } from "next-auth/react";
 import { useRouter } from "next/navigation";
 import Alert from "./Alert";
+import RecipeForm from "./RecipeForm";
+
+/**
+ * Window event dispatched with the updated recipe whenever it is edited or a version is restored
+ */
+export const RECIPE_UPDATED_EVENT = "recipeUpdated";
 
 /**
  * RecipeEdit Component
- * Allows users to view and edit recipe descriptions with authentication and version tracking
+ * Allows users to view the recipe description and edit the recipe's details, ingredients,
+ * instructions, tags and images with authentication and version tracking
  *
  * @component
  * @param {Object} props - Component properties
@@ -19,10 +26,7 @@ const RecipeEdit = ({ recipe }) => {
   const router = useRouter();
 
   // Get current user session and authentication status
-  const { data: session, status } = useSession();
-
-  // State for managing description input
-  const [description, setDescription] = useState(recipe?.description || "");
+  const { data: session } = useSession();
 
   // State for storing the local copy of the recipe
   const [localRecipe, setLocalRecipe] = useState(recipe);
@@ -45,11 +49,24 @@ const RecipeEdit = ({ recipe }) => {
    * Ensures component reflects the latest recipe data
    */
   useEffect(() => {
-    // Reset description and local recipe state
-    setDescription(recipe?.description || "");
+    // Reset local recipe state
     setLocalRecipe(recipe);
   }, [recipe]);
 
+  /**
+   * Pick up changes made elsewhere on the page, such as a restored version
+   */
+  useEffect(() => {
+    const handleRecipeUpdated = (event) => {
+      if (!event.detail || event.detail._id !== recipe?._id) return;
+      setLocalRecipe(event.detail);
+    };
+
+    window.addEventListener(RECIPE_UPDATED_EVENT, handleRecipeUpdated);
+    return () =>
+      window.removeEventListener(RECIPE_UPDATED_EVENT, handleRecipeUpdated);
+  }, [recipe?._id]);
+
   /**
    * Display an alert message to the user
    *
@@ -66,14 +83,11 @@ const RecipeEdit = ({ recipe }) => {
   };
 
   /**
-   * Handle form submission for updating recipe description
+   * Save the edited recipe fields
    *
-   * @param {React.FormEvent} event - Form submission event
+   * @param {Object} changes - The recipe fields from the form
    */
-  const handleSubmit = async (event) => {
-    // Prevent default form submission behavior
-    event.preventDefault();
-
+  const handleSubmit = async (changes) => {
     // Redirect to sign in if no user session exists
     if (!session?.user) {
       signIn();
@@ -86,32 +100,10 @@ const RecipeEdit = ({ recipe }) => {
       return;
     }
 
-    // Validate description length
-    if (description.trim().length < 10) {
-      showAlert("Description must be at least 10 characters long.", "error");
-      return;
-    }
-
     // Set loading state to true
     setLoading(true);
 
     try {
-      // Create an optimistic update to immediately reflect changes
-      const optimisticUpdate = {
-        ...localRecipe,
-        description: description.trim(),
-        userVersions: {
-          ...localRecipe.userVersions,
-          // Create a new version entry with current timestamp
-          [Date.now()]: {
-            userName: session.user.name || session.user.email,
-            lastModified: new Date().toISOString(),
-          },
-        },
-      };
-      // Update local state optimistically
-      setLocalRecipe(optimisticUpdate);
-
       // Send PATCH request to update recipe
       const response = await fetch(`/api/recipes/${recipe._id}`, {
         method: "PATCH",
@@ -119,7 +111,7 @@ const RecipeEdit = ({ recipe }) => {
           "Content-Type": "application/json",
         },
         body: JSON.stringify({
-          description: description.trim(),
+          ...changes,
           userId: session.user.id,
           userName: session.user.name || session.user.email,
         }),
@@ -135,12 +127,16 @@ const RecipeEdit = ({ recipe }) => {
       const { recipe: updatedRecipe } = await response.json();
 
       // Show success message and update state
-      showAlert("Description updated successfully!");
+      showAlert("Recipe updated successfully!");
       setIsEditing(false);
       setLocalRecipe(updatedRecipe);
+
+      // Notify the version history of the new version and re-render the page
+      window.dispatchEvent(
+        new CustomEvent(RECIPE_UPDATED_EVENT, { detail: updatedRecipe })
+      );
+      router.refresh();
     } catch (error) {
-      // Revert to original recipe state on error
-      setLocalRecipe(recipe);
       // Show error message
       showAlert(error.message || "An error occurred while updating.", "error");
     } finally {
@@ -149,16 +145,6 @@ const RecipeEdit = ({ recipe }) => {
     }
   };
 
-  /**
-   * Reset the description to its original state and exit editing mode
-   */
-  const handleReset = () => {
-    // Revert description to original
-    setDescription(localRecipe?.description || "");
-    // Exit editing mode
-    setIsEditing(false);
-  };
-
   // Don't render anything if no recipe is available
   if (!localRecipe) {
     return null;
@@ -195,8 +181,8 @@ const RecipeEdit = ({ recipe }) => {
       (a, b) => new Date(b.lastModified) - new Date(a.lastModified)
     )[0];
 
-    // Return null if no latest version found
-    if (!latestVersion) return null;
+    // Return null if no latest version found, or if only the original is recorded
+    if (!latestVersion || latestVersion.original) return null;
 
     // Render edit history information
     return (
@@ -230,7 +216,7 @@ const RecipeEdit = ({ recipe }) => {
                 onClick={() => setIsEditing(true)}
                 className="text-teal-600 hover:text-teal-700 dark:text-teal-400 dark:hover:text-teal-300"
               >
-                Edit Description
+                Edit Recipe
               </button>
             )}
           </div>
@@ -245,41 +231,17 @@ const RecipeEdit = ({ recipe }) => {
         // Edit mode rendering
         <div>
           <h2 className="text-2xl font-semibold text-gray-900 dark:text-white mb-4">
-            Edit Description
+            Edit Recipe
           </h2>
 
-          {/* Description edit form */}
-          <form onSubmit={handleSubmit}>
-            <textarea
-              name="description"
-              className="w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-teal-500 text-black dark:bg-gray-800 dark:text-white dark:border-gray-600"
-              value={description}
-              onChange={(e) => setDescription(e.target.value)}
-              rows={5}
-              placeholder="Edit the description here..."
-              minLength={10}
-              required
-            />
-
-            {/* Form action buttons */}
-            <div className="mt-4 flex gap-4">
-              <button
-                type="submit"
-                className="bg-teal-600 text-white rounded-lg px-4 py-2 hover:bg-teal-500 transition-colors disabled:opacity-50"
-                // Disable button when loading, description is too short, or no session
-                disabled={loading || description.trim().length < 10 || !session}
-              >
-                {loading ? "Saving..." : "Save Changes"}
-              </button>
-              <button
-                type="button"
-                onClick={handleReset}
-                className="bg-gray-300 text-gray-700 rounded-lg px-4 py-2 hover:bg-gray-400 transition-colors dark:bg-gray-600 dark:text-gray-200"
-              >
-                Cancel
-              </button>
-            </div>
-          </form>
+          {/* Recipe edit form */}
+          <RecipeForm
+            recipe={localRecipe}
+            onSubmit={handleSubmit}
+            onError={(message) => showAlert(message, "error")}
+            onCancel={() => setIsEditing(false)}
+            loading={loading}
+          />
         </div>
       )}
 
@@ -294,7 +256,7 @@ const RecipeEdit = ({ recipe }) => {
             >
               sign in
             </button>{" "}
-            to edit the recipe description.
+            to edit the recipe.
           </p>
         </div>
       )}
@@ -0,0 +1,568 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import Image from "next/image";
+import { ChevronDown, ChevronUp, ImagePlus, Plus, X } from "lucide-react";
+
+// Shared input styling for the form
+const INPUT_CLASS =
+  "w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-teal-500 text-black dark:bg-gray-800 dark:text-white dark:border-gray-600";
+
+// Shared styling for the small reorder/remove buttons
+const ICON_BUTTON_CLASS =
+  "p-1 rounded text-gray-500 hover:text-teal-600 disabled:opacity-30 dark:text-gray-400 dark:hover:text-teal-400";
+
+/**
+ * Builds the form state from a recipe
+ *
+ * @param {Object} [recipe] - The recipe, or nothing for a new recipe
+ * @returns {Object} The form state, with ingredients as name/amount rows
+ */
+const toForm = (recipe) => ({
+  title: recipe?.title || "",
+  description: recipe?.description || "",
+  category: recipe?.category || "",
+  prep: String(recipe?.prep ?? ""),
+  cook: String(recipe?.cook ?? ""),
+  servings: String(recipe?.servings ?? ""),
+  // New recipes start with one empty ingredient row and one empty step
+  ingredients: Object.entries(recipe?.ingredients || { "": "" }).map(
+    ([name, amount]) => ({ name, amount: String(amount ?? "") })
+  ),
+  instructions: recipe?.instructions ? [...recipe.instructions] : [""],
+  tags: [...(recipe?.tags || [])],
+  images: [...(recipe?.images || [])],
+});
+
+/**
+ * Builds the recipe fields sent to the API from the form state
+ *
+ * @param {Object} form - The form state
+ * @returns {Object} The recipe fields
+ */
+const fromForm = (form) => ({
+  title: form.title,
+  description: form.description,
+  category: form.category,
+  prep: Number(form.prep),
+  cook: Number(form.cook),
+  servings: Number(form.servings),
+  ingredients: Object.fromEntries(
+    form.ingredients.map(({ name, amount }) => [name, amount])
+  ),
+  instructions: form.instructions,
+  tags: form.tags,
+  images: form.images,
+});
+
+/**
+ * Moves a list item one position up or down
+ *
+ * @param {Array} list - The list
+ * @param {number} index - The index of the item to move
+ * @param {number} direction - -1 to move up, 1 to move down
+ * @returns {Array} A new list with the item moved
+ */
+const moveItem = (list, index, direction) => {
+  const target = index + direction;
+  if (target < 0 || target >= list.length) return list;
+
+  const next = [...list];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+};
+
+/**
+ * Checks the form for problems before it is sent
+ *
+ * @param {Object} form - The form state
+ * @returns {string|null} The first problem found, or null if the form is valid
+ */
+const validateForm = (form) => {
+  if (form.title.trim().length < 3) {
+    return "Title must be at least 3 characters long.";
+  }
+  if (form.description.trim().length < 10) {
+    return "Description must be at least 10 characters long.";
+  }
+  if (!form.category) return "Please choose a category.";
+  if (!Number.isInteger(Number(form.servings)) || Number(form.servings) < 1) {
+    return "Servings must be a whole number of at least 1.";
+  }
+  if (
+    [form.prep, form.cook].some(
+      (value) => value === "" || !Number.isInteger(Number(value)) || Number(value) < 0
+    )
+  ) {
+    return "Prep and cook times must be whole numbers of minutes.";
+  }
+  if (!form.ingredients.some(({ name }) => name.trim())) {
+    return "Add at least one ingredient.";
+  }
+  const names = form.ingredients
+    .map(({ name }) => name.trim().toLowerCase())
+    .filter(Boolean);
+  if (new Set(names).size !== names.length) {
+    return "Each ingredient can only be listed once.";
+  }
+  if (!form.instructions.some((step) => step.trim())) {
+    return "Add at least one instruction.";
+  }
+  if (form.images.length === 0) return "Add at least one image.";
+  return null;
+};
+
+/**
+ * RecipeForm Component
+ * Form for a recipe's details, ingredients, instructions, tags and images, used to create and
+ * edit recipes. Images are uploaded as soon as they are picked.
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {Object} [props.recipe] - The recipe to edit; omit to start from an empty form
+ * @param {function(Object): Promise<void>} props.onSubmit - Called with the recipe fields when
+ * the form is valid
+ * @param {function(string): void} props.onError - Called with a message when a field is invalid
+ * or an upload fails
+ * @param {function} [props.onCancel] - Called when the Cancel button is pressed; hides the
+ * button when omitted
+ * @param {boolean} [props.loading=false] - Whether the recipe is being saved
+ * @param {string} [props.submitLabel="Save Changes"] - Label of the submit button
+ * @param {React.ReactNode} [props.children] - Extra fields shown above the buttons
+ * @returns {React.ReactElement} Rendered recipe form
+ */
+const RecipeForm = ({
+  recipe,
+  onSubmit,
+  onError,
+  onCancel,
+  loading = false,
+  submitLabel = "Save Changes",
+  children,
+}) => {
+  // State for managing the form fields
+  const [form, setForm] = useState(() => toForm(recipe));
+
+  // State for the tag input
+  const [tagInput, setTagInput] = useState("");
+
+  // State for the category options
+  const [categories, setCategories] = useState([]);
+
+  // State to track an image upload in progress
+  const [uploading, setUploading] = useState(false);
+
+  /**
+   * Reset the form when a different recipe is passed in
+   */
+  useEffect(() => {
+    setForm(toForm(recipe));
+  }, [recipe]);
+
+  /**
+   * Load the category options
+   */
+  useEffect(() => {
+    fetch("/api/categories")
+      .then((response) => (response.ok ? response.json() : []))
+      .then((data) => setCategories(Array.isArray(data) ? data : []))
+      .catch((error) => console.error("Error fetching categories:", error));
+  }, []);
+
+  /**
+   * Update a single form field
+   *
+   * @param {string} field - The field to update
+   * @param {*} value - The new value, or a function receiving the current value
+   */
+  const updateField = (field, value) => {
+    setForm((prev) => ({
+      ...prev,
+      [field]: typeof value === "function" ? value(prev[field]) : value,
+    }));
+  };
+
+  /**
+   * Update one ingredient row
+   *
+   * @param {number} index - The row index
+   * @param {string} key - "name" or "amount"
+   * @param {string} value - The new value
+   */
+  const updateIngredient = (index, key, value) => {
+    updateField("ingredients", (ingredients) =>
+      ingredients.map((ingredient, i) =>
+        i === index ? { ...ingredient, [key]: value } : ingredient
+      )
+    );
+  };
+
+  /**
+   * Add the tag in the tag input, ignoring duplicates
+   */
+  const addTag = () => {
+    const tag = tagInput.trim();
+    if (tag && !form.tags.includes(tag)) {
+      updateField("tags", (tags) => [...tags, tag]);
+    }
+    setTagInput("");
+  };
+
+  /**
+   * Upload the picked image and add it to the recipe images
+   *
+   * @param {React.ChangeEvent<HTMLInputElement>} event - File input change event
+   */
+  const handleImageUpload = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+
+    setUploading(true);
+    try {
+      const formData = new FormData();
+      formData.append("image", file);
+
+      const response = await fetch("/api/recipes/images", {
+        method: "POST",
+        body: formData,
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to upload image");
+
+      updateField("images", (images) => [...images, data.url]);
+    } catch (error) {
+      onError(error.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  /**
+   * Handle form submission
+   *
+   * @param {React.FormEvent} event - Form submission event
+   */
+  const handleSubmit = (event) => {
+    event.preventDefault();
+
+    const problem = validateForm(form);
+    if (problem) {
+      onError(problem);
+      return;
+    }
+
+    onSubmit(fromForm(form));
+  };
+
+  /**
+   * Render the reorder and remove buttons for a list item
+   *
+   * @param {string} field - The list field
+   * @param {number} index - The item index
+   * @returns {React.ReactElement} The item controls
+   */
+  const renderItemControls = (field, index) => (
+    <div className="flex items-center shrink-0">
+      <button
+        type="button"
+        onClick={() => updateField(field, (list) => moveItem(list, index, -1))}
+        disabled={index === 0}
+        className={ICON_BUTTON_CLASS}
+        aria-label="Move up"
+      >
+        <ChevronUp className="w-4 h-4" />
+      </button>
+      <button
+        type="button"
+        onClick={() => updateField(field, (list) => moveItem(list, index, 1))}
+        disabled={index === form[field].length - 1}
+        className={ICON_BUTTON_CLASS}
+        aria-label="Move down"
+      >
+        <ChevronDown className="w-4 h-4" />
+      </button>
+      <button
+        type="button"
+        onClick={() =>
+          updateField(field, (list) => list.filter((_, i) => i !== index))
+        }
+        className="p-1 rounded text-gray-500 hover:text-red-600 dark:text-gray-400 dark:hover:text-red-400"
+        aria-label="Remove"
+      >
+        <X className="w-4 h-4" />
+      </button>
+    </div>
+  );
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      {/* Title */}
+      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+        Title
+        <input
+          type="text"
+          className={`${INPUT_CLASS} mt-1`}
+          value={form.title}
+          onChange={(e) => updateField("title", e.target.value)}
+          minLength={3}
+          required
+        />
+      </label>
+
+      {/* Description */}
+      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+        Description
+        <textarea
+          name="description"
+          className={`${INPUT_CLASS} mt-1`}
+          value={form.description}
+          onChange={(e) => updateField("description", e.target.value)}
+          rows={5}
+          placeholder="Describe the recipe..."
+          minLength={10}
+          required
+        />
+      </label>
+
+      {/* Category, times and servings */}
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+          Category
+          <select
+            className={`${INPUT_CLASS} mt-1`}
+            value={form.category}
+            onChange={(e) => updateField("category", e.target.value)}
+            required
+          >
+            {/* Keep the current category selectable while options load */}
+            {!categories.includes(form.category) && (
+              <option value={form.category}>
+                {form.category || "Select a category"}
+              </option>
+            )}
+            {categories.map((category) => (
+              <option key={category} value={category}>
+                {category}
+              </option>
+            ))}
+          </select>
+        </label>
+        {[
+          { field: "prep", label: "Prep (mins)", min: 0 },
+          { field: "cook", label: "Cook (mins)", min: 0 },
+          { field: "servings", label: "Servings", min: 1 },
+        ].map(({ field, label, min }) => (
+          <label
+            key={field}
+            className="block text-sm font-medium text-gray-700 dark:text-gray-300"
+          >
+            {label}
+            <input
+              type="number"
+              className={`${INPUT_CLASS} mt-1`}
+              value={form[field]}
+              onChange={(e) => updateField(field, e.target.value)}
+              min={min}
+              step={1}
+              required
+            />
+          </label>
+        ))}
+      </div>
+
+      {/* Ingredients */}
+      <fieldset>
+        <legend className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+          Ingredients
+        </legend>
+        <div className="space-y-2">
+          {form.ingredients.map((ingredient, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <input
+                type="text"
+                className={INPUT_CLASS}
+                value={ingredient.name}
+                onChange={(e) => updateIngredient(index, "name", e.target.value)}
+                placeholder="Ingredient"
+                aria-label={`Ingredient ${index + 1} name`}
+              />
+              <input
+                type="text"
+                className={`${INPUT_CLASS} max-w-[10rem]`}
+                value={ingredient.amount}
+                onChange={(e) =>
+                  updateIngredient(index, "amount", e.target.value)
+                }
+                placeholder="Amount"
+                aria-label={`Ingredient ${index + 1} amount`}
+              />
+              {renderItemControls("ingredients", index)}
+            </div>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={() =>
+            updateField("ingredients", (ingredients) => [
+              ...ingredients,
+              { name: "", amount: "" },
+            ])
+          }
+          className="mt-2 flex items-center text-sm text-teal-600 hover:text-teal-700 dark:text-teal-400 dark:hover:text-teal-300"
+        >
+          <Plus className="w-4 h-4 mr-1" />
+          Add Ingredient
+        </button>
+      </fieldset>
+
+      {/* Instructions */}
+      <fieldset>
+        <legend className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+          Instructions
+        </legend>
+        <ol className="space-y-2">
+          {form.instructions.map((step, index) => (
+            <li key={index} className="flex items-start gap-2">
+              <span className="mt-2 w-6 shrink-0 text-sm font-semibold text-teal-600 dark:text-teal-400">
+                {index + 1}.
+              </span>
+              <textarea
+                className={INPUT_CLASS}
+                value={step}
+                onChange={(e) =>
+                  updateField("instructions", (instructions) =>
+                    instructions.map((s, i) => (i === index ? e.target.value : s))
+                  )
+                }
+                rows={2}
+                aria-label={`Step ${index + 1}`}
+              />
+              {renderItemControls("instructions", index)}
+            </li>
+          ))}
+        </ol>
+        <button
+          type="button"
+          onClick={() =>
+            updateField("instructions", (instructions) => [...instructions, ""])
+          }
+          className="mt-2 flex items-center text-sm text-teal-600 hover:text-teal-700 dark:text-teal-400 dark:hover:text-teal-300"
+        >
+          <Plus className="w-4 h-4 mr-1" />
+          Add Step
+        </button>
+      </fieldset>
+
+      {/* Tags */}
+      <fieldset>
+        <legend className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+          Tags
+        </legend>
+        <div className="flex flex-wrap gap-2 mb-2">
+          {form.tags.map((tag) => (
+            <span
+              key={tag}
+              className="flex items-center px-3 py-1 rounded-full text-sm bg-teal-100 text-teal-700 dark:bg-teal-900 dark:text-teal-300"
+            >
+              {tag}
+              <button
+                type="button"
+                onClick={() =>
+                  updateField("tags", (tags) => tags.filter((t) => t !== tag))
+                }
+                className="ml-1 hover:text-red-600"
+                aria-label={`Remove tag ${tag}`}
+              >
+                <X className="w-3 h-3" />
+              </button>
+            </span>
+          ))}
+        </div>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            className={INPUT_CLASS}
+            value={tagInput}
+            onChange={(e) => setTagInput(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") {
+                e.preventDefault();
+                addTag();
+              }
+            }}
+            placeholder="Add a tag..."
+          />
+          <button
+            type="button"
+            onClick={addTag}
+            className="bg-teal-600 text-white rounded-lg px-3 hover:bg-teal-500 transition-colors"
+            aria-label="Add tag"
+          >
+            <Plus className="w-4 h-4" />
+          </button>
+        </div>
+      </fieldset>
+
+      {/* Images */}
+      <fieldset>
+        <legend className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+          Images
+        </legend>
+        <div className="space-y-2">
+          {form.images.map((image, index) => (
+            <div key={image} className="flex items-center gap-2">
+              <Image
+                src={image}
+                alt={`Recipe image ${index + 1}`}
+                width={48}
+                height={48}
+                className="w-12 h-12 rounded object-cover"
+              />
+              <span className="flex-1 truncate text-sm text-gray-600 dark:text-gray-300">
+                {index === 0 ? "Cover image" : `Image ${index + 1}`}
+              </span>
+              {renderItemControls("images", index)}
+            </div>
+          ))}
+        </div>
+        <label className="mt-2 inline-flex items-center text-sm text-teal-600 hover:text-teal-700 cursor-pointer dark:text-teal-400 dark:hover:text-teal-300">
+          <ImagePlus className="w-4 h-4 mr-1" />
+          {uploading ? "Uploading..." : "Upload Image"}
+          <input
+            type="file"
+            accept="image/*"
+            className="hidden"
+            onChange={handleImageUpload}
+            disabled={uploading}
+          />
+        </label>
+      </fieldset>
+
+      {children}
+
+      {/* Form action buttons */}
+      <div className="flex gap-4">
+        <button
+          type="submit"
+          className="bg-teal-600 text-white rounded-lg px-4 py-2 hover:bg-teal-500 transition-colors disabled:opacity-50"
+          // Disable button while saving or uploading
+          disabled={loading || uploading}
+        >
+          {loading ? "Saving..." : submitLabel}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="bg-gray-300 text-gray-700 rounded-lg px-4 py-2 hover:bg-gray-400 transition-colors dark:bg-gray-600 dark:text-gray-200"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default RecipeForm;
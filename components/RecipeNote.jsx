@@ -0,0 +1,131 @@
+"use client";
+
+import { useState } from "react";
+import { StickyNote, Lock } from "lucide-react";
+import { useRecipeNotes } from "@/app/hooks/useRecipeNotes";
+import { MAX_RECIPE_NOTE_LENGTH, findNote } from "@/lib/recipeNotes";
+
+/**
+ * RecipeNote Component
+ * Shows the signed-in user's private note on a recipe, step or ingredient, with a button to
+ * add or edit it. Renders nothing for signed-out users.
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {string} props.recipeId - The ID of the recipe
+ * @param {string} props.target - What the note is attached to, one of NOTE_TARGETS
+ * @param {number|string|null} [props.noteKey=null] - The step index or ingredient name
+ * @param {string} [props.placeholder] - Placeholder for the note field
+ * @param {string} [props.className] - Additional classes for the wrapper
+ * @returns {React.ReactElement|null} Rendered note
+ */
+export default function RecipeNote({
+  recipeId,
+  target,
+  noteKey = null,
+  placeholder = "e.g. used half the sugar",
+  className = "",
+}) {
+  const { notes, canEdit, saveNote } = useRecipeNotes(recipeId);
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (!canEdit) return null;
+
+  const note = findNote(notes, target, noteKey);
+
+  /**
+   * Opens the note field with the current text
+   */
+  const startEditing = () => {
+    setDraft(note?.text || "");
+    setError(null);
+    setIsEditing(true);
+  };
+
+  /**
+   * Saves the note, removing it when the field is empty
+   *
+   * @async
+   * @param {Event} event - The form submit event
+   */
+  const handleSave = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    const saved = await saveNote(target, noteKey, draft);
+    setIsSaving(false);
+
+    if (saved) {
+      setIsEditing(false);
+    } else {
+      setError("Failed to save note");
+    }
+  };
+
+  if (isEditing) {
+    return (
+      <form onSubmit={handleSave} className={`space-y-2 ${className}`}>
+        <textarea
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          maxLength={MAX_RECIPE_NOTE_LENGTH}
+          rows={2}
+          placeholder={placeholder}
+          autoFocus
+          className="w-full px-3 py-2 text-sm border rounded-lg dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+        />
+        {error && (
+          <p className="text-xs text-red-600 dark:text-red-400">{error}</p>
+        )}
+        <div className="flex items-center justify-between">
+          <span className="flex items-center text-xs text-gray-400">
+            <Lock className="w-3 h-3 mr-1" />
+            Only you can see this note
+          </span>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => setIsEditing(false)}
+              className="px-3 py-1 text-sm rounded-lg bg-gray-100 text-gray-700 hover:bg-gray-200 dark:bg-gray-600 dark:text-gray-200"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="px-3 py-1 text-sm rounded-lg bg-teal-600 text-white hover:bg-teal-500 disabled:opacity-50"
+            >
+              {isSaving ? "Saving..." : "Save"}
+            </button>
+          </div>
+        </div>
+      </form>
+    );
+  }
+
+  if (note) {
+    return (
+      <button
+        onClick={startEditing}
+        title="Edit your private note"
+        className={`flex items-start w-full text-left text-sm text-gray-700 bg-yellow-50 rounded-lg px-3 py-2 hover:bg-yellow-100 transition-colors whitespace-pre-line dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-gray-500 ${className}`}
+      >
+        <StickyNote className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0 text-yellow-600" />
+        {note.text}
+      </button>
+    );
+  }
+
+  return (
+    <button
+      onClick={startEditing}
+      title="Add a private note"
+      className={`flex items-center text-xs text-gray-400 opacity-60 hover:opacity-100 hover:text-teal-600 transition-opacity dark:hover:text-teal-400 ${className}`}
+    >
+      <StickyNote className="w-3.5 h-3.5 mr-1" />
+      Add note
+    </button>
+  );
+}
@@ -0,0 +1,233 @@
+"use client";
+
+import { useState } from "react";
+import { useSession } from "next-auth/react";
+import { useRouter } from "next/navigation";
+import { Eye, EyeOff, Trash2 } from "lucide-react";
+import Alert from "./Alert";
+import ConfirmationModal from "./ConfirmationModal";
+import {
+  MODERATION_STATUS,
+  RECIPE_VISIBILITY,
+  isRecipeOwner,
+} from "@/lib/userRecipes";
+
+/**
+ * Describes where a submitted recipe stands
+ *
+ * @param {string} visibility - The recipe visibility
+ * @param {string|null} moderationStatus - The recipe's moderation status
+ * @returns {{label: string, className: string}} The status label and badge styling
+ */
+export const getRecipeStatus = (visibility, moderationStatus) => {
+  if (visibility === RECIPE_VISIBILITY.PRIVATE) {
+    return {
+      label: "Private",
+      className: "bg-gray-100 text-gray-700 dark:bg-gray-600 dark:text-gray-200",
+    };
+  }
+  if (moderationStatus === MODERATION_STATUS.PENDING) {
+    return {
+      label: "Awaiting review",
+      className:
+        "bg-yellow-100 text-yellow-800 dark:bg-yellow-900/40 dark:text-yellow-200",
+    };
+  }
+  if (moderationStatus === MODERATION_STATUS.REJECTED) {
+    return {
+      label: "Not approved",
+      className: "bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-200",
+    };
+  }
+  return {
+    label: "Published",
+    className: "bg-teal-100 text-teal-700 dark:bg-teal-900 dark:text-teal-300",
+  };
+};
+
+/**
+ * RecipeOwnerControls Component
+ * Shows the owner of a submitted recipe its visibility and moderation status, and lets them
+ * make it public or private and delete it. Renders nothing for other users.
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {Object} props.recipe - The recipe
+ * @param {boolean} [props.compact=false] - Whether to render without the card styling, for lists
+ * @param {function} [props.onDeleted] - Called after the recipe is deleted; defaults to
+ * navigating to My Recipes
+ * @returns {React.ReactElement|null} Rendered owner controls
+ */
+export default function RecipeOwnerControls({
+  recipe,
+  compact = false,
+  onDeleted,
+}) {
+  const { data: session } = useSession();
+  const router = useRouter();
+
+  const [visibility, setVisibility] = useState(recipe.visibility);
+  const [moderationStatus, setModerationStatus] = useState(
+    recipe.moderationStatus
+  );
+  const [updating, setUpdating] = useState(false);
+  const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
+  const [alert, setAlert] = useState({
+    isVisible: false,
+    message: "",
+    type: "success",
+  });
+
+  if (!isRecipeOwner(recipe, session)) return null;
+
+  /**
+   * Display an alert message to the user
+   *
+   * @param {string} message - The message to display
+   * @param {string} [type="success"] - The type of alert (success/error)
+   */
+  const showAlert = (message, type = "success") => {
+    setAlert({ isVisible: true, message, type });
+  };
+
+  /**
+   * Switches the recipe between public and private
+   *
+   * @async
+   */
+  const toggleVisibility = async () => {
+    const nextVisibility =
+      visibility === RECIPE_VISIBILITY.PRIVATE
+        ? RECIPE_VISIBILITY.PUBLIC
+        : RECIPE_VISIBILITY.PRIVATE;
+
+    try {
+      setUpdating(true);
+      const response = await fetch(`/api/recipes/${recipe._id}/visibility`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ visibility: nextVisibility }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to update visibility");
+
+      setVisibility(data.visibility);
+      setModerationStatus(data.moderationStatus);
+      showAlert(
+        data.moderationStatus === MODERATION_STATUS.PENDING &&
+          data.visibility === RECIPE_VISIBILITY.PUBLIC
+          ? "Recipe submitted for review"
+          : "Visibility updated"
+      );
+    } catch (error) {
+      console.error("Error updating visibility:", error);
+      showAlert(error.message, "error");
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  /**
+   * Deletes the recipe
+   *
+   * @async
+   */
+  const handleDelete = async () => {
+    setIsDeleteModalOpen(false);
+
+    try {
+      setUpdating(true);
+      const response = await fetch(`/api/recipes/${recipe._id}`, {
+        method: "DELETE",
+      });
+
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to delete recipe");
+
+      if (onDeleted) {
+        onDeleted(recipe._id);
+      } else {
+        router.push("/my-recipes");
+      }
+    } catch (error) {
+      console.error("Error deleting recipe:", error);
+      showAlert(error.message, "error");
+      setUpdating(false);
+    }
+  };
+
+  const status = getRecipeStatus(visibility, moderationStatus);
+
+  // Reason given by the admin who rejected the recipe, if any
+  const rejectionNote =
+    moderationStatus === MODERATION_STATUS.REJECTED
+      ? recipe.moderationNote
+      : null;
+
+  return (
+    <div
+      className={
+        compact
+          ? "flex flex-wrap items-center gap-3"
+          : "flex flex-wrap items-center gap-3 bg-white p-4 rounded-2xl shadow-sm dark:bg-gray-700"
+      }
+    >
+      <Alert
+        message={alert.message}
+        type={alert.type}
+        isVisible={alert.isVisible}
+        onClose={() => setAlert((prev) => ({ ...prev, isVisible: false }))}
+      />
+
+      <span
+        className={`px-3 py-1 rounded-full text-sm font-medium ${status.className}`}
+      >
+        {status.label}
+      </span>
+      {rejectionNote && (
+        <span className="text-sm text-gray-600 dark:text-gray-300">
+          {rejectionNote}
+        </span>
+      )}
+
+      <div className="flex items-center gap-3 ml-auto">
+        <button
+          onClick={toggleVisibility}
+          disabled={updating}
+          className="flex items-center text-sm text-teal-600 hover:text-teal-700 disabled:opacity-50 dark:text-teal-400 dark:hover:text-teal-300"
+        >
+          {visibility === RECIPE_VISIBILITY.PRIVATE ? (
+            <>
+              <Eye className="w-4 h-4 mr-1" />
+              Make Public
+            </>
+          ) : (
+            <>
+              <EyeOff className="w-4 h-4 mr-1" />
+              Make Private
+            </>
+          )}
+        </button>
+        <button
+          onClick={() => setIsDeleteModalOpen(true)}
+          disabled={updating}
+          className="flex items-center text-sm text-red-600 hover:text-red-700 disabled:opacity-50 dark:text-red-400 dark:hover:text-red-300"
+        >
+          <Trash2 className="w-4 h-4 mr-1" />
+          Delete
+        </button>
+      </div>
+
+      <ConfirmationModal
+        isOpen={isDeleteModalOpen}
+        onClose={() => setIsDeleteModalOpen(false)}
+        onConfirm={handleDelete}
+        title="Delete this recipe?"
+        message={`"${recipe.title}" will be permanently deleted.`}
+        confirmText="Delete"
+        confirmClassName="bg-red-500 hover:bg-red-600 text-white"
+      />
+    </div>
+  );
+}
@@ -6,6 +6,7 @@ import { useState, useEffect } from "react"; // Import React hooks.
 import { Star } from "lucide-react"; // Import the Star icon from Lucide for ratings.
 import { useSession } from "next-auth/react"; // Import `useSession` to handle user authentication.
 import { signIn } from "next-auth/react"; // Import `signIn` to prompt user login.
+import { sendOrQueue, OUTBOX_REPLAYED_EVENT } from "@/lib/outbox"; // Queue changes made offline.
 
 /**
  * ReviewSection Component
@@ -54,6 +55,12 @@ function ReviewSection({ recipeId }) {
     if (reviewsVisible) {
       fetchReviews();
     }
+
+    // Show the server's reviews once changes made offline have been sent
+    const handleReplayed = () => reviewsVisible && fetchReviews();
+    window.addEventListener(OUTBOX_REPLAYED_EVENT, handleReplayed);
+    return () =>
+      window.removeEventListener(OUTBOX_REPLAYED_EVENT, handleReplayed);
   }, [recipeId, reviewsVisible, session]);
 
   /**
@@ -109,28 +116,58 @@ function ReviewSection({ recipeId }) {
         ...(editingReviewId && { reviewId: editingReviewId }), // Include review ID for updates.
       };
 
-      const response = await fetch(endpoint, {
-        method,
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(body),
-      });
+      const { queued, response } = await sendOrQueue(
+        endpoint,
+        {
+          method,
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(body),
+        },
+        editingReviewId ? "Update your review" : "Post your review"
+      );
 
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || "Failed to submit review");
-      }
+      if (queued) {
+        // Show the review until it is sent, without edit controls as it has no ID yet.
+        const now = new Date().toISOString();
+        if (editingReviewId) {
+          setReviews((prevReviews) =>
+            prevReviews.map((review) =>
+              review._id === editingReviewId
+                ? { ...review, ...body, updatedAt: now }
+                : review
+            )
+          );
+        } else {
+          const pendingReview = {
+            _id: `pending-${Date.now()}`,
+            userId: session.user.id,
+            username: session.user.name,
+            rating: body.rating,
+            comment: body.comment,
+            createdAt: now,
+          };
+          setReviews((prevReviews) => [pendingReview, ...prevReviews]);
+        }
+      } else {
+        if (!response.ok) {
+          const errorData = await response.json();
+          throw new Error(errorData.error || "Failed to submit review");
+        }
 
-      // Refresh reviews after submission.
-      const refreshResponse = await fetch(`/api/recipes/${recipeId}/reviews`);
-      const refreshData = await refreshResponse.json();
-      setReviews(refreshData.reviews || []);
+        // Refresh reviews after submission.
+        const refreshResponse = await fetch(`/api/recipes/${recipeId}/reviews`);
+        const refreshData = await refreshResponse.json();
+        setReviews(refreshData.reviews || []);
+      }
 
       // Reset form.
       setNewReview({ rating: 0, comment: "" });
       setEditingReviewId(null);
       swal(
-        "Review submitted",
-        "Your review has been successfully submitted.",
+        queued ? "Review saved offline" : "Review submitted",
+        queued
+          ? "Your review will be posted when you're back online."
+          : "Your review has been successfully submitted.",
         "success"
       );
     } catch (error) {
@@ -173,25 +210,36 @@ function ReviewSection({ recipeId }) {
 
     if (result.isConfirmed) {
       try {
-        const response = await fetch(
+        const { queued, response } = await sendOrQueue(
           `/api/recipes/${recipeId}/reviews?reviewId=${reviewId}`,
           {
             method: "DELETE",
-          }
+          },
+          "Delete your review"
         );
 
-        if (!response.ok) {
-          const errorData = await response.json();
-          throw new Error(errorData.error || "Failed to delete review");
-        }
+        if (queued) {
+          setReviews((prevReviews) =>
+            prevReviews.filter((review) => review._id !== reviewId)
+          );
+        } else {
+          if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.error || "Failed to delete review");
+          }
 
-        // Refresh reviews after deletion.
-        const refreshResponse = await fetch(`/api/recipes/${recipeId}/reviews`);
-        const refreshData = await refreshResponse.json();
-        setReviews(refreshData.reviews || []);
+          // Refresh reviews after deletion.
+          const refreshResponse = await fetch(
+            `/api/recipes/${recipeId}/reviews`
+          );
+          const refreshData = await refreshResponse.json();
+          setReviews(refreshData.reviews || []);
+        }
         swal(
           "Review deleted",
-          "Your review has been successfully deleted.",
+          queued
+            ? "Your review will be removed when you're back online."
+            : "Your review has been successfully deleted.",
           "success"
         );
       } catch (error) {
@@ -497,15 +545,17 @@ function ReviewSection({ recipeId }) {
                     <strong className="text-gray-800 dark:text-gray-100">
                       {review.username}
                     </strong>
-                    {review.isOwner && (
+                    {(review.isOwner || currentUser?.canModerate) && (
                       <div className="flex space-x-4">
-                        <button
-                          onClick={() => loadReviewForEditing(review)}
-                          className="text-teal-600 hover:underline text-sm dark:text-teal-400"
-                          disabled={editingReviewId !== null}
-                        >
-                          Edit
-                        </button>
+                        {review.isOwner && (
+                          <button
+                            onClick={() => loadReviewForEditing(review)}
+                            className="text-teal-600 hover:underline text-sm dark:text-teal-400"
+                            disabled={editingReviewId !== null}
+                          >
+                            Edit
+                          </button>
+                        )}
                         <button
                           onClick={() => handleDeleteReview(review._id)}
                           className="text-red-500 hover:underline text-sm dark:text-red-400"
@@ -0,0 +1,166 @@
+"use client";
+
+import { useEffect, useMemo, useState } from "react";
+import { Minus, Plus, RotateCcw } from "lucide-react";
+import AddRecipeToListButton from "./AddRecipeToListButton";
+import UnitSystemToggle from "./UnitSystemToggle";
+import RecipeNote from "./RecipeNote";
+import { parseServings, scaleIngredients } from "@/lib/quantity";
+import { formatMeasurement } from "@/lib/units";
+import { useUnitPreference } from "@/app/hooks/useUnitPreference";
+import { NOTE_TARGETS } from "@/lib/recipeNotes";
+
+// Upper bound for the servings picker
+const MAX_SERVINGS = 100;
+
+// Window event announcing the servings picked, so other panels can follow along
+export const SERVINGS_SCALED_EVENT = "servingsScaled";
+
+/**
+ * ScaledIngredients Component
+ *
+ * Renders a recipe's ingredient list with a servings picker. Changing the servings re-scales
+ * every ingredient amount and the payload sent to the shopping list. Amounts are displayed
+ * in the user's preferred measurement system.
+ *
+ * @param {Object} props - The component props.
+ * @param {Object} props.ingredients - The ingredients object where the key is the ingredient name and the value is the amount.
+ * @param {string|number} props.servings - The number of servings the recipe was written for.
+ * @param {string} props.recipeName - The recipe title, used to name the shopping list.
+ * @param {string} [props.recipeId] - The recipe ID; when given, the user's private note on each
+ * ingredient is shown next to it.
+ * @returns {JSX.Element} The rendered ingredients section.
+ */
+export default function ScaledIngredients({
+  ingredients,
+  servings,
+  recipeName,
+  recipeId,
+}) {
+  const originalServings = parseServings(servings);
+  const [targetServings, setTargetServings] = useState(originalServings || 1);
+  const { unitSystem } = useUnitPreference();
+
+  // Only recompute scaled amounts when the target changes
+  const scaledIngredients = useMemo(
+    () =>
+      originalServings
+        ? scaleIngredients(ingredients, originalServings, targetServings)
+        : ingredients,
+    [ingredients, originalServings, targetServings]
+  );
+
+  // Let other sections of the page (e.g. nutrition facts) follow the servings picker
+  useEffect(() => {
+    window.dispatchEvent(
+      new CustomEvent(SERVINGS_SCALED_EVENT, { detail: targetServings })
+    );
+  }, [targetServings]);
+
+  /**
+   * Updates the target servings, keeping it within the allowed range.
+   * @param {number} value - The requested number of servings.
+   */
+  const updateServings = (value) => {
+    if (isNaN(value)) return;
+    setTargetServings(Math.min(MAX_SERVINGS, Math.max(1, Math.round(value))));
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-2xl shadow-sm dark:bg-gray-700">
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-semibold text-gray-900 dark:text-white">
+          Ingredients
+        </h2>
+        <AddRecipeToListButton
+          ingredients={scaledIngredients}
+          shoppingListId="your-shopping-list-id"
+          recipeName={recipeName}
+        />
+      </div>
+
+      <UnitSystemToggle className="mb-4" />
+
+      {/* Servings Picker */}
+      {originalServings && (
+        <div className="flex flex-wrap items-center gap-3 mb-6">
+          <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
+            Servings
+          </span>
+          <div className="flex items-center rounded-lg border border-teal-300 dark:border-slate-600">
+            <button
+              onClick={() => updateServings(targetServings - 1)}
+              disabled={targetServings <= 1}
+              aria-label="Decrease servings"
+              className="p-2 text-teal-600 hover:text-teal-700 disabled:opacity-50 disabled:cursor-not-allowed dark:text-teal-400 dark:hover:text-teal-300"
+            >
+              <Minus className="w-4 h-4" />
+            </button>
+            <input
+              type="number"
+              min="1"
+              max={MAX_SERVINGS}
+              value={targetServings}
+              onChange={(e) => updateServings(parseInt(e.target.value, 10))}
+              aria-label="Number of servings"
+              className="w-14 py-1 text-center bg-transparent text-gray-900 dark:text-white focus:outline-none"
+            />
+            <button
+              onClick={() => updateServings(targetServings + 1)}
+              disabled={targetServings >= MAX_SERVINGS}
+              aria-label="Increase servings"
+              className="p-2 text-teal-600 hover:text-teal-700 disabled:opacity-50 disabled:cursor-not-allowed dark:text-teal-400 dark:hover:text-teal-300"
+            >
+              <Plus className="w-4 h-4" />
+            </button>
+          </div>
+          {targetServings !== originalServings && (
+            <button
+              onClick={() => setTargetServings(originalServings)}
+              className="flex items-center gap-1 text-sm text-teal-600 hover:text-teal-700 dark:text-teal-400 dark:hover:text-teal-300"
+            >
+              <RotateCcw className="w-3.5 h-3.5" />
+              Reset to {originalServings}
+            </button>
+          )}
+        </div>
+      )}
+
+      <ul className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {Object.entries(scaledIngredients).map(
+          ([ingredient, amount], index) => {
+            const { amount: displayAmount, unit } = formatMeasurement(
+              amount,
+              ingredient,
+              unitSystem
+            );
+            return (
+              <li
+                key={index}
+                className="text-gray-700 bg-gray-50 p-3 rounded-lg hover:bg-gray-100 transition-colors dark:bg-gray-800 dark:hover:bg-gray-700 dark:text-gray-300"
+              >
+                <div className="flex items-center">
+                  <span className="w-2 h-2 bg-teal-500 rounded-full mr-3 dark:bg-teal-400"></span>
+                  <span className="font-medium">
+                    {displayAmount} {unit ? `${unit}` : ""}
+                  </span>
+                  <span className="mx-2">·</span>
+                  <span>{ingredient}</span>
+                </div>
+                {recipeId && (
+                  <div className="mt-2 ml-5">
+                    <RecipeNote
+                      recipeId={recipeId}
+                      target={NOTE_TARGETS.INGREDIENT}
+                      noteKey={ingredient}
+                    />
+                  </div>
+                )}
+              </li>
+            );
+          }
+        )}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,208 @@
+"use client";
+
+import { useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { X, Loader2, UserPlus, Trash2 } from "lucide-react";
+import { LIST_ROLES } from "@/lib/shoppingList";
+
+/**
+ * ShareListModal Component
+ * Lets the owner of a shopping list invite other users by email, as viewers who can only read
+ * the list or editors who can also change it, and change or remove their access.
+ *
+ * @component
+ * @param {Object} props - The component props
+ * @param {boolean} props.isOpen - Controls the visibility of the modal
+ * @param {Function} props.onClose - Callback function to close the modal
+ * @param {Object} props.list - The shopping list being shared
+ * @param {Function} props.onMembersChange - Called with the list's new members after a change
+ * @returns {React.ReactElement|null} The rendered modal or null
+ */
+export default function ShareListModal({
+  isOpen,
+  onClose,
+  list,
+  onMembersChange,
+}) {
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState(LIST_ROLES.EDITOR);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  /**
+   * Sends a membership change and passes the new members on
+   *
+   * @param {string} method - POST to invite, PATCH to change a role, DELETE to remove
+   * @param {Object} body - The member's email, and role where needed
+   * @returns {Promise<boolean>} True if the change was saved
+   */
+  const changeMembers = async (method, body) => {
+    setIsSaving(true);
+    setError("");
+
+    try {
+      const response = await fetch(`/api/shopping-list/${list._id}/members`, {
+        method,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+
+      onMembersChange(data.members);
+      return true;
+    } catch (error) {
+      setError(
+        navigator.onLine
+          ? error.message || "Failed to update sharing"
+          : "Connect to the internet to change who can see this list"
+      );
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Invites the user with the entered email
+   *
+   * @param {Event} event - The form submit event
+   */
+  const handleInvite = async (event) => {
+    event.preventDefault();
+    if (!email.trim()) return;
+
+    if (await changeMembers("POST", { email: email.trim(), role })) {
+      setEmail("");
+    }
+  };
+
+  if (!isOpen || !list) return null;
+
+  const members = list.members || [];
+
+  return (
+    <AnimatePresence>
+      <div
+        className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50 z-50 px-4"
+        onClick={onClose}
+      >
+        <motion.div
+          initial={{ opacity: 0, scale: 0.9 }}
+          animate={{ opacity: 1, scale: 1 }}
+          exit={{ opacity: 0, scale: 0.9 }}
+          transition={{ type: "spring", stiffness: 300, damping: 20 }}
+          onClick={(event) => event.stopPropagation()}
+          className="bg-white dark:bg-slate-800 p-6 rounded-2xl shadow-2xl max-w-md w-full relative"
+        >
+          <button
+            onClick={onClose}
+            className="absolute top-4 right-4 text-gray-500 dark:text-gray-200 hover:text-gray-700 transition-colors"
+            aria-label="Close"
+          >
+            <X size={24} />
+          </button>
+
+          <h2 className="text-2xl font-semibold text-gray-800 dark:text-gray-200 mb-1">
+            Share List
+          </h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+            Invite people to &quot;{list.name}&quot; by email; they will see it
+            once they sign in with that address. Editors can add and check off
+            items; viewers can only see them.
+          </p>
+
+          {/* Invite Form */}
+          <form onSubmit={handleInvite} className="flex space-x-2 mb-4">
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="Email address"
+              className="flex-grow min-w-0 px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 focus:ring-2 focus:ring-teal-500"
+            />
+            <select
+              value={role}
+              onChange={(e) => setRole(e.target.value)}
+              className="px-2 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700"
+            >
+              <option value={LIST_ROLES.EDITOR}>Editor</option>
+              <option value={LIST_ROLES.VIEWER}>Viewer</option>
+            </select>
+            <button
+              type="submit"
+              disabled={isSaving || !email.trim()}
+              className="px-3 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 disabled:opacity-50 transition-colors"
+              aria-label="Invite"
+            >
+              {isSaving ? (
+                <Loader2 className="w-5 h-5 animate-spin" />
+              ) : (
+                <UserPlus className="w-5 h-5" />
+              )}
+            </button>
+          </form>
+
+          {error && (
+            <p className="text-sm text-red-500 dark:text-red-400 mb-4">
+              {error}
+            </p>
+          )}
+
+          {/* Members */}
+          {members.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              This list isn&apos;t shared with anyone yet.
+            </p>
+          ) : (
+            <ul className="space-y-2 max-h-64 overflow-y-auto">
+              {members.map((member) => (
+                <li
+                  key={member.email}
+                  className="flex items-center justify-between p-2 rounded-lg bg-gray-100 dark:bg-gray-700"
+                >
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-800 dark:text-gray-200 truncate">
+                      {member.name}
+                    </p>
+                    {member.name !== member.email && (
+                      <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                        {member.email}
+                      </p>
+                    )}
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <select
+                      value={member.role}
+                      disabled={isSaving}
+                      onChange={(e) =>
+                        changeMembers("PATCH", {
+                          email: member.email,
+                          role: e.target.value,
+                        })
+                      }
+                      className="text-sm px-2 py-1 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800"
+                    >
+                      <option value={LIST_ROLES.EDITOR}>Editor</option>
+                      <option value={LIST_ROLES.VIEWER}>Viewer</option>
+                    </select>
+                    <button
+                      onClick={() =>
+                        changeMembers("DELETE", { email: member.email })
+                      }
+                      disabled={isSaving}
+                      className="text-red-500 hover:text-red-600 dark:text-red-400 disabled:opacity-50 transition-colors"
+                      aria-label={`Stop sharing with ${member.name}`}
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </motion.div>
+      </div>
+    </AnimatePresence>
+  );
+}
@@ -10,8 +10,11 @@ import {
   Plus,
   X,
 } from "lucide-react";
-import { getIngredientUnit } from "./IngredientUnit";
+import { formatMeasurement } from "@/lib/units";
+import { useUnitPreference } from "@/app/hooks/useUnitPreference";
 import Alert from "./Alert";
+import { sendOrQueue } from "@/lib/outbox";
+import { hasListRole, LIST_ROLES } from "@/lib/shoppingList";
 
 /**
  * ShoppingList Component
@@ -33,6 +36,7 @@ export default function ShoppingList({ ingredients }) {
   const [listName, setListName] = useState(""); // Name of the new shopping list
   const [isVisible, setIsVisible] = useState(true); // Controls visibility of the shopping list section
   const [showModal, setShowModal] = useState(false); // Add this state
+  const { unitSystem } = useUnitPreference(); // Preferred measurement system for display
 
   // New state for Alert
   const [alert, setAlert] = useState({
@@ -70,7 +74,10 @@ export default function ShoppingList({ ingredients }) {
       const response = await fetch("/api/shopping-list");
       if (!response.ok) throw new Error("Failed to fetch shopping lists");
       const data = await response.json();
-      setLists(data);
+      // Items can only be added to lists the user may edit
+      setLists(
+        data.filter((list) => hasListRole(list.role, LIST_ROLES.EDITOR))
+      );
     } catch (error) {
       console.error("Error fetching shopping lists:", error);
       showAlert("Failed to fetch shopping lists", "error");
@@ -127,20 +134,30 @@ export default function ShoppingList({ ingredients }) {
 
     try {
       setLoading(true);
-      const response = await fetch("/api/shopping-list", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
+      const { queued, response } = await sendOrQueue(
+        "/api/shopping-list",
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ name: listName.trim(), items: selectedItems }),
         },
-        body: JSON.stringify({ name: listName.trim(), items: selectedItems }),
-      });
+        `Create "${listName.trim()}"`
+      );
 
-      if (!response.ok) {
+      if (!queued && !response.ok) {
         throw new Error("Failed to create shopping list");
       }
 
       setListName("");
       setSelectedItems([]);
+      if (queued) {
+        showAlert(
+          "Saved offline. The list will be created when you're back online."
+        );
+        return;
+      }
       showAlert("Shopping list created successfully!");
       fetchLists();
     } catch (error) {
@@ -160,19 +177,31 @@ export default function ShoppingList({ ingredients }) {
 
     try {
       setAddingToList(id);
-      const response = await fetch(`/api/shopping-list/${id}/items`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
+      const list = lists.find((l) => l._id === id);
+      const { queued, response } = await sendOrQueue(
+        `/api/shopping-list/${id}/items`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ items: selectedItems }),
         },
-        body: JSON.stringify({ items: selectedItems }),
-      });
+        `Add ${selectedItems.length} items to "${list?.name || "shopping list"}"`
+      );
 
-      if (!response.ok) {
+      if (!queued && !response.ok) {
         throw new Error("Failed to add items to the list");
       }
 
       setSelectedItems([]);
+      if (queued) {
+        showAlert(
+          "Saved offline. Items will be added when you're back online."
+        );
+        setSelectedId(null);
+        return;
+      }
       showAlert("Items added to list successfully!");
       setSelectedItems([]);
       fetchLists();
@@ -216,7 +245,11 @@ export default function ShoppingList({ ingredients }) {
           {/* Ingredient Selection */}
           <div className="space-y-4">
             {Object.entries(ingredients).map(([ingredient, amount]) => {
-              const unit = getIngredientUnit(ingredient);
+              const { amount: displayAmount, unit } = formatMeasurement(
+                amount,
+                ingredient,
+                unitSystem
+              );
               return (
                 <div
                   key={ingredient}
@@ -224,7 +257,7 @@ export default function ShoppingList({ ingredients }) {
                 >
                   <span>
                     <span className="text-gray-700 dark:text-gray-300 font-medium">
-                      {amount} {unit ? `${unit}` : ""}
+                      {displayAmount} {unit ? `${unit}` : ""}
                     </span>
                     <span> {ingredient}</span>
                   </span>
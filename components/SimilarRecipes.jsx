@@ -0,0 +1,93 @@
+"use client";
+
+import { useState, useEffect, useRef } from "react";
+import { ChevronLeftIcon, ChevronRightIcon } from "lucide-react";
+import RecipeCard from "./RecipeCard";
+
+/**
+ * SimilarRecipes Component
+ * A "More like this" carousel of recipes sharing ingredients, tags or a category with the one
+ * being viewed. Renders nothing until similar recipes are found.
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {string} props.recipeId - The ID of the recipe being viewed
+ * @returns {React.ReactElement|null} Rendered carousel
+ */
+export default function SimilarRecipes({ recipeId }) {
+  const [recipes, setRecipes] = useState([]);
+  const scrollerRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchSimilar = async () => {
+      try {
+        const response = await fetch(`/api/recipes/${recipeId}/similar`);
+        if (!response.ok) throw new Error("Failed to fetch similar recipes");
+        const data = await response.json();
+        if (!cancelled) setRecipes(data.recipes);
+      } catch (error) {
+        console.error("Error fetching similar recipes:", error);
+      }
+    };
+    fetchSimilar();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [recipeId]);
+
+  /**
+   * Scrolls the carousel by most of its visible width
+   * @param {number} direction - 1 for forward, -1 for back
+   */
+  const scrollBy = (direction) => {
+    const scroller = scrollerRef.current;
+    scroller?.scrollBy({
+      left: direction * scroller.clientWidth * 0.8,
+      behavior: "smooth",
+    });
+  };
+
+  if (recipes.length === 0) return null;
+
+  return (
+    <section className="mt-12">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-semibold text-gray-900 dark:text-white">
+          More like this
+        </h2>
+        <div className="flex space-x-2">
+          <button
+            onClick={() => scrollBy(-1)}
+            aria-label="Previous recipes"
+            className="bg-teal-700 dark:bg-slate-700 p-2 rounded-full hover:bg-teal-800 dark:hover:bg-slate-800 transition-all"
+          >
+            <ChevronLeftIcon className="h-5 w-5 text-gray-100 dark:text-gray-200" />
+          </button>
+          <button
+            onClick={() => scrollBy(1)}
+            aria-label="More recipes"
+            className="bg-teal-700 dark:bg-slate-700 p-2 rounded-full hover:bg-teal-800 dark:hover:bg-slate-800 transition-all"
+          >
+            <ChevronRightIcon className="h-5 w-5 text-gray-100 dark:text-gray-200" />
+          </button>
+        </div>
+      </div>
+      <div
+        ref={scrollerRef}
+        className="flex gap-4 sm:gap-6 overflow-x-auto snap-x snap-mandatory pb-4"
+      >
+        {recipes.map((recipe) => (
+          <div
+            key={recipe._id}
+            className="snap-start flex-shrink-0 w-[85%] sm:w-[45%] md:w-[30%] lg:w-[23%]"
+          >
+            <RecipeCard recipe={recipe} />
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
@@ -13,6 +13,10 @@ const sortOptions = {
     label: "Default Sort",
     icon: ArrowUpDown,
   },
+  "relevance-desc": {
+    label: "Best Match",
+    description: "Most relevant to your search first",
+  },
   "prep-asc": {
     label: "Prep Time: Low to High",
     description: "Sort recipes by shortest preparation time first",
@@ -29,6 +33,14 @@ const sortOptions = {
     label: "Cook Time: High to Low",
     description: "Slow cooking recipes first",
   },
+  "totalTime-asc": {
+    label: "Total Time: Quickest First",
+    description: "Prep plus cook time, fastest recipes first",
+  },
+  "totalTime-desc": {
+    label: "Total Time: Longest First",
+    description: "Prep plus cook time, longest recipes first",
+  },
   "published-asc": {
     label: "Date: Oldest First",
     description: "Sort by publication date, starting with oldest",
@@ -3,13 +3,15 @@
 import { useState } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import { X, CheckCircle2, Filter } from "lucide-react";
+import TaxonomyIcon from "./TaxonomyIcon";
 
 /**
  * A flexible tag filtering component with dynamic URL updating and matching options.
  *
  * @component
  * @param {Object} props - Component properties
- * @param {string[]} [props.availableTags=[]] - List of tags that can be filtered
+ * @param {Array<{name: string, description?: string, icon?: string|null}>} [props.availableTags=[]] -
+ * List of tags that can be filtered, with their optional description and icon
  * @param {URLSearchParams} props.searchParams - Current URL search parameters
  * @param {Function} props.updateUrl - Function to update URL with new search parameters
  * @param {Object} [props.defaultValues={tags: [], tagMatchType: "all"}] - Default filter settings
@@ -248,19 +250,24 @@ export default function TagFilter({
                     {/* Render each available tag as a button */}
                     {availableTags.map((tag) => (
                       <button
-                        key={tag}
-                        onClick={() => handleTagClick(tag)}
-                        className={`px-4 py-2 rounded-lg text-sm font-medium
+                        key={tag.name}
+                        onClick={() => handleTagClick(tag.name)}
+                        title={tag.description || undefined}
+                        className={`flex items-center justify-center gap-1.5 px-4 py-2 rounded-lg text-sm font-medium
                           transition-all duration-200
                           ${
-                            currentTags.includes(tag)
+                            currentTags.includes(tag.name)
                               ? "bg-teal-100 dark:bg-teal-900 text-teal-700 dark:text-teal-300 hover:bg-teal-200 dark:hover:bg-teal-800"
                               : "bg-neutral-100 dark:bg-gray-700 text-neutral-700 dark:text-neutral-200 hover:bg-neutral-200 dark:hover:bg-gray-600"
                           }`}
                       >
-                        {tag}
+                        <TaxonomyIcon
+                          name={tag.icon}
+                          className="w-4 h-4 flex-shrink-0"
+                        />
+                        {tag.name}
                         {/* Show checkmark for selected tags */}
-                        {currentTags.includes(tag) && (
+                        {currentTags.includes(tag.name) && (
                           <span className="ml-2 text-teal-600 dark:text-teal-400">
                             ✓
                           </span>
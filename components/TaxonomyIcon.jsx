@@ -0,0 +1,86 @@
+import {
+  Apple,
+  Baby,
+  Beef,
+  Beer,
+  Cake,
+  Carrot,
+  Cherry,
+  Coffee,
+  Cookie,
+  CookingPot,
+  Croissant,
+  Drumstick,
+  Egg,
+  Fish,
+  Flame,
+  Heart,
+  IceCreamCone,
+  Leaf,
+  Milk,
+  PartyPopper,
+  Pizza,
+  Salad,
+  Sandwich,
+  Snowflake,
+  Soup,
+  Star,
+  Sun,
+  Timer,
+  Utensils,
+  Vegan,
+  Wheat,
+  Wine,
+} from "lucide-react";
+
+// Icon component for each name in TAXONOMY_ICONS
+export const TAXONOMY_ICON_COMPONENTS = {
+  utensils: Utensils,
+  "cooking-pot": CookingPot,
+  coffee: Coffee,
+  croissant: Croissant,
+  egg: Egg,
+  sandwich: Sandwich,
+  salad: Salad,
+  soup: Soup,
+  pizza: Pizza,
+  beef: Beef,
+  drumstick: Drumstick,
+  fish: Fish,
+  carrot: Carrot,
+  leaf: Leaf,
+  vegan: Vegan,
+  wheat: Wheat,
+  apple: Apple,
+  cherry: Cherry,
+  cake: Cake,
+  cookie: Cookie,
+  "ice-cream": IceCreamCone,
+  milk: Milk,
+  wine: Wine,
+  beer: Beer,
+  flame: Flame,
+  snowflake: Snowflake,
+  sun: Sun,
+  timer: Timer,
+  heart: Heart,
+  star: Star,
+  baby: Baby,
+  "party-popper": PartyPopper,
+};
+
+/**
+ * TaxonomyIcon Component
+ * Renders the icon chosen for a category or tag, or the fallback when it has none.
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {string|null} props.name - The icon name, one of TAXONOMY_ICONS
+ * @param {React.ComponentType} [props.fallback] - Icon rendered when there is no icon
+ * @param {string} [props.className] - Classes for the icon
+ * @returns {React.ReactElement|null} Rendered icon
+ */
+export default function TaxonomyIcon({ name, fallback = null, className }) {
+  const Icon = TAXONOMY_ICON_COMPONENTS[name] || fallback;
+  return Icon ? <Icon className={className} aria-hidden="true" /> : null;
+}
@@ -0,0 +1,402 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { Check, Pencil, Plus, Trash2, X } from "lucide-react";
+import TaxonomyIcon, { TAXONOMY_ICON_COMPONENTS } from "./TaxonomyIcon";
+import { TAXONOMY_TYPES } from "@/lib/taxonomy";
+
+// Shared input styling for the manager forms
+const INPUT_CLASS =
+  "px-3 py-2 text-sm rounded-lg border border-gray-300 focus:outline-none focus:ring-2 focus:ring-teal-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white";
+
+// Empty values for the add and edit forms
+const EMPTY_FORM = { name: "", description: "", icon: "" };
+
+/**
+ * Icon picker listing every available icon, plus "no icon"
+ *
+ * @param {Object} props - Component properties
+ * @param {string} props.value - The selected icon name, or an empty string for none
+ * @param {function(string): void} props.onChange - Called with the picked icon name
+ * @returns {React.ReactElement} Rendered icon picker
+ */
+const IconPicker = ({ value, onChange }) => (
+  <div className="flex flex-wrap gap-1">
+    <button
+      type="button"
+      onClick={() => onChange("")}
+      aria-label="No icon"
+      className={`p-1.5 rounded-md ${
+        value ? "hover:bg-gray-100 dark:hover:bg-gray-700" : "bg-teal-100 dark:bg-teal-900"
+      }`}
+    >
+      <X className="w-4 h-4 text-gray-400" />
+    </button>
+    {Object.keys(TAXONOMY_ICON_COMPONENTS).map((icon) => (
+      <button
+        key={icon}
+        type="button"
+        onClick={() => onChange(icon)}
+        aria-label={icon}
+        className={`p-1.5 rounded-md ${
+          value === icon
+            ? "bg-teal-100 text-teal-700 dark:bg-teal-900 dark:text-teal-300"
+            : "text-gray-600 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-gray-700"
+        }`}
+      >
+        <TaxonomyIcon name={icon} className="w-4 h-4" />
+      </button>
+    ))}
+  </div>
+);
+
+/**
+ * Name, description and icon fields shared by the add and edit forms
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.form - The form values
+ * @param {function(Object): void} props.setForm - Updates the form values
+ * @returns {React.ReactElement} Rendered fields
+ */
+const TermFields = ({ form, setForm }) => (
+  <div className="space-y-2">
+    <input
+      type="text"
+      value={form.name}
+      onChange={(e) => setForm({ ...form, name: e.target.value })}
+      placeholder="Name"
+      maxLength={50}
+      className={`w-full ${INPUT_CLASS}`}
+    />
+    <input
+      type="text"
+      value={form.description}
+      onChange={(e) => setForm({ ...form, description: e.target.value })}
+      placeholder="Description (optional)"
+      maxLength={200}
+      className={`w-full ${INPUT_CLASS}`}
+    />
+    <IconPicker
+      value={form.icon}
+      onChange={(icon) => setForm({ ...form, icon })}
+    />
+  </div>
+);
+
+/**
+ * TaxonomyManager Component
+ * Admin editor for the categories or the tags: add categories, rename terms, change their
+ * description and icon, merge tags and delete terms, moving their recipes to another term.
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {"category"|"tag"} props.type - Which terms to manage
+ * @param {string} props.title - Section heading
+ * @param {function(string, string=): void} props.onAlert - Shows a message, with "error" as
+ * the second argument for failures
+ * @returns {React.ReactElement} Rendered term manager
+ */
+export default function TaxonomyManager({ type, title, onAlert }) {
+  const isCategory = type === TAXONOMY_TYPES.CATEGORY;
+  const endpoint = isCategory ? "/api/categories" : "/api/tags";
+
+  const [terms, setTerms] = useState([]);
+  const [newTerm, setNewTerm] = useState(EMPTY_FORM);
+  const [editing, setEditing] = useState(null); // { name, form } of the term being edited
+  const [deleting, setDeleting] = useState(null); // { name, reassignTo } of the term being deleted
+  const [saving, setSaving] = useState(false);
+
+  /**
+   * Fetches the terms with their details and recipe counts
+   *
+   * @async
+   */
+  const fetchTerms = useCallback(async () => {
+    try {
+      const response = await fetch(`${endpoint}?details=true`);
+      if (!response.ok) throw new Error(`Failed to fetch ${title.toLowerCase()}`);
+      setTerms(await response.json());
+    } catch (error) {
+      console.error(`Error fetching ${type} details:`, error);
+      onAlert(error.message, "error");
+    }
+  }, [endpoint, title, type, onAlert]);
+
+  useEffect(() => {
+    fetchTerms();
+  }, [fetchTerms]);
+
+  /**
+   * Sends a change to the API, then reloads the terms
+   *
+   * @async
+   * @param {string} url - The request URL
+   * @param {Object} options - The fetch options
+   * @param {function(Object): string} successMessage - Builds the message from the response
+   * @returns {Promise<boolean>} Whether the change succeeded
+   */
+  const sendChange = async (url, options, successMessage) => {
+    setSaving(true);
+    try {
+      const response = await fetch(url, {
+        headers: { "Content-Type": "application/json" },
+        ...options,
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `Failed to update ${type}`);
+
+      onAlert(successMessage(data));
+      await fetchTerms();
+      return true;
+    } catch (error) {
+      console.error(`Error updating ${type}:`, error);
+      onAlert(error.message, "error");
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Adds the category in the add form
+   *
+   * @async
+   * @param {React.FormEvent} e - Form submit event
+   */
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newTerm.name.trim()) return;
+
+    const created = await sendChange(
+      endpoint,
+      {
+        method: "POST",
+        body: JSON.stringify({ ...newTerm, icon: newTerm.icon || undefined }),
+      },
+      (data) => `Added "${data.category.name}"`
+    );
+    if (created) setNewTerm(EMPTY_FORM);
+  };
+
+  /**
+   * Saves the term being edited
+   *
+   * @async
+   */
+  const handleSave = async () => {
+    const { name, form } = editing;
+    const saved = await sendChange(
+      endpoint,
+      {
+        method: "PATCH",
+        body: JSON.stringify({
+          name,
+          newName: form.name,
+          description: form.description,
+          icon: form.icon || null,
+        }),
+      },
+      (data) =>
+        data.modifiedCount > 0
+          ? `Saved "${data.name}" and updated ${data.modifiedCount} recipe(s)`
+          : `Saved "${data.name}"`
+    );
+    if (saved) setEditing(null);
+  };
+
+  /**
+   * Deletes the term being deleted, moving its recipes if a replacement was picked
+   *
+   * @async
+   */
+  const handleDelete = async () => {
+    const { name, reassignTo } = deleting;
+    const params = new URLSearchParams({ name });
+    if (reassignTo) params.set("reassignTo", reassignTo);
+
+    const deleted = await sendChange(
+      `${endpoint}?${params}`,
+      { method: "DELETE" },
+      (data) =>
+        reassignTo
+          ? `Moved ${data.modifiedCount} recipe(s) to "${reassignTo}" and deleted "${name}"`
+          : `Deleted "${name}"`
+    );
+    if (deleted) setDeleting(null);
+  };
+
+  /**
+   * Renders the delete panel for a term, with the choice of where its recipes go
+   *
+   * @param {Object} term - The term being deleted
+   * @returns {React.ReactElement} Rendered delete panel
+   */
+  const renderDeletePanel = (term) => {
+    // Categories in use must hand their recipes to another category
+    const needsReassignment = isCategory && term.recipeCount > 0;
+
+    return (
+      <div className="mt-2 p-3 space-y-2 rounded-lg bg-red-50 dark:bg-red-900/20">
+        <p className="text-sm text-gray-700 dark:text-gray-200">
+          {isCategory
+            ? `Move its ${term.recipeCount} recipe(s) to:`
+            : `Remove it from ${term.recipeCount} recipe(s), or give them this tag instead:`}
+        </p>
+        <select
+          value={deleting.reassignTo}
+          onChange={(e) =>
+            setDeleting({ ...deleting, reassignTo: e.target.value })
+          }
+          className={`w-full ${INPUT_CLASS}`}
+        >
+          <option value="">
+            {needsReassignment ? "Choose a category" : "No replacement"}
+          </option>
+          {terms
+            .filter((other) => other.name !== term.name)
+            .map((other) => (
+              <option key={other.name} value={other.name}>
+                {other.name}
+              </option>
+            ))}
+        </select>
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={() => setDeleting(null)}
+            className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-800 dark:text-gray-300"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleDelete}
+            disabled={saving || (needsReassignment && !deleting.reassignTo)}
+            className="px-3 py-1.5 text-sm bg-red-500 text-white rounded-lg hover:bg-red-600 disabled:opacity-50 transition-colors"
+          >
+            {deleting.reassignTo && !isCategory ? "Merge" : "Delete"}
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  /**
+   * Renders one term, as a row or as its edit form
+   *
+   * @param {Object} term - The term
+   * @returns {React.ReactElement} Rendered term
+   */
+  const renderTerm = (term) => {
+    if (editing?.name === term.name) {
+      return (
+        <li key={term.name} className="py-3 space-y-2">
+          <TermFields
+            form={editing.form}
+            setForm={(form) => setEditing({ ...editing, form })}
+          />
+          <div className="flex justify-end gap-2">
+            <button
+              onClick={() => setEditing(null)}
+              className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-800 dark:text-gray-300"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving || !editing.form.name.trim()}
+              className="flex items-center px-3 py-1.5 text-sm bg-teal-600 text-white rounded-lg hover:bg-teal-500 disabled:opacity-50 transition-colors"
+            >
+              <Check className="w-4 h-4 mr-1" />
+              Save
+            </button>
+          </div>
+        </li>
+      );
+    }
+
+    return (
+      <li key={term.name} className="py-2">
+        <div className="flex items-center justify-between gap-2">
+          <div className="flex items-center gap-2 min-w-0">
+            <TaxonomyIcon
+              name={term.icon}
+              className="w-4 h-4 flex-shrink-0 text-teal-600 dark:text-teal-400"
+            />
+            <div className="min-w-0">
+              <p className="text-gray-800 truncate dark:text-gray-200">
+                {term.name}
+                <span className="ml-2 text-sm text-gray-500 dark:text-gray-400">
+                  {term.recipeCount} recipes
+                </span>
+              </p>
+              {term.description && (
+                <p className="text-xs text-gray-500 truncate dark:text-gray-400">
+                  {term.description}
+                </p>
+              )}
+            </div>
+          </div>
+          <div className="flex flex-shrink-0 gap-1">
+            <button
+              onClick={() => {
+                setDeleting(null);
+                setEditing({
+                  name: term.name,
+                  form: {
+                    name: term.name,
+                    description: term.description,
+                    icon: term.icon || "",
+                  },
+                });
+              }}
+              aria-label={`Edit ${term.name}`}
+              className="p-1 text-teal-600 hover:text-teal-700 dark:text-teal-400"
+            >
+              <Pencil className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => {
+                setEditing(null);
+                setDeleting({ name: term.name, reassignTo: "" });
+              }}
+              aria-label={`Delete ${term.name}`}
+              className="p-1 text-red-500 hover:text-red-600 dark:text-red-400"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+        {deleting?.name === term.name && renderDeletePanel(term)}
+      </li>
+    );
+  };
+
+  return (
+    <section className="bg-white p-6 rounded-2xl shadow-sm dark:bg-gray-800">
+      <h2 className="text-xl font-semibold mb-4 text-gray-800 dark:text-white">
+        {title}
+      </h2>
+
+      {/* Tags are created by adding them to recipes */}
+      {isCategory && (
+        <form
+          onSubmit={handleCreate}
+          className="mb-4 pb-4 space-y-2 border-b border-gray-100 dark:border-gray-700"
+        >
+          <TermFields form={newTerm} setForm={setNewTerm} />
+          <button
+            type="submit"
+            disabled={saving || !newTerm.name.trim()}
+            className="flex items-center px-3 py-2 text-sm bg-teal-600 text-white rounded-lg hover:bg-teal-500 disabled:opacity-50 transition-colors"
+          >
+            <Plus className="w-4 h-4 mr-1" />
+            Add Category
+          </button>
+        </form>
+      )}
+
+      <ul className="divide-y divide-gray-100 max-h-[40rem] overflow-y-auto dark:divide-gray-700">
+        {terms.map(renderTerm)}
+      </ul>
+    </section>
+  );
+}
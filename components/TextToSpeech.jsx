@@ -11,6 +11,7 @@ import {
   VolumeX,
   Volume1,
 } from "lucide-react";
+import { VOICE_COMMANDS, parseVoiceCommand } from "@/lib/voiceCommands";
 
 export default function TextToSpeech({ instructions }) {
   // State management
@@ -134,37 +135,29 @@ export default function TextToSpeech({ instructions }) {
 
     console.log("Voice Command:", transcript);
 
-    // Enhanced command parsing with multiple variations
-    switch (true) {
-      case /next\s*(step)?/.test(transcript):
+    const spoken = parseVoiceCommand(transcript);
+    switch (spoken?.command) {
+      case VOICE_COMMANDS.NEXT:
         goToNextStep();
         break;
-      case /previous\s*(step)?|go\s*back/.test(transcript):
+      case VOICE_COMMANDS.PREVIOUS:
         goToPreviousStep();
         break;
-      case /repeat\s*(step)?/.test(transcript):
+      case VOICE_COMMANDS.REPEAT:
         repeatCurrentStep();
         break;
-      case /pause/.test(transcript):
+      case VOICE_COMMANDS.PAUSE:
         pauseVoiceAssistant();
         break;
-      case /resume/.test(transcript):
+      case VOICE_COMMANDS.RESUME:
         resumeVoiceAssistant();
         break;
-      case /stop/.test(transcript):
+      case VOICE_COMMANDS.STOP:
         stopVoiceAssistant();
         break;
-      case /skip\s*this\s*step/.test(transcript):
-        goToNextStep();
-        break;
-      case /go\s*to\s*step\s*(\d+)/.test(transcript): {
-        const match = transcript.match(/go\s*to\s*step\s*(\d+)/);
-        if (match) {
-          const stepNumber = parseInt(match[1], 10);
-          jumpToStep(stepNumber - 1);
-        }
+      case VOICE_COMMANDS.GO_TO_STEP:
+        jumpToStep(spoken.step);
         break;
-      }
     }
   };
 
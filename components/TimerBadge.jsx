@@ -0,0 +1,199 @@
+"use client";
+
+import { useState, useEffect, useRef } from "react";
+import Link from "next/link";
+import { Timer, Pause, Play, X, Plus } from "lucide-react";
+import { useCookTimers } from "@/app/hooks/useCookTimers";
+import { formatTimer, getRemainingSeconds } from "@/lib/cookTimers";
+
+/**
+ * TimerBadge Component
+ * Header button showing how many kitchen timers are running and the time left on the next one
+ * to finish. Opens a list of every timer, linked back to its recipe step, where timers can be
+ * paused, cancelled or added by name.
+ *
+ * @component
+ * @returns {React.ReactElement} Rendered badge and timer list
+ */
+export default function TimerBadge() {
+  const { timers, now, startTimer, pauseTimer, resumeTimer, removeTimer } =
+    useCookTimers();
+  const [isOpen, setIsOpen] = useState(false);
+  const [name, setName] = useState("");
+  const [minutes, setMinutes] = useState("");
+  const menuRef = useRef(null);
+
+  // Close the list when clicking anywhere else
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleClickOutside = (event) => {
+      if (!menuRef.current?.contains(event.target)) setIsOpen(false);
+    };
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => document.removeEventListener("mousedown", handleClickOutside);
+  }, [isOpen]);
+
+  const finishedCount = timers.filter((timer) => timer.done).length;
+  const running = timers.filter(
+    (timer) => !timer.done && timer.pausedRemaining === null
+  );
+  const nextToFinish = running.reduce(
+    (soonest, timer) =>
+      !soonest || timer.endsAt < soonest.endsAt ? timer : soonest,
+    null
+  );
+
+  /**
+   * Starts a named timer that is not linked to a recipe
+   * @param {Event} event - The form submit event
+   */
+  const handleAdd = (event) => {
+    event.preventDefault();
+    const seconds = Math.round(Number(minutes) * 60);
+    if (!seconds || seconds <= 0) return;
+
+    startTimer({ label: name.trim() || `${minutes} min timer`, seconds });
+    setName("");
+    setMinutes("");
+  };
+
+  let badgeText = null;
+  if (finishedCount > 0) {
+    badgeText = "Done!";
+  } else if (nextToFinish) {
+    badgeText = formatTimer(getRemainingSeconds(nextToFinish, now));
+  }
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        aria-label="Kitchen timers"
+        className={`relative flex items-center text-sm font-medium transition-colors duration-200 ${
+          finishedCount > 0
+            ? "text-red-300 animate-pulse"
+            : "text-white hover:text-teal-200"
+        }`}
+      >
+        <Timer className="h-4 w-4" />
+        {badgeText && <span className="ml-1 font-mono">{badgeText}</span>}
+        {timers.length > 0 && (
+          <span className="absolute -top-2 -right-4 bg-red-500 text-white text-xs rounded-full h-5 w-5 flex items-center justify-center">
+            {timers.length}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-3 w-72 bg-white dark:bg-slate-800 rounded-xl shadow-2xl ring-1 ring-black ring-opacity-5 z-50 overflow-hidden">
+          <div className="px-4 py-3 bg-teal-50 dark:bg-teal-900 border-b border-teal-100 dark:border-teal-800">
+            <p className="text-sm text-teal-800 dark:text-teal-200 font-medium">
+              Kitchen Timers
+            </p>
+          </div>
+
+          {timers.length === 0 ? (
+            <p className="px-4 py-3 text-sm text-gray-500 dark:text-gray-400">
+              No timers running. Start one from a recipe step or below.
+            </p>
+          ) : (
+            <ul className="max-h-72 overflow-y-auto divide-y divide-gray-100 dark:divide-slate-700">
+              {timers.map((timer) => (
+                <li
+                  key={timer.id}
+                  className={`flex items-center gap-2 px-4 py-2 ${
+                    timer.done ? "bg-red-50 dark:bg-red-900/30" : ""
+                  }`}
+                >
+                  <div className="flex-1 min-w-0">
+                    <p className="truncate text-sm text-gray-800 dark:text-gray-100">
+                      {timer.label}
+                    </p>
+                    {timer.recipeId && (
+                      <Link
+                        href={`/recipes/${timer.recipeId}`}
+                        onClick={() => setIsOpen(false)}
+                        className="block truncate text-xs text-teal-600 hover:underline dark:text-teal-400"
+                      >
+                        {timer.recipeTitle || "Open recipe"}
+                      </Link>
+                    )}
+                  </div>
+                  <span
+                    className={`font-mono text-sm ${
+                      timer.done
+                        ? "text-red-600 dark:text-red-400 font-semibold"
+                        : "text-gray-700 dark:text-gray-200"
+                    }`}
+                  >
+                    {timer.done
+                      ? "Done!"
+                      : formatTimer(getRemainingSeconds(timer, now))}
+                  </span>
+                  {!timer.done && timer.pausedRemaining === null && (
+                    <button
+                      onClick={() => pauseTimer(timer.id)}
+                      aria-label="Pause timer"
+                      className="text-gray-500 hover:text-teal-600 dark:text-gray-400"
+                    >
+                      <Pause className="w-4 h-4" />
+                    </button>
+                  )}
+                  {timer.pausedRemaining !== null && (
+                    <button
+                      onClick={() => resumeTimer(timer.id)}
+                      aria-label="Resume timer"
+                      className="text-gray-500 hover:text-teal-600 dark:text-gray-400"
+                    >
+                      <Play className="w-4 h-4" />
+                    </button>
+                  )}
+                  <button
+                    onClick={() => removeTimer(timer.id)}
+                    aria-label={timer.done ? "Dismiss timer" : "Cancel timer"}
+                    className="text-gray-500 hover:text-red-600 dark:text-gray-400"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {/* Add a named timer */}
+          <form
+            onSubmit={handleAdd}
+            className="flex items-center gap-2 px-4 py-3 border-t border-gray-100 dark:border-slate-700"
+          >
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Name, e.g. Pasta"
+              maxLength={60}
+              className="flex-1 min-w-0 px-2 py-1 text-sm border rounded-lg dark:bg-slate-700 dark:border-slate-600 dark:text-white"
+            />
+            <input
+              type="number"
+              value={minutes}
+              onChange={(e) => setMinutes(e.target.value)}
+              placeholder="min"
+              min="0.5"
+              step="0.5"
+              required
+              className="w-16 px-2 py-1 text-sm border rounded-lg dark:bg-slate-700 dark:border-slate-600 dark:text-white"
+            />
+            <button
+              type="submit"
+              aria-label="Start timer"
+              className="p-1.5 rounded-lg bg-teal-600 text-white hover:bg-teal-500"
+            >
+              <Plus className="w-4 h-4" />
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
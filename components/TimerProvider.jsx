@@ -0,0 +1,291 @@
+"use client";
+
+import { createContext, useState, useEffect, useRef, useCallback } from "react";
+import { getRemainingSeconds } from "@/lib/cookTimers";
+import { postToWorker } from "@/lib/serviceWorker";
+
+/**
+ * Context holding the kitchen timers shared by every page.
+ * @type {React.Context}
+ */
+export const TimerContext = createContext(null);
+
+// localStorage key holding the timers, so they survive reloads
+const STORAGE_KEY = "kitchenTimers";
+
+// How often running timers are refreshed, in milliseconds
+const TICK_MS = 1000;
+
+// Shared audio context, created on the first timer start so browsers allow it to play
+let audioContext = null;
+
+/**
+ * Prepares sound playback. Must be called from a user action such as a tap.
+ */
+const unlockAudio = () => {
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!audioContext && AudioContext) audioContext = new AudioContext();
+  audioContext?.resume();
+};
+
+/**
+ * Plays three short beeps.
+ */
+const playAlarm = () => {
+  if (!audioContext) return;
+
+  [0, 0.4, 0.8].forEach((offset) => {
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    oscillator.frequency.value = 880;
+    gain.gain.value = 0.2;
+    oscillator.connect(gain).connect(audioContext.destination);
+
+    const start = audioContext.currentTime + offset;
+    oscillator.start(start);
+    oscillator.stop(start + 0.25);
+  });
+};
+
+/**
+ * Asks the service worker to notify when a timer ends, even if this tab is hidden or offline.
+ *
+ * @param {Object} timer - The running timer.
+ * @returns {Promise<boolean>} True if the service worker will show the notification.
+ */
+const scheduleNotification = (timer) =>
+  postToWorker({
+    type: "SCHEDULE_TIMER",
+    timer: {
+      id: timer.id,
+      label: timer.label,
+      endsAt: timer.endsAt,
+      url: timer.recipeId ? `/recipes/${timer.recipeId}` : "/",
+    },
+  });
+
+/**
+ * Tells the service worker a timer was paused, cancelled or dismissed.
+ *
+ * @param {string} id - The timer's ID.
+ */
+const cancelNotification = (id) => {
+  postToWorker({ type: "CANCEL_TIMER", id });
+};
+
+/**
+ * Shows a timer notification from the page, for browsers without a service worker.
+ *
+ * @param {Object} timer - The finished timer.
+ */
+const notifyFromPage = (timer) => {
+  if ("serviceWorker" in navigator) return;
+  if (!("Notification" in window) || Notification.permission !== "granted") {
+    return;
+  }
+  new Notification("Timer done", {
+    body: `${timer.label} is up`,
+    icon: "/android-chrome-192x192.png",
+    tag: `timer-${timer.id}`,
+  });
+};
+
+/**
+ * Reads the saved timers, marking any that ended while the app was closed as done.
+ *
+ * @returns {Array<Object>} The timers.
+ */
+const loadTimers = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+    const now = Date.now();
+    return saved.map((timer) =>
+      timer.pausedRemaining === null && timer.endsAt <= now
+        ? { ...timer, done: true }
+        : timer
+    );
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * TimerProvider Component
+ * Runs the kitchen timers for the whole app. Any number can run at once; each has a name and
+ * may be linked to a recipe step. Timers are saved to localStorage so they carry on across
+ * route changes, reloads and other tabs. When one ends the page beeps, and the service worker
+ * shows a notification so the alert also arrives while the tab is in the background or
+ * offline. Browsers may stop an idle service worker after a few minutes, so the page still
+ * shows any alert it missed when it is next opened.
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {React.ReactNode} props.children - The app
+ * @returns {React.ReactElement} The provider
+ */
+export default function TimerProvider({ children }) {
+  const [timers, setTimers] = useState([]);
+  const [now, setNow] = useState(() => Date.now());
+  const [isLoaded, setIsLoaded] = useState(false);
+
+  // Latest timers, read by the interval without restarting it on every change
+  const timersRef = useRef(timers);
+  timersRef.current = timers;
+
+  // Restore saved timers, and follow changes made in other tabs
+  useEffect(() => {
+    const saved = loadTimers();
+    setTimers(saved);
+    setIsLoaded(true);
+
+    // The service worker may have been restarted since these were scheduled
+    saved
+      .filter((timer) => !timer.done && timer.pausedRemaining === null)
+      .forEach(scheduleNotification);
+
+    const handleStorage = (event) => {
+      if (event.key === STORAGE_KEY) setTimers(loadTimers());
+    };
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  }, []);
+
+  // Save after every change, once the saved timers have been read
+  useEffect(() => {
+    if (!isLoaded) return;
+    const saved = localStorage.getItem(STORAGE_KEY) || "[]";
+    const next = JSON.stringify(timers);
+    if (saved !== next) localStorage.setItem(STORAGE_KEY, next);
+  }, [timers, isLoaded]);
+
+  const hasRunning = timers.some(
+    (timer) => !timer.done && timer.pausedRemaining === null
+  );
+
+  // Refresh while any timer is running, marking those that have finished
+  useEffect(() => {
+    if (!hasRunning) return undefined;
+
+    const interval = setInterval(() => {
+      const current = Date.now();
+      setNow(current);
+
+      const finishedIds = timersRef.current
+        .filter(
+          (timer) =>
+            !timer.done &&
+            timer.pausedRemaining === null &&
+            timer.endsAt <= current
+        )
+        .map((timer) => {
+          playAlarm();
+          notifyFromPage(timer);
+          return timer.id;
+        });
+      if (finishedIds.length === 0) return;
+
+      setTimers((existing) =>
+        existing.map((timer) =>
+          finishedIds.includes(timer.id) ? { ...timer, done: true } : timer
+        )
+      );
+    }, TICK_MS);
+
+    return () => clearInterval(interval);
+  }, [hasRunning]);
+
+  /**
+   * Starts a new timer
+   *
+   * @param {Object} options - The timer to start.
+   * @param {string} options.label - The timer's name, e.g. "Step 3: 25 minutes".
+   * @param {number} options.seconds - How long it runs.
+   * @param {string} [options.recipeId] - The recipe it was started from.
+   * @param {string} [options.recipeTitle] - That recipe's title.
+   * @param {number} [options.stepIndex] - The step it was started from.
+   */
+  const startTimer = useCallback(
+    ({
+      label,
+      seconds,
+      recipeId = null,
+      recipeTitle = null,
+      stepIndex = null,
+    }) => {
+      unlockAudio();
+      if ("Notification" in window && Notification.permission === "default") {
+        Notification.requestPermission();
+      }
+
+      const timer = {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        label,
+        recipeId,
+        recipeTitle,
+        stepIndex,
+        seconds,
+        endsAt: Date.now() + seconds * 1000,
+        pausedRemaining: null,
+        done: false,
+      };
+      setNow(Date.now());
+      setTimers((existing) => [...existing, timer]);
+      scheduleNotification(timer);
+    },
+    []
+  );
+
+  /**
+   * Pauses a running timer
+   * @param {string} id - The timer's ID.
+   */
+  const pauseTimer = useCallback((id) => {
+    cancelNotification(id);
+    setTimers((existing) =>
+      existing.map((timer) => {
+        if (timer.id !== id || timer.done) return timer;
+        return {
+          ...timer,
+          pausedRemaining: getRemainingSeconds(timer, Date.now()),
+        };
+      })
+    );
+  }, []);
+
+  /**
+   * Resumes a paused timer
+   * @param {string} id - The timer's ID.
+   */
+  const resumeTimer = useCallback((id) => {
+    const timer = timersRef.current.find((item) => item.id === id);
+    if (!timer || timer.pausedRemaining === null) return;
+
+    const resumed = {
+      ...timer,
+      endsAt: Date.now() + timer.pausedRemaining * 1000,
+      pausedRemaining: null,
+    };
+    setNow(Date.now());
+    setTimers((existing) =>
+      existing.map((item) => (item.id === id ? resumed : item))
+    );
+    scheduleNotification(resumed);
+  }, []);
+
+  /**
+   * Cancels a timer, or dismisses it once finished
+   * @param {string} id - The timer's ID.
+   */
+  const removeTimer = useCallback((id) => {
+    cancelNotification(id);
+    setTimers((existing) => existing.filter((timer) => timer.id !== id));
+  }, []);
+
+  return (
+    <TimerContext.Provider
+      value={{ timers, now, startTimer, pauseTimer, resumeTimer, removeTimer }}
+    >
+      {children}
+    </TimerContext.Provider>
+  );
+}
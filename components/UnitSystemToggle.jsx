@@ -0,0 +1,48 @@
+"use client";
+
+import { Scale } from "lucide-react";
+import { UNIT_SYSTEMS } from "@/lib/units";
+import { useUnitPreference } from "@/app/hooks/useUnitPreference";
+
+// Options shown in the toggle; null keeps amounts as written in the recipe
+const OPTIONS = [
+  { value: null, label: "As written" },
+  { value: UNIT_SYSTEMS.METRIC, label: "Metric" },
+  { value: UNIT_SYSTEMS.US, label: "US" },
+];
+
+/**
+ * UnitSystemToggle Component
+ *
+ * A segmented control for choosing the measurement system used to display ingredient amounts.
+ * The choice is shared across the app through `useUnitPreference`.
+ *
+ * @param {Object} props - The component props.
+ * @param {string} [props.className=""] - Additional classes for the wrapper.
+ * @returns {JSX.Element} The rendered toggle.
+ */
+export default function UnitSystemToggle({ className = "" }) {
+  const { unitSystem, setUnitSystem } = useUnitPreference();
+
+  return (
+    <div className={`flex items-center gap-2 ${className}`}>
+      <Scale className="w-4 h-4 text-teal-600 dark:text-teal-400" />
+      <div className="flex rounded-lg border border-teal-300 overflow-hidden dark:border-slate-600">
+        {OPTIONS.map(({ value, label }) => (
+          <button
+            key={label}
+            onClick={() => setUnitSystem(value)}
+            aria-pressed={unitSystem === value}
+            className={`px-3 py-1 text-sm transition-colors ${
+              unitSystem === value
+                ? "bg-teal-500 text-white dark:bg-teal-600"
+                : "text-teal-700 hover:bg-teal-50 dark:text-teal-300 dark:hover:bg-slate-700"
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
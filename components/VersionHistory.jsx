@@ -0,0 +1,342 @@
+"use client";
+
+import { useState, useEffect, useCallback, useMemo } from "react";
+import { useSession } from "next-auth/react";
+import { useRouter } from "next/navigation";
+import { ChevronDown, ChevronUp, History, RotateCcw } from "lucide-react";
+import Alert from "./Alert";
+import ConfirmationModal from "./ConfirmationModal";
+import { RECIPE_UPDATED_EVENT } from "./RecipeEdit";
+import { diffWords } from "@/lib/diff";
+import { VERSIONED_FIELDS, pickVersionedFields } from "@/lib/recipeVersions";
+
+/**
+ * Display names for versioned fields whose key is not descriptive enough
+ */
+const FIELD_LABELS = {
+  prep: "Prep time (mins)",
+  cook: "Cook time (mins)",
+};
+
+/**
+ * Turns a versioned field value into text that can be diffed.
+ *
+ * @param {*} value - The field value.
+ * @returns {string} The value as text, one list item or ingredient per line.
+ */
+const formatVersionValue = (value) => {
+  if (value === undefined || value === null) return "";
+  if (Array.isArray(value)) return value.join("\n");
+  if (typeof value === "object") {
+    return Object.entries(value)
+      .map(([key, amount]) => `${key}: ${amount}`)
+      .join("\n");
+  }
+  return String(value);
+};
+
+/**
+ * Formats a version's time for display.
+ *
+ * @param {string} dateString - ISO date string.
+ * @returns {string} The formatted date, or "Unknown date".
+ */
+const formatDate = (dateString) => {
+  if (!dateString) return "Unknown date";
+  return new Date(dateString).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+};
+
+/**
+ * Describes who made a version.
+ *
+ * @param {Object} version - The version.
+ * @returns {string} The author label.
+ */
+const getAuthor = (version) =>
+  version.original ? "Original recipe" : version.userName || "Anonymous";
+
+/**
+ * VersionHistory Component
+ * Lists every version of a recipe with its author and time, shows a word-level diff between
+ * any two versions and lets signed-in users restore an earlier version.
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {string} props.recipeId - The ID of the recipe
+ * @returns {React.ReactElement|null} Rendered version history panel
+ */
+export default function VersionHistory({ recipeId }) {
+  const { data: session } = useSession();
+  const router = useRouter();
+
+  const [versions, setVersions] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [fromId, setFromId] = useState("");
+  const [toId, setToId] = useState("");
+  const [restoreTarget, setRestoreTarget] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+  const [alert, setAlert] = useState({
+    isVisible: false,
+    message: "",
+    type: "success",
+  });
+
+  /**
+   * Fetches the recipe's versions and compares the two newest by default
+   *
+   * @async
+   */
+  const fetchVersions = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/recipes/${recipeId}/versions`);
+      if (!response.ok) throw new Error("Failed to fetch versions");
+
+      const data = await response.json();
+      setVersions(data.versions);
+      setToId(data.versions[0]?.id || "");
+      setFromId(data.versions[1]?.id || data.versions[0]?.id || "");
+    } catch (error) {
+      console.error("Error fetching versions:", error);
+    }
+  }, [recipeId]);
+
+  // Load the history and refresh it whenever the recipe is edited
+  useEffect(() => {
+    fetchVersions();
+
+    window.addEventListener(RECIPE_UPDATED_EVENT, fetchVersions);
+    return () => window.removeEventListener(RECIPE_UPDATED_EVENT, fetchVersions);
+  }, [fetchVersions]);
+
+  // Word-level diff of every field that differs between the compared versions
+  const diffs = useMemo(() => {
+    const from = versions.find((version) => version.id === fromId);
+    const to = versions.find((version) => version.id === toId);
+    if (!from || !to) return [];
+
+    // Versions saved before a field was tracked have no snapshot of it to compare
+    return VERSIONED_FIELDS.filter(
+      (field) => from[field] !== undefined && to[field] !== undefined
+    )
+      .map((field) => ({
+        field,
+        oldText: formatVersionValue(from[field]),
+        newText: formatVersionValue(to[field]),
+      }))
+      .filter(({ oldText, newText }) => oldText !== newText)
+      .map(({ field, oldText, newText }) => ({
+        field,
+        parts: diffWords(oldText, newText),
+      }));
+  }, [versions, fromId, toId]);
+
+  /**
+   * Whether a version can be restored: the user must be signed in, and the version must not be
+   * the current one and must have saved content (older versions only record author and time)
+   *
+   * @param {Object} version - The version
+   * @returns {boolean} True if the version can be restored
+   */
+  const canRestore = (version) =>
+    Boolean(session) &&
+    !version.current &&
+    Object.keys(pickVersionedFields(version)).length > 0;
+
+  /**
+   * Restores the selected version, which creates a new version
+   *
+   * @async
+   */
+  const handleRestore = async () => {
+    if (!restoreTarget) return;
+
+    try {
+      setRestoring(true);
+      const response = await fetch(`/api/recipes/${recipeId}/versions`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ versionId: restoreTarget.id }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to restore version");
+
+      // Let the rest of the page pick up the restored content
+      window.dispatchEvent(
+        new CustomEvent(RECIPE_UPDATED_EVENT, { detail: data.recipe })
+      );
+      router.refresh();
+      setAlert({
+        isVisible: true,
+        message: "Version restored successfully!",
+        type: "success",
+      });
+    } catch (error) {
+      console.error("Error restoring version:", error);
+      setAlert({ isVisible: true, message: error.message, type: "error" });
+    } finally {
+      setRestoring(false);
+      setRestoreTarget(null);
+    }
+  };
+
+  if (versions.length === 0) return null;
+
+  return (
+    <div className="bg-white dark:bg-gray-700 p-6 rounded-2xl shadow-sm">
+      <Alert
+        message={alert.message}
+        type={alert.type}
+        isVisible={alert.isVisible}
+        onClose={() => setAlert((prev) => ({ ...prev, isVisible: false }))}
+      />
+
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex w-full items-center justify-between"
+        aria-expanded={isOpen}
+      >
+        <span className="flex items-center gap-2 text-2xl font-semibold text-gray-900 dark:text-white">
+          <History className="w-6 h-6 text-teal-600 dark:text-teal-400" />
+          Version History
+          <span className="text-sm font-normal text-gray-500 dark:text-gray-400">
+            ({versions.length})
+          </span>
+        </span>
+        {isOpen ? (
+          <ChevronUp className="w-5 h-5 text-gray-500" />
+        ) : (
+          <ChevronDown className="w-5 h-5 text-gray-500" />
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="mt-6 space-y-6">
+          {/* Version List */}
+          <ul className="divide-y divide-gray-100 dark:divide-gray-600">
+            {versions.map((version) => (
+              <li
+                key={version.id}
+                className="flex flex-wrap items-center justify-between gap-2 py-3"
+              >
+                <div>
+                  <p className="text-sm font-medium text-gray-800 dark:text-gray-200">
+                    {getAuthor(version)}
+                    {version.current && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-teal-100 text-teal-700 dark:bg-teal-900 dark:text-teal-300">
+                        Current
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    {formatDate(version.lastModified)}
+                    {version.restoredFrom && (
+                      <>
+                        {" · restored "}
+                        {formatDate(
+                          versions.find((v) => v.id === version.restoredFrom)
+                            ?.lastModified
+                        )}
+                      </>
+                    )}
+                  </p>
+                </div>
+                {canRestore(version) && (
+                  <button
+                    onClick={() => setRestoreTarget(version)}
+                    disabled={restoring}
+                    className="flex items-center text-sm text-teal-600 hover:text-teal-700 disabled:opacity-50 dark:text-teal-400 dark:hover:text-teal-300"
+                  >
+                    <RotateCcw className="w-4 h-4 mr-1" />
+                    Restore
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          {/* Version Comparison */}
+          {versions.length > 1 && (
+            <div>
+              <div className="flex flex-wrap items-center gap-2 mb-4 text-sm text-gray-700 dark:text-gray-300">
+                <span>Compare</span>
+                <select
+                  value={fromId}
+                  onChange={(e) => setFromId(e.target.value)}
+                  className="px-2 py-1 rounded-md border border-gray-300 bg-white dark:border-gray-600 dark:bg-gray-800"
+                >
+                  {versions.map((version) => (
+                    <option key={version.id} value={version.id}>
+                      {formatDate(version.lastModified)} – {getAuthor(version)}
+                    </option>
+                  ))}
+                </select>
+                <span>with</span>
+                <select
+                  value={toId}
+                  onChange={(e) => setToId(e.target.value)}
+                  className="px-2 py-1 rounded-md border border-gray-300 bg-white dark:border-gray-600 dark:bg-gray-800"
+                >
+                  {versions.map((version) => (
+                    <option key={version.id} value={version.id}>
+                      {formatDate(version.lastModified)} – {getAuthor(version)}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              {diffs.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  These versions are identical.
+                </p>
+              ) : (
+                diffs.map(({ field, parts }) => (
+                  <div key={field} className="mb-4">
+                    <h3 className="text-sm font-semibold capitalize text-gray-700 dark:text-gray-300 mb-1">
+                      {FIELD_LABELS[field] || field}
+                    </h3>
+                    <p className="whitespace-pre-wrap text-sm leading-relaxed text-gray-700 dark:text-gray-300 bg-gray-50 dark:bg-gray-800 p-3 rounded-lg">
+                      {parts.map((part, index) =>
+                        part.type === "equal" ? (
+                          <span key={index}>{part.text}</span>
+                        ) : part.type === "added" ? (
+                          <ins
+                            key={index}
+                            className="no-underline bg-green-100 text-green-800 dark:bg-green-900/50 dark:text-green-200"
+                          >
+                            {part.text}
+                          </ins>
+                        ) : (
+                          <del
+                            key={index}
+                            className="bg-red-100 text-red-800 dark:bg-red-900/50 dark:text-red-200"
+                          >
+                            {part.text}
+                          </del>
+                        )
+                      )}
+                    </p>
+                  </div>
+                ))
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      <ConfirmationModal
+        isOpen={restoreTarget !== null}
+        onClose={() => setRestoreTarget(null)}
+        onConfirm={handleRestore}
+        title="Restore this version?"
+        message="The recipe will be changed back to this version. The restore is saved as a new version, so nothing is lost."
+      />
+    </div>
+  );
+}
@@ -0,0 +1,196 @@
+/**
+ * Allergen detection shared by the allergen API, the recipe filters and recipe cards.
+ *
+ * Allergens are derived from the keys of a recipe's `ingredients` object using the mapping
+ * table below. An ingredient contains an allergen when it mentions one of the allergen's
+ * keywords as a whole word (plurals included) and none of its exclusions, so "almond flour"
+ * is not reported as wheat and "eggplant" is not reported as egg.
+ *
+ * @module allergens
+ */
+
+import { escapeRegExp } from "./search";
+
+/**
+ * Mapping table from allergen name to the ingredient keywords that contain it.
+ * Names match the keys of `allergenSVGs` in components/Svg.jsx.
+ * @type {Object<string, {label: string, keywords: string[], excludes?: string[]}>}
+ */
+export const ALLERGENS = {
+  nut: {
+    label: "Nuts",
+    keywords: [
+      "nut", "peanut", "almond", "cashew", "pecan", "walnut", "hazelnut",
+      "pistachio", "macadamia", "praline", "marzipan", "nutella",
+    ],
+    excludes: ["nutmeg", "coconut", "butternut", "water chestnut"],
+  },
+  wheat: {
+    label: "Wheat / Gluten",
+    keywords: [
+      "wheat", "flour", "bread", "breadcrumb", "panko", "pasta", "spaghetti",
+      "noodle", "macaroni", "couscous", "semolina", "bulgur", "barley", "rye",
+      "tortilla", "cracker", "pita", "baguette", "croissant", "pie crust", "puff pastry",
+    ],
+    excludes: [
+      "almond flour", "rice flour", "coconut flour", "corn flour", "cornflour",
+      "chickpea flour", "rice noodle", "gluten-free", "corn tortilla",
+    ],
+  },
+  milk: {
+    label: "Milk",
+    keywords: [
+      "milk", "buttermilk", "butter", "yogurt", "yoghurt", "ghee", "whey", "kefir",
+    ],
+    excludes: [
+      "coconut milk", "almond milk", "soy milk", "oat milk", "rice milk",
+      "peanut butter", "almond butter", "cashew butter", "nut butter", "cocoa butter",
+      "apple butter", "butternut", "butter bean",
+    ],
+  },
+  cheese: {
+    label: "Cheese",
+    keywords: [
+      "cheese", "parmesan", "mozzarella", "cheddar", "feta", "ricotta", "mascarpone",
+      "gruyere", "brie", "camembert", "gouda", "halloumi", "pecorino", "paneer",
+    ],
+  },
+  cream: {
+    label: "Cream",
+    keywords: [
+      "cream", "creme fraiche", "crème fraîche", "half-and-half", "half and half",
+    ],
+    excludes: ["cream of tartar", "coconut cream"],
+  },
+  egg: {
+    label: "Egg",
+    keywords: ["egg", "egg yolk", "egg white", "mayonnaise", "mayo", "meringue", "aioli"],
+  },
+  fish: {
+    label: "Fish",
+    keywords: [
+      "fish", "salmon", "tuna", "cod", "anchovy", "anchovies", "sardine", "tilapia",
+      "halibut", "trout", "mackerel", "haddock", "snapper", "catfish", "swordfish",
+      "bass", "worcestershire",
+    ],
+  },
+  shellfish: {
+    label: "Shellfish",
+    keywords: [
+      "shrimp", "prawn", "crab", "lobster", "crawfish", "crayfish", "scallop",
+      "squid", "calamari", "octopus",
+    ],
+  },
+  clam: {
+    label: "Clams",
+    keywords: ["clam"],
+  },
+  mussel: {
+    label: "Mussels",
+    keywords: ["mussel"],
+  },
+  oyster: {
+    label: "Oysters",
+    keywords: ["oyster"],
+    excludes: ["oyster mushroom"],
+  },
+  soy: {
+    label: "Soy",
+    keywords: ["soy", "soya", "soybean", "tofu", "edamame", "miso", "tempeh", "tamari"],
+  },
+  sesame: {
+    label: "Sesame",
+    keywords: ["sesame", "tahini"],
+  },
+  mustard: {
+    label: "Mustard",
+    keywords: ["mustard", "dijon"],
+  },
+  celery: {
+    label: "Celery",
+    keywords: ["celery", "celeriac"],
+  },
+  corn: {
+    label: "Corn",
+    keywords: [
+      "corn", "cornmeal", "cornstarch", "cornflour", "corn flour", "polenta",
+      "popcorn", "maize", "grits", "masa",
+    ],
+  },
+};
+
+/**
+ * Names of every known allergen, in display order.
+ * @type {string[]}
+ */
+export const ALLERGEN_NAMES = Object.keys(ALLERGENS);
+
+/**
+ * Builds the regular expression source matching ingredient names that contain an allergen.
+ *
+ * @param {string} name - The allergen name.
+ * @returns {string} The pattern source, to be used case-insensitively.
+ */
+const buildAllergenPattern = (name) => {
+  const { keywords, excludes = [] } = ALLERGENS[name];
+  const alternatives = (words) => words.map(escapeRegExp).join("|");
+  // Plurals such as "eggs", "walnuts" and "peaches" are matched by the optional suffix
+  const keywordPattern = `\\b(?:${alternatives(keywords)})(?:e?s)?\\b`;
+
+  return excludes.length > 0
+    ? `^(?!.*\\b(?:${alternatives(excludes)})).*${keywordPattern}`
+    : keywordPattern;
+};
+
+// Compiled patterns, keyed by allergen name
+const ALLERGEN_PATTERNS = Object.fromEntries(
+  ALLERGEN_NAMES.map((name) => [name, new RegExp(buildAllergenPattern(name), "i")])
+);
+
+/**
+ * Filters a list of allergen names down to the known ones, without duplicates.
+ *
+ * @param {string[]} names - The allergen names to check.
+ * @returns {string[]} The known allergen names, lower-cased.
+ */
+export const normalizeAllergens = (names) =>
+  Array.isArray(names)
+    ? [...new Set(names.map((name) => String(name).toLowerCase()))].filter(
+      (name) => ALLERGENS[name]
+    )
+    : [];
+
+/**
+ * Derives the allergens contained in a recipe's ingredients.
+ *
+ * @param {Object<string, string>} ingredients - The recipe ingredients keyed by name.
+ * @returns {Object<string, string[]>} The ingredient names containing each detected allergen,
+ * keyed by allergen name.
+ */
+export const detectAllergens = (ingredients) => {
+  const ingredientNames = Object.keys(ingredients || {});
+  const detected = {};
+
+  ALLERGEN_NAMES.forEach((name) => {
+    const matches = ingredientNames.filter((ingredient) =>
+      ALLERGEN_PATTERNS[name].test(ingredient)
+    );
+    if (matches.length > 0) {
+      detected[name] = matches;
+    }
+  });
+
+  return detected;
+};
+
+/**
+ * Builds the conditions excluding recipes that contain any of the given allergens,
+ * for use in a `$nor` clause on the recipes collection.
+ *
+ * @param {string[]} names - The allergen names to exclude.
+ * @returns {Object[]} One condition per known allergen.
+ */
+export const buildAllergenExclusions = (names) =>
+  normalizeAllergens(names).map((name) => ({
+    ingredientNames: { $regex: buildAllergenPattern(name), $options: "i" },
+  }));
@@ -8,8 +8,8 @@ const API_BASE_URL = process.env.API_BASE_URL;
  * @param {Object} options - Recipe fetch options
  * @param {number} [options.page=1] - Page number for pagination
  * @param {number} [options.limit=20] - Number of recipes per page (max 100)
- * @param {string} [options.search=""] - Search query string
- * @param {string} [options.sortBy="$natural"] - Field to sort by
+ * @param {string} [options.search=""] - Search query string (supports "quoted phrases" and -excluded terms)
+ * @param {string} [options.sortBy="$natural"] - Field to sort by, "totalTime" for prep plus cook time, or "relevance" to rank search results
  * @param {string} [options.order="asc"] - Sort order ('asc' or 'desc')
  * @param {string} [options.category=""] - Category filter
  * @param {string[]} [options.tags=[]] - Array of tags to filter by
@@ -17,6 +17,11 @@ const API_BASE_URL = process.env.API_BASE_URL;
  * @param {string[]} [options.ingredients=[]] - Array of ingredients to filter by
  * @param {string} [options.ingredientsMatchType="all"] - Ingredient matching strategy ('all' or 'any')
  * @param {number|null} [options.numberOfSteps=null] - Filter by number of steps
+ * @param {string[]} [options.excludeAllergens=[]] - Allergens the recipes must not contain
+ * @param {number|null} [options.maxPrep=null] - Maximum preparation time in minutes
+ * @param {number|null} [options.maxCook=null] - Maximum cooking time in minutes
+ * @param {number|null} [options.maxTotalTime=null] - Maximum prep plus cook time in minutes
+ * @param {Object<string, number>} [options.nutrition={}] - Per-serving nutrition ranges, e.g. { maxCalories: 500, minProtein: 20 }
  * @returns {Promise<Object>} Paginated recipes with metadata
  * @throws {Error} If the API request fails
  */
@@ -32,6 +37,11 @@ export const getRecipes = cache(async function getRecipes({
   ingredients = [],
   ingredientsMatchType = "all",
   numberOfSteps = null,
+  excludeAllergens = [],
+  maxPrep = null,
+  maxCook = null,
+  maxTotalTime = null,
+  nutrition = {},
 }) {
   try {
     // Validate and normalize page number
@@ -83,9 +93,34 @@ export const getRecipes = cache(async function getRecipes({
       );
     }
 
-    // Fetch recipes with 5-minute cache
+    // Add excluded allergens to URL parameters if provided
+    if (Array.isArray(excludeAllergens)) {
+      excludeAllergens.forEach((allergen) => {
+        if (allergen?.trim()) {
+          urlParams.append("excludeAllergens[]", allergen.trim());
+        }
+      });
+    }
+
+    // Add time limits to URL parameters if valid
+    Object.entries({ maxPrep, maxCook, maxTotalTime }).forEach(
+      ([param, minutes]) => {
+        if (minutes !== null && !isNaN(minutes)) {
+          urlParams.append(param, Math.max(0, parseInt(minutes)).toString());
+        }
+      }
+    );
+
+    // Add nutrition ranges to URL parameters if provided
+    Object.entries(nutrition || {}).forEach(([param, value]) => {
+      if (value !== null && value !== "" && !isNaN(value)) {
+        urlParams.append(param, Number(value).toString());
+      }
+    });
+
+    // Fetch recipes with 5-minute cache, cleared when categories or tags change
     const response = await fetch(`${API_BASE_URL}/api/recipes?${urlParams}`, {
-      next: { revalidate: 300 },
+      next: { revalidate: 300, tags: ["recipes"] },
     });
 
     // Handle non-200 responses
@@ -126,9 +161,9 @@ export const getRecipeById = cache(async function getRecipeById(id) {
     // Validate recipe ID
     if (!id?.trim()) throw new Error("Recipe ID is required");
 
-    // Fetch recipe with 5-minute cache
+    // Fetch recipe with 5-minute cache, tagged so edits can revalidate it immediately
     const response = await fetch(`${API_BASE_URL}/api/recipes/${id.trim()}`, {
-      next: { revalidate: 300 },
+      next: { revalidate: 300, tags: ["recipes", `recipe-${id.trim()}`] },
     });
 
     // Handle errors
@@ -154,14 +189,42 @@ export const getRecipeById = cache(async function getRecipeById(id) {
 });
 
 /**
- * Fetches all available recipe categories
- * @returns {Promise<string[]>} Array of category names
+ * Fetches a recipe that is hidden from the public catalog (a private recipe or a submission
+ * awaiting moderation) on behalf of the signed-in visitor. The response is never cached.
+ * @param {string} id - Recipe ID
+ * @param {string} cookie - The visitor's cookie header, used to authenticate the request
+ * @returns {Promise<Object|null>} Recipe details, or null if the visitor may not see the recipe
+ */
+export async function getRestrictedRecipeById(id, cookie) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/recipes/${id.trim()}`, {
+      cache: "no-store",
+      headers: { cookie },
+    });
+
+    if (!response.ok) return null;
+
+    const data = await response.json();
+    return {
+      ...data,
+      _id: id,
+    };
+  } catch (error) {
+    console.error("Error fetching restricted recipe by ID:", error);
+    return null;
+  }
+}
+
+/**
+ * Fetches all available recipe categories with their description and icon
+ * @returns {Promise<Array<{name: string, description: string, icon: string|null, recipeCount: number}>>}
+ * Array of categories
  */
 export const getCategories = cache(async function getCategories() {
   try {
-    // Fetch categories with 5-minute cache
-    const response = await fetch(`${API_BASE_URL}/api/categories`, {
-      next: { revalidate: 300 },
+    // Fetch categories with 5-minute cache, cleared when a category changes
+    const response = await fetch(`${API_BASE_URL}/api/categories?details=true`, {
+      next: { revalidate: 300, tags: ["categories"] },
     });
 
     if (!response.ok) {
@@ -180,14 +243,15 @@ export const getCategories = cache(async function getCategories() {
 });
 
 /**
- * Fetches all available recipe tags
- * @returns {Promise<string[]>} Array of tag names
+ * Fetches all available recipe tags with their description and icon
+ * @returns {Promise<Array<{name: string, description: string, icon: string|null, recipeCount: number}>>}
+ * Array of tags
  */
 export const getTags = cache(async function getTags() {
   try {
-    // Fetch tags with 5-minute cache
-    const response = await fetch(`${API_BASE_URL}/api/tags`, {
-      next: { revalidate: 300 },
+    // Fetch tags with 5-minute cache, cleared when a tag changes
+    const response = await fetch(`${API_BASE_URL}/api/tags?details=true`, {
+      next: { revalidate: 300, tags: ["tags"] },
     });
 
     if (!response.ok) {
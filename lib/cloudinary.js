@@ -0,0 +1,37 @@
+/**
+ * Cloudinary image uploads.
+ *
+ * @module cloudinary
+ */
+import { v2 as cloudinary } from "cloudinary";
+
+// Configure Cloudinary with environment variables for secure image uploads
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+/**
+ * Uploads an image file to Cloudinary.
+ *
+ * @param {File} file - The image file from a form submission.
+ * @param {Object} options - Cloudinary upload options (folder, public_id, transformation, ...).
+ * @returns {Promise<Object>} The Cloudinary upload result, including `secure_url`.
+ */
+export const uploadImage = async (file, options) => {
+  // Convert image file to base64 for Cloudinary upload
+  const bytes = await file.arrayBuffer();
+  const base64Image = Buffer.from(bytes).toString("base64");
+
+  return new Promise((resolve, reject) => {
+    cloudinary.uploader.upload(
+      `data:${file.type};base64,${base64Image}`,
+      options,
+      (error, result) => {
+        if (error) reject(error);
+        else resolve(result);
+      }
+    );
+  });
+};
@@ -0,0 +1,175 @@
+/**
+ * Helpers for recipe collections (cookbooks).
+ *
+ * A collection belongs to one user and holds an ordered list of recipes, each with an optional
+ * note. Private collections are only visible to their owner, public ones to everyone, and
+ * link-shared ones to anyone who has the collection's share token (a random UUID created
+ * with the collection).
+ *
+ * @module collections
+ */
+
+/**
+ * Who can see a collection.
+ * @enum {string}
+ */
+export const COLLECTION_VISIBILITY = {
+  PRIVATE: "private",
+  PUBLIC: "public",
+  LINK: "link",
+};
+
+// Limits on collection fields
+const MAX_NAME_LENGTH = 80;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_NOTE_LENGTH = 1000;
+
+/**
+ * Maximum number of recipes in one collection.
+ * @type {number}
+ */
+export const MAX_COLLECTION_RECIPES = 500;
+
+/**
+ * Checks whether a user owns a collection.
+ *
+ * @param {Object} collection - The collection document.
+ * @param {Object|null} session - The NextAuth session.
+ * @returns {boolean} True if the signed-in user owns the collection.
+ */
+export const isCollectionOwner = (collection, session) =>
+  Boolean(session?.user?.id) && collection?.userId === session.user.id;
+
+/**
+ * Checks whether a collection can be shown to a user.
+ *
+ * @param {Object} collection - The collection document.
+ * @param {Object|null} session - The NextAuth session.
+ * @param {string|null} [token] - The share token from the link, if any.
+ * @returns {boolean} True if the collection is visible.
+ */
+export const canViewCollection = (collection, session, token = null) => {
+  if (isCollectionOwner(collection, session)) return true;
+  if (collection.visibility === COLLECTION_VISIBILITY.PUBLIC) return true;
+  return (
+    collection.visibility === COLLECTION_VISIBILITY.LINK &&
+    Boolean(token) &&
+    token === collection.shareToken
+  );
+};
+
+/**
+ * Trims and validates the editable collection fields, skipping those not given.
+ *
+ * @param {Object} input - The submitted fields.
+ * @param {string} [input.name] - The collection name.
+ * @param {string} [input.description] - The collection description.
+ * @param {string} [input.visibility] - The collection visibility.
+ * @returns {{values: Object, error: string|null}} The cleaned fields, or the first problem found.
+ */
+export const normalizeCollectionInput = (input) => {
+  const values = {};
+
+  if (input.name !== undefined) {
+    const name = typeof input.name === "string" ? input.name.trim() : "";
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      return {
+        values,
+        error: `Collection name must be 1-${MAX_NAME_LENGTH} characters`,
+      };
+    }
+    values.name = name;
+  }
+
+  if (input.description !== undefined) {
+    if (
+      typeof input.description !== "string" ||
+      input.description.trim().length > MAX_DESCRIPTION_LENGTH
+    ) {
+      return {
+        values,
+        error: `Description must be at most ${MAX_DESCRIPTION_LENGTH} characters`,
+      };
+    }
+    values.description = input.description.trim();
+  }
+
+  if (input.visibility !== undefined) {
+    if (!Object.values(COLLECTION_VISIBILITY).includes(input.visibility)) {
+      return {
+        values,
+        error: "Visibility must be 'private', 'public' or 'link'",
+      };
+    }
+    values.visibility = input.visibility;
+  }
+
+  return { values, error: null };
+};
+
+/**
+ * Trims and validates a note on a recipe in a collection.
+ *
+ * @param {*} note - The submitted note.
+ * @returns {string|null} The trimmed note, or null if it is invalid.
+ */
+export const normalizeRecipeNote = (note) => {
+  if (note === undefined || note === null) return "";
+  if (typeof note !== "string" || note.trim().length > MAX_NOTE_LENGTH) {
+    return null;
+  }
+  return note.trim();
+};
+
+/**
+ * Checks that a new recipe order contains exactly the recipes already in the collection.
+ *
+ * @param {Array<{recipeId: string}>} entries - The current recipe entries.
+ * @param {*} recipeIds - The submitted recipe IDs, in their new order.
+ * @returns {boolean} True if the order is a rearrangement of the current recipes.
+ */
+export const isValidRecipeOrder = (entries, recipeIds) => {
+  if (!Array.isArray(recipeIds) || recipeIds.length !== entries.length) {
+    return false;
+  }
+  const current = new Set(entries.map((entry) => entry.recipeId));
+  return (
+    new Set(recipeIds).size === recipeIds.length &&
+    recipeIds.every((id) => current.has(id))
+  );
+};
+
+/**
+ * Reorders a collection's recipe entries, keeping their notes.
+ *
+ * @param {Array<{recipeId: string}>} entries - The current recipe entries.
+ * @param {string[]} recipeIds - The recipe IDs in their new order.
+ * @returns {Array<Object>} The reordered entries.
+ */
+export const reorderEntries = (entries, recipeIds) => {
+  const byId = new Map(entries.map((entry) => [entry.recipeId, entry]));
+  return recipeIds.map((id) => byId.get(id));
+};
+
+/**
+ * Builds the summary of a collection shown in lists, without its recipe entries.
+ *
+ * @param {Object} collection - The collection document, with `firstImage` looked up from
+ * its first recipe when available.
+ * @param {string|null} [recipeId=null] - A recipe to report membership for, if any.
+ * @returns {Object} The collection summary.
+ */
+export const toCollectionSummary = (collection, recipeId = null) => ({
+  _id: collection._id,
+  name: collection.name,
+  description: collection.description,
+  visibility: collection.visibility,
+  coverImage: collection.coverImage || collection.firstImage || null,
+  recipeCount: collection.recipes?.length || 0,
+  updatedAt: collection.updatedAt,
+  ...(recipeId && {
+    containsRecipe: (collection.recipes || []).some(
+      (entry) => entry.recipeId === recipeId
+    ),
+  }),
+});
@@ -0,0 +1,214 @@
+/**
+ * Helpers for the cooking history ("I made this") log.
+ *
+ * Each entry records that a user cooked a recipe on a calendar day, with the servings made and
+ * an optional photo and rating. The recipe's title and category are copied onto the entry so
+ * the history still reads correctly if the recipe is renamed or deleted. Days are stored as
+ * `YYYY-MM-DD` strings in the user's own calendar, so streaks do not depend on time zones.
+ *
+ * @module cookLog
+ */
+import { isRecipeImageUrl } from "./recipeSchema";
+
+// Largest servings count accepted
+const MAX_SERVINGS = 100;
+
+// Number of months shown in the categories-per-month stats
+const STATS_MONTHS = 6;
+
+// Number of recipes listed in the most-cooked stats
+const MOST_COOKED_LIMIT = 5;
+
+// Milliseconds in one day
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Checks that a value is a real calendar day written as `YYYY-MM-DD`.
+ *
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value is a valid day.
+ */
+export const isValidCookDay = (value) => {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(value);
+};
+
+/**
+ * Gets the day after or before a calendar day.
+ *
+ * @param {string} day - The day as `YYYY-MM-DD`.
+ * @param {number} offset - The number of days to move.
+ * @returns {string} The new day as `YYYY-MM-DD`.
+ */
+const shiftDay = (day, offset) =>
+  new Date(new Date(`${day}T00:00:00Z`).getTime() + offset * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+
+/**
+ * Validates the fields of a cook log entry, skipping those not given.
+ *
+ * @param {Object} input - The submitted fields.
+ * @param {string} [input.cookedOn] - The day cooked, as `YYYY-MM-DD`.
+ * @param {number} [input.servings] - The servings made.
+ * @param {number|null} [input.rating] - A rating from 1 to 5, or null for none.
+ * @param {string|null} [input.photo] - An uploaded photo URL, or null for none.
+ * @param {string} [today] - Today's date as `YYYY-MM-DD`, defaulting to the server's date.
+ * @returns {{values: Object, error: string|null}} The cleaned fields, or the first problem found.
+ */
+export const normalizeCookLogInput = (
+  input,
+  today = new Date().toISOString().slice(0, 10)
+) => {
+  const values = {};
+
+  if (input.cookedOn !== undefined) {
+    // Allow a day of slack for users ahead of the server's time zone
+    if (
+      !isValidCookDay(input.cookedOn) ||
+      input.cookedOn > shiftDay(today, 1)
+    ) {
+      return {
+        values,
+        error: "Date must be a valid day that is not in the future",
+      };
+    }
+    values.cookedOn = input.cookedOn;
+  }
+
+  if (input.servings !== undefined) {
+    const servings = Number(input.servings);
+    if (
+      !Number.isInteger(servings) ||
+      servings < 1 ||
+      servings > MAX_SERVINGS
+    ) {
+      return {
+        values,
+        error: `Servings must be a whole number from 1 to ${MAX_SERVINGS}`,
+      };
+    }
+    values.servings = servings;
+  }
+
+  if (input.rating !== undefined) {
+    const rating = input.rating === null ? null : Number(input.rating);
+    if (
+      rating !== null &&
+      (!Number.isInteger(rating) || rating < 1 || rating > 5)
+    ) {
+      return { values, error: "Rating must be a whole number from 1 to 5" };
+    }
+    values.rating = rating;
+  }
+
+  if (input.photo !== undefined) {
+    if (input.photo !== null && !isRecipeImageUrl(input.photo)) {
+      return { values, error: "Photo must be an uploaded image" };
+    }
+    values.photo = input.photo;
+  }
+
+  return { values, error: null };
+};
+
+/**
+ * Finds the current and longest runs of consecutive days with at least one cook.
+ * The current streak still counts if the user has not cooked yet today.
+ *
+ * @param {string[]} days - The days cooked, as `YYYY-MM-DD`, in any order.
+ * @param {string} today - Today's date as `YYYY-MM-DD`.
+ * @returns {{current: number, longest: number}} The streak lengths in days.
+ */
+export const computeStreaks = (days, today) => {
+  const unique = [...new Set(days)].sort();
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+
+  unique.forEach((day) => {
+    run = previous && shiftDay(previous, 1) === day ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = day;
+  });
+
+  const cookedDays = new Set(unique);
+  let current = 0;
+  let day = cookedDays.has(today) ? today : shiftDay(today, -1);
+  while (cookedDays.has(day)) {
+    current += 1;
+    day = shiftDay(day, -1);
+  }
+
+  return { current, longest };
+};
+
+/**
+ * Builds the cooking stats shown on the profile page.
+ *
+ * @param {Array<{recipeId: string, recipeTitle: string, category: string, cookedOn: string}>}
+ * entries - All of the user's cook log entries.
+ * @param {string} today - Today's date as `YYYY-MM-DD`.
+ * @returns {{totalCooks: number, distinctRecipes: number,
+ * mostCooked: Array<{recipeId: string, title: string, count: number, lastCookedOn: string}>,
+ * categoriesByMonth: Array<{month: string, total: number, categories: Object<string, number>}>,
+ * streaks: {current: number, longest: number}}} The stats.
+ */
+export const computeCookStats = (entries, today) => {
+  const byRecipe = new Map();
+  entries.forEach((entry) => {
+    const stats = byRecipe.get(entry.recipeId) || {
+      recipeId: entry.recipeId,
+      title: entry.recipeTitle,
+      count: 0,
+      lastCookedOn: entry.cookedOn,
+    };
+    stats.count += 1;
+    if (entry.cookedOn >= stats.lastCookedOn) {
+      stats.lastCookedOn = entry.cookedOn;
+      stats.title = entry.recipeTitle;
+    }
+    byRecipe.set(entry.recipeId, stats);
+  });
+
+  const mostCooked = [...byRecipe.values()]
+    .sort(
+      (a, b) =>
+        b.count - a.count || b.lastCookedOn.localeCompare(a.lastCookedOn)
+    )
+    .slice(0, MOST_COOKED_LIMIT);
+
+  // The last few months, oldest first, including months with no cooking
+  const firstOfMonth = new Date(`${today.slice(0, 7)}-01T00:00:00Z`);
+  const categoriesByMonth = Array.from({ length: STATS_MONTHS }, (_, index) => {
+    const date = new Date(firstOfMonth);
+    date.setUTCMonth(date.getUTCMonth() - (STATS_MONTHS - 1 - index));
+    return { month: date.toISOString().slice(0, 7), total: 0, categories: {} };
+  });
+  const monthIndex = new Map(
+    categoriesByMonth.map((month, index) => [month.month, index])
+  );
+  entries.forEach((entry) => {
+    const index = monthIndex.get(entry.cookedOn.slice(0, 7));
+    if (index === undefined) return;
+
+    const month = categoriesByMonth[index];
+    const category = entry.category || "Uncategorized";
+    month.total += 1;
+    month.categories[category] = (month.categories[category] || 0) + 1;
+  });
+
+  return {
+    totalCooks: entries.length,
+    distinctRecipes: byRecipe.size,
+    mostCooked,
+    categoriesByMonth,
+    streaks: computeStreaks(
+      entries.map((entry) => entry.cookedOn),
+      today
+    ),
+  };
+};
@@ -0,0 +1,139 @@
+/**
+ * Helpers for cooking timers: finding durations in instruction text and formatting the time
+ * left on a timer.
+ *
+ * @module cookTimers
+ */
+
+// Seconds in each unit a step may mention, keyed by the unit's spellings
+const UNIT_SECONDS = {
+  second: 1,
+  sec: 1,
+  minute: 60,
+  min: 60,
+  hour: 3600,
+  hr: 3600,
+  h: 3600,
+};
+
+// Words used for small numbers in instructions
+const NUMBER_WORDS = {
+  a: 1,
+  an: 1,
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+  fifteen: 15,
+  twenty: 20,
+  thirty: 30,
+  forty: 40,
+  "forty-five": 45,
+  sixty: 60,
+};
+
+// A number: digits with an optional decimal or fraction, or a word
+const NUMBER = `(?:\\d+(?:\\.\\d+)?(?:\\s+\\d/\\d)?|\\d/\\d|½|${Object.keys(
+  NUMBER_WORDS
+).join("|")})`;
+
+// A duration such as "25 minutes", "1 1/2 hours", "10-15 mins" or "an hour"
+const DURATION_PATTERN = new RegExp(
+  `\\b(${NUMBER})(?:\\s*(?:-|–|to)\\s*(${NUMBER}))?\\s*(hours?|hrs?|h|minutes?|mins?|seconds?|secs?)\\b`,
+  "gi"
+);
+
+/**
+ * Reads a number written as digits, a fraction or a word.
+ *
+ * @param {string} text - The number.
+ * @returns {number} The value.
+ */
+const parseNumber = (text) => {
+  const value = text.toLowerCase().trim();
+  if (value in NUMBER_WORDS) return NUMBER_WORDS[value];
+  if (value === "½") return 0.5;
+
+  return value.split(/\s+/).reduce((sum, part) => {
+    const [numerator, denominator] = part.split("/").map(Number);
+    return sum + (denominator ? numerator / denominator : numerator);
+  }, 0);
+};
+
+/**
+ * Gets the number of seconds in a unit as written in a step.
+ *
+ * @param {string} unit - The unit, e.g. "minutes" or "hr".
+ * @returns {number} The seconds in one unit.
+ */
+const unitSeconds = (unit) => {
+  const singular = unit.toLowerCase().replace(/s$/, "");
+  return UNIT_SECONDS[singular] ?? UNIT_SECONDS[unit.toLowerCase()];
+};
+
+/**
+ * Finds the durations mentioned in an instruction, such as "bake for 25 minutes". For ranges
+ * like "10-15 minutes" the shorter time is used, so the cook can check early. Durations next
+ * to each other ("1 hour 15 minutes") are combined into one.
+ *
+ * @param {string} text - The instruction text.
+ * @returns {Array<{label: string, seconds: number}>} The durations found, in order.
+ */
+export const detectDurations = (text) => {
+  const durations = [];
+  let start = null;
+  let previousEnd = null;
+
+  for (const match of (text || "").matchAll(DURATION_PATTERN)) {
+    const seconds = Math.round(parseNumber(match[1]) * unitSeconds(match[3]));
+    if (!seconds) continue;
+
+    const last = durations[durations.length - 1];
+    const between = text.slice(previousEnd ?? 0, match.index);
+    if (last && previousEnd !== null && /^\s*(?:and\s*)?$/i.test(between)) {
+      last.seconds += seconds;
+      last.label = text.slice(start, match.index + match[0].length);
+    } else {
+      start = match.index;
+      durations.push({ label: match[0], seconds });
+    }
+    previousEnd = match.index + match[0].length;
+  }
+
+  return durations;
+};
+
+/**
+ * Formats a number of seconds as a clock, e.g. "4:05" or "1:02:30".
+ *
+ * @param {number} totalSeconds - The seconds.
+ * @returns {string} The formatted time.
+ */
+export const formatTimer = (totalSeconds) => {
+  const seconds = Math.max(0, Math.ceil(totalSeconds));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = String(seconds % 60).padStart(2, "0");
+
+  if (hours > 0) {
+    return `${hours}:${String(minutes).padStart(2, "0")}:${rest}`;
+  }
+  return `${minutes}:${rest}`;
+};
+
+/**
+ * Gets the seconds left on a timer.
+ *
+ * @param {Object} timer - The timer, with `endsAt` in milliseconds and `pausedRemaining` in
+ * seconds while paused.
+ * @param {number} now - The current time in milliseconds.
+ * @returns {number} The seconds left, 0 once it has finished.
+ */
+export const getRemainingSeconds = (timer, now) =>
+  timer.pausedRemaining ?? Math.max(0, (timer.endsAt - now) / 1000);
@@ -0,0 +1,74 @@
+/**
+ * Word-level text diffing, used to compare recipe versions.
+ *
+ * @module diff
+ */
+
+/**
+ * Splits text into word and whitespace tokens, so joining them restores the text.
+ *
+ * @param {string} text - The text to split.
+ * @returns {string[]} The tokens.
+ */
+const tokenize = (text) => (text ? String(text).split(/(\s+)/).filter(Boolean) : []);
+
+/**
+ * Computes a word-level diff between two texts using the longest common subsequence.
+ * Consecutive tokens of the same type are merged into one part.
+ *
+ * @param {string} oldText - The original text.
+ * @param {string} newText - The changed text.
+ * @returns {Array<{type: "equal"|"added"|"removed", text: string}>} The diff parts, in order.
+ *
+ * @example
+ * diffWords("a quick fox", "a slow fox");
+ * // [{ type: "equal", text: "a " }, { type: "removed", text: "quick" },
+ * //  { type: "added", text: "slow" }, { type: "equal", text: " fox" }]
+ */
+export const diffWords = (oldText, newText) => {
+  const oldTokens = tokenize(oldText);
+  const newTokens = tokenize(newText);
+
+  // lengths[i][j] = LCS length of oldTokens[i..] and newTokens[j..]
+  const lengths = Array.from({ length: oldTokens.length + 1 }, () =>
+    new Array(newTokens.length + 1).fill(0)
+  );
+  for (let i = oldTokens.length - 1; i >= 0; i--) {
+    for (let j = newTokens.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        oldTokens[i] === newTokens[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last?.type === type) {
+      last.text += text;
+    } else {
+      parts.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < oldTokens.length && j < newTokens.length) {
+    if (oldTokens[i] === newTokens[j]) {
+      push("equal", oldTokens[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push("removed", oldTokens[i]);
+      i++;
+    } else {
+      push("added", newTokens[j]);
+      j++;
+    }
+  }
+  oldTokens.slice(i).forEach((token) => push("removed", token));
+  newTokens.slice(j).forEach((token) => push("added", token));
+
+  return parts;
+};
@@ -1,14 +1,16 @@
 /**
- * Fetches and displays detailed information about a specific recipe.
- * Handles errors and displays fallback content if the recipe is not found or there is an error.
+ * Guesses the unit an ingredient is usually measured in from its name, for amounts written
+ * without one.
  *
- * @async
- * @param {Object} params - The parameters object.
- * @param {string} params.id - The ID of the recipe.
- * @returns {JSX.Element} A rendered recipe detail page.
+ * @module ingredientUnit
  */
 
-// Function to determine appropriate unit for an ingredient
+/**
+ * Gets the usual unit for an ingredient.
+ *
+ * @param {string} ingredient - The ingredient name.
+ * @returns {string} The unit, e.g. "g", "l" or "pc", or an empty string if none is known.
+ */
 export const getIngredientUnit = (ingredient) => {
   // Comprehensive and detailed unit mappings
   const unitMappings = {
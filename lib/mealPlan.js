@@ -0,0 +1,148 @@
+/**
+ * Shared helpers for weekly meal plans, used by both the meal plan API and the planner page.
+ *
+ * A meal plan belongs to one user and one week (identified by the Monday it starts on) and
+ * holds a list of slots, each placing a recipe at a day/meal with a number of servings.
+ *
+ * @module mealPlan
+ */
+
+import { parseServings, scaleIngredients } from "./quantity";
+import { mergeIngredients } from "./units";
+
+/**
+ * Meals that can be planned for each day, in display order.
+ * @type {string[]}
+ */
+export const MEAL_TYPES = ["breakfast", "lunch", "dinner"];
+
+/**
+ * Day labels, indexed from Monday (0) to Sunday (6).
+ * @type {string[]}
+ */
+export const DAYS = [
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+  "Sunday",
+];
+
+// Upper bound for servings in a single slot
+const MAX_SLOT_SERVINGS = 100;
+
+/**
+ * Formats a date as a "YYYY-MM-DD" string in local time.
+ *
+ * @param {Date} date - The date to format.
+ * @returns {string} The formatted date.
+ */
+export const formatDateKey = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Returns the Monday of the week containing a date, as a "YYYY-MM-DD" string.
+ *
+ * @param {Date} [date=new Date()] - Any date within the week.
+ * @returns {string} The week start date.
+ */
+export const getWeekStart = (date = new Date()) => {
+  const monday = new Date(date);
+  // getDay() is 0 for Sunday, so shift it to the end of the week
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+  return formatDateKey(monday);
+};
+
+/**
+ * Adds a number of weeks to a week start date.
+ *
+ * @param {string} weekStart - The week start date ("YYYY-MM-DD").
+ * @param {number} weeks - The number of weeks to add (may be negative).
+ * @returns {string} The new week start date.
+ */
+export const addWeeks = (weekStart, weeks) => {
+  const [year, month, day] = weekStart.split("-").map(Number);
+  return formatDateKey(new Date(year, month - 1, day + weeks * 7));
+};
+
+/**
+ * Checks that a week start is a valid "YYYY-MM-DD" date falling on a Monday.
+ *
+ * @param {string} weekStart - The value to check.
+ * @returns {boolean} True if the week start is valid.
+ */
+export const isValidWeekStart = (weekStart) => {
+  if (typeof weekStart !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(weekStart)) {
+    return false;
+  }
+  const date = new Date(`${weekStart}T00:00:00Z`);
+  return !isNaN(date) && date.getUTCDay() === 1;
+};
+
+/**
+ * Validates and normalizes the slots of a meal plan.
+ *
+ * @param {Array<Object>} slots - The slots to validate.
+ * @returns {{slots: Array<{day: number, meal: string, recipeId: string, servings: number}>}|{error: string}}
+ * The normalized slots, or an error message describing the first invalid slot.
+ */
+export const normalizeSlots = (slots) => {
+  if (!Array.isArray(slots)) {
+    return { error: "Slots must be an array" };
+  }
+
+  const normalized = [];
+  for (const slot of slots) {
+    const day = Number(slot?.day);
+    const servings = Number(slot?.servings);
+
+    if (!Number.isInteger(day) || day < 0 || day >= DAYS.length) {
+      return { error: "Slot day must be an integer from 0 (Monday) to 6 (Sunday)" };
+    }
+    if (!MEAL_TYPES.includes(slot.meal)) {
+      return { error: `Slot meal must be one of: ${MEAL_TYPES.join(", ")}` };
+    }
+    if (typeof slot.recipeId !== "string" || !slot.recipeId.trim()) {
+      return { error: "Slot recipeId is required" };
+    }
+    if (!Number.isFinite(servings) || servings <= 0 || servings > MAX_SLOT_SERVINGS) {
+      return { error: `Slot servings must be between 1 and ${MAX_SLOT_SERVINGS}` };
+    }
+
+    normalized.push({
+      day,
+      meal: slot.meal,
+      recipeId: slot.recipeId.trim(),
+      servings,
+    });
+  }
+
+  return { slots: normalized };
+};
+
+/**
+ * Builds the consolidated ingredients for a meal plan, scaling each recipe to the
+ * servings of its slot and merging repeated ingredients.
+ *
+ * @param {Array<Object>} slots - The meal plan slots.
+ * @param {Object<string, Object>} recipesById - The planned recipes keyed by ID.
+ * @returns {Object<string, string>} The merged ingredients keyed by name.
+ */
+export const buildMealPlanIngredients = (slots, recipesById) =>
+  mergeIngredients(
+    slots
+      .map((slot) => {
+        const recipe = recipesById[slot.recipeId];
+        if (!recipe) return null;
+        const originalServings = parseServings(recipe.servings);
+        return originalServings
+          ? scaleIngredients(recipe.ingredients, originalServings, slot.servings)
+          : recipe.ingredients;
+      })
+      .filter(Boolean)
+  );
@@ -3,7 +3,7 @@
  *
  * It includes the following functionality:
  * - Connecting to the MongoDB database
- * - Initializing and creating indexes for the "recipes" and "favorites" collections
+ * - Initializing and creating indexes for the "recipes", "favorites" and "meal_plans" collections
  * - Retrieving a user's favorite recipes
  * - Adding a new favorite recipe for a user
  * - Removing a favorite recipe for a user
@@ -13,6 +13,7 @@
  */
 
 import { MongoClient } from "mongodb";
+import { SEARCH_INDEX_WEIGHTS } from "./search";
 
 // Check if the required environment variable is set
 if (!process.env.MONGODB_URI) {
@@ -37,7 +38,57 @@ let client;
 let clientPromise;
 
 /**
- * Initialize the indexes for the "recipes" and "favorites" collections.
+ * Ensure the weighted text index used for recipe search covers every searchable field.
+ *
+ * Ingredient names are stored as object keys, which a text index cannot cover, so they are
+ * backfilled into an `ingredientNames` array first. An older version of the index that does
+ * not include every field is dropped, because MongoDB only allows one text index per collection.
+ *
+ * @param {Collection} recipes - The "recipes" collection.
+ * @returns {Promise<void>}
+ */
+async function ensureSearchIndex(recipes) {
+  await recipes.updateMany({ ingredientNames: { $exists: false } }, [
+    {
+      $set: {
+        ingredientNames: {
+          $map: {
+            input: { $objectToArray: { $ifNull: ["$ingredients", {}] } },
+            in: "$$this.k",
+          },
+        },
+      },
+    },
+  ]);
+
+  const indexes = await recipes.indexes();
+  const existing = indexes.find(
+    (index) => index.name === "recipe_search_index"
+  );
+  const isOutdated =
+    existing &&
+    Object.keys(SEARCH_INDEX_WEIGHTS).some(
+      (field) => existing.weights?.[field] !== SEARCH_INDEX_WEIGHTS[field]
+    );
+
+  if (isOutdated) {
+    await recipes.dropIndex("recipe_search_index");
+  }
+
+  await recipes.createIndex(
+    Object.fromEntries(
+      Object.keys(SEARCH_INDEX_WEIGHTS).map((field) => [field, "text"])
+    ),
+    {
+      weights: SEARCH_INDEX_WEIGHTS,
+      name: "recipe_search_index",
+      background: true,
+    }
+  );
+}
+
+/**
+ * Initialize the indexes for the "recipes", "favorites", "meal_plans" and "pantry_items" collections.
  *
  * @param {MongoClient} client - The MongoDB client instance.
  * @returns {Promise<void>}
@@ -49,19 +100,18 @@ async function initializeIndexes(client) {
     // Initialize recipe indexes
     const recipes = db.collection("recipes");
     await Promise.all([
-      recipes.createIndex(
-        { title: "text", description: "text", tags: "text" },
-        {
-          weights: { title: 10, description: 5, tags: 3 },
-          name: "recipe_search_index",
-          background: true,
-        }
-      ),
+      ensureSearchIndex(recipes),
       recipes.createIndex({ category: 1 }, { background: true }),
       recipes.createIndex({ tags: 1 }, { background: true }),
       recipes.createIndex({ "ingredients.name": 1 }, { background: true }),
       recipes.createIndex({ category: 1, createdAt: -1 }, { background: true }),
       recipes.createIndex({ averageRating: -1 }, { background: true }),
+      // User-submitted recipes, by owner and moderation queue
+      recipes.createIndex({ ownerId: 1, published: -1 }, { sparse: true }),
+      recipes.createIndex(
+        { moderationStatus: 1, submittedAt: 1 },
+        { sparse: true }
+      ),
     ]);
 
     // Initialize favorites indexes
@@ -71,6 +121,39 @@ async function initializeIndexes(client) {
       favorites.createIndex({ userId: 1, createdAt: -1 }),
     ]);
 
+    // Initialize meal plan indexes (one plan per user per week)
+    const mealPlans = db.collection("meal_plans");
+    await mealPlans.createIndex({ userId: 1, weekStart: 1 }, { unique: true });
+
+    // Initialize category and tag details indexes (one document per term)
+    const taxonomy = db.collection("taxonomy");
+    await taxonomy.createIndex({ type: 1, name: 1 }, { unique: true });
+
+    // Initialize pantry indexes (each ingredient once per user)
+    const pantryItems = db.collection("pantry_items");
+    await pantryItems.createIndex({ userId: 1, key: 1 }, { unique: true });
+
+    // Initialize recipe collection indexes (share tokens must not repeat)
+    const recipeCollections = db.collection("recipe_collections");
+    await Promise.all([
+      recipeCollections.createIndex({ userId: 1, updatedAt: -1 }),
+      recipeCollections.createIndex({ shareToken: 1 }, { unique: true }),
+    ]);
+
+    // Initialize private note indexes (one note per user on each recipe, step or ingredient)
+    const recipeNotes = db.collection("recipe_notes");
+    await recipeNotes.createIndex(
+      { userId: 1, recipeId: 1, target: 1, key: 1 },
+      { unique: true }
+    );
+
+    // Initialize cooking history indexes (timeline and per-recipe counts)
+    const cookLog = db.collection("cook_log");
+    await Promise.all([
+      cookLog.createIndex({ userId: 1, cookedOn: -1, createdAt: -1 }),
+      cookLog.createIndex({ userId: 1, recipeId: 1 }),
+    ]);
+
     console.log("Indexes initialized successfully");
   } catch (error) {
     console.error("Index initialization error:", error);
@@ -0,0 +1,192 @@
+/**
+ * Nutrition helpers shared by the recipes API, the nutrition facts panel and the recipe filters.
+ *
+ * Recipes store `nutrition` as an object of strings (e.g. `{ calories: "170.9" }`) describing
+ * one serving. These helpers normalize the values to numbers, scale them to any number of
+ * servings and express them as a percentage of a daily-value reference.
+ *
+ * @module nutrition
+ */
+
+/**
+ * Known nutrients, in display order, with their labels and units.
+ * @type {Object<string, {label: string, unit: string}>}
+ */
+export const NUTRIENTS = {
+  calories: { label: "Calories", unit: "kcal" },
+  fat: { label: "Fat", unit: "g" },
+  saturated: { label: "Saturated Fat", unit: "g" },
+  sodium: { label: "Sodium", unit: "mg" },
+  carbohydrates: { label: "Carbohydrates", unit: "g" },
+  fiber: { label: "Fiber", unit: "g" },
+  sugar: { label: "Sugar", unit: "g" },
+  protein: { label: "Protein", unit: "g" },
+};
+
+/**
+ * Calorie levels offered as daily-value references.
+ * @type {number[]}
+ */
+export const DAILY_CALORIE_OPTIONS = [1500, 2000, 2500];
+
+/**
+ * Default calorie level for daily values.
+ * @type {number}
+ */
+export const DEFAULT_DAILY_CALORIES = 2000;
+
+// Daily values for a 2,000 kcal diet (FDA reference values)
+const BASE_DAILY_VALUES = {
+  calories: 2000,
+  fat: 78,
+  saturated: 20,
+  sodium: 2300,
+  carbohydrates: 275,
+  fiber: 28,
+  sugar: 50,
+  protein: 50,
+};
+
+// Nutrients whose daily value does not depend on energy intake
+const FIXED_DAILY_VALUES = ["sodium"];
+
+/**
+ * Returns the daily values for a calorie level. Energy-dependent nutrients scale with
+ * the calorie level; the rest keep their 2,000 kcal reference value.
+ *
+ * @param {number} [calories=DEFAULT_DAILY_CALORIES] - The daily calorie reference.
+ * @returns {Object<string, number>} The daily value of each nutrient.
+ */
+export const getDailyValues = (calories = DEFAULT_DAILY_CALORIES) => {
+  const factor =
+    Number.isFinite(calories) && calories > 0
+      ? calories / BASE_DAILY_VALUES.calories
+      : 1;
+
+  return Object.fromEntries(
+    Object.entries(BASE_DAILY_VALUES).map(([nutrient, value]) => [
+      nutrient,
+      FIXED_DAILY_VALUES.includes(nutrient) ? value : value * factor,
+    ])
+  );
+};
+
+/**
+ * Converts a recipe's nutrition values to numbers, dropping values that cannot be parsed.
+ *
+ * @param {Object<string, string|number>} nutrition - The raw nutrition object.
+ * @returns {Object<string, number>} The numeric nutrition values per serving.
+ */
+export const normalizeNutrition = (nutrition) => {
+  if (!nutrition || typeof nutrition !== "object" || Array.isArray(nutrition)) {
+    return {};
+  }
+
+  const normalized = {};
+  Object.entries(nutrition).forEach(([nutrient, value]) => {
+    const number =
+      typeof value === "number" ? value : parseFloat(String(value).replace(/,/g, ""));
+    if (Number.isFinite(number)) {
+      normalized[nutrient] = number;
+    }
+  });
+
+  return normalized;
+};
+
+/**
+ * Builds the rows of a nutrition facts table.
+ *
+ * @param {Object<string, number>} perServing - Normalized nutrition values for one serving.
+ * @param {Object} [options] - Table options.
+ * @param {number} [options.servings=1] - Number of servings to total.
+ * @param {number} [options.dailyCalories=DEFAULT_DAILY_CALORIES] - Daily-value calorie reference.
+ * @returns {Array<{key: string, label: string, unit: string, perServing: number, total: number, dailyValue: number|null}>}
+ * One row per nutrient, with `dailyValue` as the percentage of the daily value in one serving.
+ */
+export const getNutritionFacts = (
+  perServing,
+  { servings = 1, dailyCalories = DEFAULT_DAILY_CALORIES } = {}
+) => {
+  const dailyValues = getDailyValues(dailyCalories);
+
+  return Object.entries(perServing).map(([key, value]) => ({
+    key,
+    label: NUTRIENTS[key]?.label || key,
+    unit: NUTRIENTS[key]?.unit || "",
+    perServing: value,
+    total: value * servings,
+    dailyValue: dailyValues[key]
+      ? Math.round((value / dailyValues[key]) * 100)
+      : null,
+  }));
+};
+
+/**
+ * Returns the names of the `min`/`max` query parameters accepted for a nutrient,
+ * e.g. `minProtein` and `maxProtein` for "protein".
+ *
+ * @param {string} nutrient - The nutrient key.
+ * @returns {{min: string, max: string}} The parameter names.
+ */
+export const getNutritionParamNames = (nutrient) => {
+  const name = nutrient.charAt(0).toUpperCase() + nutrient.slice(1);
+  return { min: `min${name}`, max: `max${name}` };
+};
+
+/**
+ * Reads nutrition range filters (e.g. `maxCalories`, `minProtein`) from search parameters.
+ *
+ * @param {URLSearchParams} searchParams - The request search parameters.
+ * @returns {Object<string, {min?: number, max?: number}>} The ranges keyed by nutrient.
+ */
+export const parseNutritionRanges = (searchParams) => {
+  const ranges = {};
+
+  Object.keys(NUTRIENTS).forEach((nutrient) => {
+    const names = getNutritionParamNames(nutrient);
+    const min = parseFloat(searchParams.get(names.min));
+    const max = parseFloat(searchParams.get(names.max));
+
+    if (Number.isFinite(min) || Number.isFinite(max)) {
+      ranges[nutrient] = {
+        ...(Number.isFinite(min) && { min }),
+        ...(Number.isFinite(max) && { max }),
+      };
+    }
+  });
+
+  return ranges;
+};
+
+/**
+ * Builds query conditions for nutrition ranges. Stored values are strings, so each one is
+ * converted to a number first; recipes without a usable value never match a range.
+ *
+ * @param {Object<string, {min?: number, max?: number}>} ranges - The ranges keyed by nutrient.
+ * @returns {Object[]} Conditions to combine with `$and`.
+ */
+export const buildNutritionFilters = (ranges) =>
+  Object.entries(ranges).map(([nutrient, { min, max }]) => ({
+    $expr: {
+      $let: {
+        vars: {
+          value: {
+            $convert: {
+              input: `$nutrition.${nutrient}`,
+              to: "double",
+              onError: null,
+              onNull: null,
+            },
+          },
+        },
+        in: {
+          $and: [
+            { $ne: ["$$value", null] },
+            ...(min !== undefined ? [{ $gte: ["$$value", min] }] : []),
+            ...(max !== undefined ? [{ $lte: ["$$value", max] }] : []),
+          ],
+        },
+      },
+    },
+  }));
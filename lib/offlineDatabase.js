@@ -0,0 +1,99 @@
+/**
+ * The app's IndexedDB database, holding everything kept in the browser for offline use.
+ *
+ * The service worker opens the same database (see public/service-worker.js), so the name,
+ * version and upgrade steps there must match these.
+ *
+ * Only usable in the browser.
+ *
+ * @module offlineDatabase
+ */
+
+const DB_NAME = "culinary-haven";
+const DB_VERSION = 3;
+
+/**
+ * Object stores in the database.
+ * @enum {string}
+ */
+export const STORES = {
+  // Recipes downloaded for offline use, keyed by recipe ID
+  RECIPES: "downloadedRecipes",
+  // Changes made while offline, waiting to be sent, keyed by an increasing number
+  OUTBOX: "outbox",
+  // The last copy of each user's shopping lists, keyed by user ID
+  SHOPPING_LISTS: "shoppingLists",
+};
+
+// Shared connection, opened on first use
+let databasePromise = null;
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ *
+ * @param {IDBRequest} request - The request.
+ * @returns {Promise<*>} The request's result.
+ */
+export const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Opens the database, creating or upgrading its stores as needed.
+ *
+ * @returns {Promise<IDBDatabase>} The open database.
+ */
+export const openDatabase = () => {
+  if (!databasePromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      if (event.oldVersion < 1) {
+        const recipes = db.createObjectStore(STORES.RECIPES, {
+          keyPath: "id",
+        });
+        recipes.createIndex("downloadedAt", "downloadedAt");
+      }
+      if (event.oldVersion < 2) {
+        db.createObjectStore(STORES.OUTBOX, {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+      }
+      if (event.oldVersion < 3) {
+        db.createObjectStore(STORES.SHOPPING_LISTS, { keyPath: "userId" });
+      }
+    };
+
+    databasePromise = promisify(request)
+      .then((db) => {
+        // Let a newer version of the app in another tab upgrade the database
+        db.onversionchange = () => {
+          db.close();
+          databasePromise = null;
+        };
+        return db;
+      })
+      .catch((error) => {
+        databasePromise = null;
+        throw error;
+      });
+  }
+  return databasePromise;
+};
+
+/**
+ * Runs a request against one store.
+ *
+ * @param {string} storeName - One of STORES.
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite".
+ * @param {Function} operation - Receives the store and returns a request.
+ * @returns {Promise<*>} The request's result.
+ */
+export const withStore = async (storeName, mode, operation) => {
+  const db = await openDatabase();
+  const store = db.transaction(storeName, mode).objectStore(storeName);
+  return promisify(operation(store));
+};
@@ -0,0 +1,285 @@
+/**
+ * Browser storage for recipes downloaded for offline use.
+ *
+ * Each recipe is its own record in IndexedDB, keyed by recipe ID, so saving or removing one
+ * recipe never rewrites the others. Recipe images are kept in a Cache Storage cache that the
+ * service worker serves them from while offline. Downloads saved by older versions of the app
+ * as one localStorage list are moved here the first time the store is opened.
+ *
+ * Only usable in the browser.
+ *
+ * @module offlineStore
+ */
+
+import { matchesSearchQuery } from "@/lib/search";
+import { openDatabase, withStore, STORES } from "@/lib/offlineDatabase";
+
+// localStorage key that held every download before the IndexedDB store
+const LEGACY_STORAGE_KEY = "downloadedRecipes";
+
+/**
+ * Cache holding the images of downloaded recipes. public/service-worker.js reads the same
+ * cache, so the two names must match.
+ * @const {string}
+ */
+export const IMAGE_CACHE = "offline-recipe-images";
+
+/**
+ * Window event dispatched whenever downloads are added, changed or removed.
+ * @const {string}
+ */
+export const DOWNLOADS_CHANGED_EVENT = "recipesDownloaded";
+
+/**
+ * Ways downloaded recipes can be sorted, each with its comparison.
+ * @const {Object<string, {label: string, compare: Function}>}
+ */
+export const DOWNLOAD_SORTS = {
+  recent: {
+    label: "Recently downloaded",
+    compare: (a, b) =>
+      (b.downloadedAt || "").localeCompare(a.downloadedAt || ""),
+  },
+  title: {
+    label: "Title (A-Z)",
+    compare: (a, b) => (a.title || "").localeCompare(b.title || ""),
+  },
+  quickest: {
+    label: "Quickest to make",
+    compare: (a, b) =>
+      (a.prep || 0) + (a.cook || 0) - (b.prep || 0) - (b.cook || 0),
+  },
+};
+
+// Move of old downloads, started on first use
+let migrationPromise = null;
+
+/**
+ * Gets the key a recipe is stored under. Database recipes use `_id`; `id` is kept for
+ * downloads saved before recipes had one.
+ *
+ * @param {Object} recipe - The recipe.
+ * @returns {string|undefined} The recipe's key.
+ */
+export const getDownloadKey = (recipe) => recipe?._id || recipe?.id;
+
+/**
+ * Moves downloads saved in localStorage by older versions of the app into IndexedDB.
+ *
+ * @param {IDBDatabase} db - The open database.
+ * @returns {Promise<void>}
+ */
+const migrateLegacyDownloads = async (db) => {
+  const saved = localStorage.getItem(LEGACY_STORAGE_KEY);
+  if (!saved) return;
+
+  try {
+    const recipes = JSON.parse(saved)
+      .map((r) => (typeof r === "string" ? JSON.parse(r) : r))
+      .filter((recipe) => getDownloadKey(recipe));
+
+    const transaction = db.transaction(STORES.RECIPES, "readwrite");
+    recipes.forEach((recipe) => {
+      transaction
+        .objectStore(STORES.RECIPES)
+        .put({ ...recipe, id: getDownloadKey(recipe) });
+    });
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
+    recipes.forEach((recipe) => cacheRecipeImages(recipe));
+  } catch (error) {
+    // Leave the old data in place so the move is tried again next time
+    console.error("Error moving downloads to IndexedDB:", error);
+  }
+};
+
+/**
+ * Runs a request against the downloaded recipes, once old downloads have been moved in.
+ *
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite".
+ * @param {Function} operation - Receives the store and returns a request.
+ * @returns {Promise<*>} The request's result.
+ */
+const withRecipes = async (mode, operation) => {
+  if (!migrationPromise) {
+    migrationPromise = openDatabase()
+      .then(migrateLegacyDownloads)
+      .catch((error) => {
+        migrationPromise = null;
+        throw error;
+      });
+  }
+  await migrationPromise;
+  return withStore(STORES.RECIPES, mode, operation);
+};
+
+/**
+ * Tells the rest of the page that downloads changed.
+ */
+const notifyChange = () => {
+  window.dispatchEvent(new Event(DOWNLOADS_CHANGED_EVENT));
+};
+
+/**
+ * Gets the absolute URLs of a recipe's images, as the service worker sees them.
+ *
+ * @param {Object} recipe - The recipe.
+ * @returns {string[]} The image URLs.
+ */
+const getImageUrls = (recipe) =>
+  (Array.isArray(recipe?.images) ? recipe.images : [])
+    .filter((image) => typeof image === "string" && image)
+    .map((image) => new URL(image, window.location.origin).href);
+
+/**
+ * Saves a recipe's images for offline use. Images from hosts that do not allow cross-origin
+ * reads are stored as opaque responses, which still display but count more towards the quota.
+ *
+ * @param {Object} recipe - The recipe.
+ * @returns {Promise<void>}
+ */
+export const cacheRecipeImages = async (recipe) => {
+  if (!("caches" in window)) return;
+
+  const cache = await caches.open(IMAGE_CACHE);
+  await Promise.all(
+    getImageUrls(recipe).map(async (url) => {
+      if (await cache.match(url)) return;
+      try {
+        const response = await fetch(url, { mode: "cors" }).catch(() =>
+          fetch(url, { mode: "no-cors" })
+        );
+        if (response.ok || response.type === "opaque") {
+          await cache.put(url, response);
+        }
+      } catch (error) {
+        console.error("Error caching recipe image:", error);
+      }
+    })
+  );
+};
+
+/**
+ * Removes a deleted recipe's images, except those still used by another download.
+ *
+ * @param {Object} recipe - The deleted recipe.
+ * @returns {Promise<void>}
+ */
+const removeRecipeImages = async (recipe) => {
+  if (!("caches" in window)) return;
+
+  const remaining = await getAllDownloads();
+  const stillUsed = new Set(remaining.flatMap(getImageUrls));
+  const cache = await caches.open(IMAGE_CACHE);
+  await Promise.all(
+    getImageUrls(recipe)
+      .filter((url) => !stillUsed.has(url))
+      .map((url) => cache.delete(url))
+  );
+};
+
+/**
+ * Gets every downloaded recipe.
+ *
+ * @returns {Promise<Array<Object>>} The downloaded recipes.
+ */
+export const getAllDownloads = () =>
+  withRecipes("readonly", (store) => store.getAll());
+
+/**
+ * Gets one downloaded recipe.
+ *
+ * @param {string} id - The recipe's ID.
+ * @returns {Promise<Object|undefined>} The downloaded recipe, if there is one.
+ */
+export const getDownload = (id) =>
+  withRecipes("readonly", (store) => store.get(id));
+
+/**
+ * Saves a recipe for offline use, replacing any earlier copy, and caches its images.
+ *
+ * @param {Object} recipe - The recipe to save. Its `_id` or `id` is used as the key.
+ * @returns {Promise<Object>} The saved record.
+ */
+export const saveDownload = async (recipe) => {
+  const record = { ...recipe, id: getDownloadKey(recipe) };
+  await withRecipes("readwrite", (store) => store.put(record));
+
+  // Ask the browser not to clear downloads when space runs low
+  navigator.storage?.persist?.().catch(() => {});
+  await cacheRecipeImages(record).catch((error) =>
+    console.error("Error caching recipe images:", error)
+  );
+  notifyChange();
+  return record;
+};
+
+/**
+ * Changes some fields of a downloaded recipe, if it was downloaded.
+ *
+ * @param {string} id - The recipe's ID.
+ * @param {Object} changes - The fields to change.
+ * @returns {Promise<boolean>} True if the recipe was downloaded and has been updated.
+ */
+export const updateDownload = async (id, changes) => {
+  const existing = await getDownload(id);
+  if (!existing) return false;
+
+  await withRecipes("readwrite", (store) =>
+    store.put({ ...existing, ...changes })
+  );
+  notifyChange();
+  return true;
+};
+
+/**
+ * Deletes a downloaded recipe and any of its images no other download uses.
+ *
+ * @param {string} id - The recipe's ID.
+ * @returns {Promise<void>}
+ */
+export const deleteDownload = async (id) => {
+  const existing = await getDownload(id);
+  await withRecipes("readwrite", (store) => store.delete(id));
+  notifyChange();
+  if (existing) await removeRecipeImages(existing);
+};
+
+/**
+ * Reports how much browser storage the app uses and how much it may use.
+ *
+ * @returns {Promise<{usage: number, quota: number, persisted: boolean}|null>} Sizes in bytes,
+ * and whether the browser has agreed not to clear the data, or null if it cannot tell.
+ */
+export const getStorageEstimate = async () => {
+  if (!navigator.storage?.estimate) return null;
+
+  const [{ usage = 0, quota = 0 }, persisted] = await Promise.all([
+    navigator.storage.estimate(),
+    navigator.storage.persisted?.() ?? false,
+  ]);
+  return { usage, quota, persisted };
+};
+
+/**
+ * Searches, filters and sorts downloaded recipes.
+ *
+ * @param {Array<Object>} recipes - The downloaded recipes.
+ * @param {Object} [options] - How to filter them.
+ * @param {string} [options.query] - A search query, as accepted by the recipe search.
+ * @param {string} [options.category] - Only recipes in this category.
+ * @param {string} [options.sort="recent"] - One of DOWNLOAD_SORTS.
+ * @returns {Array<Object>} The matching recipes.
+ */
+export const filterDownloads = (
+  recipes,
+  { query = "", category = "", sort = "recent" } = {}
+) =>
+  recipes
+    .filter((recipe) => !category || recipe.category === category)
+    .filter((recipe) => matchesSearchQuery(recipe, query))
+    .sort((DOWNLOAD_SORTS[sort] || DOWNLOAD_SORTS.recent).compare);
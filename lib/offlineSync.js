@@ -0,0 +1,123 @@
+/**
+ * Keeps downloaded recipes up to date with the server.
+ *
+ * Each download keeps the `lastModified` and `updateCount` of the version it was taken from.
+ * The server reports which of them have been edited since, and those are downloaded again,
+ * keeping the user's notes and the original download time. Downloads of recipes that were
+ * deleted or can no longer be seen are kept, marked with `unavailableAt`, and the user is told
+ * about them once. The service worker runs the same
+ * check in the background (see public/service-worker.js) when periodic sync is available.
+ *
+ * Only usable in the browser.
+ *
+ * @module offlineSync
+ */
+
+import {
+  getAllDownloads,
+  saveDownload,
+  updateDownload,
+} from "@/lib/offlineStore";
+import { getVersionStamp, listChangedFields } from "@/lib/recipeVersions";
+import { getWorkerRegistration } from "@/lib/serviceWorker";
+
+/**
+ * Periodic sync tag the service worker refreshes downloads under.
+ * @const {string}
+ */
+export const SYNC_TAG = "refresh-downloads";
+
+// Shortest interval the browser is asked to refresh downloads in the background
+const PERIODIC_SYNC_INTERVAL_MS = 12 * 60 * 60 * 1000;
+
+/**
+ * Checks every downloaded recipe against the server, downloads again those that changed and
+ * marks those that are no longer available.
+ *
+ * @returns {Promise<{updates: Array<{id: string, title: string, changes: string[],
+ * updatedBy: string[]}>, unavailable: string[]}>} The refreshed recipes, with the fields that
+ * changed and who changed them, and the titles of the recipes newly found unavailable.
+ */
+export const syncDownloads = async () => {
+  const copies = await getAllDownloads();
+  if (copies.length === 0) return { updates: [], unavailable: [] };
+
+  const response = await fetch("/api/recipes/sync", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      recipes: copies.map((copy) => ({
+        id: copy.id,
+        ...getVersionStamp(copy),
+      })),
+    }),
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error);
+
+  const copiesById = new Map(copies.map((copy) => [copy.id, copy]));
+  const updates = [];
+
+  for (const { id, updatedBy } of data.stale) {
+    const recipeResponse = await fetch(`/api/recipes/${id}`);
+    if (!recipeResponse.ok) continue;
+
+    const recipe = await recipeResponse.json();
+    const copy = copiesById.get(id);
+    await saveDownload({
+      ...recipe,
+      downloadedAt: copy.downloadedAt,
+      personalNotes: copy.personalNotes,
+      syncedAt: new Date().toISOString(),
+    });
+    updates.push({
+      id,
+      title: recipe.title,
+      changes: listChangedFields(copy, recipe),
+      updatedBy,
+    });
+  }
+
+  const missing = new Set(data.missing);
+  const unavailable = [];
+  for (const copy of copies) {
+    if (missing.has(copy.id) && !copy.unavailableAt) {
+      await updateDownload(copy.id, {
+        unavailableAt: new Date().toISOString(),
+      });
+      unavailable.push(copy.title);
+    } else if (!missing.has(copy.id) && copy.unavailableAt) {
+      // Visible again, e.g. after signing back in
+      await updateDownload(copy.id, { unavailableAt: null });
+    }
+  }
+
+  return { updates, unavailable };
+};
+
+/**
+ * Asks the browser to refresh downloads in the background now and then, even while the app
+ * is closed. Only browsers that support periodic background sync, usually for installed
+ * apps, will do so.
+ *
+ * @returns {Promise<boolean>} True if periodic sync was registered.
+ */
+export const registerPeriodicSync = async () => {
+  const registration = await getWorkerRegistration();
+  if (!registration?.periodicSync) return false;
+
+  try {
+    const { state } = await navigator.permissions.query({
+      name: "periodic-background-sync",
+    });
+    if (state !== "granted") return false;
+
+    await registration.periodicSync.register(SYNC_TAG, {
+      minInterval: PERIODIC_SYNC_INTERVAL_MS,
+    });
+    return true;
+  } catch (error) {
+    console.error("Error registering periodic sync:", error);
+    return false;
+  }
+};
@@ -0,0 +1,309 @@
+/**
+ * Outbox for changes made while offline.
+ *
+ * Changes to favorites, reviews and shopping lists that cannot reach the server are saved in
+ * IndexedDB and sent later, oldest first, once the connection is back. Where Background Sync
+ * is supported the service worker sends them, even after the app is closed (see
+ * public/service-worker.js); elsewhere the page sends them when it comes back online.
+ *
+ * By the time a change is sent the server may have moved on. A change whose target is gone,
+ * such as removing an item someone already removed, counts as done. A change the server
+ * refuses for any other reason is dropped and kept as a conflict to show the user. Server and
+ * network errors leave the change queued and stop the replay, so later changes are never
+ * applied before earlier ones.
+ *
+ * Each change records the user who made it and is only sent under that user's session;
+ * changes left by another user on the same device are dropped, and signing out clears the
+ * outbox.
+ *
+ * Only usable in the browser.
+ *
+ * @module outbox
+ */
+
+import { withStore, STORES } from "@/lib/offlineDatabase";
+import { getWorkerRegistration } from "@/lib/serviceWorker";
+
+/**
+ * Background Sync tag the service worker sends queued changes under.
+ * @const {string}
+ */
+export const OUTBOX_SYNC_TAG = "outbox";
+
+/**
+ * Window event dispatched whenever changes are queued, sent or dismissed.
+ * @const {string}
+ */
+export const OUTBOX_CHANGED_EVENT = "outboxChanged";
+
+/**
+ * Window event dispatched after queued changes were sent, so pages can reload their data.
+ * The event detail is the replay summary.
+ * @const {string}
+ */
+export const OUTBOX_REPLAYED_EVENT = "outboxReplayed";
+
+// localStorage key remembering the signed-in user, so changes queued offline record them
+const USER_STORAGE_KEY = "outboxUserId";
+
+/**
+ * States of an outbox entry.
+ * @enum {string}
+ */
+export const OUTBOX_STATUS = {
+  PENDING: "pending",
+  CONFLICT: "conflict",
+};
+
+/**
+ * What happened to a queued change, by the status the server answered with.
+ *
+ * @param {number} status - The HTTP status of the response.
+ * @returns {"sent"|"gone"|"conflict"|"retry"} "sent" if it was applied, "gone" if its target
+ * no longer exists, "conflict" if the server refused it, or "retry" to try again later. A
+ * signed-out user (401) is retried, so changes are kept until they sign in again.
+ */
+export const getReplayOutcome = (status) => {
+  if (status >= 200 && status < 300) return "sent";
+  if (status === 404 || status === 410) return "gone";
+  if (status === 401 || status === 408 || status === 429) return "retry";
+  if (status >= 400 && status < 500) return "conflict";
+  return "retry";
+};
+
+/**
+ * Remembers the signed-in user, whose ID is recorded on the changes they queue.
+ *
+ * @param {string} userId - The user's ID.
+ */
+export const setOutboxUser = (userId) => {
+  localStorage.setItem(USER_STORAGE_KEY, userId);
+};
+
+/**
+ * Gets the ID of the user whose session the server sees now.
+ *
+ * @returns {Promise<string|null>} The user's ID, or null if no one is signed in or the server
+ * cannot be reached.
+ */
+const fetchSessionUserId = async () => {
+  try {
+    const response = await fetch("/api/auth/session");
+    if (!response.ok) return null;
+    const session = await response.json();
+    return session?.user?.id ?? null;
+  } catch {
+    return null;
+  }
+};
+
+// Whether this page is sending queued changes
+let isReplaying = false;
+
+// Whether changes were queued while this page was sending, so it must send again
+let isReplayRequested = false;
+
+/**
+ * Tells the rest of the page that the outbox changed.
+ */
+const notifyChange = () => {
+  window.dispatchEvent(new Event(OUTBOX_CHANGED_EVENT));
+};
+
+/**
+ * Gets every entry in the outbox, oldest first.
+ *
+ * @returns {Promise<Array<Object>>} The queued changes and unresolved conflicts.
+ */
+export const getOutboxEntries = () =>
+  withStore(STORES.OUTBOX, "readonly", (store) => store.getAll());
+
+/**
+ * Asks the service worker to send queued changes once the connection is back.
+ *
+ * @returns {Promise<boolean>} True if Background Sync will send them; otherwise the page must
+ * call replayOutbox itself.
+ */
+export const scheduleReplay = async () => {
+  const registration = await getWorkerRegistration();
+  if (!registration?.sync) return false;
+
+  try {
+    await registration.sync.register(OUTBOX_SYNC_TAG);
+    return true;
+  } catch (error) {
+    console.error("Error registering background sync:", error);
+    return false;
+  }
+};
+
+/**
+ * Saves a change to be sent later.
+ *
+ * @param {string} url - The API URL.
+ * @param {Object} options - The fetch options: `method`, `headers` and a string `body`.
+ * @param {string} label - What the change does, shown to the user, e.g. "Remove Milk".
+ * @returns {Promise<void>}
+ */
+export const queueRequest = async (
+  url,
+  { method, headers = {}, body },
+  label
+) => {
+  await withStore(STORES.OUTBOX, "readwrite", (store) =>
+    store.add({
+      url,
+      method,
+      headers,
+      body: body ?? null,
+      label,
+      userId: localStorage.getItem(USER_STORAGE_KEY),
+      status: OUTBOX_STATUS.PENDING,
+      createdAt: new Date().toISOString(),
+    })
+  );
+  notifyChange();
+
+  // Without Background Sync nothing else sends the change while the app stays online
+  if (!(await scheduleReplay()) && navigator.onLine) {
+    replayOutbox();
+  }
+};
+
+/**
+ * Sends a change to the server, or queues it if the app is offline. Changes are also queued
+ * while earlier ones are still waiting, so they reach the server in order.
+ *
+ * @param {string} url - The API URL.
+ * @param {Object} options - The fetch options: `method`, `headers` and a string `body`.
+ * @param {string} label - What the change does, shown to the user, e.g. "Remove Milk".
+ * @returns {Promise<{queued: boolean, response: Response|null}>} The server's response, or
+ * `queued` if the change will be sent later.
+ */
+export const sendOrQueue = async (url, options, label) => {
+  const entries = await getOutboxEntries().catch(() => []);
+  const hasPending = entries.some(
+    (entry) => entry.status === OUTBOX_STATUS.PENDING
+  );
+
+  if (navigator.onLine && !hasPending) {
+    try {
+      return { queued: false, response: await fetch(url, options) };
+    } catch (error) {
+      // A TypeError means the request never reached the server
+      if (!(error instanceof TypeError)) throw error;
+    }
+  }
+
+  await queueRequest(url, options, label);
+  return { queued: true, response: null };
+};
+
+/**
+ * Sends queued changes, oldest first, stopping at the first that cannot be sent yet. Nothing
+ * is sent while no one is signed in, and changes queued by another user are dropped.
+ *
+ * @returns {Promise<{sent: number, gone: number, conflicts: number, remaining: number}>}
+ * How many changes were applied, were no longer needed, were refused, and are still waiting.
+ */
+export const replayOutbox = async () => {
+  const summary = { sent: 0, gone: 0, conflicts: 0, remaining: 0 };
+  if (isReplaying) {
+    isReplayRequested = true;
+    return summary;
+  }
+  isReplaying = true;
+  isReplayRequested = false;
+
+  try {
+    const pending = (await getOutboxEntries()).filter(
+      (entry) => entry.status === OUTBOX_STATUS.PENDING
+    );
+    const userId = pending.length > 0 ? await fetchSessionUserId() : null;
+    if (!userId) summary.remaining = pending.length;
+
+    for (const [index, entry] of pending.entries()) {
+      if (!userId) break;
+      if (entry.userId !== userId) {
+        await withStore(STORES.OUTBOX, "readwrite", (store) =>
+          store.delete(entry.id)
+        );
+        continue;
+      }
+
+      let response;
+      try {
+        response = await fetch(entry.url, {
+          method: entry.method,
+          headers: entry.headers,
+          body: entry.body ?? undefined,
+        });
+      } catch {
+        summary.remaining = pending.length - index;
+        break;
+      }
+
+      const outcome = getReplayOutcome(response.status);
+      if (outcome === "retry") {
+        summary.remaining = pending.length - index;
+        break;
+      }
+
+      if (outcome === "conflict") {
+        const data = await response.json().catch(() => ({}));
+        await withStore(STORES.OUTBOX, "readwrite", (store) =>
+          store.put({
+            ...entry,
+            status: OUTBOX_STATUS.CONFLICT,
+            message: data.error || response.statusText,
+            resolvedAt: new Date().toISOString(),
+          })
+        );
+        summary.conflicts += 1;
+      } else {
+        await withStore(STORES.OUTBOX, "readwrite", (store) =>
+          store.delete(entry.id)
+        );
+        summary[outcome] += 1;
+      }
+    }
+  } finally {
+    isReplaying = false;
+  }
+
+  notifyChange();
+  if (summary.sent + summary.gone + summary.conflicts > 0) {
+    window.dispatchEvent(
+      new CustomEvent(OUTBOX_REPLAYED_EVENT, { detail: summary })
+    );
+  }
+
+  // Send changes queued meanwhile, unless sending is already blocked
+  if (isReplayRequested && summary.remaining === 0) {
+    replayOutbox();
+  }
+  return summary;
+};
+
+/**
+ * Empties the outbox and forgets the signed-in user. Called when the user signs out, so their
+ * changes are never sent under someone else's session.
+ *
+ * @returns {Promise<void>}
+ */
+export const clearOutbox = async () => {
+  localStorage.removeItem(USER_STORAGE_KEY);
+  await withStore(STORES.OUTBOX, "readwrite", (store) => store.clear());
+  notifyChange();
+};
+
+/**
+ * Removes a conflict from the outbox once the user has seen it.
+ *
+ * @param {number} id - The entry's ID.
+ * @returns {Promise<void>}
+ */
+export const dismissConflict = async (id) => {
+  await withStore(STORES.OUTBOX, "readwrite", (store) => store.delete(id));
+  notifyChange();
+};
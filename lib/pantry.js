@@ -0,0 +1,107 @@
+/**
+ * Shared helpers for the per-user pantry and the "cook from pantry" recipe ranking.
+ *
+ * Pantry items are matched against the keys of a recipe's `ingredients` object,
+ * ignoring case and surrounding whitespace.
+ *
+ * @module pantry
+ */
+
+import { escapeRegExp } from "./search";
+import { PUBLIC_RECIPE_FILTER } from "./userRecipes";
+
+// Longest pantry item name accepted
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Normalizes a pantry item name into the key used for matching.
+ *
+ * @param {string} name - The item name as entered by the user.
+ * @returns {string} The lower-cased, whitespace-collapsed key, or an empty string if invalid.
+ */
+export const normalizePantryName = (name) => {
+  if (typeof name !== "string") return "";
+  const key = name.trim().replace(/\s+/g, " ").toLowerCase();
+  return key.length <= MAX_NAME_LENGTH ? key : "";
+};
+
+/**
+ * Builds the aggregation pipeline ranking recipes by the fraction of their ingredients
+ * found in a pantry. Each recipe gets `pantryMatch` (0-1), `ownedCount`, `ingredientCount`
+ * and `missingIngredients` (the ingredient keys not in the pantry).
+ *
+ * @param {string[]} pantryKeys - Normalized pantry item keys.
+ * @param {Object} [options] - Ranking options.
+ * @param {number} [options.minMatch=0] - Minimum fraction of ingredients owned (0-1).
+ * @param {number} [options.skip=0] - Number of ranked recipes to skip.
+ * @param {number} [options.limit=20] - Maximum number of recipes to return.
+ * @returns {Array<Object>} The aggregation pipeline, producing one document with
+ * `recipes` and `total` fields.
+ */
+export const buildPantryMatchPipeline = (
+  pantryKeys,
+  { minMatch = 0, skip = 0, limit = 20 } = {}
+) => [
+  // Only consider recipes using at least one pantry item
+  {
+    $match: {
+      ...PUBLIC_RECIPE_FILTER,
+      ingredientNames: {
+        $in: pantryKeys.map((key) => new RegExp(`^${escapeRegExp(key)}$`, "i")),
+      },
+    },
+  },
+  {
+    $addFields: {
+      ingredientKeys: {
+        $map: {
+          input: { $objectToArray: { $ifNull: ["$ingredients", {}] } },
+          in: "$$this.k",
+        },
+      },
+    },
+  },
+  {
+    $addFields: {
+      missingIngredients: {
+        $filter: {
+          input: "$ingredientKeys",
+          cond: {
+            $not: { $in: [{ $toLower: { $trim: { input: "$$this" } } }, pantryKeys] },
+          },
+        },
+      },
+      ingredientCount: { $size: "$ingredientKeys" },
+    },
+  },
+  {
+    $addFields: {
+      ownedCount: {
+        $subtract: ["$ingredientCount", { $size: "$missingIngredients" }],
+      },
+    },
+  },
+  {
+    $addFields: {
+      pantryMatch: {
+        $cond: [
+          { $gt: ["$ingredientCount", 0] },
+          { $divide: ["$ownedCount", "$ingredientCount"] },
+          0,
+        ],
+      },
+    },
+  },
+  { $match: { pantryMatch: { $gte: minMatch } } },
+  { $project: { ingredientKeys: 0 } },
+  {
+    $facet: {
+      recipes: [
+        { $sort: { pantryMatch: -1, ownedCount: -1, _id: 1 } },
+        { $skip: skip },
+        { $limit: limit },
+      ],
+      total: [{ $count: "count" }],
+    },
+  },
+];
@@ -0,0 +1,235 @@
+/**
+ * Ingredient quantity math used to scale recipes to a different number of servings.
+ *
+ * Recipes store ingredient amounts as free-form strings ("1/4", "1 1/2", "0.5", "2-3"),
+ * so every amount is parsed into a numeric range before it is scaled and then formatted
+ * back into the kitchen fractions cooks expect to read.
+ *
+ * @module quantity
+ */
+
+// Unicode vulgar fractions that appear in scraped recipe data
+const UNICODE_FRACTIONS = {
+  "¼": 1 / 4,
+  "½": 1 / 2,
+  "¾": 3 / 4,
+  "⅓": 1 / 3,
+  "⅔": 2 / 3,
+  "⅛": 1 / 8,
+  "⅜": 3 / 8,
+  "⅝": 5 / 8,
+  "⅞": 7 / 8,
+};
+
+// Fractions we round to when formatting, ordered by value
+const KITCHEN_FRACTIONS = [
+  { value: 0, label: "" },
+  { value: 1 / 8, label: "1/8" },
+  { value: 1 / 4, label: "1/4" },
+  { value: 1 / 3, label: "1/3" },
+  { value: 1 / 2, label: "1/2" },
+  { value: 2 / 3, label: "2/3" },
+  { value: 3 / 4, label: "3/4" },
+  { value: 1, label: "" },
+];
+
+// Above this value fractions stop being useful and we round to whole numbers
+const FRACTION_LIMIT = 10;
+
+// Separator between the ends of a formatted range; a hyphen would make "1-1 1/2" look like a
+// mixed number
+const RANGE_SEPARATOR = "–";
+
+/**
+ * Parses a single number written as an integer, decimal, fraction or mixed number.
+ *
+ * @param {string} text - The number text, e.g. "2", "0.5", "3/4" or "1 1/2".
+ * @returns {number|null} The parsed value, or null if the text is not a number.
+ */
+const parseNumber = (text) => {
+  let value = text.trim();
+  if (!value) return null;
+
+  // Replace unicode fractions with their decimal part, keeping any whole number prefix
+  let unicodePart = 0;
+  for (const [symbol, fraction] of Object.entries(UNICODE_FRACTIONS)) {
+    if (value.includes(symbol)) {
+      unicodePart += fraction;
+      value = value.replace(symbol, "").trim();
+    }
+  }
+  if (!value) return unicodePart || null;
+
+  // Mixed number: "1 1/2"
+  const mixed = value.match(/^(\d+)\s+(\d+)\s*\/\s*(\d+)$/);
+  if (mixed) {
+    const denominator = Number(mixed[3]);
+    if (denominator === 0) return null;
+    return Number(mixed[1]) + Number(mixed[2]) / denominator + unicodePart;
+  }
+
+  // Simple fraction: "3/4"
+  const fraction = value.match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (fraction) {
+    const denominator = Number(fraction[2]);
+    if (denominator === 0) return null;
+    return Number(fraction[1]) / denominator + unicodePart;
+  }
+
+  // Integer or decimal: "2", "0.5", ".5"
+  if (/^(\d+\.?\d*|\.\d+)$/.test(value)) {
+    return Number(value) + unicodePart;
+  }
+
+  return null;
+};
+
+/**
+ * Parses an ingredient amount into a numeric range.
+ *
+ * Supports integers, decimals, fractions, mixed numbers (also written "1-1/2"), unicode
+ * fractions and ranges written as "2-3", "2 – 3" or "2 to 3". Any trailing text (such as a
+ * unit) is kept so it can be appended to the formatted result.
+ *
+ * @param {string|number} amount - The raw amount from the recipe.
+ * @returns {{min: number, max: number, rest: string}|null} The parsed range, or null if no quantity was found.
+ *
+ * @example
+ * parseQuantity("1 1/2"); // { min: 1.5, max: 1.5, rest: "" }
+ * parseQuantity("1-1/2 cups"); // { min: 1.5, max: 1.5, rest: "cups" }
+ * parseQuantity("2-3 cups"); // { min: 2, max: 3, rest: "cups" }
+ */
+export const parseQuantity = (amount) => {
+  if (typeof amount === "number") {
+    return Number.isFinite(amount) ? { min: amount, max: amount, rest: "" } : null;
+  }
+  if (typeof amount !== "string") return null;
+
+  // A hyphen between a whole number and a fraction joins a mixed number, not a range
+  const match = amount
+    .trim()
+    .replace(/^(\d+)-(\d+\s*\/\s*\d+)/, "$1 $2")
+    .match(
+      /^((?:\d+\s+)?(?:\d*\.?\d+(?:\s*\/\s*\d+)?)?\s*[¼½¾⅓⅔⅛⅜⅝⅞]?)(?:\s*(?:-|–|to)\s*((?:\d+\s+)?(?:\d*\.?\d+(?:\s*\/\s*\d+)?)?\s*[¼½¾⅓⅔⅛⅜⅝⅞]?))?\s*(.*)$/i
+    );
+  if (!match) return null;
+
+  const min = parseNumber(match[1] || "");
+  if (min === null) return null;
+
+  const max = match[2] ? parseNumber(match[2]) : min;
+  if (max === null) return null;
+
+  return { min, max: Math.max(min, max), rest: match[3].trim() };
+};
+
+/**
+ * Formats a number using the nearest kitchen fraction ("1 1/2", "3/4", "2").
+ * Values above the fraction limit are rounded to whole numbers.
+ *
+ * @param {number} value - The value to format.
+ * @returns {string} The formatted value.
+ */
+export const formatNumber = (value) => {
+  if (!Number.isFinite(value) || value <= 0) return "0";
+
+  if (value >= FRACTION_LIMIT) {
+    return Math.round(value).toString();
+  }
+
+  let whole = Math.floor(value);
+  const remainder = value - whole;
+
+  // Pick the closest kitchen fraction for the remainder
+  const closest = KITCHEN_FRACTIONS.reduce((best, fraction) =>
+    Math.abs(fraction.value - remainder) < Math.abs(best.value - remainder)
+      ? fraction
+      : best
+  );
+
+  if (closest.value === 1) whole += 1;
+
+  // Never round a non-zero amount down to nothing
+  if (whole === 0 && !closest.label) return "1/8";
+
+  if (!closest.label) return whole.toString();
+  return whole > 0 ? `${whole} ${closest.label}` : closest.label;
+};
+
+/**
+ * Formats a parsed quantity range back into a display string.
+ *
+ * @param {{min: number, max: number, rest?: string}} quantity - The quantity to format.
+ * @returns {string} The formatted quantity, e.g. "1 1/2" or "2–3 cups".
+ */
+export const formatQuantity = ({ min, max, rest = "" }) => {
+  const minText = formatNumber(min);
+  const maxText = formatNumber(max);
+  const value =
+    minText === maxText ? minText : `${minText}${RANGE_SEPARATOR}${maxText}`;
+  return rest ? `${value} ${rest}` : value;
+};
+
+/**
+ * Scales a single ingredient amount by a factor.
+ * Amounts that cannot be parsed (e.g. "to taste") are returned unchanged.
+ *
+ * @param {string|number} amount - The raw amount from the recipe.
+ * @param {number} factor - The scale factor (target servings / original servings).
+ * @returns {string} The scaled amount.
+ */
+export const scaleQuantity = (amount, factor) => {
+  const quantity = parseQuantity(amount);
+  if (!quantity || !Number.isFinite(factor) || factor <= 0) {
+    return amount?.toString() ?? "";
+  }
+  if (factor === 1) return amount.toString();
+
+  return formatQuantity({
+    min: quantity.min * factor,
+    max: quantity.max * factor,
+    rest: quantity.rest,
+  });
+};
+
+/**
+ * Parses a recipe's servings value ("4", "4-6", "Serves 4") into a number.
+ * Ranges use their lower bound.
+ *
+ * @param {string|number} servings - The servings value stored on the recipe.
+ * @returns {number|null} The number of servings, or null if none could be found.
+ */
+export const parseServings = (servings) => {
+  if (typeof servings === "number") {
+    return servings > 0 ? servings : null;
+  }
+  const match = servings?.toString().match(/\d+(?:\.\d+)?/);
+  const value = match ? Number(match[0]) : null;
+  return value > 0 ? value : null;
+};
+
+/**
+ * Scales every amount in a recipe's ingredients object.
+ *
+ * @param {Object<string, string>} ingredients - Ingredients keyed by name with raw amounts.
+ * @param {number} originalServings - The servings the recipe was written for.
+ * @param {number} targetServings - The servings to scale to.
+ * @returns {Object<string, string>} A new ingredients object with scaled amounts.
+ */
+export const scaleIngredients = (
+  ingredients,
+  originalServings,
+  targetServings
+) => {
+  const factor =
+    originalServings > 0 && targetServings > 0
+      ? targetServings / originalServings
+      : 1;
+
+  return Object.fromEntries(
+    Object.entries(ingredients || {}).map(([ingredient, amount]) => [
+      ingredient,
+      scaleQuantity(amount, factor),
+    ])
+  );
+};
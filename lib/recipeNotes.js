@@ -0,0 +1,100 @@
+/**
+ * Helpers for private recipe notes.
+ *
+ * Each user can keep one note on a recipe as a whole, one on each instruction step and one on
+ * each ingredient. Notes are only ever shown to the user who wrote them. Step notes are stored
+ * against the step's position and ingredient notes against the ingredient's name, so a note
+ * can end up on a different step if the owner adds, removes or reorders steps.
+ *
+ * @module recipeNotes
+ */
+import { getIngredientNames } from "./search";
+
+/**
+ * What a note is attached to.
+ * @enum {string}
+ */
+export const NOTE_TARGETS = {
+  RECIPE: "recipe",
+  STEP: "step",
+  INGREDIENT: "ingredient",
+};
+
+/**
+ * Longest note accepted, in characters.
+ * @type {number}
+ */
+export const MAX_RECIPE_NOTE_LENGTH = 1000;
+
+/**
+ * Checks a note's target against the recipe and returns the key it is stored under.
+ *
+ * @param {Object} recipe - The recipe document, with its instructions and ingredients.
+ * @param {string} target - One of NOTE_TARGETS.
+ * @param {*} key - The step index for step notes, or the ingredient name for ingredient notes.
+ * @returns {{key: number|string|null, error: string|null}} The stored key, or the problem found.
+ */
+export const resolveNoteKey = (recipe, target, key) => {
+  if (target === NOTE_TARGETS.RECIPE) return { key: null, error: null };
+
+  if (target === NOTE_TARGETS.STEP) {
+    const index = key === null || key === "" ? NaN : Number(key);
+    if (
+      !Number.isInteger(index) ||
+      index < 0 ||
+      index >= (recipe.instructions?.length || 0)
+    ) {
+      return { key: null, error: "Step not found in this recipe" };
+    }
+    return { key: index, error: null };
+  }
+
+  if (target === NOTE_TARGETS.INGREDIENT) {
+    if (!getIngredientNames(recipe.ingredients).includes(key)) {
+      return { key: null, error: "Ingredient not found in this recipe" };
+    }
+    return { key, error: null };
+  }
+
+  return {
+    key: null,
+    error: "Note target must be 'recipe', 'step' or 'ingredient'",
+  };
+};
+
+/**
+ * Trims and validates a note's text.
+ *
+ * @param {*} text - The submitted text.
+ * @returns {string|null} The trimmed text (empty to remove the note), or null if it is invalid.
+ */
+export const normalizeNoteText = (text) => {
+  if (typeof text !== "string" || text.trim().length > MAX_RECIPE_NOTE_LENGTH) {
+    return null;
+  }
+  return text.trim();
+};
+
+/**
+ * Finds the note on a recipe, step or ingredient.
+ *
+ * @param {Array<Object>} notes - The user's notes on the recipe.
+ * @param {string} target - One of NOTE_TARGETS.
+ * @param {number|string|null} [key=null] - The step index or ingredient name.
+ * @returns {Object|undefined} The note, if there is one.
+ */
+export const findNote = (notes, target, key = null) =>
+  (notes || []).find((note) => note.target === target && note.key === key);
+
+/**
+ * Builds the client-facing form of a stored note.
+ *
+ * @param {Object} note - The note document.
+ * @returns {{target: string, key: number|string|null, text: string, updatedAt: Date}} The note.
+ */
+export const toNoteResponse = ({ target, key, text, updatedAt }) => ({
+  target,
+  key,
+  text,
+  updatedAt,
+});
@@ -0,0 +1,224 @@
+/**
+ * JSON schema validation for recipe edits.
+ *
+ * Edits are normalized (strings trimmed, empty list entries dropped) before they are
+ * validated, so the stored values always match what was checked.
+ *
+ * @module recipeSchema
+ */
+import Ajv from "ajv";
+
+/**
+ * Fields of a recipe that users can edit.
+ * @type {string[]}
+ */
+export const EDITABLE_RECIPE_FIELDS = [
+  "title",
+  "description",
+  "category",
+  "prep",
+  "cook",
+  "servings",
+  "ingredients",
+  "instructions",
+  "tags",
+  "images",
+];
+
+/**
+ * Image hosts that recipe images may be served from: the seeded catalog and Cloudinary uploads.
+ * These match the remote image patterns allowed in `next.config.mjs`.
+ * @type {string[]}
+ */
+export const RECIPE_IMAGE_HOSTS = ["img.sndimg.com", "res.cloudinary.com"];
+
+// Pattern matching an image URL on one of the allowed hosts
+const RECIPE_IMAGE_PATTERN = `^https://(${RECIPE_IMAGE_HOSTS.map((host) =>
+  host.replace(/\./g, "\\.")
+).join("|")})/`;
+
+/**
+ * Checks whether a URL points at an image on one of the allowed hosts.
+ *
+ * @param {*} url - The URL to check.
+ * @returns {boolean} True if the URL can be used as a recipe image.
+ */
+export const isRecipeImageUrl = (url) =>
+  typeof url === "string" &&
+  url.length <= 2000 &&
+  new RegExp(RECIPE_IMAGE_PATTERN).test(url);
+
+/**
+ * Fields a new recipe must have.
+ * @type {string[]}
+ */
+const REQUIRED_RECIPE_FIELDS = EDITABLE_RECIPE_FIELDS.filter(
+  (field) => field !== "tags"
+);
+
+/**
+ * Schema for a recipe edit. Every field is optional, but at least one must be present.
+ * Ingredient names become MongoDB field names, so they may not contain "." or start with "$".
+ */
+const recipeUpdateSchema = {
+  type: "object",
+  minProperties: 1,
+  additionalProperties: false,
+  properties: {
+    title: { type: "string", minLength: 3, maxLength: 200 },
+    description: { type: "string", minLength: 10, maxLength: 5000 },
+    category: { type: "string", minLength: 1, maxLength: 100 },
+    prep: { type: "integer", minimum: 0, maximum: 1440 },
+    cook: { type: "integer", minimum: 0, maximum: 1440 },
+    servings: { type: "integer", minimum: 1, maximum: 100 },
+    ingredients: {
+      type: "object",
+      minProperties: 1,
+      maxProperties: 100,
+      propertyNames: { minLength: 1, maxLength: 100, pattern: "^[^.$][^.]*$" },
+      additionalProperties: { type: "string", maxLength: 100 },
+    },
+    instructions: {
+      type: "array",
+      minItems: 1,
+      maxItems: 100,
+      items: { type: "string", minLength: 1, maxLength: 2000 },
+    },
+    tags: {
+      type: "array",
+      maxItems: 30,
+      uniqueItems: true,
+      items: { type: "string", minLength: 1, maxLength: 50 },
+    },
+    images: {
+      type: "array",
+      minItems: 1,
+      maxItems: 20,
+      items: {
+        type: "string",
+        pattern: RECIPE_IMAGE_PATTERN,
+        maxLength: 2000,
+      },
+    },
+  },
+};
+
+/**
+ * Schema for a new recipe: the same fields as an edit, with all but tags required.
+ */
+const recipeCreateSchema = {
+  ...recipeUpdateSchema,
+  required: REQUIRED_RECIPE_FIELDS,
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validateUpdateSchema = ajv.compile(recipeUpdateSchema);
+const validateCreateSchema = ajv.compile(recipeCreateSchema);
+
+/**
+ * Trims a value if it is a string.
+ *
+ * @param {*} value - The value.
+ * @returns {*} The trimmed string, or the value unchanged.
+ */
+const trim = (value) => (typeof value === "string" ? value.trim() : value);
+
+/**
+ * Trims a list of strings and drops the empty entries.
+ *
+ * @param {*} list - The list.
+ * @returns {*} The cleaned list, or the value unchanged if it is not an array.
+ */
+const cleanList = (list) =>
+  Array.isArray(list) ? list.map(trim).filter((item) => item !== "") : list;
+
+/**
+ * Normalizes a recipe edit: keeps only editable fields, trims strings, drops empty
+ * instructions and tags, and de-duplicates tags.
+ *
+ * @param {Object} update - The requested changes.
+ * @returns {Object} The normalized changes.
+ */
+export const normalizeRecipeUpdate = (update) => {
+  const changes = {};
+
+  EDITABLE_RECIPE_FIELDS.forEach((field) => {
+    if (update?.[field] !== undefined) changes[field] = trim(update[field]);
+  });
+
+  if (changes.ingredients && typeof changes.ingredients === "object") {
+    changes.ingredients = Object.fromEntries(
+      Object.entries(changes.ingredients)
+        .map(([name, amount]) => [trim(name), trim(amount)])
+        .filter(([name]) => name)
+    );
+  }
+  if (changes.instructions) changes.instructions = cleanList(changes.instructions);
+  if (changes.images) changes.images = cleanList(changes.images);
+  if (Array.isArray(changes.tags)) {
+    changes.tags = [...new Set(cleanList(changes.tags))];
+  }
+
+  return changes;
+};
+
+/**
+ * Turns Ajv errors into readable messages.
+ *
+ * @param {Array<Object>} errors - The Ajv validation errors.
+ * @returns {string[]} One message per problem.
+ */
+const formatErrors = (errors) => {
+  const messages = errors
+    // Errors about a single ingredient name are reported once through `propertyNames`
+    .filter((error) => error.propertyName === undefined)
+    .map((error) => {
+      const field = error.instancePath.slice(1).replace(/\//g, ".") || "recipe";
+      if (!error.instancePath && error.keyword === "minProperties") {
+        return "No changes to save";
+      }
+      if (error.keyword === "required") {
+        return `${error.params.missingProperty} is required`;
+      }
+      if (error.keyword === "additionalProperties") {
+        return `${error.params.additionalProperty} cannot be edited`;
+      }
+      if (error.keyword === "propertyNames") {
+        return `ingredient name "${error.params.propertyName}" is invalid`;
+      }
+      if (field.startsWith("images.") && error.keyword === "pattern") {
+        return "images must be uploaded images";
+      }
+      return `${field} ${error.message}`;
+    });
+
+  return [...new Set(messages)];
+};
+
+/**
+ * Validates a normalized recipe edit against the schema.
+ *
+ * @param {Object} changes - The normalized changes.
+ * @returns {{valid: boolean, errors: string[]}} Whether the edit is valid, and readable
+ * messages describing each problem.
+ *
+ * @example
+ * validateRecipeUpdate({ servings: 0 });
+ * // { valid: false, errors: ["servings must be >= 1"] }
+ */
+export const validateRecipeUpdate = (changes) =>
+  validateUpdateSchema(changes)
+    ? { valid: true, errors: [] }
+    : { valid: false, errors: formatErrors(validateUpdateSchema.errors) };
+
+/**
+ * Validates a normalized new recipe against the schema.
+ *
+ * @param {Object} recipe - The normalized recipe fields.
+ * @returns {{valid: boolean, errors: string[]}} Whether the recipe is valid, and readable
+ * messages describing each problem.
+ */
+export const validateNewRecipe = (recipe) =>
+  validateCreateSchema(recipe)
+    ? { valid: true, errors: [] }
+    : { valid: false, errors: formatErrors(validateCreateSchema.errors) };
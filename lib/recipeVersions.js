@@ -0,0 +1,160 @@
+/**
+ * Helpers for the version history kept on each recipe.
+ *
+ * Every edit is stored under `userVersions.<timestamp>` with the author, the time and a
+ * snapshot of the edited fields, and bumps the recipe's `updateCount`. The newest version
+ * always matches the recipe's current content.
+ *
+ * @module recipeVersions
+ */
+import { getIngredientNames } from "./search";
+
+/**
+ * Recipe fields captured in each version snapshot.
+ * @type {string[]}
+ */
+export const VERSIONED_FIELDS = [
+  "title",
+  "description",
+  "category",
+  "prep",
+  "cook",
+  "servings",
+  "ingredients",
+  "instructions",
+  "tags",
+  "images",
+];
+
+/**
+ * Picks the versioned fields from a recipe or version.
+ *
+ * @param {Object} source - The recipe or version.
+ * @returns {Object} The versioned fields present on the source.
+ */
+export const pickVersionedFields = (source) =>
+  Object.fromEntries(
+    VERSIONED_FIELDS.filter((field) => source?.[field] !== undefined).map(
+      (field) => [field, source[field]]
+    )
+  );
+
+/**
+ * Lists a recipe's versions, newest first.
+ *
+ * @param {Object} recipe - The recipe document.
+ * @returns {Array<Object>} The versions, each with its `id` (the timestamp key), `userName`,
+ * `lastModified`, snapshot fields and `current` set on the newest one.
+ */
+export const listVersions = (recipe) =>
+  Object.entries(recipe?.userVersions || {})
+    .map(([id, version]) => ({ id, ...version }))
+    .sort((a, b) => Number(b.id) - Number(a.id))
+    .map((version, index) => ({ ...version, current: index === 0 }));
+
+/**
+ * Builds the baseline version recording a recipe's content before its first edit,
+ * so the original can be compared against and restored.
+ *
+ * @param {Object} recipe - The recipe document, before it is updated.
+ * @returns {Object} `$set` entries for the baseline version, or an empty object if the
+ * recipe already has a history.
+ */
+export const buildBaselineVersion = (recipe) => {
+  if (Object.keys(recipe?.userVersions || {}).length > 0) return {};
+
+  const published = new Date(recipe?.published);
+  const timestamp = isNaN(published) ? 0 : published.getTime();
+
+  return {
+    [`userVersions.${timestamp}`]: {
+      userName: null,
+      original: true,
+      ...pickVersionedFields(recipe),
+      lastModified: isNaN(published) ? null : published,
+    },
+  };
+};
+
+/**
+ * Builds the MongoDB update applying changes to a recipe and recording them as a new version.
+ * Changed ingredients also refresh the `ingredientNames` used for search and filtering.
+ *
+ * @param {Object} recipe - The recipe document, before it is updated.
+ * @param {Object} changes - The new values of the versioned fields.
+ * @param {Object} options - Version details.
+ * @param {string} options.userName - The name of the user making the change.
+ * @param {Date} [options.now=new Date()] - The time of the change.
+ * @param {string} [options.restoredFrom] - The ID of the version being restored, if any.
+ * @returns {Object} The update document, with `$set` and `$inc`.
+ */
+export const buildVersionUpdate = (
+  recipe,
+  changes,
+  { userName, now = new Date(), restoredFrom }
+) => ({
+  $set: {
+    ...buildBaselineVersion(recipe),
+    ...changes,
+    ...(changes.ingredients && {
+      ingredientNames: getIngredientNames(changes.ingredients),
+    }),
+    lastModified: now,
+    [`userVersions.${now.getTime()}`]: {
+      userName,
+      ...pickVersionedFields({ ...recipe, ...changes }),
+      lastModified: now,
+      ...(restoredFrom && { restoredFrom }),
+    },
+  },
+  $inc: { updateCount: 1 },
+});
+
+/**
+ * Reads the details that identify which version of a recipe a copy was taken from.
+ *
+ * @param {Object} recipe - The recipe or a downloaded copy of it.
+ * @returns {{lastModified: string|null, updateCount: number}} The time of the last edit as an
+ * ISO string, or null if it was never edited, and the number of edits.
+ */
+export const getVersionStamp = (recipe) => {
+  const lastModified = new Date(recipe?.lastModified ?? NaN);
+  return {
+    lastModified: isNaN(lastModified) ? null : lastModified.toISOString(),
+    updateCount: Number(recipe?.updateCount) || 0,
+  };
+};
+
+/**
+ * Checks whether a copy of a recipe was taken before its latest edit. Copies without version
+ * details are out of date once the recipe has been edited at all.
+ *
+ * @param {Object} copy - The copy, or its version stamp.
+ * @param {Object} current - The current recipe, or its version stamp.
+ * @returns {boolean} True if the recipe has changed since the copy was taken.
+ */
+export const isOutdatedCopy = (copy, current) => {
+  const copyStamp = getVersionStamp(copy);
+  const currentStamp = getVersionStamp(current);
+
+  if (currentStamp.updateCount > copyStamp.updateCount) return true;
+  return (
+    Boolean(currentStamp.lastModified) &&
+    (!copyStamp.lastModified ||
+      currentStamp.lastModified > copyStamp.lastModified)
+  );
+};
+
+/**
+ * Lists the versioned fields that differ between two copies of a recipe.
+ *
+ * @param {Object} before - The older copy.
+ * @param {Object} after - The newer copy.
+ * @returns {string[]} The names of the changed fields, in VERSIONED_FIELDS order.
+ */
+export const listChangedFields = (before, after) =>
+  VERSIONED_FIELDS.filter(
+    (field) =>
+      JSON.stringify(before?.[field] ?? null) !==
+      JSON.stringify(after?.[field] ?? null)
+  );
@@ -0,0 +1,206 @@
+/**
+ * Helpers for personalized recipe recommendations.
+ *
+ * A user's taste is summed up as an affinity score for each category, tag and ingredient,
+ * built from the recipes they favorited, reviewed and cooked. Liked recipes add to the score
+ * of their features and disliked ones (rated 2 stars or less) take away from it. Candidate
+ * recipes are then ranked by how well their features match.
+ *
+ * The same features are used to find recipes similar to the one being viewed.
+ *
+ * @module recommendations
+ */
+import { getIngredientNames } from "./search";
+
+/**
+ * How much each kind of feature counts towards a recipe's score.
+ * @type {{category: number, tag: number, ingredient: number}}
+ */
+export const FEATURE_WEIGHTS = {
+  category: 1,
+  tag: 1,
+  ingredient: 0.5,
+};
+
+/**
+ * Highest rating that marks a recipe as disliked.
+ * @type {number}
+ */
+export const DISLIKE_RATING = 2;
+
+// Affinity added by a favorite
+const FAVORITE_SIGNAL = 3;
+
+// Affinity added by each cook, and the most that cooking one recipe can add
+const COOK_SIGNAL = 1;
+const MAX_COOK_SIGNAL = 3;
+
+// Small boost from a recipe's average rating, so equally matched recipes favor the best rated
+const RATING_TIEBREAK = 0.1;
+
+/**
+ * Turns a 1-5 rating into an affinity signal: 5 stars is +2, 3 stars is neutral and 1 star is -2.
+ *
+ * @param {number} rating - The rating.
+ * @returns {number} The signal.
+ */
+const ratingSignal = (rating) => rating - 3;
+
+/**
+ * Adds an amount to a feature's score.
+ *
+ * @param {Map<string, number>} scores - The scores by feature.
+ * @param {string} feature - The feature.
+ * @param {number} amount - The amount to add.
+ */
+const addScore = (scores, feature, amount) => {
+  scores.set(feature, (scores.get(feature) || 0) + amount);
+};
+
+/**
+ * Builds a user's taste profile from what they favorited, reviewed and cooked.
+ *
+ * @param {Object} signals - The user's activity.
+ * @param {Array<Object>} signals.favorites - Favorited recipes.
+ * @param {Array<{recipe: Object, rating: number}>} signals.reviews - Reviewed recipes and ratings.
+ * @param {Array<{recipe: Object, count: number, lowestRating: number|null}>} signals.cooks -
+ * Cooked recipes, how often each was made and the lowest rating given in the cooking history.
+ * @returns {{categories: Map<string, number>, tags: Map<string, number>,
+ * ingredients: Map<string, number>, excludedIds: Set<string>, hasSignals: boolean}} The
+ * profile, with the favorited and disliked recipe IDs that should not be recommended.
+ */
+export const buildAffinityProfile = ({ favorites, reviews, cooks }) => {
+  const weights = new Map();
+  const recipes = new Map();
+  const excludedIds = new Set();
+
+  const addSignal = (recipe, amount) => {
+    recipes.set(recipe._id, recipe);
+    addScore(weights, recipe._id, amount);
+  };
+
+  favorites.forEach((recipe) => {
+    addSignal(recipe, FAVORITE_SIGNAL);
+    excludedIds.add(recipe._id);
+  });
+  reviews.forEach(({ recipe, rating }) => {
+    addSignal(recipe, ratingSignal(rating));
+    if (rating <= DISLIKE_RATING) excludedIds.add(recipe._id);
+  });
+  cooks.forEach(({ recipe, count, lowestRating }) => {
+    if (lowestRating !== null && lowestRating <= DISLIKE_RATING) {
+      addSignal(recipe, ratingSignal(lowestRating));
+      excludedIds.add(recipe._id);
+      return;
+    }
+    addSignal(recipe, Math.min(count * COOK_SIGNAL, MAX_COOK_SIGNAL));
+  });
+
+  const profile = {
+    categories: new Map(),
+    tags: new Map(),
+    ingredients: new Map(),
+    excludedIds,
+    hasSignals: weights.size > 0,
+  };
+  weights.forEach((weight, recipeId) => {
+    if (weight === 0) return;
+    const recipe = recipes.get(recipeId);
+    if (recipe.category) addScore(profile.categories, recipe.category, weight);
+    (recipe.tags || []).forEach((tag) => addScore(profile.tags, tag, weight));
+    getIngredientNames(recipe.ingredients).forEach((name) =>
+      addScore(profile.ingredients, name.toLowerCase(), weight)
+    );
+  });
+
+  return profile;
+};
+
+/**
+ * Lists the features the user likes most, best first.
+ *
+ * @param {Map<string, number>} scores - The affinity scores by feature.
+ * @param {number} limit - The most features to return.
+ * @returns {string[]} The features with a positive affinity.
+ */
+export const topFeatures = (scores, limit) =>
+  [...scores.entries()]
+    .filter(([, score]) => score > 0)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([feature]) => feature);
+
+/**
+ * Scores how well a recipe matches a taste profile. Ingredient affinity is scaled down for
+ * long ingredient lists so they do not win on length alone.
+ *
+ * @param {Object} recipe - The recipe, with its category, tags, ingredients and average rating.
+ * @param {Object} profile - The profile from buildAffinityProfile.
+ * @returns {number} The score; higher is a better match.
+ */
+export const scoreRecipe = (recipe, profile) => {
+  const category = profile.categories.get(recipe.category) || 0;
+  const tags = (recipe.tags || []).reduce(
+    (sum, tag) => sum + (profile.tags.get(tag) || 0),
+    0
+  );
+  const names = getIngredientNames(recipe.ingredients);
+  const ingredients =
+    names.reduce(
+      (sum, name) => sum + (profile.ingredients.get(name.toLowerCase()) || 0),
+      0
+    ) / Math.sqrt(names.length || 1);
+
+  return (
+    FEATURE_WEIGHTS.category * category +
+    FEATURE_WEIGHTS.tag * tags +
+    FEATURE_WEIGHTS.ingredient * ingredients +
+    RATING_TIEBREAK * (recipe.averageRating || 0)
+  );
+};
+
+/**
+ * How much each kind of overlap counts when finding recipes similar to another one. This is
+ * the one place to tune "More like this"; the weights add up to 1 so scores run from 0 to 1.
+ * @type {{ingredient: number, tag: number, category: number}}
+ */
+export const SIMILARITY_WEIGHTS = {
+  ingredient: 0.5,
+  tag: 0.3,
+  category: 0.2,
+};
+
+/**
+ * Measures how much two lists have in common, from 0 (nothing) to 1 (the same items).
+ *
+ * @param {string[]} a - The first list.
+ * @param {string[]} b - The second list.
+ * @returns {number} The shared items divided by all distinct items.
+ */
+const overlap = (a, b) => {
+  const first = new Set(a);
+  const second = new Set(b);
+  const shared = [...first].filter((item) => second.has(item)).length;
+  const total = new Set([...first, ...second]).size;
+  return total === 0 ? 0 : shared / total;
+};
+
+/**
+ * Scores how similar a recipe is to another by their shared ingredients, tags and category.
+ *
+ * @param {Object} recipe - The recipe being viewed.
+ * @param {Object} other - The recipe to compare it with.
+ * @returns {number} The similarity, from 0 to 1.
+ */
+export const similarityScore = (recipe, other) => {
+  const ingredientNames = (item) =>
+    getIngredientNames(item.ingredients).map((name) => name.toLowerCase());
+
+  return (
+    SIMILARITY_WEIGHTS.ingredient *
+      overlap(ingredientNames(recipe), ingredientNames(other)) +
+    SIMILARITY_WEIGHTS.tag * overlap(recipe.tags || [], other.tags || []) +
+    SIMILARITY_WEIGHTS.category *
+      (recipe.category && recipe.category === other.category ? 1 : 0)
+  );
+};
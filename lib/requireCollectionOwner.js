@@ -0,0 +1,44 @@
+/**
+ * Access guard for API routes that change a recipe collection.
+ *
+ * @module requireCollectionOwner
+ */
+import { NextResponse } from "next/server";
+import { ObjectId } from "mongodb";
+import { requireRole } from "./requireRole";
+import { isCollectionOwner } from "./collections";
+
+/**
+ * Checks that the request comes from the signed-in owner of a collection. Collections owned by
+ * someone else are reported as not found, so their IDs are not revealed.
+ *
+ * @async
+ * @param {string} id - The ID of the collection.
+ * @returns {Promise<Object>} `{ session, db, collection }` when allowed, or `{ error }` holding
+ * the 401/404 response to return.
+ *
+ * @example
+ * const { db, collection, error } = await requireCollectionOwner(params.id);
+ * if (error) return error;
+ */
+export async function requireCollectionOwner(id) {
+  const { session, db, error } = await requireRole();
+  if (error) return { error };
+
+  let collection = null;
+  if (ObjectId.isValid(id)) {
+    collection = await db
+      .collection("recipe_collections")
+      .findOne({ _id: new ObjectId(id) });
+  }
+  if (!collection || !isCollectionOwner(collection, session)) {
+    return {
+      error: NextResponse.json(
+        { error: "Collection not found" },
+        { status: 404 }
+      ),
+    };
+  }
+
+  return { session, db, collection };
+}
@@ -0,0 +1,57 @@
+/**
+ * Shared access guard for API routes. Routes read the session through here rather than calling
+ * getServerSession themselves, so every route uses the same auth options.
+ *
+ * @module requireRole
+ */
+import { NextResponse } from "next/server";
+import { getServerSession } from "next-auth/next";
+import { authOptions } from "@/app/api/auth/[...nextauth]/route";
+import clientPromise from "./mongodb";
+import { ROLES, getUserRole, hasRole } from "./roles";
+
+/**
+ * Checks that the request comes from a signed-in user with at least a role. The role is read
+ * from the users document rather than the session token, so promotions and demotions apply to
+ * the next request.
+ *
+ * @async
+ * @param {string} [requiredRole=ROLES.USER] - The role needed.
+ * @returns {Promise<Object>} `{ session, db, role }` when allowed, or `{ error }` holding the
+ * 401/403 response to return.
+ *
+ * @example
+ * const { session, db, error } = await requireRole(ROLES.ADMIN);
+ * if (error) return error;
+ */
+export async function requireRole(requiredRole = ROLES.USER) {
+  const session = await getServerSession(authOptions);
+  if (!session) {
+    return {
+      error: NextResponse.json({ error: "Unauthorized" }, { status: 401 }),
+    };
+  }
+
+  const client = await clientPromise;
+  const db = client.db("devdb");
+  const role = await getUserRole(db, session.user.email);
+
+  if (!hasRole(role, requiredRole)) {
+    return {
+      error: NextResponse.json({ error: "Forbidden" }, { status: 403 }),
+    };
+  }
+
+  return { session, db, role };
+}
+
+/**
+ * Gets the session of the signed-in user, for routes that anyone may call but that show more
+ * to signed-in users.
+ *
+ * @async
+ * @returns {Promise<Object|null>} The session, or null when no one is signed in.
+ */
+export async function getOptionalSession() {
+  return getServerSession(authOptions);
+}
@@ -0,0 +1,56 @@
+/**
+ * Access guard for API routes that read or change a shopping list.
+ *
+ * @module requireShoppingList
+ */
+import { NextResponse } from "next/server";
+import { ObjectId } from "mongodb";
+import { requireRole } from "./requireRole";
+import { LIST_ROLES, getListRole, hasListRole } from "./shoppingList";
+
+/**
+ * Checks that the request comes from a signed-in user with at least a role on a shopping list.
+ * Lists that are neither the user's own nor shared with them are reported as not found, so
+ * their IDs are not revealed.
+ *
+ * @async
+ * @param {string} id - The ID of the shopping list.
+ * @param {string} [requiredRole=LIST_ROLES.VIEWER] - The list role needed.
+ * @returns {Promise<Object>} `{ session, db, list, role }` when allowed, or `{ error }` holding
+ * the 401/403/404 response to return.
+ *
+ * @example
+ * const { db, list, error } = await requireShoppingList(params.id, LIST_ROLES.EDITOR);
+ * if (error) return error;
+ */
+export async function requireShoppingList(
+  id,
+  requiredRole = LIST_ROLES.VIEWER
+) {
+  const { session, db, error } = await requireRole();
+  if (error) return { error };
+
+  let list = null;
+  if (ObjectId.isValid(id)) {
+    list = await db
+      .collection("shopping_lists")
+      .findOne({ _id: new ObjectId(id) });
+  }
+
+  const role = list && getListRole(list, session);
+  if (!role) {
+    return {
+      error: NextResponse.json({ error: "List not found" }, { status: 404 }),
+    };
+  }
+  if (!hasListRole(role, requiredRole)) {
+    return {
+      error: NextResponse.json(
+        { error: "You don't have permission to change this list" },
+        { status: 403 }
+      ),
+    };
+  }
+
+  return { session, db, list, role };
+}
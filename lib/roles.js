@@ -0,0 +1,75 @@
+/**
+ * User roles, stored as `role` on the users document.
+ *
+ * Roles are ordered: moderators can do everything users can, and admins can do everything
+ * moderators can. Users without a stored role are plain users. The role is copied into the
+ * session token for the UI and middleware, but API routes always check the users document so
+ * that role changes apply straight away.
+ *
+ * @module roles
+ */
+
+/**
+ * The available roles.
+ * @enum {string}
+ */
+export const ROLES = {
+  USER: "user",
+  MODERATOR: "moderator",
+  ADMIN: "admin",
+};
+
+// Rank of each role; a higher rank includes the permissions of the lower ones
+const ROLE_RANKS = {
+  [ROLES.USER]: 0,
+  [ROLES.MODERATOR]: 1,
+  [ROLES.ADMIN]: 2,
+};
+
+/**
+ * Checks whether a value is a known role.
+ *
+ * @param {*} role - The value to check.
+ * @returns {boolean} True if the value is a role.
+ */
+export const isValidRole = (role) =>
+  Object.prototype.hasOwnProperty.call(ROLE_RANKS, role);
+
+/**
+ * Checks whether a role includes the permissions of another role.
+ *
+ * @param {string|undefined} role - The user's role; missing roles count as user.
+ * @param {string} requiredRole - The role needed.
+ * @returns {boolean} True if the role is at least the required role.
+ */
+export const hasRole = (role, requiredRole) =>
+  (ROLE_RANKS[role] ?? ROLE_RANKS[ROLES.USER]) >= ROLE_RANKS[requiredRole];
+
+/**
+ * Gets a user's role from the users document.
+ *
+ * @param {import("mongodb").Db} db - The database.
+ * @param {string|undefined} email - The user's email.
+ * @returns {Promise<string>} The user's role, or user if they have none.
+ */
+export const getUserRole = async (db, email) => {
+  if (!email) return ROLES.USER;
+
+  const user = await db
+    .collection("users")
+    .findOne({ email }, { projection: { role: 1 } });
+  return isValidRole(user?.role) ? user.role : ROLES.USER;
+};
+
+/**
+ * Checks whether the signed-in user has at least a role.
+ *
+ * @param {import("mongodb").Db} db - The database.
+ * @param {Object|null} session - The NextAuth session.
+ * @param {string} requiredRole - The role needed.
+ * @returns {Promise<boolean>} True if the user has the role.
+ */
+export const sessionHasRole = async (db, session, requiredRole) => {
+  if (!session?.user?.email) return false;
+  return hasRole(await getUserRole(db, session.user.email), requiredRole);
+};
@@ -0,0 +1,135 @@
+/**
+ * Helpers for full-text recipe search.
+ *
+ * Search input supports plain terms, "quoted phrases" and negated terms or phrases
+ * (prefixed with "-"). Positive terms and phrases are matched through the weighted
+ * `recipe_search_index` text index, while negations are applied as escaped regex
+ * exclusions so they also work when a search contains nothing but exclusions.
+ *
+ * @module search
+ */
+
+// Fields covered by the recipe text index, with their relevance weights
+export const SEARCH_INDEX_WEIGHTS = {
+  title: 10,
+  description: 5,
+  ingredientNames: 4,
+  tags: 3,
+  instructions: 1,
+};
+
+/**
+ * Escapes special regular expression characters in a given string.
+ *
+ * @param {string} string - The input string to be escaped.
+ * @returns {string} The escaped string.
+ */
+export function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Splits a search query into terms, phrases and exclusions.
+ *
+ * @param {string} query - The raw search query.
+ * @returns {{terms: string[], phrases: string[], excluded: string[]}} The parsed query.
+ *
+ * @example
+ * parseSearchQuery('chicken "green curry" -peanut');
+ * // { terms: ["chicken"], phrases: ["green curry"], excluded: ["peanut"] }
+ */
+export function parseSearchQuery(query) {
+  const parsed = { terms: [], phrases: [], excluded: [] };
+  if (!query?.trim()) return parsed;
+
+  // Match an optional "-" followed by either a quoted phrase or a single word
+  const tokenPattern = /(-?)"([^"]*)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = tokenPattern.exec(query)) !== null) {
+    const isPhrase = match[2] !== undefined;
+    const negated = isPhrase ? match[1] === "-" : match[3] === "-";
+    // Drop stray quotes and characters the text index treats as operators
+    const value = (isPhrase ? match[2] : match[4])
+      .replace(/["\\]/g, "")
+      .replace(/^-+/, "")
+      .trim();
+
+    if (!value) continue;
+
+    if (negated) {
+      parsed.excluded.push(value);
+    } else if (isPhrase && value.includes(" ")) {
+      parsed.phrases.push(value);
+    } else {
+      parsed.terms.push(value);
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Builds the `$search` string for a MongoDB `$text` query from a parsed query.
+ *
+ * @param {{terms: string[], phrases: string[]}} parsed - The parsed query.
+ * @returns {string} The text search string, or an empty string if there is nothing to match.
+ */
+export function buildTextSearch({ terms, phrases }) {
+  return [...phrases.map((phrase) => `"${phrase}"`), ...terms].join(" ");
+}
+
+/**
+ * Builds MongoDB conditions that exclude recipes containing any of the given terms.
+ *
+ * @param {string[]} excluded - Terms or phrases that must not appear.
+ * @returns {Object[]} Conditions for a `$nor` clause.
+ */
+export function buildExclusions(excluded) {
+  return excluded.flatMap((term) => {
+    const regex = { $regex: `\\b${escapeRegExp(term)}\\b`, $options: "i" };
+    return Object.keys(SEARCH_INDEX_WEIGHTS).map((field) => ({
+      [field]: regex,
+    }));
+  });
+}
+
+/**
+ * Derives the searchable list of ingredient names from a recipe's ingredients object.
+ * Text indexes cannot cover object keys, so recipes store these names separately.
+ *
+ * @param {Object<string, string>} ingredients - Ingredients keyed by name.
+ * @returns {string[]} The ingredient names.
+ */
+export function getIngredientNames(ingredients) {
+  return Object.keys(ingredients || {});
+}
+
+/**
+ * Checks a recipe against a search query without the database, for example to search
+ * downloaded recipes while offline. Looks through the same fields as the text index; every
+ * term and phrase must appear in one of them, and none of the excluded terms may.
+ *
+ * @param {Object} recipe - The recipe to check.
+ * @param {string} query - The raw search query.
+ * @returns {boolean} True if the recipe matches, or if the query is empty.
+ */
+export function matchesSearchQuery(recipe, query) {
+  const { terms, phrases, excluded } = parseSearchQuery(query);
+
+  const text = Object.keys(SEARCH_INDEX_WEIGHTS)
+    .map((field) =>
+      field === "ingredientNames"
+        ? recipe.ingredientNames || getIngredientNames(recipe.ingredients)
+        : recipe[field]
+    )
+    .flat()
+    .filter((value) => typeof value === "string")
+    .join("\n");
+
+  // Matches from the start of a word, so results narrow as the user types
+  const contains = (term) =>
+    new RegExp(`\\b${escapeRegExp(term)}`, "i").test(text);
+
+  return [...terms, ...phrases].every(contains) && !excluded.some(contains);
+}
@@ -0,0 +1,46 @@
+/**
+ * Access to the app's own service worker (public/service-worker.js), which shows
+ * notifications, serves offline images and refreshes downloads in the background. It is the
+ * only worker registered at the root scope; next-pwa's generated worker is not registered (see
+ * next.config.mjs).
+ *
+ * Only usable in the browser.
+ *
+ * @module serviceWorker
+ */
+
+/**
+ * URL of the app's service worker script.
+ * @const {string}
+ */
+export const WORKER_URL = "/service-worker.js";
+
+/**
+ * Gets the service worker registration, registering the worker if needed.
+ *
+ * @returns {Promise<ServiceWorkerRegistration|null>} The registration, or null if service
+ * workers are unavailable.
+ */
+export const getWorkerRegistration = async () => {
+  if (!("serviceWorker" in navigator)) return null;
+  try {
+    return await navigator.serviceWorker.register(WORKER_URL);
+  } catch (error) {
+    console.error("Error registering the service worker:", error);
+    return null;
+  }
+};
+
+/**
+ * Sends a message to the service worker.
+ *
+ * @param {Object} message - The message.
+ * @returns {Promise<boolean>} True if a service worker received the message.
+ */
+export const postToWorker = async (message) => {
+  const registration = await getWorkerRegistration();
+  const worker =
+    registration?.active || registration?.waiting || registration?.installing;
+  worker?.postMessage(message);
+  return Boolean(worker);
+};
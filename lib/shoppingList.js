@@ -0,0 +1,290 @@
+/**
+ * Item-level changes to shopping lists, shared by the API and the shopping list page.
+ *
+ * Each item carries an `id` and the time it was last changed (`updatedAt`). A change is
+ * applied only if it was made after the item's last change, so when changes made offline are
+ * sent later they never undo newer edits made elsewhere. Items saved before items had IDs
+ * are matched by ingredient name instead.
+ *
+ * A list belongs to the user who created it, who can share it with other users by email as a
+ * viewer, who can only read it, or an editor, who can also change its items. Members are kept
+ * on the list as `members: [{ email, name, role, invitedAt }]`, with lower-cased emails.
+ *
+ * @module shoppingList
+ */
+
+/**
+ * What a user may do with a list. Each role includes the ones before it.
+ * @enum {string}
+ */
+export const LIST_ROLES = {
+  VIEWER: "viewer",
+  EDITOR: "editor",
+  OWNER: "owner",
+};
+
+// Rank of each role; a higher rank includes the permissions of the lower ones
+const LIST_ROLE_RANKS = {
+  [LIST_ROLES.VIEWER]: 0,
+  [LIST_ROLES.EDITOR]: 1,
+  [LIST_ROLES.OWNER]: 2,
+};
+
+/**
+ * Most members a list can be shared with.
+ * @type {number}
+ */
+export const MAX_LIST_MEMBERS = 20;
+
+/**
+ * Kinds of item change.
+ * @enum {string}
+ */
+export const ITEM_CHANGE = {
+  ADD: "add",
+  UPDATE: "update",
+  REMOVE: "remove",
+};
+
+// Item fields an update may set
+const UPDATABLE_FIELDS = ["purchased", "amount"];
+
+// Longest item ID, ingredient name and amount accepted
+const MAX_ID_LENGTH = 100;
+const MAX_INGREDIENT_LENGTH = 200;
+const MAX_AMOUNT_LENGTH = 50;
+
+/**
+ * Checks that an item amount is a number or a short text such as "1 1/2 cups".
+ *
+ * @param {*} amount - The value to check.
+ * @returns {boolean} True if the value can be stored as an amount.
+ */
+const isValidAmount = (amount) =>
+  (typeof amount === "number" && Number.isFinite(amount)) ||
+  (typeof amount === "string" && amount.length <= MAX_AMOUNT_LENGTH);
+
+/**
+ * Checks whether a role can be given to a member.
+ *
+ * @param {*} role - The value to check.
+ * @returns {boolean} True if the value is the viewer or editor role.
+ */
+export const isMemberRole = (role) =>
+  role === LIST_ROLES.VIEWER || role === LIST_ROLES.EDITOR;
+
+/**
+ * Gets the signed-in user's role on a list.
+ *
+ * @param {Object} list - The shopping list document.
+ * @param {Object|null} session - The NextAuth session.
+ * @returns {string|null} The user's role, or null if the list is not theirs or shared with them.
+ */
+export const getListRole = (list, session) => {
+  if (!session?.user) return null;
+  if (session.user.id && list.userId === session.user.id) {
+    return LIST_ROLES.OWNER;
+  }
+
+  const email = session.user.email?.toLowerCase();
+  const member = email && list.members?.find((m) => m.email === email);
+  return member?.role ?? null;
+};
+
+/**
+ * Checks whether a list role includes the permissions of another role.
+ *
+ * @param {string|null} role - The user's role on the list.
+ * @param {string} requiredRole - The role needed.
+ * @returns {boolean} True if the role is at least the required role.
+ */
+export const hasListRole = (role, requiredRole) =>
+  role in LIST_ROLE_RANKS &&
+  LIST_ROLE_RANKS[role] >= LIST_ROLE_RANKS[requiredRole];
+
+/**
+ * Gets the name shown for a user on items they add or check off.
+ *
+ * @param {Object} session - The NextAuth session.
+ * @returns {string} The user's name, or their email if they have none.
+ */
+export const getMemberName = (session) =>
+  session.user.name || session.user.email;
+
+/**
+ * Records who made a change on the items it touches: who added an item, and who checked it
+ * off (cleared again when it is unchecked).
+ *
+ * @param {Object} change - The item change.
+ * @param {string} name - The name of the user making it.
+ * @returns {Object} The change with `addedBy` or `purchasedBy` set.
+ */
+export const attributeItemChange = (change, name) => {
+  if (change.type === ITEM_CHANGE.ADD) {
+    return { ...change, item: { ...change.item, addedBy: name } };
+  }
+  if (
+    change.type === ITEM_CHANGE.UPDATE &&
+    change.set.purchased !== undefined
+  ) {
+    return {
+      ...change,
+      set: { ...change.set, purchasedBy: change.set.purchased ? name : null },
+    };
+  }
+  return change;
+};
+
+/**
+ * Gets when an item was last changed.
+ *
+ * @param {Object} item - The shopping list item.
+ * @returns {number} The time in milliseconds, or 0 if unknown.
+ */
+export const getItemTime = (item) =>
+  new Date(item.updatedAt || item.addedAt || 0).getTime() || 0;
+
+/**
+ * Finds an item by ID, or by ingredient name for items without one.
+ *
+ * @param {Array<Object>} items - The list's items.
+ * @param {{id?: string, ingredient: string}} target - The item to find.
+ * @returns {number} The item's index, or -1 if it is not in the list.
+ */
+export const findItemIndex = (items, target) => {
+  const name = String(target.ingredient ?? "").toLowerCase();
+  return items.findIndex((item) =>
+    item.id
+      ? item.id === target.id
+      : !target.id && item.ingredient?.toLowerCase() === name
+  );
+};
+
+/**
+ * Applies changes to a list's items, skipping those older than the item's last change and
+ * updates or removals of items that no longer exist.
+ *
+ * @param {Array<Object>} items - The list's items.
+ * @param {Array<Object>} changes - The changes, oldest first. Each has a `type` (ITEM_CHANGE)
+ * and `updatedAt`. Additions carry the new `item` and may give the `index` to insert it at;
+ * updates and removals name the item by `id` and `ingredient`, and updates carry the fields to
+ * `set`.
+ * @returns {{items: Array<Object>, skipped: Array<Object>}} The new items and the changes not
+ * applied.
+ */
+export const applyItemChanges = (items, changes) => {
+  const updatedItems = [...items];
+  const skipped = [];
+
+  for (const change of changes) {
+    const isAddition = change.type === ITEM_CHANGE.ADD;
+    const index = findItemIndex(
+      updatedItems,
+      isAddition ? change.item : change
+    );
+    const existing = updatedItems[index];
+
+    if (
+      existing &&
+      getItemTime(existing) > new Date(change.updatedAt).getTime()
+    ) {
+      skipped.push(change);
+    } else if (isAddition) {
+      const item = { ...change.item, updatedAt: change.updatedAt };
+      if (existing) {
+        updatedItems[index] = { ...existing, ...item };
+      } else {
+        const position = Math.min(
+          Math.max(change.index ?? updatedItems.length, 0),
+          updatedItems.length
+        );
+        updatedItems.splice(position, 0, item);
+      }
+    } else if (!existing) {
+      skipped.push(change);
+    } else if (change.type === ITEM_CHANGE.REMOVE) {
+      updatedItems.splice(index, 1);
+    } else {
+      updatedItems[index] = {
+        ...existing,
+        ...change.set,
+        updatedAt: change.updatedAt,
+      };
+    }
+  }
+
+  return { items: updatedItems, skipped };
+};
+
+/**
+ * Checks a change sent by a client and keeps only its known fields. Times in the future are
+ * moved back to `now`, so a device with a fast clock cannot block later edits.
+ *
+ * @param {Object} change - The change as sent.
+ * @param {Date} now - The current time.
+ * @returns {Object|null} The change with `updatedAt` as a Date, or null if it is invalid.
+ */
+export const normalizeItemChange = (change, now) => {
+  if (!change || !Object.values(ITEM_CHANGE).includes(change.type)) {
+    return null;
+  }
+
+  const target = change.type === ITEM_CHANGE.ADD ? change.item : change;
+  const ingredient =
+    typeof target?.ingredient === "string" ? target.ingredient.trim() : "";
+  if (!ingredient || ingredient.length > MAX_INGREDIENT_LENGTH) return null;
+  if (
+    target.id !== undefined &&
+    (typeof target.id !== "string" || target.id.length > MAX_ID_LENGTH)
+  ) {
+    return null;
+  }
+
+  const time = new Date(change.updatedAt).getTime();
+  const normalized = {
+    type: change.type,
+    updatedAt: new Date(
+      Number.isNaN(time) ? now : Math.min(time, now.getTime())
+    ),
+  };
+
+  if (change.type === ITEM_CHANGE.ADD) {
+    if (target.amount !== undefined && !isValidAmount(target.amount)) {
+      return null;
+    }
+    normalized.item = {
+      ...(target.id && { id: target.id }),
+      ingredient,
+      amount: target.amount ?? 1,
+      ...(typeof target.unit === "string" && { unit: target.unit }),
+      purchased: Boolean(target.purchased),
+      addedAt: normalized.updatedAt,
+    };
+    if (Number.isInteger(change.index)) normalized.index = change.index;
+    return normalized;
+  }
+
+  normalized.ingredient = ingredient;
+  if (target.id) normalized.id = target.id;
+
+  if (change.type === ITEM_CHANGE.UPDATE) {
+    normalized.set = {};
+    for (const field of UPDATABLE_FIELDS) {
+      if (change.set?.[field] !== undefined) {
+        normalized.set[field] = change.set[field];
+      }
+    }
+    if (normalized.set.purchased !== undefined) {
+      normalized.set.purchased = Boolean(normalized.set.purchased);
+    }
+    if (
+      normalized.set.amount !== undefined &&
+      !isValidAmount(normalized.set.amount)
+    ) {
+      return null;
+    }
+    if (Object.keys(normalized.set).length === 0) return null;
+  }
+
+  return normalized;
+};
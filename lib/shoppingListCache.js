@@ -0,0 +1,75 @@
+/**
+ * Copy of the user's shopping lists kept in the browser, so they open and can be checked off
+ * without a connection.
+ *
+ * The copy is saved after every change. Item changes that have not reached the server yet
+ * wait in the outbox (see lib/outbox.js); they are applied again on top of lists fetched
+ * from the server, so fresh lists never hide them.
+ *
+ * Only usable in the browser.
+ *
+ * @module shoppingListCache
+ */
+
+import { withStore, STORES } from "@/lib/offlineDatabase";
+import { getOutboxEntries, OUTBOX_STATUS } from "@/lib/outbox";
+import { applyItemChanges } from "@/lib/shoppingList";
+
+// Outbox URLs of item changes, capturing the list ID
+const ITEM_CHANGES_URL = /^\/api\/shopping-list\/([^/]+)\/items$/;
+
+/**
+ * Gets the saved copy of a user's shopping lists.
+ *
+ * @param {string} userId - The user's ID.
+ * @returns {Promise<Array<Object>|null>} The lists, or null if none were saved.
+ */
+export const getCachedLists = async (userId) => {
+  const entry = await withStore(STORES.SHOPPING_LISTS, "readonly", (store) =>
+    store.get(userId)
+  );
+  return entry?.lists ?? null;
+};
+
+/**
+ * Saves a copy of a user's shopping lists, replacing the previous one.
+ *
+ * @param {string} userId - The user's ID.
+ * @param {Array<Object>} lists - The lists.
+ * @returns {Promise<void>}
+ */
+export const cacheLists = async (userId, lists) => {
+  await withStore(STORES.SHOPPING_LISTS, "readwrite", (store) =>
+    store.put({ userId, lists, savedAt: new Date().toISOString() })
+  );
+};
+
+/**
+ * Applies item changes still waiting in the outbox to lists fetched from the server.
+ *
+ * @param {Array<Object>} lists - The lists from the server.
+ * @returns {Promise<Array<Object>>} The lists as the user last left them.
+ */
+export const withPendingChanges = async (lists) => {
+  const entries = await getOutboxEntries().catch(() => []);
+  const changesByList = new Map();
+
+  for (const entry of entries) {
+    const match = entry.url.match(ITEM_CHANGES_URL);
+    if (entry.status !== OUTBOX_STATUS.PENDING || !match) continue;
+
+    const { changes = [] } = JSON.parse(entry.body || "{}");
+    changesByList.set(match[1], [
+      ...(changesByList.get(match[1]) || []),
+      ...changes,
+    ]);
+  }
+
+  if (changesByList.size === 0) return lists;
+
+  return lists.map((list) => {
+    const changes = changesByList.get(list._id);
+    if (!changes) return list;
+    return { ...list, items: applyItemChanges(list.items, changes).items };
+  });
+};
@@ -0,0 +1,408 @@
+/**
+ * Helpers for managing recipe categories and tags.
+ *
+ * Category names live in the single `categories` document, in display order, and each recipe
+ * has one `category`. Tags only exist on recipes, in their `tags` array. Descriptions and icons
+ * for both are kept in the `taxonomy` collection, one document per category or tag.
+ *
+ * Renames, merges and deletions change every affected recipe in one transaction, so recipes
+ * never point at a category or tag that no longer exists. These bulk changes do not create
+ * recipe versions, but they do update each recipe's `lastModified`.
+ *
+ * @module taxonomy
+ */
+import { PUBLIC_RECIPE_FILTER } from "./userRecipes";
+
+/**
+ * The kinds of term that can be managed.
+ * @enum {string}
+ */
+export const TAXONOMY_TYPES = {
+  CATEGORY: "category",
+  TAG: "tag",
+};
+
+/**
+ * Icons that can be given to a category or tag, by name.
+ * @type {string[]}
+ */
+export const TAXONOMY_ICONS = [
+  "utensils",
+  "cooking-pot",
+  "coffee",
+  "croissant",
+  "egg",
+  "sandwich",
+  "salad",
+  "soup",
+  "pizza",
+  "beef",
+  "drumstick",
+  "fish",
+  "carrot",
+  "leaf",
+  "vegan",
+  "wheat",
+  "apple",
+  "cherry",
+  "cake",
+  "cookie",
+  "ice-cream",
+  "milk",
+  "wine",
+  "beer",
+  "flame",
+  "snowflake",
+  "sun",
+  "timer",
+  "heart",
+  "star",
+  "baby",
+  "party-popper",
+];
+
+// Longest name and description accepted
+const MAX_NAME_LENGTH = 50;
+const MAX_DESCRIPTION_LENGTH = 200;
+
+/**
+ * Trims a category or tag name.
+ *
+ * @param {*} name - The name as entered.
+ * @returns {string} The trimmed name, or an empty string if invalid.
+ */
+export const normalizeTermName = (name) => {
+  if (typeof name !== "string") return "";
+  const trimmed = name.trim().replace(/\s+/g, " ");
+  return trimmed.length <= MAX_NAME_LENGTH ? trimmed : "";
+};
+
+/**
+ * Checks a description and icon before they are saved.
+ *
+ * @param {Object} details - The details to check.
+ * @param {string} [details.description] - The description.
+ * @param {string|null} [details.icon] - The icon name, or null to remove the icon.
+ * @returns {string|null} The problem found, or null if the details are valid.
+ */
+export const validateTermDetails = ({ description, icon }) => {
+  if (
+    description !== undefined &&
+    (typeof description !== "string" ||
+      description.trim().length > MAX_DESCRIPTION_LENGTH)
+  ) {
+    return `Description must be at most ${MAX_DESCRIPTION_LENGTH} characters`;
+  }
+  if (icon !== undefined && icon !== null && !TAXONOMY_ICONS.includes(icon)) {
+    return "Unknown icon";
+  }
+  return null;
+};
+
+/**
+ * Builds the `$set` fields for a term's description and icon, skipping those not given.
+ *
+ * @param {Object} details - The validated details.
+ * @returns {Object} The fields to set.
+ */
+const buildDetailsSet = ({ description, icon }) => ({
+  ...(description !== undefined && { description: description.trim() }),
+  ...(icon !== undefined && { icon }),
+});
+
+/**
+ * Runs a function inside a transaction, so its writes are applied together or not at all.
+ *
+ * @async
+ * @param {import("mongodb").Db} db - The database.
+ * @param {function(import("mongodb").ClientSession): Promise<*>} work - The writes to run,
+ * passing the session to every operation.
+ * @returns {Promise<*>} The result of the function.
+ */
+const inTransaction = async (db, work) => {
+  const session = db.client.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Gets the category names in display order. Categories that recipes use but that are missing
+ * from the list, such as one deleted while a recipe was being saved into it, come last so
+ * they can still be chosen, renamed or merged.
+ *
+ * @async
+ * @param {import("mongodb").Db} db - The database.
+ * @returns {Promise<string[]>} The category names.
+ */
+export const getCategoryNames = async (db) => {
+  const [doc, usedNames] = await Promise.all([
+    db.collection("categories").findOne({}, { projection: { categories: 1 } }),
+    db.collection("recipes").distinct("category"),
+  ]);
+  const names = doc?.categories || [];
+  return [
+    ...names,
+    ...usedNames.filter((name) => name && !names.includes(name)),
+  ];
+};
+
+/**
+ * Gets the categories or tags with their description, icon and recipe count. Categories keep
+ * their display order; tags are sorted by name. Only recipes in the public catalog are counted,
+ * and tags used only on hidden recipes are left out.
+ *
+ * @async
+ * @param {import("mongodb").Db} db - The database.
+ * @param {string} type - The term type.
+ * @returns {Promise<Array<{name: string, description: string, icon: string|null,
+ * recipeCount: number}>>} The terms.
+ */
+export const getTermsWithDetails = async (db, type) => {
+  const isCategory = type === TAXONOMY_TYPES.CATEGORY;
+  const field = isCategory ? "$category" : "$tags";
+
+  const [names, counts, details] = await Promise.all([
+    isCategory
+      ? getCategoryNames(db)
+      : db.collection("recipes").distinct("tags", PUBLIC_RECIPE_FILTER),
+    db
+      .collection("recipes")
+      .aggregate([
+        { $match: PUBLIC_RECIPE_FILTER },
+        ...(isCategory ? [] : [{ $unwind: "$tags" }]),
+        { $group: { _id: field, count: { $sum: 1 } } },
+      ])
+      .toArray(),
+    db.collection("taxonomy").find({ type }).toArray(),
+  ]);
+
+  const countByName = new Map(counts.map(({ _id, count }) => [_id, count]));
+  const detailsByName = new Map(details.map((doc) => [doc.name, doc]));
+  const orderedNames = isCategory
+    ? names
+    : names.filter(Boolean).sort((a, b) => a.localeCompare(b));
+
+  return orderedNames.map((name) => ({
+    name,
+    description: detailsByName.get(name)?.description || "",
+    icon: detailsByName.get(name)?.icon || null,
+    recipeCount: countByName.get(name) || 0,
+  }));
+};
+
+/**
+ * Checks whether a category or tag exists, ignoring case.
+ *
+ * @async
+ * @param {import("mongodb").Db} db - The database.
+ * @param {string} type - The term type.
+ * @param {string} name - The name to look for.
+ * @returns {Promise<string|null>} The existing name as stored, or null if there is none.
+ */
+export const findTerm = async (db, type, name) => {
+  const names =
+    type === TAXONOMY_TYPES.CATEGORY
+      ? await getCategoryNames(db)
+      : await db.collection("recipes").distinct("tags");
+  return (
+    names.find((existing) => existing?.toLowerCase() === name.toLowerCase()) ??
+    null
+  );
+};
+
+/**
+ * Adds a category at the end of the display order.
+ *
+ * @async
+ * @param {import("mongodb").Db} db - The database.
+ * @param {string} name - The normalized category name.
+ * @param {Object} [details={}] - The validated description and icon.
+ */
+export const createCategory = async (db, name, details = {}) => {
+  await inTransaction(db, async (session) => {
+    await db
+      .collection("categories")
+      .updateOne(
+        {},
+        { $push: { categories: name } },
+        { upsert: true, session }
+      );
+
+    const detailsSet = buildDetailsSet(details);
+    if (Object.keys(detailsSet).length > 0) {
+      await db.collection("taxonomy").updateOne(
+        { type: TAXONOMY_TYPES.CATEGORY, name },
+        { $set: { ...detailsSet, updatedAt: new Date() } },
+        { upsert: true, session }
+      );
+    }
+  });
+};
+
+/**
+ * Renames a category or tag and updates its description and icon. A rename changes every
+ * recipe using the old name in the same transaction.
+ *
+ * @async
+ * @param {import("mongodb").Db} db - The database.
+ * @param {string} type - The term type.
+ * @param {string} name - The current name.
+ * @param {Object} changes - The changes.
+ * @param {string} [changes.newName] - The normalized new name, if renaming.
+ * @param {string} [changes.description] - The new description.
+ * @param {string|null} [changes.icon] - The new icon.
+ * @returns {Promise<{modifiedCount: number}>} The number of recipes changed.
+ */
+export const updateTerm = async (db, type, name, changes) => {
+  const { newName } = changes;
+  const now = new Date();
+
+  return inTransaction(db, async (session) => {
+    let modifiedCount = 0;
+
+    if (newName && newName !== name) {
+      const recipes = db.collection("recipes");
+
+      if (type === TAXONOMY_TYPES.CATEGORY) {
+        const result = await recipes.updateMany(
+          { category: name },
+          { $set: { category: newName, lastModified: now } },
+          { session }
+        );
+        modifiedCount = result.modifiedCount;
+
+        await db
+          .collection("categories")
+          .updateOne(
+            { categories: name },
+            { $set: { "categories.$": newName } },
+            { session }
+          );
+      } else {
+        // Add the new name first so recipes that already have it keep a single copy
+        await recipes.updateMany(
+          { tags: name },
+          { $addToSet: { tags: newName } },
+          { session }
+        );
+        const result = await recipes.updateMany(
+          { tags: name },
+          { $pull: { tags: name }, $set: { lastModified: now } },
+          { session }
+        );
+        modifiedCount = result.modifiedCount;
+      }
+      await db
+        .collection("taxonomy")
+        .updateOne({ type, name }, { $set: { name: newName } }, { session });
+    }
+
+    const detailsSet = buildDetailsSet(changes);
+    if (Object.keys(detailsSet).length > 0) {
+      await db.collection("taxonomy").updateOne(
+        { type, name: newName || name },
+        { $set: { ...detailsSet, updatedAt: now } },
+        { upsert: true, session }
+      );
+    }
+
+    return { modifiedCount };
+  });
+};
+
+/**
+ * Moves every recipe from one category or tag to another and removes the first one. Recipes
+ * already tagged with both keep a single copy of the target tag.
+ *
+ * @async
+ * @param {import("mongodb").Db} db - The database.
+ * @param {string} type - The term type.
+ * @param {string} source - The name being merged away.
+ * @param {string} target - The name recipes are moved to.
+ * @returns {Promise<{modifiedCount: number}>} The number of recipes changed.
+ */
+export const mergeTerms = async (db, type, source, target) => {
+  const now = new Date();
+
+  return inTransaction(db, async (session) => {
+    const recipes = db.collection("recipes");
+    let modifiedCount;
+
+    if (type === TAXONOMY_TYPES.CATEGORY) {
+      const result = await recipes.updateMany(
+        { category: source },
+        { $set: { category: target, lastModified: now } },
+        { session }
+      );
+      modifiedCount = result.modifiedCount;
+
+      await db
+        .collection("categories")
+        .updateOne({}, { $pull: { categories: source } }, { session });
+    } else {
+      // Add the target first so recipes never lose the tag between the two writes
+      await recipes.updateMany(
+        { tags: source },
+        { $addToSet: { tags: target } },
+        { session }
+      );
+      const result = await recipes.updateMany(
+        { tags: source },
+        { $pull: { tags: source }, $set: { lastModified: now } },
+        { session }
+      );
+      modifiedCount = result.modifiedCount;
+    }
+
+    await db.collection("taxonomy").deleteOne({ type, name: source }, { session });
+    return { modifiedCount };
+  });
+};
+
+/**
+ * Deletes a tag, removing it from every recipe, or a category that no recipe uses. To delete
+ * a category that is in use, merge it into another one instead.
+ *
+ * @async
+ * @param {import("mongodb").Db} db - The database.
+ * @param {string} type - The term type.
+ * @param {string} name - The name to delete.
+ * @returns {Promise<{modifiedCount: number, recipeCount?: number}>} The number of recipes
+ * changed. A category still in use is not deleted, and `recipeCount` says how many recipes
+ * use it.
+ */
+export const deleteTerm = async (db, type, name) =>
+  inTransaction(db, async (session) => {
+    let modifiedCount = 0;
+
+    if (type === TAXONOMY_TYPES.CATEGORY) {
+      // A recipe saved into the category meanwhile keeps it listed, see getCategoryNames
+      const recipeCount = await db
+        .collection("recipes")
+        .countDocuments({ category: name }, { session });
+      if (recipeCount > 0) return { modifiedCount, recipeCount };
+
+      await db
+        .collection("categories")
+        .updateOne({}, { $pull: { categories: name } }, { session });
+    } else {
+      const result = await db
+        .collection("recipes")
+        .updateMany(
+          { tags: name },
+          { $pull: { tags: name }, $set: { lastModified: new Date() } },
+          { session }
+        );
+      modifiedCount = result.modifiedCount;
+    }
+
+    await db.collection("taxonomy").deleteOne({ type, name }, { session });
+    return { modifiedCount };
+  });
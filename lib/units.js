@@ -0,0 +1,401 @@
+/**
+ * Unit model for ingredient measurements.
+ *
+ * Builds on the single unit guessed by `getIngredientUnit` by parsing explicit units out
+ * of quantities, converting between metric and US customary units and, for ingredients
+ * with a known density, between volume and weight.
+ *
+ * @module units
+ */
+
+import { parseQuantity, formatQuantity } from "./quantity";
+import { getIngredientUnit } from "./ingredientUnit";
+
+/**
+ * Supported measurement systems for the user's unit preference.
+ * @enum {string}
+ */
+export const UNIT_SYSTEMS = {
+  METRIC: "metric",
+  US: "us",
+};
+
+// Convertible units with their size in the base unit (ml for volume, g for weight)
+const UNITS = {
+  tsp: { type: "volume", system: UNIT_SYSTEMS.US, base: 4.92892 },
+  tbsp: { type: "volume", system: UNIT_SYSTEMS.US, base: 14.7868 },
+  "fl oz": { type: "volume", system: UNIT_SYSTEMS.US, base: 29.5735 },
+  cup: { type: "volume", system: UNIT_SYSTEMS.US, base: 236.588 },
+  ml: { type: "volume", system: UNIT_SYSTEMS.METRIC, base: 1 },
+  l: { type: "volume", system: UNIT_SYSTEMS.METRIC, base: 1000 },
+  oz: { type: "weight", system: UNIT_SYSTEMS.US, base: 28.3495 },
+  lb: { type: "weight", system: UNIT_SYSTEMS.US, base: 453.592 },
+  g: { type: "weight", system: UNIT_SYSTEMS.METRIC, base: 1 },
+  kg: { type: "weight", system: UNIT_SYSTEMS.METRIC, base: 1000 },
+};
+
+// Spellings found in recipe text, mapped to the canonical unit
+const UNIT_ALIASES = {
+  teaspoon: "tsp",
+  teaspoons: "tsp",
+  tsps: "tsp",
+  tablespoon: "tbsp",
+  tablespoons: "tbsp",
+  tbsps: "tbsp",
+  tbs: "tbsp",
+  "fluid ounce": "fl oz",
+  "fluid ounces": "fl oz",
+  "fl. oz": "fl oz",
+  "fl. oz.": "fl oz",
+  cups: "cup",
+  milliliter: "ml",
+  milliliters: "ml",
+  millilitre: "ml",
+  millilitres: "ml",
+  liter: "l",
+  liters: "l",
+  litre: "l",
+  litres: "l",
+  ounce: "oz",
+  ounces: "oz",
+  pound: "lb",
+  pounds: "lb",
+  lbs: "lb",
+  gram: "g",
+  grams: "g",
+  kilogram: "kg",
+  kilograms: "kg",
+};
+
+/**
+ * Densities in grams per millilitre, keyed by words found in ingredient names.
+ * Dry ingredients are weighed in metric kitchens and measured by volume in US ones.
+ */
+const DENSITIES = [
+  { keywords: ["powdered sugar", "icing sugar"], density: 0.56, dry: true },
+  { keywords: ["brown sugar"], density: 0.93, dry: true },
+  { keywords: ["sugar"], density: 0.85, dry: true },
+  { keywords: ["cocoa"], density: 0.42, dry: true },
+  { keywords: ["flour"], density: 0.53, dry: true },
+  { keywords: ["cornstarch", "corn starch"], density: 0.54, dry: true },
+  { keywords: ["baking powder", "baking soda"], density: 0.9, dry: true },
+  { keywords: ["salt"], density: 1.2, dry: true },
+  { keywords: ["oats"], density: 0.41, dry: true },
+  { keywords: ["rice"], density: 0.85, dry: true },
+  { keywords: ["breadcrumbs"], density: 0.45, dry: true },
+  { keywords: ["parmesan", "grated cheese"], density: 0.42, dry: true },
+  { keywords: ["cheese"], density: 0.45, dry: true },
+  { keywords: ["butter"], density: 0.96, dry: true },
+  { keywords: ["honey", "syrup", "molasses"], density: 1.42, dry: false },
+  { keywords: ["oil"], density: 0.92, dry: false },
+  { keywords: ["cream"], density: 1.01, dry: false },
+  { keywords: ["milk", "buttermilk"], density: 1.03, dry: false },
+  { keywords: ["yogurt", "sour cream"], density: 1.04, dry: false },
+  { keywords: ["water", "broth", "stock", "juice", "wine", "vinegar"], density: 1, dry: false },
+];
+
+// Every density keyword as a whole-word pattern, longest first so "buttermilk" beats
+// "butter" and "sour cream" beats "cream" whatever the order above
+const DENSITY_KEYWORDS = DENSITIES.flatMap((entry) =>
+  entry.keywords.map((keyword) => ({
+    keyword,
+    entry,
+    pattern: new RegExp(`\\b${keyword}s?\\b`),
+  }))
+).sort((a, b) => b.keyword.length - a.keyword.length);
+
+/**
+ * Normalizes a unit label to its canonical form.
+ *
+ * @param {string} label - A unit as written, e.g. "Tablespoons" or "L".
+ * @returns {string|null} The canonical unit ("tbsp", "l", ...), or null if the unit is not convertible.
+ */
+export const normalizeUnit = (label) => {
+  if (!label) return null;
+  const unit = label.toLowerCase().trim();
+  if (UNITS[unit]) return unit;
+  return UNIT_ALIASES[unit] || null;
+};
+
+/**
+ * Looks up the density of an ingredient.
+ *
+ * @param {string} ingredient - The ingredient name.
+ * @returns {{density: number, dry: boolean}|null} The density entry, or null if unknown.
+ */
+export const getDensity = (ingredient) => {
+  const name = ingredient?.toLowerCase().trim() || "";
+  return (
+    DENSITY_KEYWORDS.find(({ pattern }) => pattern.test(name))?.entry || null
+  );
+};
+
+/**
+ * Parses an ingredient amount into a measurement.
+ *
+ * A unit written in the amount ("2 cups") takes precedence; otherwise the unit guessed by
+ * `getIngredientUnit` is used. Units that cannot be converted (such as "pc" or "can") are
+ * kept as plain labels.
+ *
+ * @param {string|number} amount - The raw amount.
+ * @param {string} ingredient - The ingredient name.
+ * @returns {{min: number, max: number, unit: string|null, label: string, rest: string, explicit: boolean}|null} The measurement, or null if the amount has no quantity.
+ */
+export const parseMeasurement = (amount, ingredient) => {
+  const quantity = parseQuantity(amount);
+  if (!quantity) return null;
+
+  // Try the longest unit first so "fl oz" beats "fl"
+  const words = quantity.rest.split(/\s+/).filter(Boolean);
+  for (let length = Math.min(3, words.length); length > 0; length--) {
+    const label = words.slice(0, length).join(" ");
+    const unit = normalizeUnit(label);
+    if (unit) {
+      return {
+        min: quantity.min,
+        max: quantity.max,
+        unit,
+        label: unit,
+        rest: words.slice(length).join(" "),
+        explicit: true,
+      };
+    }
+  }
+
+  const guessed = getIngredientUnit(ingredient);
+  return {
+    min: quantity.min,
+    max: quantity.max,
+    unit: normalizeUnit(guessed),
+    label: guessed,
+    rest: quantity.rest,
+    explicit: false,
+  };
+};
+
+/**
+ * Converts a value between two units, using the ingredient density for volume/weight conversions.
+ *
+ * @param {number} value - The value to convert.
+ * @param {string} from - The canonical unit to convert from.
+ * @param {string} to - The canonical unit to convert to.
+ * @param {string} [ingredient] - The ingredient name, required for volume/weight conversions.
+ * @returns {number|null} The converted value, or null if the conversion is not possible.
+ *
+ * @example
+ * convertUnit(1, "cup", "ml"); // 236.588
+ * convertUnit(1, "cup", "g", "flour"); // ~125
+ */
+export const convertUnit = (value, from, to, ingredient) => {
+  const fromUnit = UNITS[from];
+  const toUnit = UNITS[to];
+  if (!fromUnit || !toUnit) return null;
+
+  const baseValue = value * fromUnit.base;
+  if (fromUnit.type === toUnit.type) {
+    return baseValue / toUnit.base;
+  }
+
+  const entry = getDensity(ingredient);
+  if (!entry) return null;
+
+  // Volume (ml) to weight (g) or weight to volume
+  return fromUnit.type === "volume"
+    ? (baseValue * entry.density) / toUnit.base
+    : baseValue / entry.density / toUnit.base;
+};
+
+/**
+ * Picks the most readable unit of a type within a measurement system for a base value.
+ *
+ * @param {number} baseValue - The value in ml or g.
+ * @param {string} type - "volume" or "weight".
+ * @param {string} system - One of UNIT_SYSTEMS.
+ * @returns {string} The canonical unit to display.
+ */
+const pickUnit = (baseValue, type, system) => {
+  if (system === UNIT_SYSTEMS.METRIC) {
+    if (type === "volume") return baseValue >= 1000 ? "l" : "ml";
+    return baseValue >= 1000 ? "kg" : "g";
+  }
+
+  if (type === "weight") return baseValue >= UNITS.lb.base ? "lb" : "oz";
+  if (baseValue < UNITS.tbsp.base) return "tsp";
+  if (baseValue < UNITS.cup.base / 4) return "tbsp";
+  return "cup";
+};
+
+/**
+ * Converts a measurement to the preferred measurement system.
+ *
+ * Dry ingredients with a known density switch between cups and grams, since metric
+ * kitchens weigh them; everything else keeps its type (volume or weight). Units guessed from
+ * the ingredient name are not converted, since the amount may not be in that unit at all.
+ *
+ * @param {Object} measurement - A measurement from `parseMeasurement`.
+ * @param {string} system - One of UNIT_SYSTEMS.
+ * @param {string} ingredient - The ingredient name.
+ * @returns {Object} The converted measurement, or the original if it cannot be converted.
+ */
+export const toUnitSystem = (measurement, system, ingredient) => {
+  const unit = UNITS[measurement?.unit];
+  if (
+    !unit ||
+    !measurement.explicit ||
+    !Object.values(UNIT_SYSTEMS).includes(system)
+  ) {
+    return measurement;
+  }
+  if (unit.system === system) return measurement;
+
+  let type = unit.type;
+  const entry = getDensity(ingredient);
+  if (entry?.dry) {
+    type = system === UNIT_SYSTEMS.METRIC ? "weight" : "volume";
+  }
+
+  // Choose the target unit from the larger end of the range
+  const baseMax =
+    type === unit.type
+      ? measurement.max * unit.base
+      : convertUnit(measurement.max, measurement.unit, type === "volume" ? "ml" : "g", ingredient);
+  const target = pickUnit(baseMax, type, system);
+
+  return {
+    ...measurement,
+    min: convertUnit(measurement.min, measurement.unit, target, ingredient),
+    max: convertUnit(measurement.max, measurement.unit, target, ingredient),
+    unit: target,
+    label: target,
+  };
+};
+
+/**
+ * Rounds a metric value to a sensible precision for display.
+ *
+ * @param {number} value - The value to round.
+ * @param {string} unit - The canonical metric unit.
+ * @returns {string} The rounded value.
+ */
+const formatMetricNumber = (value, unit) => {
+  if (unit === "l" || unit === "kg") {
+    return parseFloat(value.toFixed(2)).toString();
+  }
+  // Round larger gram/ml amounts to the nearest 5
+  if (value >= 50) return (Math.round(value / 5) * 5).toString();
+  if (value >= 10) return Math.round(value).toString();
+  return parseFloat(value.toFixed(1)).toString();
+};
+
+/**
+ * Formats the numeric range of a measurement, using decimals for metric units and
+ * kitchen fractions for everything else.
+ *
+ * @param {{min: number, max: number, unit: string|null}} measurement - The measurement to format.
+ * @returns {string} The formatted range, e.g. "250" or "1 1/2–2".
+ */
+const formatRange = ({ min, max, unit }) => {
+  if (UNITS[unit]?.system !== UNIT_SYSTEMS.METRIC) {
+    return formatQuantity({ min, max });
+  }
+  const minText = formatMetricNumber(min, unit);
+  const maxText = formatMetricNumber(max, unit);
+  return minText === maxText ? minText : `${minText}–${maxText}`;
+};
+
+/**
+ * Formats an ingredient amount for display in the preferred measurement system.
+ *
+ * @param {string|number} amount - The raw amount.
+ * @param {string} ingredient - The ingredient name.
+ * @param {string|null} [system=null] - One of UNIT_SYSTEMS, or null to keep the amount as written.
+ * @returns {{amount: string, unit: string}} The display amount and unit label.
+ */
+export const formatMeasurement = (amount, ingredient, system = null) => {
+  const measurement = parseMeasurement(amount, ingredient);
+
+  // Fall back to the original behaviour when there is nothing to convert
+  if (!measurement || !system) {
+    return {
+      amount: amount?.toString() ?? "",
+      unit: getIngredientUnit(ingredient),
+    };
+  }
+
+  const converted = toUnitSystem(measurement, system, ingredient);
+
+  return {
+    amount: formatRange(converted),
+    unit: [converted.label, converted.rest].filter(Boolean).join(" "),
+  };
+};
+
+/**
+ * Adds two amounts of the same ingredient, converting the second into the unit of the first.
+ *
+ * @param {string|number} first - The first raw amount.
+ * @param {string|number} second - The second raw amount.
+ * @param {string} ingredient - The ingredient name.
+ * @returns {string|null} The combined amount, or null if the amounts cannot be combined.
+ *
+ * @example
+ * addAmounts("1/2", "1/4", "sugar"); // "3/4"
+ * addAmounts("1 cup", "2 tbsp", "milk"); // "1 1/8 cup"
+ */
+export const addAmounts = (first, second, ingredient) => {
+  const a = parseMeasurement(first, ingredient);
+  const b = parseMeasurement(second, ingredient);
+  if (!a || !b || a.rest !== b.rest) return null;
+
+  // A guessed unit may not be the amount's real unit, so only add it to the same guess
+  if (a.explicit !== b.explicit) return null;
+
+  let { min, max } = b;
+  if (a.unit !== b.unit || a.label !== b.label) {
+    min = convertUnit(b.min, b.unit, a.unit, ingredient);
+    max = convertUnit(b.max, b.unit, a.unit, ingredient);
+    if (min === null || max === null) return null;
+  }
+
+  const total = { min: a.min + min, max: a.max + max };
+
+  // Keep units that were written in the amount; guessed units are added at display time
+  if (!a.explicit) {
+    return [formatQuantity(total), a.rest].filter(Boolean).join(" ");
+  }
+  return [formatRange({ ...total, unit: a.unit }), a.unit, a.rest]
+    .filter(Boolean)
+    .join(" ");
+};
+
+/**
+ * Merges several ingredients objects into one, adding up amounts of the same ingredient.
+ * Ingredient names are matched case-insensitively; amounts that cannot be added together
+ * are joined with "+" so nothing is lost.
+ *
+ * @param {Array<Object<string, string>>} ingredientLists - Ingredients objects keyed by name.
+ * @returns {Object<string, string>} The merged ingredients.
+ */
+export const mergeIngredients = (ingredientLists) => {
+  const merged = new Map();
+
+  ingredientLists.forEach((ingredients) => {
+    Object.entries(ingredients || {}).forEach(([ingredient, amount]) => {
+      const key = ingredient.toLowerCase().trim();
+      const existing = merged.get(key);
+
+      if (!existing) {
+        merged.set(key, { ingredient, amount: amount?.toString() ?? "" });
+        return;
+      }
+
+      existing.amount =
+        addAmounts(existing.amount, amount, existing.ingredient) ||
+        `${existing.amount} + ${amount}`;
+    });
+  });
+
+  return Object.fromEntries(
+    [...merged.values()].map(({ ingredient, amount }) => [ingredient, amount])
+  );
+};
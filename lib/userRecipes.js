@@ -0,0 +1,202 @@
+/**
+ * Helpers for recipes submitted by users.
+ *
+ * Submitted recipes record their owner and a visibility. Private recipes are only shown to
+ * their owner. Public submissions start in the moderation queue and only appear in the
+ * catalog once a moderator approves them. Seeded recipes have neither field and are always public.
+ *
+ * @module userRecipes
+ */
+import { getIngredientNames } from "./search";
+import { ROLES, sessionHasRole } from "./roles";
+
+/**
+ * Who can see a submitted recipe.
+ * @enum {string}
+ */
+export const RECIPE_VISIBILITY = {
+  PUBLIC: "public",
+  PRIVATE: "private",
+};
+
+/**
+ * Where a public submission is in the moderation queue.
+ * @enum {string}
+ */
+export const MODERATION_STATUS = {
+  PENDING: "pending",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+};
+
+/**
+ * Query matching the recipes shown in the public catalog.
+ * @type {Object}
+ */
+export const PUBLIC_RECIPE_FILTER = {
+  visibility: { $ne: RECIPE_VISIBILITY.PRIVATE },
+  moderationStatus: {
+    $nin: [MODERATION_STATUS.PENDING, MODERATION_STATUS.REJECTED],
+  },
+};
+
+/**
+ * Checks whether a recipe is shown in the public catalog.
+ *
+ * @param {Object} recipe - The recipe document.
+ * @returns {boolean} True if anyone can see the recipe.
+ */
+export const isPublicRecipe = (recipe) =>
+  recipe?.visibility !== RECIPE_VISIBILITY.PRIVATE &&
+  recipe?.moderationStatus !== MODERATION_STATUS.PENDING &&
+  recipe?.moderationStatus !== MODERATION_STATUS.REJECTED;
+
+/**
+ * Checks whether the signed-in user submitted a recipe.
+ *
+ * @param {Object} recipe - The recipe document.
+ * @param {Object|null} session - The NextAuth session.
+ * @returns {boolean} True if the user owns the recipe.
+ */
+export const isRecipeOwner = (recipe, session) =>
+  Boolean(recipe?.ownerId && session?.user?.id) &&
+  recipe.ownerId === session.user.id;
+
+/**
+ * Checks whether the signed-in user may see a recipe. Private recipes and submissions awaiting
+ * moderation are only visible to their owner and to moderators.
+ *
+ * @param {import("mongodb").Db} db - The database.
+ * @param {Object} recipe - The recipe document.
+ * @param {Object|null} session - The NextAuth session.
+ * @returns {Promise<boolean>} True if the recipe can be shown to the user.
+ */
+export const canViewRecipe = async (db, recipe, session) =>
+  isPublicRecipe(recipe) ||
+  isRecipeOwner(recipe, session) ||
+  (await sessionHasRole(db, session, ROLES.MODERATOR));
+
+/**
+ * Builds a query matching the recipes a user sees without moderator rights: the public
+ * catalog and their own submissions.
+ *
+ * @param {Object|null} session - The NextAuth session.
+ * @returns {Object} The query.
+ */
+export const buildVisibleRecipeFilter = (session) =>
+  session?.user?.id
+    ? { $or: [PUBLIC_RECIPE_FILTER, { ownerId: session.user.id }] }
+    : PUBLIC_RECIPE_FILTER;
+
+/**
+ * Checks whether the signed-in user may see every one of several recipes, e.g. before saving
+ * references to them.
+ *
+ * @param {import("mongodb").Db} db - The database.
+ * @param {string[]} ids - The recipe IDs.
+ * @param {Object|null} session - The NextAuth session.
+ * @returns {Promise<boolean>} True if every recipe exists and can be shown to the user.
+ */
+export const canViewRecipes = async (db, ids, session) => {
+  const uniqueIds = [...new Set(ids)];
+  const recipes = await db
+    .collection("recipes")
+    .find(
+      { _id: { $in: uniqueIds } },
+      { projection: { ownerId: 1, visibility: 1, moderationStatus: 1 } }
+    )
+    .toArray();
+  if (recipes.length !== uniqueIds.length) return false;
+
+  // Only look up the user's role when someone else's hidden recipe is included
+  return (
+    recipes.every(
+      (recipe) => isPublicRecipe(recipe) || isRecipeOwner(recipe, session)
+    ) || sessionHasRole(db, session, ROLES.MODERATOR)
+  );
+};
+
+/**
+ * Checks whether the signed-in user may edit a recipe. Submitted recipes can only be edited by
+ * their owner and by moderators; seeded recipes have no owner and any signed-in user can
+ * edit them, as before recipes could be submitted.
+ *
+ * @param {import("mongodb").Db} db - The database.
+ * @param {Object} recipe - The recipe document.
+ * @param {Object|null} session - The NextAuth session.
+ * @returns {Promise<boolean>} True if the user may change the recipe.
+ */
+export const canEditRecipe = async (db, recipe, session) => {
+  if (!session?.user) return false;
+  if (!recipe.ownerId) return true;
+  return (
+    isRecipeOwner(recipe, session) ||
+    (await sessionHasRole(db, session, ROLES.MODERATOR))
+  );
+};
+
+/**
+ * Gets the fields that send an edited public submission back to the moderation queue, so
+ * changed content is reviewed before it is shown in the catalog. Edits by moderators, and
+ * edits to private, seeded or already queued recipes, change nothing.
+ *
+ * @param {Object} recipe - The recipe document before the edit.
+ * @param {boolean} isModerator - Whether the editor is a moderator.
+ * @param {Date} [now=new Date()] - The time of the edit.
+ * @returns {Object} The fields to set: `moderationStatus` and `submittedAt`, or none.
+ */
+export const getModerationReset = (recipe, isModerator, now = new Date()) => {
+  if (
+    isModerator ||
+    !recipe.ownerId ||
+    recipe.visibility === RECIPE_VISIBILITY.PRIVATE ||
+    recipe.moderationStatus === MODERATION_STATUS.PENDING
+  ) {
+    return {};
+  }
+  return { moderationStatus: MODERATION_STATUS.PENDING, submittedAt: now };
+};
+
+/**
+ * Gets the moderation status a recipe should have for a visibility. Private recipes skip
+ * moderation and keep their status, a recipe that was already approved stays approved, and
+ * any other recipe made public joins the moderation queue.
+ *
+ * @param {string} visibility - The new visibility.
+ * @param {string|null} [currentStatus=null] - The recipe's current moderation status.
+ * @returns {string|null} The moderation status.
+ */
+export const getModerationStatus = (visibility, currentStatus = null) => {
+  if (visibility === RECIPE_VISIBILITY.PRIVATE) return currentStatus;
+  return currentStatus === MODERATION_STATUS.APPROVED
+    ? MODERATION_STATUS.APPROVED
+    : MODERATION_STATUS.PENDING;
+};
+
+/**
+ * Builds the document for a newly submitted recipe.
+ *
+ * @param {Object} values - The validated recipe fields.
+ * @param {Object} options - Submission details.
+ * @param {string} options.id - The new recipe ID.
+ * @param {Object} options.user - The session user submitting the recipe.
+ * @param {string} options.visibility - The recipe visibility.
+ * @param {Date} [options.now=new Date()] - The submission time.
+ * @returns {Object} The recipe document.
+ */
+export const buildSubmittedRecipe = (
+  values,
+  { id, user, visibility, now = new Date() }
+) => ({
+  _id: id,
+  ...values,
+  tags: values.tags || [],
+  ingredientNames: getIngredientNames(values.ingredients),
+  nutrition: {},
+  published: now,
+  ownerId: user.id,
+  ownerName: user.name || user.email,
+  visibility,
+  moderationStatus: getModerationStatus(visibility),
+  submittedAt: now,
+});
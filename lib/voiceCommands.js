@@ -0,0 +1,51 @@
+/**
+ * Voice commands understood while cooking, shared by the instruction reader and cook mode.
+ *
+ * @module voiceCommands
+ */
+
+/**
+ * Commands that can be spoken.
+ * @enum {string}
+ */
+export const VOICE_COMMANDS = {
+  NEXT: "next",
+  PREVIOUS: "previous",
+  REPEAT: "repeat",
+  PAUSE: "pause",
+  RESUME: "resume",
+  STOP: "stop",
+  GO_TO_STEP: "goToStep",
+};
+
+/**
+ * Works out which command was spoken. Checked in order, so "go back" is read as previous
+ * before anything else matches.
+ *
+ * @param {string} transcript - What the speech recognizer heard.
+ * @returns {{command: string, step?: number}|null} The command, with the zero-based step for
+ * "go to step N", or null if nothing was recognized.
+ */
+export const parseVoiceCommand = (transcript) => {
+  const text = transcript.trim().toLowerCase();
+
+  const stepMatch = text.match(/go\s*to\s*step\s*(\d+)/);
+  if (stepMatch) {
+    return {
+      command: VOICE_COMMANDS.GO_TO_STEP,
+      step: parseInt(stepMatch[1], 10) - 1,
+    };
+  }
+  if (/next\s*(step)?|skip\s*this\s*step/.test(text)) {
+    return { command: VOICE_COMMANDS.NEXT };
+  }
+  if (/previous\s*(step)?|go\s*back/.test(text)) {
+    return { command: VOICE_COMMANDS.PREVIOUS };
+  }
+  if (/repeat\s*(step)?/.test(text)) return { command: VOICE_COMMANDS.REPEAT };
+  if (/pause/.test(text)) return { command: VOICE_COMMANDS.PAUSE };
+  if (/resume/.test(text)) return { command: VOICE_COMMANDS.RESUME };
+  if (/stop/.test(text)) return { command: VOICE_COMMANDS.STOP };
+
+  return null;
+};
@@ -1,6 +1,34 @@
 import { withAuth } from "next-auth/middleware";
+import { ROLES, hasRole } from "@/lib/roles";
+
+// Admin pages and the role each one needs; other admin pages need the moderator role
+const ADMIN_PAGE_ROLES = {
+  "/admin/users": ROLES.ADMIN,
+  "/admin/categories": ROLES.ADMIN,
+};
+
+/**
+ * Gets the role needed to open a page, based on the role stored in the session token.
+ * API routes check the role again against the users document.
+ *
+ * @param {string} pathname - The requested path
+ * @returns {string} The required role
+ */
+const getRequiredRole = (pathname) => {
+  if (!pathname.startsWith("/admin")) return ROLES.USER;
+
+  const page = Object.keys(ADMIN_PAGE_ROLES).find((prefix) =>
+    pathname.startsWith(prefix)
+  );
+  return page ? ADMIN_PAGE_ROLES[page] : ROLES.MODERATOR;
+};
 
 export default withAuth({
+  callbacks: {
+    authorized: ({ token, req }) =>
+      Boolean(token) &&
+      hasRole(token.role, getRequiredRole(req.nextUrl.pathname)),
+  },
   pages: {
     signIn: "/auth/signin",
   },
@@ -10,7 +38,14 @@ export const config = {
   matcher: [
     "/profile/:path*",
     "/favorites/:path*",
+    // Only the list; shared collections can be opened without signing in
+    "/collections",
     "/shopping-list/:path*",
+    "/meal-plan/:path*",
+    "/pantry/:path*",
+    "/my-recipes/:path*",
+    "/recipes/new",
+    "/admin/:path*",
     "/downloaded-recipes/:path*",
   ],
 };
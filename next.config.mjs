@@ -60,7 +60,9 @@ const nextConfig = {
  */
 const pwaConfig = withPWA({
   dest: "public", // Destination folder for the service worker files
-  register: true, // Automatically register the service worker
+  // The app registers its own worker (public/service-worker.js, see lib/serviceWorker.js) at
+  // the same scope; registering this one too would keep replacing it
+  register: false,
   skipWaiting: true, // Activate the new service worker immediately
   disable: process.env.NODE_ENV === "development", // Disable PWA during development
   runtimeCaching: [
@@ -126,3 +126,446 @@ self.addEventListener("notificationclick", (event) => {
     })
   );
 });
+
+/**
+ * Kitchen timers waiting to notify, keyed by timer ID.
+ * @type {Map<string, {timeout: number, resolve: Function}>}
+ */
+const scheduledTimers = new Map();
+
+/**
+ * Stops waiting on a scheduled timer.
+ * @param {string} id - The timer's ID.
+ */
+function clearScheduledTimer(id) {
+  const scheduled = scheduledTimers.get(id);
+  if (!scheduled) return;
+
+  clearTimeout(scheduled.timeout);
+  scheduled.resolve();
+  scheduledTimers.delete(id);
+}
+
+/**
+ * Event listener for messages from the app.
+ * Schedules a local notification for each kitchen timer, so it fires even when the tab is in
+ * the background or offline. Keeping the event open keeps the worker alive until then, for as
+ * long as the browser allows.
+ */
+self.addEventListener("message", (event) => {
+  const data = event.data || {};
+
+  if (data.type === "CANCEL_TIMER") {
+    clearScheduledTimer(data.id);
+    return;
+  }
+  if (data.type !== "SCHEDULE_TIMER") return;
+
+  const { id, label, endsAt, url } = data.timer;
+  clearScheduledTimer(id);
+
+  event.waitUntil(
+    new Promise((resolve) => {
+      const timeout = setTimeout(
+        () => {
+          scheduledTimers.delete(id);
+          self.registration
+            .showNotification("Timer done", {
+              body: `${label} is up`, // Message body
+              icon: "/android-chrome-192x192.png", // Notification icon
+              tag: `timer-${id}`, // Replaces any earlier alert for the same timer
+              requireInteraction: true, // Stay on screen until dismissed
+              vibrate: [200, 100, 200, 100, 200],
+              data: {
+                type: "kitchen-timer",
+                message: `${label} is up`, // Custom message
+                url, // Recipe the timer was started from
+              },
+            })
+            .finally(resolve);
+        },
+        Math.max(0, endsAt - Date.now())
+      );
+      scheduledTimers.set(id, { timeout, resolve });
+    })
+  );
+});
+
+/**
+ * Name of the cache holding images of recipes downloaded for offline use.
+ * Filled by the app (lib/offlineStore.js), which uses the same name.
+ * @const {string}
+ */
+const OFFLINE_IMAGE_CACHE = "offline-recipe-images";
+
+/**
+ * Event listener for network requests.
+ * Serves images of downloaded recipes from the offline image cache, so they show without a
+ * connection. Optimized images (/_next/image) are looked up by the original image URL.
+ */
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || request.destination !== "image") return;
+
+  const requestUrl = new URL(request.url);
+  const imageUrl =
+    requestUrl.pathname === "/_next/image"
+      ? requestUrl.searchParams.get("url")
+      : request.url;
+  if (!imageUrl) return;
+
+  event.respondWith(
+    caches
+      .open(OFFLINE_IMAGE_CACHE)
+      .then((cache) =>
+        cache.match(new URL(imageUrl, self.location.origin).href)
+      )
+      .then((cached) => cached || fetch(request))
+  );
+});
+
+/**
+ * IndexedDB database and stores holding downloaded recipes, changes made offline and saved
+ * shopping lists.
+ * Created by the app (lib/offlineDatabase.js); the names, version and upgrade steps must match.
+ * @const {string}
+ */
+const OFFLINE_DB_NAME = "culinary-haven";
+const OFFLINE_DB_VERSION = 3;
+const OFFLINE_RECIPES_STORE = "downloadedRecipes";
+const OUTBOX_STORE = "outbox";
+const SHOPPING_LISTS_STORE = "shoppingLists";
+
+/**
+ * Periodic sync tag for refreshing downloaded recipes (SYNC_TAG in lib/offlineSync.js).
+ * @const {string}
+ */
+const DOWNLOADS_SYNC_TAG = "refresh-downloads";
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request - The request.
+ * @returns {Promise<*>} The request's result.
+ */
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Opens the offline database, creating or upgrading it as the app would.
+ * @returns {Promise<IDBDatabase>} The open database.
+ */
+function openOfflineDatabase() {
+  const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+  request.onupgradeneeded = (event) => {
+    const db = request.result;
+    if (event.oldVersion < 1) {
+      const recipes = db.createObjectStore(OFFLINE_RECIPES_STORE, {
+        keyPath: "id",
+      });
+      recipes.createIndex("downloadedAt", "downloadedAt");
+    }
+    if (event.oldVersion < 2) {
+      db.createObjectStore(OUTBOX_STORE, {
+        keyPath: "id",
+        autoIncrement: true,
+      });
+    }
+    if (event.oldVersion < 3) {
+      db.createObjectStore(SHOPPING_LISTS_STORE, { keyPath: "userId" });
+    }
+  };
+  return idbRequest(request);
+}
+
+/**
+ * Saves a recipe's images to the offline image cache.
+ * @param {Array<string>} images - The image URLs.
+ * @returns {Promise<void>}
+ */
+async function cacheImages(images) {
+  const cache = await caches.open(OFFLINE_IMAGE_CACHE);
+  for (const image of images || []) {
+    const url = new URL(image, self.location.origin).href;
+    if (await cache.match(url)) continue;
+    try {
+      const response = await fetch(url, { mode: "cors" }).catch(() =>
+        fetch(url, { mode: "no-cors" })
+      );
+      if (response.ok || response.type === "opaque") {
+        await cache.put(url, response);
+      }
+    } catch (error) {
+      console.error("Error caching recipe image:", error);
+    }
+  }
+}
+
+/**
+ * Downloads again every downloaded recipe that was edited since, keeping the user's notes,
+ * marks those that are no longer available, and notifies the user which ones changed. Used
+ * when no page is open to do it. Must match syncDownloads in lib/offlineSync.js.
+ * @returns {Promise<void>}
+ */
+async function refreshDownloads() {
+  const db = await openOfflineDatabase();
+  try {
+    const copies = await idbRequest(
+      db
+        .transaction(OFFLINE_RECIPES_STORE)
+        .objectStore(OFFLINE_RECIPES_STORE)
+        .getAll()
+    );
+    if (copies.length === 0) return;
+
+    const response = await fetch("/api/recipes/sync", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        recipes: copies.map((copy) => ({
+          id: copy.id,
+          lastModified: copy.lastModified || null,
+          updateCount: copy.updateCount || 0,
+        })),
+      }),
+    });
+    if (!response.ok) return;
+    const { stale, missing } = await response.json();
+
+    const refreshed = [];
+    for (const { id } of stale) {
+      const recipeResponse = await fetch(`/api/recipes/${id}`);
+      if (!recipeResponse.ok) continue;
+
+      const recipe = await recipeResponse.json();
+      const copy = copies.find((saved) => saved.id === id);
+      await idbRequest(
+        db
+          .transaction(OFFLINE_RECIPES_STORE, "readwrite")
+          .objectStore(OFFLINE_RECIPES_STORE)
+          .put({
+            ...recipe,
+            id,
+            downloadedAt: copy.downloadedAt,
+            personalNotes: copy.personalNotes,
+            syncedAt: new Date().toISOString(),
+          })
+      );
+      await cacheImages(recipe.images);
+      refreshed.push(recipe.title);
+    }
+
+    const unavailable = [];
+    for (const copy of copies) {
+      const isMissing = missing.includes(copy.id);
+      const isRefreshed = stale.some((recipe) => recipe.id === copy.id);
+      if (isRefreshed || isMissing === Boolean(copy.unavailableAt)) continue;
+      await idbRequest(
+        db
+          .transaction(OFFLINE_RECIPES_STORE, "readwrite")
+          .objectStore(OFFLINE_RECIPES_STORE)
+          .put({
+            ...copy,
+            unavailableAt: isMissing ? new Date().toISOString() : null,
+          })
+      );
+      if (isMissing) unavailable.push(copy.title);
+    }
+    if (refreshed.length === 0 && unavailable.length === 0) return;
+
+    const message = [
+      refreshed.length > 0 && `Updated: ${refreshed.join(", ")}`,
+      unavailable.length > 0 &&
+        `No longer available: ${unavailable.join(", ")}`,
+    ]
+      .filter(Boolean)
+      .join(". ");
+    await self.registration.showNotification("Downloaded recipes updated", {
+      body: message, // Message body
+      icon: "/android-chrome-192x192.png", // Notification icon
+      tag: "offline-update", // Replaces the previous update summary
+      data: {
+        type: "offline-update",
+        message, // Custom message
+        url: "/downloaded-recipes", // URL to open on click
+      },
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Event listener for periodic background sync.
+ * Refreshes downloaded recipes. An open page is asked to do it, so it can show what changed;
+ * otherwise the worker does it and shows a notification.
+ */
+self.addEventListener("periodicsync", (event) => {
+  if (event.tag !== DOWNLOADS_SYNC_TAG) return;
+
+  event.waitUntil(
+    clients
+      .matchAll({ type: "window", includeUncontrolled: true })
+      .then((clientList) => {
+        if (clientList.length > 0) {
+          clientList[0].postMessage({ type: "SYNC_DOWNLOADS" });
+          return undefined;
+        }
+        return refreshDownloads().catch((error) =>
+          console.error("Error refreshing downloaded recipes:", error)
+        );
+      })
+  );
+});
+
+/**
+ * Background Sync tag for sending changes made offline (OUTBOX_SYNC_TAG in lib/outbox.js).
+ * @const {string}
+ */
+const OUTBOX_SYNC_TAG = "outbox";
+
+/**
+ * What happened to a queued change, by the status the server answered with.
+ * Must match getReplayOutcome in lib/outbox.js.
+ * @param {number} status - The HTTP status of the response.
+ * @returns {string} "sent", "gone", "conflict" or "retry".
+ */
+function getReplayOutcome(status) {
+  if (status >= 200 && status < 300) return "sent";
+  if (status === 404 || status === 410) return "gone";
+  if (status === 401 || status === 408 || status === 429) return "retry";
+  if (status >= 400 && status < 500) return "conflict";
+  return "retry";
+}
+
+/**
+ * Gets the ID of the user whose session the server sees now.
+ * @returns {Promise<string|null>} The user's ID, or null if no one is signed in or the server
+ * cannot be reached.
+ */
+async function fetchSessionUserId() {
+  try {
+    const response = await fetch("/api/auth/session");
+    if (!response.ok) return null;
+    const session = await response.json();
+    return session?.user?.id ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Sends changes queued while offline, oldest first, stopping at the first that cannot be
+ * sent yet. Nothing is sent while no one is signed in, and changes queued by another user are
+ * dropped. Open pages are told the outcome; with none open, refused changes are reported in
+ * a notification.
+ * @returns {Promise<void>} Rejects while changes remain, so the browser tries again later.
+ */
+async function replayOutbox() {
+  const summary = { sent: 0, gone: 0, conflicts: 0, remaining: 0 };
+  const db = await openOfflineDatabase();
+
+  try {
+    const entries = await idbRequest(
+      db.transaction(OUTBOX_STORE).objectStore(OUTBOX_STORE).getAll()
+    );
+    const pending = entries.filter((entry) => entry.status === "pending");
+    const userId = pending.length > 0 ? await fetchSessionUserId() : null;
+    if (!userId) summary.remaining = pending.length;
+
+    for (const [index, entry] of pending.entries()) {
+      if (!userId) break;
+      if (entry.userId !== userId) {
+        await idbRequest(
+          db
+            .transaction(OUTBOX_STORE, "readwrite")
+            .objectStore(OUTBOX_STORE)
+            .delete(entry.id)
+        );
+        continue;
+      }
+
+      let response;
+      try {
+        response = await fetch(entry.url, {
+          method: entry.method,
+          headers: entry.headers,
+          body: entry.body ?? undefined,
+        });
+      } catch {
+        summary.remaining = pending.length - index;
+        break;
+      }
+
+      const outcome = getReplayOutcome(response.status);
+      if (outcome === "retry") {
+        summary.remaining = pending.length - index;
+        break;
+      }
+
+      if (outcome === "conflict") {
+        const data = await response.json().catch(() => ({}));
+        await idbRequest(
+          db
+            .transaction(OUTBOX_STORE, "readwrite")
+            .objectStore(OUTBOX_STORE)
+            .put({
+              ...entry,
+              status: "conflict",
+              message: data.error || response.statusText,
+              resolvedAt: new Date().toISOString(),
+            })
+        );
+        summary.conflicts += 1;
+      } else {
+        await idbRequest(
+          db
+            .transaction(OUTBOX_STORE, "readwrite")
+            .objectStore(OUTBOX_STORE)
+            .delete(entry.id)
+        );
+        summary[outcome] += 1;
+      }
+    }
+  } finally {
+    db.close();
+  }
+
+  const clientList = await clients.matchAll({
+    type: "window",
+    includeUncontrolled: true,
+  });
+  clientList.forEach((client) =>
+    client.postMessage({ type: "OUTBOX_REPLAYED", summary })
+  );
+
+  if (clientList.length === 0 && summary.conflicts > 0) {
+    const message = `${summary.conflicts} change(s) made offline could not be saved`;
+    await self.registration.showNotification("Offline changes", {
+      body: message, // Message body
+      icon: "/android-chrome-192x192.png", // Notification icon
+      tag: "outbox-conflicts", // Replaces the previous report
+      data: {
+        type: "outbox-conflict",
+        message, // Custom message
+        url: "/", // URL to open on click
+      },
+    });
+  }
+
+  if (summary.remaining > 0) {
+    throw new Error(`${summary.remaining} offline change(s) still waiting`);
+  }
+}
+
+/**
+ * Event listener for Background Sync.
+ * Sends changes made while offline once the connection is back.
+ */
+self.addEventListener("sync", (event) => {
+  if (event.tag !== OUTBOX_SYNC_TAG) return;
+  event.waitUntil(replayOutbox());
+});